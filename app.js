@@ -0,0 +1,65 @@
+const express = require('express');
+const cors = require('cors');
+const { CORS_ORIGINS, STORAGE_DRIVER, UPLOADS_DIR } = require('./config');
+const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { requestLogger } = require('./middleware/requestLogger');
+const { securityHeaders } = require('./middleware/securityHeaders');
+
+// Crea la aplicación de Express con todos los middlewares y rutas, sin conectarse a la BD
+// ni escuchar en un puerto (eso lo hace server.js; las pruebas usan la app directamente).
+function createApp() {
+  const app = express();
+
+  // --- Middlewares ---
+  // Cantidad de proxies delante de la API (Render usa 1): así req.ip es la IP real del cliente
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || false);
+  app.disable('x-powered-by');
+  app.use(requestLogger); // Primero, para registrar también las peticiones rechazadas por los demás middlewares
+  app.use(securityHeaders);
+  // Solo los orígenes de CORS_ORIGINS (el frontend de React) pueden llamar a la API desde el navegador.
+  // El frontend puede leer X-Request-Id para informarlo al reportar un error.
+  app.use(cors({ origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS, exposedHeaders: ['X-Request-Id'] }));
+  // Guarda también el cuerpo original (req.rawBody) para verificar la firma de los webhooks de pago
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } })); // Permite al servidor parsear JSON en el cuerpo de las peticiones
+
+  if (STORAGE_DRIVER === 'local') {
+    app.use('/uploads', express.static(UPLOADS_DIR, {
+      maxAge: '365d',
+      immutable: true,
+    }));
+  }
+
+  // --- Rutas de API ---
+
+  // Ruta de prueba
+  app.get('/', (req, res) => {
+    res.send('API de Tienda de Bicicletas Funcionando!');
+  });
+
+  app.use(require('./routes/health'));
+
+  app.use(require('./routes/auth'));
+  app.use(require('./routes/inventory'));
+  app.use(require('./routes/images'));
+  app.use(require('./routes/repairs'));
+  app.use(require('./routes/bikes'));
+  app.use(require('./routes/rentals'));
+  app.use(require('./routes/purchase'));
+  app.use(require('./routes/dispatches'));
+  app.use(require('./routes/payments'));
+  app.use(require('./routes/cart'));
+  app.use(require('./routes/reports'));
+  app.use(require('./routes/notifications'));
+  app.use(require('./routes/audit'));
+  app.use(require('./routes/reviews'));
+  app.use(require('./routes/promotions'));
+  app.use(require('./routes/docs'));
+
+  // --- Manejo de errores ---
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Conecta mongoose a MongoDB. Las transacciones (runInTransaction) requieren un replica set, como Atlas.
+function connectDatabase(uri = process.env.MONGO_URI) {
+  return mongoose.connect(uri);
+}
+
+function disconnectDatabase() {
+  return mongoose.disconnect();
+}
+
+module.exports = { connectDatabase, disconnectDatabase };
@@ -0,0 +1,148 @@
+require('dotenv').config(); // Carga las variables de entorno al inicio
+const path = require('path');
+
+const PORT = process.env.PORT || 5000; // Usa el puerto del .env o 5000
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+// --- Configuración de tokens de sesión ---
+const JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET;
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+// --- Configuración de precios del checkout ---
+// Los precios del inventario se publican con IVA incluido (pesos chilenos, sin decimales)
+const IVA_RATE = 0.19;
+const SHIPPING_FLAT_FEE = Number(process.env.SHIPPING_FLAT_FEE ?? 5000);
+const FREE_SHIPPING_MIN = Number(process.env.FREE_SHIPPING_MIN ?? 100000); // Despacho gratis desde este subtotal
+
+// --- Configuración de arriendos ---
+// Descuento según la cantidad de días arrendados (se aplica el primer tramo que corresponda)
+const RENTAL_DISCOUNT_TIERS = [
+  { minDays: 7, rate: 0.20, label: 'Descuento semanal' },
+  { minDays: 3, rate: 0.10, label: 'Descuento por varios días' },
+];
+const RENTAL_AVAILABILITY_WINDOW_DAYS = 30; // Ventana por defecto del calendario de disponibilidad
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- Configuración de correos y enlaces de cuenta ---
+// MAIL_TRANSPORT: 'console' (por defecto, imprime el correo), 'file' (guarda cada correo en MAIL_DIR) o 'smtp'
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_FROM = process.env.MAIL_FROM || 'MasterBike <no-reply@masterbike.cl>';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', 'mail-outbox');
+const APP_URL = process.env.APP_URL || 'http://localhost:3000'; // Frontend donde se abren los enlaces de los correos
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+
+// --- Configuración del carrito ---
+const CART_RESERVATION_MINUTES = Number(process.env.CART_RESERVATION_MINUTES) || 15; // Duración de la reserva de stock al pagar
+
+// --- Configuración de pagos ---
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'mock'; // Pasarela de pago (ver paymentProviders)
+const PAYMENT_TIMEOUT_MINUTES = Number(process.env.PAYMENT_TIMEOUT_MINUTES) || 30; // Un pago pendiente vence y el pedido se cancela
+const RENTAL_DEPOSIT_AMOUNT = Number(process.env.RENTAL_DEPOSIT_AMOUNT ?? 0); // Garantía de arriendo en CLP (0 = sin garantía)
+const PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || (IS_PRODUCTION ? '' : 'mock-webhook-secret'); // Firma de los webhooks de la pasarela mock
+// La pasarela mock no cobra: en producción solo se acepta si se habilita a propósito (demos, pruebas automatizadas)
+const PAYMENT_ALLOW_MOCK_IN_PRODUCTION = process.env.PAYMENT_ALLOW_MOCK_IN_PRODUCTION === 'true';
+
+// --- Configuración de imágenes ---
+// STORAGE_DRIVER: 'local' (por defecto, guarda en UPLOADS_DIR y las sirve en /uploads) o 's3' (AWS S3 o compatible: R2, MinIO...)
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads');
+const UPLOADS_PUBLIC_URL = process.env.UPLOADS_PUBLIC_URL || `http://localhost:${PORT}/uploads`; // URL pública de UPLOADS_DIR
+const IMAGE_MAX_BYTES = (Number(process.env.IMAGE_MAX_MB) || 5) * 1024 * 1024;
+const IMAGE_MAX_PER_PRODUCT = 10;
+const IMAGE_MAX_DIMENSION = 2000; // Las fotos más grandes se reducen (px, lado mayor)
+const THUMBNAIL_SIZE = 320;
+const INVENTORY_PLACEHOLDER_IMAGE = 'https://via.placeholder.com/345x180?text=Producto';
+
+// --- Configuración de notificaciones ---
+const SMS_TRANSPORT = process.env.SMS_TRANSPORT || 'none'; // Ver smsTransports
+const SMS_DIR = process.env.SMS_DIR || path.join(__dirname, '..', 'sms-outbox');
+const NOTIFICATION_MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5; // Luego queda 'Fallido'
+const NOTIFICATION_RETRY_BASE_SECONDS = 60; // Espera antes del primer reintento; se duplica en cada uno
+// Plazo de cada envío (SMTP, Twilio): si no termina, cuenta como intento fallido y se reintenta.
+// Menor que SHUTDOWN_TIMEOUT_MS, porque el apagado espera el envío en curso.
+const NOTIFICATION_SEND_TIMEOUT_MS = Number(process.env.NOTIFICATION_SEND_TIMEOUT_MS) || 8 * 1000;
+
+// --- Configuración de seguridad ---
+// Administrador inicial: se crea al arrancar si no existe y debe cambiar la contraseña en su primer inicio de sesión
+const ADMIN_EMAIL = (process.env.ADMIN_EMAIL || '').trim().toLowerCase();
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
+// Orígenes que pueden llamar a la API desde el navegador, separados por coma ('*' permite cualquiera). Por defecto, APP_URL.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || APP_URL).split(',').map(origin => origin.trim()).filter(Boolean);
+const LOGIN_IP_MAX_ATTEMPTS = Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20; // Intentos de inicio de sesión por IP en cada ventana
+const LOGIN_IP_WINDOW_MINUTES = Number(process.env.LOGIN_IP_WINDOW_MINUTES) || 15;
+const LOGIN_MAX_FAILED_ATTEMPTS = Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5; // Fallos seguidos que bloquean la cuenta
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// --- Configuración de operación ---
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info'; // 'debug', 'info', 'warn', 'error' o 'silent' (ver utils/logger.js)
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10 * 1000; // Plazo para terminar las peticiones en curso al apagar
+const HEALTH_CHECK_TIMEOUT_MS = 2000; // Si MongoDB no responde en este plazo, /ready responde 503
+const METRICS_TOKEN = process.env.METRICS_TOKEN || ''; // Si se define, /metrics exige Authorization: Bearer <METRICS_TOKEN>
+
+if (!JWT_ACCESS_SECRET || !JWT_REFRESH_SECRET) {
+  console.error('Faltan las variables de entorno JWT_ACCESS_SECRET y/o JWT_REFRESH_SECRET.');
+  process.exit(1);
+}
+
+// En producción un olvido en las variables de pagos no puede dejar los pedidos marcándose como pagados sin cobrar
+if (IS_PRODUCTION && PAYMENT_PROVIDER === 'mock' && !PAYMENT_ALLOW_MOCK_IN_PRODUCTION) {
+  console.error('PAYMENT_PROVIDER=mock no cobra los pagos: define una pasarela real en producción.');
+  process.exit(1);
+}
+if (IS_PRODUCTION && !PAYMENT_WEBHOOK_SECRET) {
+  console.error('Falta la variable de entorno PAYMENT_WEBHOOK_SECRET.');
+  process.exit(1);
+}
+
+module.exports = {
+  PORT,
+  ACCESS_TOKEN_TTL,
+  ADMIN_EMAIL,
+  ADMIN_PASSWORD,
+  APP_URL,
+  CART_RESERVATION_MINUTES,
+  CORS_ORIGINS,
+  DAY_MS,
+  EMAIL_VERIFICATION_TTL_HOURS,
+  FREE_SHIPPING_MIN,
+  HEALTH_CHECK_TIMEOUT_MS,
+  IMAGE_MAX_BYTES,
+  IMAGE_MAX_DIMENSION,
+  IMAGE_MAX_PER_PRODUCT,
+  INVENTORY_PLACEHOLDER_IMAGE,
+  IS_PRODUCTION,
+  IVA_RATE,
+  JWT_ACCESS_SECRET,
+  JWT_REFRESH_SECRET,
+  LOGIN_IP_MAX_ATTEMPTS,
+  LOGIN_IP_WINDOW_MINUTES,
+  LOGIN_LOCKOUT_MINUTES,
+  LOGIN_MAX_FAILED_ATTEMPTS,
+  LOG_LEVEL,
+  MAIL_DIR,
+  MAIL_FROM,
+  MAIL_TRANSPORT,
+  METRICS_TOKEN,
+  NOTIFICATION_MAX_ATTEMPTS,
+  NOTIFICATION_RETRY_BASE_SECONDS,
+  NOTIFICATION_SEND_TIMEOUT_MS,
+  PASSWORD_RESET_TTL_MINUTES,
+  PAYMENT_PROVIDER,
+  PAYMENT_TIMEOUT_MINUTES,
+  PAYMENT_WEBHOOK_SECRET,
+  REFRESH_TOKEN_TTL_DAYS,
+  RENTAL_AVAILABILITY_WINDOW_DAYS,
+  RENTAL_DEPOSIT_AMOUNT,
+  RENTAL_DISCOUNT_TIERS,
+  SHIPPING_FLAT_FEE,
+  SHUTDOWN_TIMEOUT_MS,
+  SMS_DIR,
+  SMS_TRANSPORT,
+  STORAGE_DRIVER,
+  THUMBNAIL_SIZE,
+  UPLOADS_DIR,
+  UPLOADS_PUBLIC_URL,
+};
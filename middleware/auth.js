@@ -0,0 +1,77 @@
+const jwt = require('jsonwebtoken');
+const { JWT_ACCESS_SECRET } = require('../config');
+const { httpError } = require('../utils/errors');
+
+// Lo único que puede hacer una cuenta con mustChangePassword
+const PASSWORD_CHANGE_ROUTES = ['GET /api/me', 'PUT /api/me/password'];
+
+// Middleware: exige un access token válido en el encabezado Authorization: Bearer <token>
+function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return next(httpError(401, 'Se requiere iniciar sesión.'));
+  }
+
+  try {
+    const decoded = jwt.verify(token, JWT_ACCESS_SECRET);
+    req.auth = { id: decoded.sub, type: decoded.type, email: decoded.email, role: decoded.role, mustChangePassword: Boolean(decoded.mustChangePassword) };
+  } catch (err) {
+    return next(httpError(401, 'Token inválido o expirado.', { code: 'INVALID_TOKEN' }));
+  }
+
+  if (req.auth.mustChangePassword && !PASSWORD_CHANGE_ROUTES.includes(`${req.method} ${req.baseUrl}${req.path}`)) {
+    return next(httpError(403, 'Debes cambiar tu contraseña antes de continuar.', { code: 'PASSWORD_CHANGE_REQUIRED' }));
+  }
+  next();
+}
+
+// Middleware: como authenticate, pero sin encabezado Authorization la petición sigue como invitado (sin req.auth).
+// Un token inválido o expirado sí se rechaza: el cliente cree tener sesión y no debe quedar como invitado sin saberlo.
+function optionalAuthenticate(req, res, next) {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  authenticate(req, res, next);
+}
+
+// Middleware: solo cuentas de Employee (cualquier rol)
+function requireEmployee(req, res, next) {
+  if (!req.auth || req.auth.type !== 'employee') {
+    return next(httpError(403, 'Acceso denegado. Solo para empleados.'));
+  }
+  next();
+}
+
+// Middleware: solo empleados con role 'admin' (operaciones destructivas)
+function requireAdmin(req, res, next) {
+  if (!req.auth || req.auth.type !== 'employee' || req.auth.role !== 'admin') {
+    return next(httpError(403, 'Acceso denegado. Solo el administrador puede realizar esta acción.'));
+  }
+  next();
+}
+
+// Middleware: solo clientes (cuentas de User)
+function requireCustomer(req, res, next) {
+  if (!req.auth || req.auth.type !== 'user') {
+    return next(httpError(403, 'Esta ruta es solo para clientes.'));
+  }
+  next();
+}
+
+// Quién hizo la petición, en el formato de los registros (actorId + actorModel)
+function actorFromAuth(auth) {
+  if (!auth) {
+    return {};
+  }
+  return { actorId: auth.id, actorModel: auth.type === 'employee' ? 'Employee' : 'User' };
+}
+
+module.exports = {
+  actorFromAuth,
+  authenticate,
+  optionalAuthenticate,
+  requireAdmin,
+  requireCustomer,
+  requireEmployee,
+};
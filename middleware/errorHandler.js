@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { IS_PRODUCTION } = require('../config');
+const { httpError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+// Rutas inexistentes
+function notFound(req, res, next) {
+  next(httpError(404, 'Ruta no encontrada.', { code: 'ROUTE_NOT_FOUND' }));
+}
+
+// Convierte cualquier error en { code, message, errors?, details? }.
+// Express 5 envía aquí también los rechazos de los handlers async (debe declarar los 4 parámetros).
+function errorHandler(err, req, res, next) {
+  let error = err;
+
+  if (err.type === 'entity.parse.failed') {
+    error = httpError(400, 'El cuerpo de la petición no es JSON válido.', { code: 'INVALID_JSON' });
+  } else if (err.type === 'entity.too.large' || (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE')) {
+    error = httpError(413, 'El cuerpo de la petición es demasiado grande.');
+  } else if (err instanceof multer.MulterError) {
+    error = httpError(400, `Error al subir el archivo: ${err.message}`, { code: 'UPLOAD_ERROR', errors: [{ field: err.field || 'file', message: err.message }] });
+  } else if (err instanceof mongoose.Error.ValidationError) {
+    error = httpError(400, 'Los datos enviados no son válidos.', {
+      code: 'VALIDATION_ERROR',
+      errors: Object.values(err.errors).map(e => ({ field: e.path, message: e.message })),
+    });
+  } else if (err instanceof mongoose.Error.CastError) {
+    error = httpError(400, 'ID inválido.', { code: 'INVALID_ID', errors: [{ field: err.path, message: 'Valor inválido.' }] });
+  } else if (err.code === 11000) {
+    error = httpError(409, 'Ya existe un registro con esos datos.', {
+      code: 'DUPLICATE_KEY',
+      details: { fields: Object.keys(err.keyValue || {}) },
+    });
+  } else if (!err.status) {
+    // En producción no se exponen detalles internos (mensajes de la BD, rutas, etc.); quedan en el log
+    error = httpError(500, IS_PRODUCTION ? 'Error interno del servidor.' : err.message || 'Error interno del servidor.');
+  }
+
+  if (error.status >= 500) {
+    logger.error('Error al atender la petición', { requestId: req.id, method: req.method, path: req.originalUrl.split('?')[0], err });
+  }
+
+  const body = { code: error.code, message: error.message };
+  if (error.errors) {
+    body.errors = error.errors;
+  }
+  if (error.details) {
+    body.details = error.details;
+  }
+  if (error.status === 429 && error.details && error.details.retryAfterSeconds) {
+    res.set('Retry-After', String(error.details.retryAfterSeconds));
+  }
+  res.status(error.status).json(body);
+}
+
+module.exports = {
+  errorHandler,
+  notFound,
+};
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { requestFinished, requestStarted } = require('../services/metrics');
+
+// Se acepta el X-Request-Id del proxy o del frontend si tiene un formato razonable; si no, se genera uno
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Sondas de la plataforma y de Prometheus: llegan cada pocos segundos (y /ready responde 503 mientras no hay
+// base de datos), así que solo se registran con LOG_LEVEL=debug
+const PROBE_PATHS = ['/health', '/ready', '/metrics'];
+
+// Middleware: asigna req.id (y el encabezado X-Request-Id de la respuesta) y, al terminar la petición,
+// registra una línea de log con el estado y la latencia y actualiza las métricas de /metrics
+function requestLogger(req, res, next) {
+  const incomingId = req.get('X-Request-Id');
+  req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const started = process.hrtime.bigint();
+  requestStarted();
+
+  res.on('close', () => {
+    const durationSeconds = Number(process.hrtime.bigint() - started) / 1e9;
+    // La plantilla de la ruta (/api/inventory/:id) queda en req.route si alguna ruta atendió la petición
+    const route = req.route ? req.route.path : 'no_route';
+    // Sin la query: puede traer datos de búsqueda del cliente
+    const path = req.originalUrl.split('?')[0];
+    requestFinished({ method: req.method, route, status: res.statusCode, durationSeconds });
+
+    const level = PROBE_PATHS.includes(path) ? 'debug' : (res.statusCode >= 500 ? 'error' : 'info');
+    logger[level]('Petición HTTP', {
+      requestId: req.id,
+      method: req.method,
+      path,
+      route: req.route ? route : undefined,
+      status: res.statusCode,
+      durationMs: Math.round(durationSeconds * 10000) / 10,
+      aborted: res.writableFinished ? undefined : true, // El cliente cerró la conexión antes de la respuesta
+      ip: req.ip,
+      userId: req.auth ? req.auth.id : undefined,
+    });
+  });
+  next();
+}
+
+module.exports = {
+  requestLogger,
+};
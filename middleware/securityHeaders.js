@@ -0,0 +1,22 @@
+const { IS_PRODUCTION } = require('../config');
+
+// Encabezados de seguridad para todas las respuestas. La API solo devuelve JSON e imágenes,
+// así que la política de contenido no permite cargar nada ni mostrarse dentro de un iframe.
+function securityHeaders(req, res, next) {
+  res.set({
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'no-referrer',
+    'Content-Security-Policy': "default-src 'none'; frame-ancestors 'none'",
+    'Cross-Origin-Opener-Policy': 'same-origin',
+  });
+  if (IS_PRODUCTION) {
+    // Solo detrás de HTTPS: obliga al navegador a usarlo durante un año
+    res.set('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+  }
+  next();
+}
+
+module.exports = {
+  securityHeaders,
+};
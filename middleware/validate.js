@@ -0,0 +1,119 @@
+const { z } = require('zod');
+const { httpError } = require('../utils/errors');
+
+// Mensajes de zod en español
+z.setErrorMap((issue, ctx) => {
+  switch (issue.code) {
+    case z.ZodIssueCode.invalid_type:
+      return { message: issue.received === 'undefined' ? 'Campo obligatorio.' : `Tipo inválido: se esperaba ${issue.expected}.` };
+    case z.ZodIssueCode.invalid_enum_value:
+      return { message: `Valor inválido. Opciones: ${issue.options.join(', ')}.` };
+    case z.ZodIssueCode.too_small:
+      return { message: issue.type === 'array' ? `Debe tener al menos ${issue.minimum} elemento(s).` : `Debe ser mayor o igual a ${issue.minimum}.` };
+    case z.ZodIssueCode.too_big:
+      return { message: issue.type === 'string' ? `Máximo ${issue.maximum} caracteres.` : `Debe ser menor o igual a ${issue.maximum}.` };
+    default:
+      return { message: ctx.defaultError };
+  }
+});
+
+const OBJECT_ID_REGEX = /^[a-f\d]{24}$/i;
+// Celulares (9 XXXX XXXX) y fijos (2-7 + 8 dígitos), con o sin +56
+const CHILE_PHONE_REGEX = /^(?:\+?56)?([2-9]\d{8})$/;
+
+// Tipos de campo reutilizables en los esquemas de las rutas
+const fields = {
+  text: (max = 200) => z.string().trim().min(1, 'No puede estar vacío.').max(max),
+  email: () => z.string().trim().max(254).email('Email inválido.'),
+  password: () => z.string().min(8, 'La contraseña debe tener al menos 8 caracteres.').max(128),
+  // Normaliza a +56XXXXXXXXX
+  phoneCL: () => z.string()
+    .transform(v => v.replace(/[\s\-().]/g, ''))
+    .refine(v => CHILE_PHONE_REGEX.test(v), 'Teléfono chileno inválido (ej: +56 9 1234 5678).')
+    .transform(v => `+56${CHILE_PHONE_REGEX.exec(v)[1]}`),
+  objectId: () => z.string().regex(OBJECT_ID_REGEX, 'ID inválido.'),
+  date: () => z.union([z.string(), z.number(), z.date()]).transform((value, ctx) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Fecha inválida.' });
+      return z.NEVER;
+    }
+    return date;
+  }),
+  quantity: () => z.number().int('Debe ser un número entero.').min(1),
+  money: () => z.number().finite().min(0),
+  url: () => z.string().trim().max(500).url('URL inválida.'),
+  sku: () => z.string().trim().toUpperCase().regex(/^[A-Z0-9][A-Z0-9._-]{0,39}$/, 'SKU inválido: letras, números, punto, guion o guion bajo (máx. 40).'),
+  // Parámetros de query string (siempre llegan como texto)
+  queryBool: () => z.enum(['true', 'false']).transform(v => v === 'true'),
+  queryNumber: () => z.string().regex(/^\d+(\.\d+)?$/, 'Debe ser un número.').transform(Number),
+  queryInt: () => z.string().regex(/^\d+$/, 'Debe ser un número entero.').transform(Number),
+};
+
+// Middleware: valida y filtra req.params, req.query y req.body con esquemas de zod.
+// Los campos que no están en el esquema se descartan (lista blanca).
+// Los esquemas quedan en middleware.schemas para generar la especificación OpenAPI (services/openapi.js).
+function validate(schemas) {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    const parsed = {};
+    for (const part of ['params', 'query', 'body']) {
+      if (!schemas[part]) {
+        continue;
+      }
+      const result = schemas[part].safeParse(req[part] ?? {});
+      if (result.success) {
+        parsed[part] = result.data;
+      } else {
+        for (const issue of result.error.issues) {
+          errors.push({ field: issue.path.join('.') || part, message: issue.message });
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      return next(httpError(400, 'Los datos enviados no son válidos.', { code: 'VALIDATION_ERROR', errors }));
+    }
+    if (parsed.params) {
+      req.params = parsed.params;
+    }
+    if (parsed.body) {
+      req.body = parsed.body;
+    }
+    if (parsed.query) {
+      // En Express 5 req.query es un getter de solo lectura
+      Object.defineProperty(req, 'query', { value: parsed.query, writable: true, configurable: true, enumerable: true });
+    }
+    next();
+  };
+  middleware.schemas = schemas;
+  return middleware;
+}
+
+// Query de los DELETE con borrado lógico: ?permanent=true elimina definitivamente
+const deleteQuerySchema = z.object({
+  permanent: fields.queryBool().optional(),
+});
+
+// Todos los :id (y sub-ids) de las rutas son ObjectId: uno mal formado es un 400, no un 500.
+// Los parámetros se validan por router (router.param no se hereda entre routers).
+const OBJECT_ID_PARAMS = ['id', 'blockId', 'partId', 'itemId', 'imageId'];
+
+function checkObjectIdParams(router) {
+  for (const name of OBJECT_ID_PARAMS) {
+    router.param(name, (req, res, next, value) => {
+      if (!OBJECT_ID_REGEX.test(value)) {
+        return next(httpError(400, 'ID inválido.', { code: 'INVALID_ID', errors: [{ field: name, message: 'ID inválido.' }] }));
+      }
+      next();
+    });
+  }
+}
+
+module.exports = {
+  OBJECT_ID_PARAMS,
+  checkObjectIdParams,
+  deleteQuerySchema,
+  fields,
+  validate,
+};
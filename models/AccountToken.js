@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Modelo para los tokens de un solo uso enviados por correo
+// Solo se guarda el hash SHA-256 del token; el token en claro viaja únicamente en el enlace del correo.
+const ACCOUNT_TOKEN_PURPOSES = ['password-reset', 'email-verification'];
+
+const accountTokenSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  purpose: { type: String, required: true, enum: ACCOUNT_TOKEN_PURPOSES },
+  subjectId: { type: mongoose.Schema.Types.ObjectId, required: true, refPath: 'subjectModel' },
+  subjectModel: { type: String, required: true, enum: ['User', 'Employee'] },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date },
+}, { timestamps: true });
+accountTokenSchema.index({ subjectId: 1, purpose: 1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB borra los tokens vencidos
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+module.exports = {
+  ACCOUNT_TOKEN_PURPOSES,
+  AccountToken,
+};
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Registro de auditoría: quién cambió qué desde la API, con los valores antes y después.
+// Solo se agregan registros (nunca se editan ni borran).
+const AUDIT_ACTIONS = ['Crear', 'Actualizar', 'Eliminar', 'Restaurar', 'Eliminar definitivamente'];
+const auditLogSchema = new mongoose.Schema({
+  actorId: { type: mongoose.Schema.Types.ObjectId, refPath: 'actorModel' },
+  actorModel: { type: String, enum: ['Employee', 'User'] },
+  actorEmail: { type: String },
+  action: { type: String, required: true, enum: AUDIT_ACTIONS },
+  summary: { type: String }, // Detalle legible, p. ej. "Estado: Pendiente → Completada"
+  entity: {
+    model: { type: String, required: true },
+    id: { type: mongoose.Schema.Types.ObjectId, required: true },
+  },
+  // Campos que cambiaron (rutas con punto para subdocumentos); al crear before es null y al eliminar after es null
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed },
+  }],
+  ip: { type: String },
+  method: { type: String },
+  path: { type: String },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+auditLogSchema.index({ 'entity.model': 1, 'entity.id': 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AuditLog,
+};
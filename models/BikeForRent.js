@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const { productImageSchema } = require('./productImage');
+const { ratingSummarySchema } = require('./ratingSummary');
+
+// Bloque de mantención: la bicicleta no se puede arrendar entre startDate y endDate (exclusivo)
+const maintenanceBlockSchema = new mongoose.Schema({
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  reason: { type: String, required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+}, { timestamps: true });
+
+// Modelo para bicicletas de arriendo
+const bikeForRentSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String, required: true, trim: true },
+  pricePerDay: { type: Number, required: true, min: 1 }, // <--- ¡Importante!
+  imageUrl: { type: String }, // Portada: con imágenes subidas es la URL de la primera
+  images: [productImageSchema],
+  rating: { type: ratingSummarySchema, default: () => ({}) }, // Reseñas visibles de clientes que la arrendaron
+  available: { type: Boolean, default: true }, // false mientras está arrendada (Activo) o retirada de servicio
+  retired: { type: Boolean, default: false },  // Dada de baja de la flota: no se lista ni se arrienda
+  maintenanceBlocks: [maintenanceBlockSchema],
+  bookingVersion: { type: Number, default: 0 }, // Se incrementa en cada reserva para serializar reservas concurrentes
+}, { timestamps: true });
+const BikeForRent = mongoose.model('BikeForRent', bikeForRentSchema);
+
+module.exports = {
+  BikeForRent,
+};
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Carrito, lista de deseos y reservas de stock del cliente
+// Solo se guardan el ítem y la cantidad: el precio y el stock se leen de InventoryItem cada vez
+const cartSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  items: [{
+    _id: false,
+    itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryItem', required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    addedAt: { type: Date, default: Date.now },
+  }],
+}, { timestamps: true });
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+module.exports = {
+  Cart,
+};
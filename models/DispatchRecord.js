@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { appliedPromotionSchema } = require('./appliedPromotion');
+
+// Modelo para Registros de Despacho
+const dispatchRecordSchema = new mongoose.Schema({
+  purchaseDate: { type: Date, default: Date.now },
+  deliveryDate: { type: Date, required: true },
+  items: [
+    {
+      itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryItem', required: true },
+      name: { type: String, required: true },
+      quantity: { type: Number, required: true, min: 1 },
+      priceAtPurchase: { type: Number, required: true }, // Precio unitario leído de InventoryItem al comprar
+      lineTotal: { type: Number },
+      discountAmount: { type: Number, default: 0 }, // Parte del descuento de promociones que corresponde a la línea
+    }
+  ],
+  subtotal: { type: Number },     // Suma de las líneas (IVA incluido)
+  discountAmount: { type: Number, default: 0 }, // Total de descuentos de promociones
+  promotions: [appliedPromotionSchema],
+  netAmount: { type: Number },    // Subtotal con descuentos, sin IVA
+  taxAmount: { type: Number },    // IVA contenido en el subtotal con descuentos
+  shippingCost: { type: Number },
+  totalAmount: { type: Number, required: true }, // subtotal - discountAmount + shippingCost
+  customerDetails: {
+    name: { type: String, required: true },
+    email: { type: String, required: true },
+    // Puedes añadir más campos de cliente si son necesarios (dirección, teléfono, etc.)
+  },
+  status: { type: String, default: 'Pendiente', enum: ['Pago Pendiente', 'Pendiente', 'En Despacho', 'Despachado', 'Cancelado'] },
+  paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+}, { timestamps: true });
+dispatchRecordSchema.index({ status: 1, deliveryDate: 1 });
+dispatchRecordSchema.index({ 'customerDetails.email': 1, purchaseDate: -1 });
+
+const DispatchRecord = mongoose.model('DispatchRecord', dispatchRecordSchema);
+
+module.exports = {
+  DispatchRecord,
+};
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { ADMIN_EMAIL } = require('../config');
+
+// Modelo de Empleado para Autenticación
+const employeeSchema = new mongoose.Schema({
+  firstName: { type: String, required: true },
+  lastName: { type: String, required: true },
+  email: { 
+    type: String, 
+    required: true, 
+    unique: true,
+    // Validación para asegurar que el correo termina en @masterbike.cl
+    validate: {
+      validator: function(v) {
+        // Una cuenta ya guardada con otro correo (el administrador antiguo) se puede seguir guardando
+        // mientras no cambie el correo: si no, no podría actualizar su perfil ni su contraseña
+        if (this instanceof mongoose.Document && !this.isNew && !this.isModified('email')) {
+          return true;
+        }
+        // Permite cualquier @masterbike.cl y el administrador inicial (ADMIN_EMAIL)
+        return v.endsWith('@masterbike.cl') || v === ADMIN_EMAIL;
+      },
+      message: props => `${props.value} no es un correo de empleado válido. Debe terminar en @masterbike.cl`
+    }
+  },
+  password: { type: String, required: true }, // Contraseña hasheada
+  role: { type: String, default: 'employee', enum: ['employee', 'admin'] }, // Rol para diferenciar de usuarios normales
+  mustChangePassword: { type: Boolean, default: false }, // Hasta cambiarla solo puede ver su perfil y cambiar la contraseña
+}, { timestamps: true });
+
+// Middleware de Mongoose para hashear la contraseña antes de guardar
+employeeSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+  const salt = await bcrypt.genSalt(10);
+  this.password = await bcrypt.hash(this.password, salt);
+  next();
+});
+
+const Employee = mongoose.model('Employee', employeeSchema);
+
+module.exports = {
+  Employee,
+};
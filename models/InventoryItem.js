@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { INVENTORY_PLACEHOLDER_IMAGE } = require('../config');
+const { softDeletePlugin } = require('./plugins/softDelete');
+const { productImageSchema } = require('./productImage');
+const { ratingSummarySchema } = require('./ratingSummary');
+
+// Campos filtrables del catálogo con su copia en minúsculas. Los filtros comparan por igualdad contra la copia,
+// así no distinguen mayúsculas y usan los índices { category, brandKey } y { category, partTypeKey }.
+const INVENTORY_FILTER_KEYS = { brand: 'brandKey', partType: 'partTypeKey' };
+
+// Modelo para los ítems del inventario (Bicicletas y Repuestos)
+const itemSchema = new mongoose.Schema({
+  sku: { type: String, trim: true, uppercase: true, unique: true, sparse: true }, // Código interno del producto (opcional)
+  name: { type: String, required: true },
+  category: { type: String, required: true, enum: ['Bicicleta', 'Repuesto'] }, // 'Bicicleta' o 'Repuesto'
+  type: { type: String },     // Para bicicletas (Urbana, Montaña, etc.)
+  brand: { type: String },    // Para bicicletas
+  partType: { type: String },   // Para repuestos (Cadena, Freno, etc.)
+  compatibility: { type: String }, // Para repuestos (MTB, Ruta, Universal, etc.)
+  brandKey: { type: String },    // brand en minúsculas (INVENTORY_FILTER_KEYS); se calcula al guardar
+  partTypeKey: { type: String }, // partType en minúsculas (INVENTORY_FILTER_KEYS); se calcula al guardar
+  price: { type: Number, required: true },
+  stock: { type: Number, required: true, min: 0 }, // Solo cambia a través de recordStockMovement
+  reorderThreshold: { type: Number, default: 0, min: 0 }, // Con stock <= este valor se abre una alerta de stock bajo
+  imageUrl: { type: String, default: INVENTORY_PLACEHOLDER_IMAGE }, // Portada: con imágenes subidas es la URL de la primera
+  images: [productImageSchema],
+  rating: { type: ratingSummarySchema, default: () => ({}) }, // Reseñas visibles de clientes que lo recibieron
+  reservationVersion: { type: Number, default: 0 }, // Se incrementa en cada reserva del carrito para serializar reservas concurrentes
+}, { timestamps: true });
+// Índices para el catálogo: búsqueda de texto y filtros más usados
+itemSchema.index({ name: 'text', brand: 'text' }, { weights: { name: 3, brand: 1 }, default_language: 'spanish', name: 'inventory_text' });
+itemSchema.index({ category: 1, price: 1 });
+itemSchema.index({ category: 1, brandKey: 1 });
+itemSchema.index({ category: 1, partTypeKey: 1 });
+
+itemSchema.pre('validate', function () {
+  for (const [field, keyField] of Object.entries(INVENTORY_FILTER_KEYS)) {
+    this[keyField] = this[field] ? this[field].toLowerCase() : undefined;
+  }
+});
+itemSchema.plugin(softDeletePlugin);
+const InventoryItem = mongoose.model('InventoryItem', itemSchema);
+
+module.exports = {
+  INVENTORY_FILTER_KEYS,
+  InventoryItem,
+};
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Contador de intentos de inicio de sesión en una ventana de tiempo, por IP o por cuenta.
+// lockedUntil marca una cuenta bloqueada temporalmente por demasiados intentos fallidos.
+const loginThrottleSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // 'ip:<ip>' o 'account:<user|employee>:<email>'
+  count: { type: Number, default: 0 },
+  lockedUntil: { type: Date },
+  expiresAt: { type: Date, required: true }, // Fin de la ventana (o del bloqueo)
+});
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB borra los contadores vencidos
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+module.exports = {
+  LoginThrottle,
+};
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Cola de notificaciones a clientes (correo y SMS). El texto se genera al encolar: queda registro exacto de lo enviado.
+const NOTIFICATION_STATUSES = ['Pendiente', 'Enviado', 'Fallido'];
+const notificationSchema = new mongoose.Schema({
+  event: { type: String, required: true }, // Clave de NOTIFICATION_TEMPLATES, p. ej. 'repair.completed'
+  channel: { type: String, required: true, enum: ['email', 'sms'] },
+  to: { type: String, required: true },
+  subject: { type: String }, // Solo correos
+  text: { type: String, required: true },
+  reference: {
+    model: { type: String, enum: ['DispatchRecord', 'Rental', 'RepairRequest'] },
+    id: { type: mongoose.Schema.Types.ObjectId },
+  },
+  status: { type: String, default: 'Pendiente', enum: NOTIFICATION_STATUSES },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: { type: String },
+  sentAt: { type: Date },
+}, { timestamps: true });
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ 'reference.model': 1, 'reference.id': 1 });
+notificationSchema.index({ createdAt: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = {
+  NOTIFICATION_STATUSES,
+  Notification,
+};
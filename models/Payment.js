@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Pagos con la pasarela y eventos de webhook recibidos
+const PAYMENT_STATUSES = ['Pendiente', 'Aprobado', 'Rechazado', 'Cancelado', 'Expirado', 'Reembolsado', 'Reembolso parcial'];
+
+const paymentSchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  providerPaymentId: { type: String }, // Identificador del pago en la pasarela
+  purpose: { type: String, required: true, enum: ['Compra', 'Garantía de arriendo'] },
+  referenceModel: { type: String, required: true, enum: ['DispatchRecord', 'Rental'] },
+  referenceId: { type: mongoose.Schema.Types.ObjectId, required: true, refPath: 'referenceModel' },
+  amount: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'CLP' },
+  customerEmail: { type: String },
+  status: { type: String, default: 'Pendiente', enum: PAYMENT_STATUSES },
+  redirectUrl: { type: String }, // Página de la pasarela donde el cliente paga
+  expiresAt: { type: Date },
+  paidAt: { type: Date },
+  paidAmount: { type: Number }, // Lo cobrado por la pasarela, solo si no coincide con amount (se reembolsa)
+  failureReason: { type: String },
+  refundedAmount: { type: Number, default: 0 },
+  refunds: [{
+    amount: { type: Number, required: true, min: 1 },
+    reason: { type: String },
+    idempotencyKey: { type: String }, // Reintentos con la misma clave no reembolsan dos veces
+    providerRefundId: { type: String },
+    refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+    createdAt: { type: Date, default: Date.now },
+  }],
+}, { timestamps: true });
+paymentSchema.index({ provider: 1, providerPaymentId: 1 }, { unique: true, partialFilterExpression: { providerPaymentId: { $type: 'string' } } });
+paymentSchema.index({ referenceModel: 1, referenceId: 1 });
+paymentSchema.index({ status: 1, expiresAt: 1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+module.exports = {
+  PAYMENT_STATUSES,
+  Payment,
+};
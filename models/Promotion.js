@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Promoción de precio: un cupón que el cliente ingresa (code) o una promoción automática por categoría o marca.
+// Se aplica en el servidor al comprar (POST /api/purchase) y al arrendar (POST /api/rentals).
+const PROMOTION_KINDS = ['Cupón', 'Automática'];
+const PROMOTION_DISCOUNT_TYPES = ['Porcentaje', 'Monto fijo'];
+const PROMOTION_SCOPES = ['Compras', 'Arriendos', 'Todo'];
+const promotionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String, trim: true },
+  kind: { type: String, required: true, enum: PROMOTION_KINDS },
+  code: { // Solo cupones; se guarda en mayúsculas y se compara sin distinguirlas
+    type: String,
+    trim: true,
+    uppercase: true,
+    required: function () { return this.kind === 'Cupón'; },
+  },
+  discountType: { type: String, required: true, enum: PROMOTION_DISCOUNT_TYPES },
+  value: { type: Number, required: true, min: 1 }, // Porcentaje (1-100) o monto en pesos
+  appliesTo: { type: String, default: 'Todo', enum: PROMOTION_SCOPES },
+  // Solo en compras: ítems de estas categorías o marcas (vacío = todos)
+  categories: [{ type: String, enum: ['Bicicleta', 'Repuesto'] }],
+  brands: [{ type: String, trim: true }],
+  minSubtotal: { type: Number, default: 0, min: 0 }, // Total mínimo del carrito o del arriendo, antes de descuentos
+  startsAt: { type: Date, required: function () { return this.kind === 'Automática'; } },
+  endsAt: { type: Date, required: function () { return this.kind === 'Automática'; } },
+  maxUses: { type: Number, min: 1 }, // Usos en total (sin valor = ilimitados)
+  maxUsesPerCustomer: { type: Number, min: 1 }, // Usos por cliente: por cuenta, o por email si no tiene cuenta
+  usedCount: { type: Number, default: 0, min: 0 }, // Solo cambia a través de services/promotions.js
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+}, { timestamps: true });
+promotionSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { code: { $type: 'string' } } });
+promotionSchema.index({ kind: 1, active: 1, appliesTo: 1, startsAt: 1, endsAt: 1 });
+
+// Reglas que combinan varios campos
+promotionSchema.pre('validate', function () {
+  if (this.kind === 'Automática' && this.code) {
+    this.invalidate('code', 'Las promociones automáticas no usan código.');
+  }
+  if (this.discountType === 'Porcentaje' && this.value > 100) {
+    this.invalidate('value', 'El porcentaje no puede ser mayor que 100.');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'Debe ser posterior a startsAt.');
+  }
+  if (this.appliesTo === 'Arriendos' && (this.categories.length > 0 || this.brands.length > 0)) {
+    this.invalidate('appliesTo', 'Las categorías y marcas solo aplican a compras.');
+  }
+});
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+module.exports = {
+  PROMOTION_DISCOUNT_TYPES,
+  PROMOTION_KINDS,
+  PROMOTION_SCOPES,
+  Promotion,
+};
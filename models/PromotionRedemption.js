@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Uso de una promoción en un pedido o arriendo. Cuenta para los límites de uso;
+// si el pedido o el arriendo se cancela, el uso se elimina y la promoción vuelve a estar disponible.
+// customerKey identifica al cliente para el límite por cliente: 'user:<id>' si tiene cuenta, si no 'email:<email>'.
+const promotionRedemptionSchema = new mongoose.Schema({
+  promotionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion', required: true },
+  customerEmail: { type: String, required: true, lowercase: true, trim: true },
+  customerKey: { type: String, required: true },
+  // Solo en promociones con maxUsesPerCustomer: número de uso del cliente (1..maxUsesPerCustomer)
+  useNumber: { type: Number, min: 1 },
+  referenceModel: { type: String, required: true, enum: ['DispatchRecord', 'Rental'] },
+  referenceId: { type: mongoose.Schema.Types.ObjectId, refPath: 'referenceModel', required: true },
+  discountAmount: { type: Number, required: true },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+// Dos compras simultáneas del mismo cliente no pueden ocupar el mismo número de uso: así no superan el límite
+promotionRedemptionSchema.index(
+  { promotionId: 1, customerKey: 1, useNumber: 1 },
+  { unique: true, partialFilterExpression: { useNumber: { $exists: true } } }
+);
+promotionRedemptionSchema.index({ referenceModel: 1, referenceId: 1 });
+
+const PromotionRedemption = mongoose.model('PromotionRedemption', promotionRedemptionSchema);
+
+module.exports = {
+  PromotionRedemption,
+};
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Modelo para los tokens de refresco emitidos
+// Cada refresh token firmado lleva un identificador (jti) que se guarda aquí,
+// así el logout y la rotación pueden revocarlo antes de que expire.
+const refreshTokenSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  subjectId: { type: mongoose.Schema.Types.ObjectId, required: true, refPath: 'subjectModel' },
+  subjectModel: { type: String, required: true, enum: ['User', 'Employee'] },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+}, { timestamps: true });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB borra los tokens vencidos
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = {
+  RefreshToken,
+};
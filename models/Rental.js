@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { appliedPromotionSchema } = require('./appliedPromotion');
+
+// Modelo para registros de arriendos (si lo usas)
+// Modelo para los registros de arriendos (este es el "Rental" que necesitas)
+const rentalSchema = new mongoose.Schema({
+  bikeId: { type: mongoose.Schema.Types.ObjectId, ref: 'BikeForRent', required: true },
+  bikeName: { type: String, required: true },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true }, // Día de devolución (exclusivo)
+  days: { type: Number },
+  pricePerDay: { type: Number },  // Precio diario de BikeForRent al momento de reservar
+  subtotal: { type: Number },     // days * pricePerDay
+  discountRate: { type: Number, default: 0 },
+  discountAmount: { type: Number, default: 0 }, // Descuento por duración (discountRate)
+  promotionDiscountAmount: { type: Number, default: 0 }, // Descuento de promociones y cupones
+  promotions: [appliedPromotionSchema],
+  totalPrice: { type: Number, required: true }, // subtotal - discountAmount - promotionDiscountAmount, calculado en el servidor
+  status: { type: String, default: 'Pendiente', enum: ['Pendiente', 'Activo', 'Completado', 'Cancelado'] },
+  customerName: { type: String, required: true },
+  customerEmail: { type: String, required: true },
+  customerPhone: { type: String },
+  // Garantía cobrada con la pasarela de pago (si RENTAL_DEPOSIT_AMOUNT > 0).
+  // 'Cancelada': no se pagó y ya no se pagará (pago rechazado, vencido o arriendo cancelado)
+  deposit: {
+    amount: { type: Number, default: 0 },
+    status: { type: String, default: 'No requerida', enum: ['No requerida', 'Pendiente', 'Pagada', 'Cancelada', 'Reembolsada'] },
+    paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+  },
+}, { timestamps: true });
+rentalSchema.index({ bikeId: 1, status: 1, startDate: 1, endDate: 1 });
+
+const Rental = mongoose.model('Rental', rentalSchema);
+
+module.exports = {
+  Rental,
+};
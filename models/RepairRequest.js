@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { softDeletePlugin } = require('./plugins/softDelete');
+
+// Modelo para solicitudes de reparación (orden de trabajo del taller)
+const REPAIR_STATUSES = ['Pendiente', 'En Proceso', 'Completada', 'Cancelada'];
+
+const repairRequestSchema = new mongoose.Schema({
+  bikeType: { type: String, required: true },
+  bikeBrand: { type: String, required: true },
+  problemDescription: { type: String, required: true },
+  contactName: { type: String, required: true },
+  contactEmail: { type: String, required: true },
+  contactPhone: { type: String },
+  date: { type: Date, default: Date.now },
+  status: { type: String, default: 'Pendiente', enum: REPAIR_STATUSES },
+  trackingCode: { type: String, unique: true, sparse: true }, // Código para que el cliente consulte sin iniciar sesión
+  technician: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+  // Presupuesto de mano de obra que el cliente acepta o rechaza
+  quote: {
+    laborCost: { type: Number, min: 0 },
+    description: { type: String },
+    status: { type: String, enum: ['Pendiente', 'Aceptado', 'Rechazado'] },
+    quotedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+    quotedAt: { type: Date },
+    respondedAt: { type: Date },
+  },
+  // Repuestos usados (descontados de InventoryItem)
+  parts: [{
+    itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryItem', required: true },
+    name: { type: String, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    unitPrice: { type: Number, required: true },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+    addedAt: { type: Date, default: Date.now },
+  }],
+  // Notas internas del taller (no se muestran al cliente)
+  notes: [{
+    text: { type: String, required: true },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+    createdAt: { type: Date, default: Date.now },
+  }],
+  statusHistory: [{
+    status: { type: String, enum: REPAIR_STATUSES, required: true },
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+    note: { type: String },
+  }],
+});
+repairRequestSchema.plugin(softDeletePlugin);
+const RepairRequest = mongoose.model('RepairRequest', repairRequestSchema);
+
+module.exports = {
+  REPAIR_STATUSES,
+  RepairRequest,
+};
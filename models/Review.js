@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Reseña de un cliente sobre un ítem que recibió (despacho 'Despachado') o una bicicleta que arrendó (arriendo 'Completado').
+// Una por cliente y producto; los empleados pueden ocultarla y entonces no cuenta en el promedio.
+const REVIEW_TARGET_MODELS = ['InventoryItem', 'BikeForRent'];
+const reviewSchema = new mongoose.Schema({
+  targetModel: { type: String, required: true, enum: REVIEW_TARGET_MODELS },
+  targetId: { type: mongoose.Schema.Types.ObjectId, refPath: 'targetModel', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  authorName: { type: String, required: true }, // Nombre que se muestra: nombre e inicial del apellido
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  comment: { type: String, trim: true },
+  hidden: { type: Boolean, default: false },
+  moderation: {
+    reason: { type: String },
+    moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+    moderatedAt: { type: Date },
+  },
+}, { timestamps: true });
+reviewSchema.index({ userId: 1, targetModel: 1, targetId: 1 }, { unique: true });
+reviewSchema.index({ targetModel: 1, targetId: 1, hidden: 1, createdAt: -1 });
+
+const Review = mongoose.model('Review', reviewSchema);
+
+module.exports = {
+  REVIEW_TARGET_MODELS,
+  Review,
+};
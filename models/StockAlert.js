@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Alerta de stock bajo: se abre al cruzar reorderThreshold y se resuelve al reponer
+const stockAlertSchema = new mongoose.Schema({
+  itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryItem', required: true },
+  itemName: { type: String, required: true },
+  stockAtAlert: { type: Number, required: true },
+  reorderThreshold: { type: Number, required: true },
+  status: { type: String, default: 'Abierta', enum: ['Abierta', 'Resuelta'] },
+  resolvedAt: { type: Date },
+}, { timestamps: true });
+stockAlertSchema.index({ itemId: 1, status: 1 });
+
+const StockAlert = mongoose.model('StockAlert', stockAlertSchema);
+
+module.exports = {
+  StockAlert,
+};
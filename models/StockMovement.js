@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Libro de movimientos de stock (solo se agregan registros)
+// 'Saldo inicial': stock que el ítem ya tenía cuando se empezó a llevar el libro (ver recordOpeningBalances)
+const STOCK_MOVEMENT_TYPES = ['Venta', 'Reposición', 'Ajuste manual', 'Uso en reparación', 'Devolución', 'Saldo inicial'];
+
+const stockMovementSchema = new mongoose.Schema({
+  itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryItem', required: true },
+  itemName: { type: String, required: true },
+  type: { type: String, required: true, enum: STOCK_MOVEMENT_TYPES },
+  quantity: { type: Number, required: true }, // Variación con signo: negativa para salidas
+  stockAfter: { type: Number, required: true },
+  reason: { type: String, required: true },
+  actorId: { type: mongoose.Schema.Types.ObjectId, refPath: 'actorModel' },
+  actorModel: { type: String, enum: ['User', 'Employee'] },
+  // Documento que originó el movimiento (despacho, reparación)
+  referenceModel: { type: String, enum: ['DispatchRecord', 'RepairRequest'] },
+  referenceId: { type: mongoose.Schema.Types.ObjectId, refPath: 'referenceModel' },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+stockMovementSchema.index({ itemId: 1, createdAt: -1 });
+// Un solo saldo inicial por ítem, aunque varias instancias lo registren a la vez
+stockMovementSchema.index({ itemId: 1 }, { unique: true, partialFilterExpression: { type: 'Saldo inicial' } });
+
+// El libro es inmutable: no se permite editar ni borrar movimientos
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Los movimientos de stock no se pueden modificar.'));
+  }
+  next();
+});
+stockMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'],
+  function(next) {
+    next(new Error('Los movimientos de stock no se pueden modificar ni eliminar.'));
+  }
+);
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+module.exports = {
+  STOCK_MOVEMENT_TYPES,
+  StockMovement,
+};
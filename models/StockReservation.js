@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Reserva temporal mientras el cliente paga: ese stock no se le ofrece a otros clientes hasta expiresAt
+const stockReservationSchema = new mongoose.Schema({
+  itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryItem', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  quantity: { type: Number, required: true, min: 1 },
+  expiresAt: { type: Date, required: true },
+}, { timestamps: true });
+stockReservationSchema.index({ itemId: 1, expiresAt: 1 });
+stockReservationSchema.index({ userId: 1 });
+stockReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB borra las reservas vencidas
+
+const StockReservation = mongoose.model('StockReservation', stockReservationSchema);
+
+module.exports = {
+  StockReservation,
+};
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// Modelo de Usuario para Autenticación
+const userSchema = new mongoose.Schema({
+  firstName: { type: String, required: true },
+  lastName: { type: String, required: true },
+  email: { type: String, required: true, unique: true },
+  password: { type: String, required: true }, // Contraseña hasheada
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date },
+  // Puedes añadir más campos como rol, fecha de registro, etc.
+}, { timestamps: true });
+
+// Middleware de Mongoose para hashear la contraseña antes de guardar
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) { // Solo hashear si la contraseña ha sido modificada (o es nueva)
+    return next();
+  }
+  const salt = await bcrypt.genSalt(10); // Genera un 'salt'
+  this.password = await bcrypt.hash(this.password, salt); // Hashea la contraseña con el 'salt'
+  next();
+});
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = {
+  User,
+};
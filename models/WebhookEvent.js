@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Cada evento de webhook se registra una sola vez (provider + eventId): un reintento de la pasarela no se aplica dos veces
+const webhookEventSchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  eventId: { type: String, required: true },
+  type: { type: String, required: true },
+  providerPaymentId: { type: String },
+}, { timestamps: true });
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = {
+  WebhookEvent,
+};
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+const wishlistSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  items: [{
+    _id: false,
+    itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryItem', required: true },
+    addedAt: { type: Date, default: Date.now },
+  }],
+}, { timestamps: true });
+
+const Wishlist = mongoose.model('Wishlist', wishlistSchema);
+
+module.exports = {
+  Wishlist,
+};
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Promoción aplicada a un pedido o arriendo, con el descuento que hizo (copia: no cambia si se edita la promoción)
+const appliedPromotionSchema = new mongoose.Schema({
+  promotionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion', required: true },
+  name: { type: String, required: true },
+  kind: { type: String, required: true },
+  code: { type: String },
+  amount: { type: Number, required: true },
+}, { _id: false });
+
+module.exports = {
+  appliedPromotionSchema,
+};
@@ -0,0 +1,59 @@
+// Punto único para importar los modelos: const { InventoryItem, User } = require('../models');
+const { INVENTORY_FILTER_KEYS, InventoryItem } = require('./InventoryItem');
+const { BikeForRent } = require('./BikeForRent');
+const { REPAIR_STATUSES, RepairRequest } = require('./RepairRequest');
+const { Rental } = require('./Rental');
+const { User } = require('./User');
+const { Employee } = require('./Employee');
+const { DispatchRecord } = require('./DispatchRecord');
+const { RefreshToken } = require('./RefreshToken');
+const { LoginThrottle } = require('./LoginThrottle');
+const { ACCOUNT_TOKEN_PURPOSES, AccountToken } = require('./AccountToken');
+const { STOCK_MOVEMENT_TYPES, StockMovement } = require('./StockMovement');
+const { StockAlert } = require('./StockAlert');
+const { Cart } = require('./Cart');
+const { Wishlist } = require('./Wishlist');
+const { StockReservation } = require('./StockReservation');
+const { PAYMENT_STATUSES, Payment } = require('./Payment');
+const { WebhookEvent } = require('./WebhookEvent');
+const { NOTIFICATION_STATUSES, Notification } = require('./Notification');
+const { AUDIT_ACTIONS, AuditLog } = require('./AuditLog');
+const { REVIEW_TARGET_MODELS, Review } = require('./Review');
+const { PROMOTION_DISCOUNT_TYPES, PROMOTION_KINDS, PROMOTION_SCOPES, Promotion } = require('./Promotion');
+const { PromotionRedemption } = require('./PromotionRedemption');
+
+module.exports = {
+  INVENTORY_FILTER_KEYS,
+  InventoryItem,
+  BikeForRent,
+  REPAIR_STATUSES,
+  RepairRequest,
+  Rental,
+  User,
+  Employee,
+  DispatchRecord,
+  RefreshToken,
+  LoginThrottle,
+  ACCOUNT_TOKEN_PURPOSES,
+  AccountToken,
+  STOCK_MOVEMENT_TYPES,
+  StockMovement,
+  StockAlert,
+  Cart,
+  Wishlist,
+  StockReservation,
+  PAYMENT_STATUSES,
+  Payment,
+  WebhookEvent,
+  NOTIFICATION_STATUSES,
+  Notification,
+  AUDIT_ACTIONS,
+  AuditLog,
+  REVIEW_TARGET_MODELS,
+  Review,
+  PROMOTION_DISCOUNT_TYPES,
+  PROMOTION_KINDS,
+  PROMOTION_SCOPES,
+  Promotion,
+  PromotionRedemption,
+};
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Borrado lógico: deletedAt marca el documento como eliminado y las consultas lo excluyen, salvo que
+// filtren por deletedAt o pidan la opción { withDeleted: true }. Se restaura dejando deletedAt en null.
+function softDeletePlugin(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+  });
+  schema.index({ deletedAt: 1 });
+  schema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne', 'updateMany'], function () {
+    if (!this.getOptions().withDeleted && !('deletedAt' in this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  });
+  schema.pre('aggregate', function () {
+    if (this.options.withDeleted) {
+      return;
+    }
+    const [first] = this.pipeline();
+    if (first && first.$match) {
+      first.$match = { ...first.$match, deletedAt: null }; // Un $match con $text debe seguir siendo la primera etapa
+    } else {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+  });
+}
+
+module.exports = {
+  softDeletePlugin,
+};
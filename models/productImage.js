@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Imagen subida de un ítem o bicicleta. El orden del arreglo es el de la galería: la primera es la portada
+const productImageSchema = new mongoose.Schema({
+  key: { type: String, required: true }, // Ruta del archivo en el almacenamiento
+  thumbnailKey: { type: String, required: true },
+  url: { type: String, required: true },
+  thumbnailUrl: { type: String, required: true },
+  contentType: { type: String, required: true },
+  size: { type: Number },
+  width: { type: Number },
+  height: { type: Number },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+  uploadedAt: { type: Date, default: Date.now },
+});
+
+module.exports = {
+  productImageSchema,
+};
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Promedio y cantidad de reseñas visibles de un ítem o bicicleta. Lo recalcula services/reviews.js
+// en cada cambio de una reseña, así el catálogo lo muestra sin consultar las reseñas.
+const ratingSummarySchema = new mongoose.Schema({
+  average: { type: Number, default: 0 }, // Con un decimal; 0 si no hay reseñas
+  count: { type: Number, default: 0 },
+}, { _id: false });
+
+module.exports = {
+  ratingSummarySchema,
+};
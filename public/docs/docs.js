@@ -0,0 +1,239 @@
+// Documentación interactiva: lee /api/openapi.json, lista las rutas por grupo y permite probarlas desde el navegador
+(function () {
+  const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+  const TOKEN_KEY = 'masterbike-docs-token';
+  let spec;
+
+  // Crea un elemento con atributos y contenido (texto u otros elementos); nunca interpreta HTML
+  function el(tag, attrs, ...children) {
+    const node = document.createElement(tag);
+    for (const [name, value] of Object.entries(attrs || {})) {
+      if (name === 'className') {
+        node.className = value;
+      } else if (name.startsWith('on')) {
+        node.addEventListener(name.slice(2), value);
+      } else {
+        node.setAttribute(name, value);
+      }
+    }
+    for (const child of children.flat()) {
+      if (child !== null && child !== undefined) {
+        node.append(child instanceof Node ? child : String(child));
+      }
+    }
+    return node;
+  }
+
+  function resolve(schema) {
+    if (schema && schema.$ref) {
+      return spec.components.schemas[schema.$ref.split('/').pop()];
+    }
+    return schema || {};
+  }
+
+  // Ejemplo de un esquema para prellenar el cuerpo de las peticiones
+  function example(schema, depth = 0) {
+    const resolved = resolve(schema);
+    if (resolved.example !== undefined) return resolved.example;
+    if (resolved.default !== undefined) return resolved.default;
+    if (resolved.enum) return resolved.enum[0];
+    if (resolved.oneOf) return example(resolved.oneOf[0], depth);
+    if (depth > 4) return null;
+    switch (resolved.type) {
+      case 'object': {
+        const result = {};
+        const required = resolved.required || [];
+        for (const [name, property] of Object.entries(resolved.properties || {})) {
+          if (required.includes(name) || depth === 0) {
+            result[name] = example(property, depth + 1);
+          }
+        }
+        return result;
+      }
+      case 'array': return [example(resolved.items, depth + 1)];
+      case 'integer':
+      case 'number': return resolved.minimum || 0;
+      case 'boolean': return false;
+      case 'string': return resolved.format === 'date-time' ? new Date().toISOString() : (resolved.format === 'email' ? 'cliente@example.com' : '');
+      default: return null;
+    }
+  }
+
+  // Descripción compacta del tipo: "string (email)", "InventoryItem[]", "'Bicicleta' | 'Repuesto'"
+  function typeLabel(schema) {
+    if (schema.$ref) return schema.$ref.split('/').pop();
+    if (schema.oneOf) return schema.oneOf.map(typeLabel).join(' | ');
+    if (schema.enum) return schema.enum.map(value => JSON.stringify(value)).join(' | ');
+    if (schema.type === 'array') return `${typeLabel(schema.items || {})}[]`;
+    const label = schema.format ? `${schema.type} (${schema.format})` : (schema.type || 'any');
+    return schema.nullable ? `${label} | null` : label;
+  }
+
+  // Árbol de propiedades de un esquema (los $ref se muestran por nombre y se expanden un nivel)
+  function schemaTree(schema, depth = 0) {
+    const resolved = resolve(schema);
+    const target = resolved.type === 'array' ? resolve(resolved.items) : resolved;
+    if (!target.properties || depth > 2) {
+      return el('pre', {}, typeLabel(schema));
+    }
+    const required = target.required || [];
+    const rows = Object.entries(target.properties).map(([name, property]) => el('tr', {},
+      el('td', {}, el('code', {}, name), required.includes(name) ? ' *' : ''),
+      el('td', {}, typeLabel(property)),
+      el('td', {}, property.description || '')));
+    return el('div', {},
+      schema.$ref || resolved.type === 'array' ? el('div', { className: 'muted' }, typeLabel(schema)) : null,
+      el('table', {}, el('tbody', {}, rows)));
+  }
+
+  function parametersTable(parameters, inputs) {
+    return el('table', {},
+      el('thead', {}, el('tr', {}, el('th', {}, 'Parámetro'), el('th', {}, 'En'), el('th', {}, 'Tipo'), el('th', {}, 'Valor'))),
+      el('tbody', {}, parameters.map(parameter => {
+        const input = el('input', { placeholder: parameter.required ? 'obligatorio' : '' });
+        inputs.push({ parameter, input });
+        return el('tr', {},
+          el('td', {}, el('code', {}, parameter.name), parameter.required ? ' *' : ''),
+          el('td', {}, parameter.in),
+          el('td', {}, typeLabel(parameter.schema || {}), parameter.description ? el('div', { className: 'muted' }, parameter.description) : null),
+          el('td', {}, input));
+      })));
+  }
+
+  async function sendRequest(method, path, inputs, bodyInput, output) {
+    let url = path;
+    const query = new URLSearchParams();
+    for (const { parameter, input } of inputs) {
+      if (input.value === '') continue;
+      if (parameter.in === 'path') {
+        url = url.replace(`{${parameter.name}}`, encodeURIComponent(input.value));
+      } else if (parameter.in === 'query') {
+        query.set(parameter.name, input.value);
+      }
+    }
+    if (query.toString()) url += `?${query}`;
+
+    const options = { method: method.toUpperCase(), headers: {} };
+    const token = document.getElementById('token').value.trim();
+    if (token) options.headers.Authorization = `Bearer ${token}`;
+    if (bodyInput && bodyInput.type === 'file') {
+      const form = new FormData();
+      for (const file of bodyInput.files) form.append(bodyInput.name, file);
+      options.body = form;
+    } else if (bodyInput && bodyInput.value.trim()) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = bodyInput.value;
+    }
+
+    output.replaceChildren(el('span', { className: 'muted' }, 'Enviando…'));
+    const started = performance.now();
+    try {
+      const res = await fetch(url, options);
+      const text = await res.text();
+      let body = text;
+      try { body = JSON.stringify(JSON.parse(text), null, 2); } catch (err) { /* No es JSON */ }
+      output.replaceChildren(
+        el('div', {}, el('span', { className: res.ok ? 'status' : 'status error' }, `${res.status} ${res.statusText}`),
+          el('span', { className: 'muted' }, ` · ${Math.round(performance.now() - started)} ms · ${options.method} ${url}`)),
+        el('pre', {}, body));
+    } catch (err) {
+      output.replaceChildren(el('span', { className: 'status error' }, `Error de red: ${err.message}`));
+    }
+  }
+
+  function renderOperation(path, method, operation) {
+    const inputs = [];
+    const content = el('div', { className: 'operation' });
+    if (operation.description) content.append(el('p', {}, operation.description));
+
+    if (operation.parameters) {
+      content.append(el('h4', {}, 'Parámetros'), parametersTable(operation.parameters, inputs));
+    }
+
+    let bodyInput = null;
+    if (operation.requestBody) {
+      const [mediaType, media] = Object.entries(operation.requestBody.content)[0];
+      content.append(el('h4', {}, `Cuerpo (${mediaType})`), schemaTree(media.schema));
+      if (mediaType === 'multipart/form-data') {
+        const [field, fieldSchema] = Object.entries(resolve(media.schema).properties)[0];
+        bodyInput = el('input', { type: 'file', name: field });
+        if (fieldSchema.type === 'array') bodyInput.multiple = true;
+      } else {
+        bodyInput = el('textarea', { spellcheck: 'false' });
+        bodyInput.value = JSON.stringify(example(media.schema), null, 2);
+      }
+      content.append(bodyInput);
+    }
+
+    content.append(el('h4', {}, 'Respuestas'));
+    for (const [status, response] of Object.entries(operation.responses)) {
+      const media = response.content && Object.values(response.content)[0];
+      content.append(el('div', {}, el('strong', {}, status), ` ${response.description}`),
+        media && media.schema && status < 400 ? schemaTree(media.schema) : null);
+    }
+
+    const output = el('div');
+    content.append(el('button', { type: 'button', onclick: () => sendRequest(method, path, inputs, bodyInput, output) }, 'Probar'), output);
+
+    const details = el('details', { 'data-search': `${method} ${path} ${operation.summary}`.toLowerCase() },
+      el('summary', {},
+        el('span', { className: `method ${method}` }, method.toUpperCase()),
+        el('span', { className: 'path' }, path),
+        el('span', { className: 'summary' }, operation.summary),
+        operation.security ? el('span', { className: 'lock' }, 'requiere sesión') : null),
+      content);
+    return details;
+  }
+
+  function render() {
+    document.getElementById('title').textContent = spec.info.title;
+    document.getElementById('version').textContent = `v${spec.info.version}`;
+    document.title = spec.info.title;
+
+    const byTag = new Map(spec.tags.map(tag => [tag.name, { tag, operations: [] }]));
+    for (const [path, item] of Object.entries(spec.paths)) {
+      for (const method of METHODS.filter(m => item[m])) {
+        const name = item[method].tags[0];
+        if (!byTag.has(name)) byTag.set(name, { tag: { name }, operations: [] });
+        byTag.get(name).operations.push(renderOperation(path, method, item[method]));
+      }
+    }
+
+    const nav = document.getElementById('tags');
+    const main = document.getElementById('operations');
+    main.replaceChildren();
+    for (const { tag, operations } of byTag.values()) {
+      if (operations.length === 0) continue;
+      nav.append(el('a', { href: `#tag-${tag.name}` }, tag.name));
+      main.append(el('section', { id: `tag-${tag.name}` }, el('h2', {}, tag.name), tag.description ? el('p', {}, tag.description) : null, operations));
+    }
+  }
+
+  function filterOperations(text) {
+    const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+    for (const section of document.querySelectorAll('main section')) {
+      let visible = 0;
+      for (const details of section.querySelectorAll('details')) {
+        const match = words.every(word => details.dataset.search.includes(word));
+        details.classList.toggle('hidden', !match);
+        visible += match ? 1 : 0;
+      }
+      section.classList.toggle('hidden', visible === 0);
+    }
+  }
+
+  const tokenInput = document.getElementById('token');
+  tokenInput.value = sessionStorage.getItem(TOKEN_KEY) || '';
+  tokenInput.addEventListener('input', () => sessionStorage.setItem(TOKEN_KEY, tokenInput.value.trim()));
+  document.getElementById('filter').addEventListener('input', event => filterOperations(event.target.value));
+
+  fetch('/api/openapi.json')
+    .then(res => res.json())
+    .then(json => {
+      spec = json;
+      render();
+    })
+    .catch(err => {
+      document.getElementById('operations').replaceChildren(el('p', { className: 'status error' }, `No se pudo cargar la especificación: ${err.message}`));
+    });
+}());
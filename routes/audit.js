@@ -0,0 +1,64 @@
+const express = require('express');
+const { z } = require('zod');
+const { DAY_MS } = require('../config');
+const { AUDIT_ACTIONS, AuditLog } = require('../models');
+const { escapeRegex, startOfDay } = require('../utils/helpers');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { checkObjectIdParams, fields, validate } = require('../middleware/validate');
+
+const router = express.Router();
+checkObjectIdParams(router);
+
+// **********************************************
+// NUEVAS RUTAS: Registro de auditoría (admin)
+// **********************************************
+
+const AUDIT_MAX_LIMIT = 500;
+
+const auditLogQuerySchema = z.object({
+  actorId: fields.objectId().optional(),
+  actorEmail: z.string().trim().min(1).max(254).optional(),
+  model: z.string().trim().min(1).max(60).optional(), // Modelo afectado, p. ej. InventoryItem
+  entityId: fields.objectId().optional(),
+  action: z.enum(AUDIT_ACTIONS).optional(),
+  from: fields.date().optional(),
+  to: fields.date().optional(),
+  limit: fields.queryInt().pipe(z.number().min(1).max(AUDIT_MAX_LIMIT)).default('100'),
+});
+
+// GET: Busca en el registro de auditoría, los más recientes primero.
+// ?actorId= ?actorEmail= ?model= ?entityId= ?action= ?from=&to= (fechas, to incluido) ?limit=
+router.get('/api/audit-logs', authenticate, requireAdmin, validate({ query: auditLogQuerySchema }), async (req, res) => {
+  const filter = {};
+  if (req.query.actorId) {
+    filter.actorId = req.query.actorId;
+  }
+  if (req.query.actorEmail) {
+    filter.actorEmail = new RegExp(`^${escapeRegex(req.query.actorEmail)}$`, 'i');
+  }
+  if (req.query.model) {
+    filter['entity.model'] = req.query.model;
+  }
+  if (req.query.entityId) {
+    filter['entity.id'] = req.query.entityId;
+  }
+  if (req.query.action) {
+    filter.action = req.query.action;
+  }
+  if (req.query.from || req.query.to) {
+    filter.createdAt = {};
+    if (req.query.from) filter.createdAt.$gte = startOfDay(req.query.from);
+    if (req.query.to) filter.createdAt.$lt = new Date(startOfDay(req.query.to).getTime() + DAY_MS);
+  }
+
+  const entries = await AuditLog.find(filter).sort({ createdAt: -1 }).limit(req.query.limit);
+  res.json(entries);
+});
+
+// GET: Historial de cambios de un registro, del más antiguo al más reciente
+router.get('/api/audit-logs/:model/:id', authenticate, requireAdmin, async (req, res) => {
+  const entries = await AuditLog.find({ 'entity.model': req.params.model, 'entity.id': req.params.id }).sort({ createdAt: 1 });
+  res.json(entries);
+});
+
+module.exports = router;
@@ -0,0 +1,417 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { z } = require('zod');
+const { APP_URL, JWT_REFRESH_SECRET, PASSWORD_RESET_TTL_MINUTES } = require('../config');
+const { AccountToken, Cart, Employee, RefreshToken, StockReservation, User, Wishlist } = require('../models');
+const { httpError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+const { runInTransaction } = require('../utils/transaction');
+const { authenticate, requireAdmin, requireCustomer } = require('../middleware/auth');
+const { fields, validate } = require('../middleware/validate');
+const { recordAudit } = require('../services/audit');
+const { assertLoginAllowed, loginAccountKey, recordLoginFailure, recordLoginSuccess } = require('../services/loginThrottle');
+const { sendMail } = require('../services/mail');
+const {
+  consumeAccountToken,
+  createAccountToken,
+  issueTokens,
+  revokeRefreshTokens,
+  sendVerificationEmail,
+} = require('../services/tokens');
+
+const router = express.Router();
+
+// **********************************************
+// NUEVAS RUTAS DE AUTENTICACIÓN
+// **********************************************
+
+const registerSchema = z.object({
+  firstName: fields.text(60),
+  lastName: fields.text(60),
+  email: fields.email(),
+  password: fields.password(),
+});
+
+const loginSchema = z.object({
+  email: fields.email(),
+  password: z.string().min(1, 'Campo obligatorio.'),
+});
+
+const refreshTokenBodySchema = z.object({
+  refreshToken: z.string().min(1, 'Falta el refresh token.'),
+});
+
+const employeeRegisterSchema = registerSchema.extend({
+  email: fields.email().refine(v => v.endsWith('@masterbike.cl'), 'El correo del nuevo empleado debe terminar en @masterbike.cl'),
+});
+
+// POST: Ruta para registrar un nuevo usuario
+router.post('/api/register', validate({ body: registerSchema }), async (req, res) => {
+  const { firstName, lastName, email, password } = req.body;
+
+  // 1. Verificar si el usuario ya existe
+  let user = await User.findOne({ email });
+  if (user) {
+    throw httpError(409, 'El usuario con ese correo ya existe.', { code: 'EMAIL_TAKEN' });
+  }
+
+  // 2. Crear un nuevo usuario (el pre-save hook hasheará la contraseña)
+  user = new User({
+    firstName,
+    lastName,
+    email,
+    password // La contraseña se hashea automáticamente por el middleware pre-save
+  });
+
+  await user.save();
+  await sendVerificationEmail(user);
+  res.status(201).json({ message: 'Usuario registrado exitosamente. Te enviamos un correo para verificar tu email.', user: { id: user._id, email: user.email, firstName: user.firstName, emailVerified: user.emailVerified } });
+});
+
+// POST: Ruta para iniciar sesión de cliente
+router.post('/api/login', validate({ body: loginSchema }), async (req, res) => {
+  const { email, password } = req.body;
+  const accountKey = loginAccountKey('user', email);
+  await assertLoginAllowed(req, accountKey); // Límite por IP y bloqueo por intentos fallidos
+
+  // 1. Verificar si el usuario existe por email
+  const user = await User.findOne({ email });
+  if (!user) {
+    await recordLoginFailure(accountKey);
+    throw httpError(400, 'Credenciales inválidas.', { code: 'INVALID_CREDENTIALS' }); // Mensaje genérico por seguridad
+  }
+
+  // 2. Comparar la contraseña proporcionada con la contraseña hasheada en la BD
+  const isMatch = await bcrypt.compare(password, user.password);
+  if (!isMatch) {
+    await recordLoginFailure(accountKey);
+    throw httpError(400, 'Credenciales inválidas.', { code: 'INVALID_CREDENTIALS' }); // Mensaje genérico por seguridad
+  }
+
+  // Si las credenciales son correctas, emitir los tokens de sesión
+  await recordLoginSuccess(accountKey);
+  const tokens = await issueTokens(user, 'User');
+  res.status(200).json({
+    message: 'Inicio de sesión exitoso',
+    ...tokens,
+    user: {
+      id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      emailVerified: user.emailVerified
+    }
+  });
+});
+
+// **********************************************
+// NUEVA RUTA: POST para iniciar sesión de empleado/administrador
+// **********************************************
+router.post('/api/employee-login', validate({ body: loginSchema }), async (req, res) => {
+  const { email, password } = req.body;
+  const accountKey = loginAccountKey('employee', email);
+  await assertLoginAllowed(req, accountKey); // Límite por IP y bloqueo por intentos fallidos
+
+  // 1. Buscar el empleado por email
+  const employee = await Employee.findOne({ email });
+  if (!employee) {
+    await recordLoginFailure(accountKey);
+    throw httpError(400, 'Credenciales inválidas o empleado no encontrado.', { code: 'INVALID_CREDENTIALS' });
+  }
+
+  // 2. Comparar la contraseña proporcionada con la contraseña hasheada
+  const isMatch = await bcrypt.compare(password, employee.password);
+  if (!isMatch) {
+    await recordLoginFailure(accountKey);
+    throw httpError(400, 'Credenciales inválidas.', { code: 'INVALID_CREDENTIALS' });
+  }
+
+  // Si las credenciales son correctas y el dominio es válido
+  await recordLoginSuccess(accountKey);
+  const tokens = await issueTokens(employee, 'Employee');
+  res.status(200).json({
+    message: 'Inicio de sesión de empleado exitoso',
+    ...tokens,
+    employee: {
+      id: employee._id,
+      firstName: employee.firstName,
+      lastName: employee.lastName,
+      email: employee.email,
+      role: employee.role, // Incluye el rol en la respuesta
+      mustChangePassword: employee.mustChangePassword // Si es true, debe cambiar la contraseña antes de usar la API
+    }
+  });
+});
+
+// **********************************************
+// NUEVAS RUTAS: Renovación de tokens y cierre de sesión
+// **********************************************
+
+// POST: Intercambia un refresh token válido por un nuevo par de tokens (rotación)
+router.post('/api/token/refresh', validate({ body: refreshTokenBodySchema }), async (req, res) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(req.body.refreshToken, JWT_REFRESH_SECRET);
+  } catch (err) {
+    throw httpError(401, 'Refresh token inválido o expirado.', { code: 'INVALID_TOKEN' });
+  }
+
+  // 1. Revocar el token usado; si ya estaba revocado, se rechaza
+  const stored = await RefreshToken.findOneAndUpdate(
+    { jti: decoded.jti, revokedAt: { $exists: false } },
+    { revokedAt: new Date() }
+  );
+  if (!stored) {
+    throw httpError(401, 'Refresh token revocado.', { code: 'INVALID_TOKEN' });
+  }
+
+  // 2. Verificar que la cuenta siga existiendo
+  const Model = stored.subjectModel === 'Employee' ? Employee : User;
+  const account = await Model.findById(stored.subjectId);
+  if (!account) {
+    throw httpError(401, 'La cuenta asociada ya no existe.', { code: 'INVALID_TOKEN' });
+  }
+
+  const tokens = await issueTokens(account, stored.subjectModel);
+  res.status(200).json({ message: 'Tokens renovados', ...tokens });
+});
+
+// POST: Cierra la sesión revocando el refresh token
+router.post('/api/logout', validate({ body: refreshTokenBodySchema }), async (req, res) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(req.body.refreshToken, JWT_REFRESH_SECRET);
+  } catch (err) {
+    // Un token inválido o vencido ya no sirve para nada: la sesión está cerrada
+    return res.status(200).json({ message: 'Sesión cerrada' });
+  }
+
+  await RefreshToken.updateOne(
+    { jti: decoded.jti, revokedAt: { $exists: false } },
+    { revokedAt: new Date() }
+  );
+  res.status(200).json({ message: 'Sesión cerrada' });
+});
+
+// **********************************************
+// NUEVA RUTA: POST para registrar un nuevo empleado (PROTEGIDA POR ADMIN)
+// **********************************************
+// Requiere la sesión de un empleado con role 'admin' (Authorization: Bearer <accessToken>)
+router.post('/api/employee-register', authenticate, requireAdmin, validate({ body: employeeRegisterSchema }), async (req, res) => {
+  const { firstName, lastName, email, password } = req.body;
+
+  // 1. Verificar si el empleado ya existe
+  if (await Employee.exists({ email })) {
+    throw httpError(409, 'Ya existe un empleado con ese correo.', { code: 'EMAIL_TAKEN' });
+  }
+
+  // 2. Crear un nuevo empleado (el pre-save hook hasheará la contraseña).
+  // El documento se arma dentro de la transacción: si se reintenta, se vuelve a insertar desde cero.
+  const employee = await runInTransaction(async session => {
+    const newEmployee = await new Employee({
+      firstName,
+      lastName,
+      email,
+      password,
+      role: 'employee' // Asignar el rol de empleado por defecto
+    }).save({ session });
+    await recordAudit(req, { action: 'Crear', model: 'Employee', id: newEmployee._id, after: newEmployee }, session);
+    return newEmployee;
+  });
+  res.status(201).json({ message: 'Empleado registrado exitosamente', employee: { id: employee._id, email: employee.email, firstName: employee.firstName, role: employee.role } });
+});
+
+// **********************************************
+// NUEVAS RUTAS: Recuperación de contraseña y verificación de email
+// **********************************************
+
+const forgotPasswordSchema = z.object({
+  email: fields.email(),
+  accountType: z.enum(['user', 'employee']).default('user'),
+});
+
+const resetPasswordSchema = z.object({
+  token: z.string().min(1, 'Falta el token.'),
+  password: fields.password(),
+});
+
+const verifyEmailSchema = z.object({
+  token: z.string().min(1, 'Falta el token.'),
+});
+
+// POST: Envía un enlace para restablecer la contraseña.
+// La respuesta es siempre la misma para no revelar qué correos están registrados.
+router.post('/api/password/forgot', validate({ body: forgotPasswordSchema }), async (req, res) => {
+  const subjectModel = req.body.accountType === 'employee' ? 'Employee' : 'User';
+  const Model = subjectModel === 'Employee' ? Employee : User;
+  const account = await Model.findOne({ email: req.body.email });
+
+  if (account) {
+    try {
+      const token = await createAccountToken(account, subjectModel, 'password-reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+      await sendMail({
+        to: account.email,
+        subject: 'Restablece tu contraseña de MasterBike',
+        text: `Hola ${account.firstName}:\n\nPara elegir una nueva contraseña abre este enlace:\n${APP_URL}/restablecer-contrasena?token=${token}\n\nEl enlace vence en ${PASSWORD_RESET_TTL_MINUTES} minutos y solo se puede usar una vez. Si no lo pediste, ignora este correo.`,
+      });
+    } catch (err) {
+      logger.error('Error al enviar el correo de restablecimiento', { requestId: req.id, err });
+    }
+  }
+
+  res.status(200).json({ message: 'Si el correo está registrado, te enviamos un enlace para restablecer la contraseña.' });
+});
+
+// POST: Define una nueva contraseña con el token del correo y cierra todas las sesiones abiertas
+router.post('/api/password/reset', validate({ body: resetPasswordSchema }), async (req, res) => {
+  const record = await consumeAccountToken(req.body.token, 'password-reset');
+  const Model = record.subjectModel === 'Employee' ? Employee : User;
+  const account = await Model.findById(record.subjectId);
+  if (!account) {
+    throw httpError(400, 'El enlace es inválido, ya fue usado o expiró.', { code: 'INVALID_TOKEN' });
+  }
+
+  account.password = req.body.password; // El pre-save hook la hashea
+  if (record.subjectModel === 'Employee') {
+    account.mustChangePassword = false;
+  }
+  await account.save();
+  await revokeRefreshTokens(account._id, record.subjectModel);
+  res.status(200).json({ message: 'Contraseña actualizada. Inicia sesión con tu nueva contraseña.' });
+});
+
+// POST: Confirma el email del cliente con el token del correo
+router.post('/api/email/verify', validate({ body: verifyEmailSchema }), async (req, res) => {
+  const record = await consumeAccountToken(req.body.token, 'email-verification');
+  const user = await User.findByIdAndUpdate(
+    record.subjectId,
+    { emailVerified: true, emailVerifiedAt: new Date() },
+    { new: true }
+  );
+  if (!user) {
+    throw httpError(400, 'El enlace es inválido, ya fue usado o expiró.', { code: 'INVALID_TOKEN' });
+  }
+  res.status(200).json({ message: 'Email verificado', emailVerified: true });
+});
+
+// POST: Reenvía el correo de verificación al cliente con sesión iniciada
+router.post('/api/email/resend-verification', authenticate, requireCustomer, async (req, res) => {
+  const user = await User.findById(req.auth.id);
+  if (!user) {
+    throw httpError(404, 'Usuario no encontrado');
+  }
+  if (user.emailVerified) {
+    throw httpError(409, 'El email ya está verificado.', { code: 'ALREADY_VERIFIED' });
+  }
+
+  await sendVerificationEmail(user);
+  res.status(200).json({ message: 'Te enviamos un nuevo correo de verificación.' });
+});
+
+// **********************************************
+// NUEVAS RUTAS: Cuenta propia (clientes y empleados)
+// **********************************************
+
+const updateProfileSchema = z.object({
+  firstName: fields.text(60).optional(),
+  lastName: fields.text(60).optional(),
+});
+
+const changePasswordSchema = z.object({
+  currentPassword: z.string().min(1, 'Campo obligatorio.'),
+  newPassword: fields.password(),
+}).refine(body => body.currentPassword !== body.newPassword, {
+  message: 'La nueva contraseña debe ser distinta de la actual.',
+  path: ['newPassword'],
+});
+
+const deleteAccountSchema = z.object({
+  password: z.string().min(1, 'Campo obligatorio.'),
+});
+
+// Cuenta (User o Employee) de la sesión actual, o 404 si ya no existe
+async function findOwnAccountOr404(auth) {
+  const subjectModel = auth.type === 'employee' ? 'Employee' : 'User';
+  const Model = subjectModel === 'Employee' ? Employee : User;
+  const account = await Model.findById(auth.id);
+  if (!account) {
+    throw httpError(404, 'Cuenta no encontrada');
+  }
+  return { account, subjectModel };
+}
+
+// Datos públicos del perfil (nunca la contraseña)
+function accountProfile(account, subjectModel) {
+  const profile = {
+    id: account._id,
+    firstName: account.firstName,
+    lastName: account.lastName,
+    email: account.email,
+    createdAt: account.createdAt,
+  };
+  if (subjectModel === 'Employee') {
+    profile.role = account.role;
+    profile.mustChangePassword = account.mustChangePassword;
+  } else {
+    profile.emailVerified = account.emailVerified;
+  }
+  return profile;
+}
+
+// GET: Perfil de la cuenta con sesión iniciada
+router.get('/api/me', authenticate, async (req, res) => {
+  const { account, subjectModel } = await findOwnAccountOr404(req.auth);
+  res.json(accountProfile(account, subjectModel));
+});
+
+// PUT: Actualiza nombre y apellido (el email y el rol no se cambian por esta vía)
+router.put('/api/me', authenticate, validate({ body: updateProfileSchema }), async (req, res) => {
+  const { account, subjectModel } = await findOwnAccountOr404(req.auth);
+  Object.assign(account, req.body);
+  await account.save();
+  res.json({ message: 'Perfil actualizado', profile: accountProfile(account, subjectModel) });
+});
+
+// PUT: Cambia la contraseña. Cierra las demás sesiones y devuelve tokens nuevos para esta.
+router.put('/api/me/password', authenticate, validate({ body: changePasswordSchema }), async (req, res) => {
+  const { account, subjectModel } = await findOwnAccountOr404(req.auth);
+  const isMatch = await bcrypt.compare(req.body.currentPassword, account.password);
+  if (!isMatch) {
+    throw httpError(400, 'La contraseña actual es incorrecta.', { code: 'INVALID_CREDENTIALS' });
+  }
+
+  account.password = req.body.newPassword; // El pre-save hook la hashea
+  if (subjectModel === 'Employee') {
+    account.mustChangePassword = false;
+  }
+  await account.save();
+  await revokeRefreshTokens(account._id, subjectModel);
+  const tokens = await issueTokens(account, subjectModel);
+  res.status(200).json({ message: 'Contraseña actualizada', ...tokens });
+});
+
+// DELETE: El cliente elimina su cuenta (confirmando con su contraseña).
+// Sus despachos se conservan porque guardan una copia de los datos del cliente.
+router.delete('/api/me', authenticate, validate({ body: deleteAccountSchema }), async (req, res) => {
+  if (req.auth.type !== 'user') {
+    throw httpError(403, 'Las cuentas de empleado solo las puede eliminar un administrador.');
+  }
+  const { account } = await findOwnAccountOr404(req.auth);
+  const isMatch = await bcrypt.compare(req.body.password, account.password);
+  if (!isMatch) {
+    throw httpError(400, 'La contraseña es incorrecta.', { code: 'INVALID_CREDENTIALS' });
+  }
+
+  await revokeRefreshTokens(account._id, 'User');
+  await AccountToken.deleteMany({ subjectId: account._id, subjectModel: 'User' });
+  await Promise.all([
+    Cart.deleteOne({ userId: account._id }),
+    Wishlist.deleteOne({ userId: account._id }),
+    StockReservation.deleteMany({ userId: account._id }),
+  ]);
+  await account.deleteOne();
+  res.status(200).json({ message: 'Cuenta eliminada' });
+});
+
+module.exports = router;
@@ -0,0 +1,184 @@
+const express = require('express');
+const { z } = require('zod');
+const { BikeForRent, Rental } = require('../models');
+const { httpError } = require('../utils/errors');
+const { escapeRegex, startOfDay } = require('../utils/helpers');
+const { runInTransaction } = require('../utils/transaction');
+const { authenticate, requireAdmin, requireEmployee } = require('../middleware/auth');
+const { checkObjectIdParams, fields, validate } = require('../middleware/validate');
+const { recordAudit } = require('../services/audit');
+const { deleteStoredImages } = require('../services/images');
+const { buildBikeAvailability, findBikeOr404, findOverlappingRentals, parseAvailabilityWindow } = require('../services/rentals');
+
+const router = express.Router();
+checkObjectIdParams(router);
+
+// Rutas para bicicletas de arriendo (si usas BikeForRent)
+
+const bikeListQuerySchema = z.object({
+  available: fields.queryBool().optional(),
+  minPrice: fields.queryNumber().optional(),
+  maxPrice: fields.queryNumber().optional(),
+  q: z.string().trim().min(1).max(100).optional(),
+  includeRetired: fields.queryBool().optional(),
+});
+
+// Campos de BikeForRent que se pueden crear o editar desde la API
+const bikeSchema = z.object({
+  name: fields.text(120),
+  description: fields.text(2000),
+  pricePerDay: z.number().finite().positive('Debe ser mayor que 0.'),
+  imageUrl: fields.url().optional(),
+  available: z.boolean().optional(),
+  retired: z.boolean().optional(),
+});
+
+const maintenanceBlockBodySchema = z.object({
+  startDate: fields.date(),
+  endDate: fields.date(),
+  reason: fields.text(300),
+});
+
+const availabilityQuerySchema = z.object({
+  from: fields.date().optional(),
+  to: fields.date().optional(),
+});
+
+// GET: Lista la flota con filtros opcionales
+// ?available=true|false  ?minPrice=&maxPrice= (pricePerDay)  ?q=texto (nombre o descripción)  ?includeRetired=true
+router.get('/api/bikes', validate({ query: bikeListQuerySchema }), async (req, res) => {
+  const filter = {};
+  if (!req.query.includeRetired) {
+    filter.retired = { $ne: true };
+  }
+  if (req.query.available !== undefined) {
+    filter.available = req.query.available;
+  }
+  if (req.query.minPrice !== undefined || req.query.maxPrice !== undefined) {
+    filter.pricePerDay = {};
+    if (req.query.minPrice !== undefined) filter.pricePerDay.$gte = req.query.minPrice;
+    if (req.query.maxPrice !== undefined) filter.pricePerDay.$lte = req.query.maxPrice;
+  }
+  if (req.query.q) {
+    const pattern = new RegExp(escapeRegex(req.query.q), 'i');
+    filter.$or = [{ name: pattern }, { description: pattern }];
+  }
+
+  const bikes = await BikeForRent.find(filter).sort({ name: 1 });
+  res.json(bikes);
+});
+
+// GET: Calendario de disponibilidad de todas las bicicletas de arriendo
+router.get('/api/bikes/availability', validate({ query: availabilityQuerySchema }), async (req, res) => {
+  const { from, to } = parseAvailabilityWindow(req.query);
+  const bikes = await BikeForRent.find({ retired: { $ne: true } });
+  const availability = await Promise.all(bikes.map(bike => buildBikeAvailability(bike, from, to)));
+  res.json({ from, to, bikes: availability });
+});
+
+// GET: Calendario de disponibilidad de una bicicleta
+router.get('/api/bikes/:id/availability', validate({ query: availabilityQuerySchema }), async (req, res) => {
+  const { from, to } = parseAvailabilityWindow(req.query);
+  const bike = await findBikeOr404(req.params.id);
+  res.json({ from, to, ...(await buildBikeAvailability(bike, from, to)) });
+});
+
+// **********************************************
+// NUEVAS RUTAS: Administración de la flota de arriendo (empleados)
+// **********************************************
+
+// GET: Detalle de una bicicleta
+router.get('/api/bikes/:id', async (req, res) => {
+  res.json(await findBikeOr404(req.params.id));
+});
+
+// POST: Agrega una bicicleta a la flota
+router.post('/api/bikes', authenticate, requireEmployee, validate({ body: bikeSchema }), async (req, res) => {
+  const newBike = await new BikeForRent(req.body).save();
+  await recordAudit(req, { action: 'Crear', model: 'BikeForRent', id: newBike._id, after: newBike });
+  res.status(201).json(newBike);
+});
+
+// PUT: Edita una bicicleta (solo los campos de bikeSchema)
+router.put('/api/bikes/:id', authenticate, requireEmployee, validate({ body: bikeSchema.partial() }), async (req, res) => {
+  const bike = await findBikeOr404(req.params.id);
+  const before = bike.toObject();
+  const data = { ...req.body };
+  const retired = data.retired ?? bike.retired;
+  // Una bicicleta dada de baja nunca queda disponible: para volver a arrendarla primero se reactiva (retired: false)
+  if (retired && data.available === true) {
+    throw httpError(409, 'La bicicleta está dada de baja. Reactívala con retired: false para dejarla disponible.', { code: 'BIKE_RETIRED' });
+  }
+  if (retired) {
+    data.available = false;
+  }
+  Object.assign(bike, data);
+  const updatedBike = await bike.save();
+  await recordAudit(req, { action: 'Actualizar', model: 'BikeForRent', id: bike._id, before, after: updatedBike });
+  res.json(updatedBike);
+});
+
+// DELETE: Elimina una bicicleta. Si tiene historial de arriendos se debe dar de baja (retired) en su lugar.
+router.delete('/api/bikes/:id', authenticate, requireAdmin, async (req, res) => {
+  const bike = await findBikeOr404(req.params.id);
+  const hasRentals = await Rental.exists({ bikeId: bike._id });
+  if (hasRentals) {
+    throw httpError(409, 'La bicicleta tiene arriendos registrados. Dala de baja con retired: true en lugar de eliminarla.');
+  }
+  await bike.deleteOne();
+  await recordAudit(req, { action: 'Eliminar definitivamente', model: 'BikeForRent', id: bike._id, before: bike });
+  await deleteStoredImages(bike.images);
+  res.json({ message: 'Bicicleta de arriendo eliminada' });
+});
+
+// POST: Agrega un bloque de mantención (no puede cruzarse con arriendos Pendiente/Activo)
+router.post('/api/bikes/:id/maintenance', authenticate, requireEmployee, validate({ body: maintenanceBlockBodySchema }), async (req, res) => {
+  const startDate = startOfDay(req.body.startDate);
+  const endDate = startOfDay(req.body.endDate);
+  if (endDate <= startDate) {
+    throw httpError(400, 'La fecha de término debe ser posterior a la de inicio.', {
+      code: 'VALIDATION_ERROR',
+      errors: [{ field: 'endDate', message: 'Debe ser posterior a startDate.' }],
+    });
+  }
+
+  // Mismo candado que POST /api/rentals: el $inc de bookingVersion dentro de la transacción hace que una
+  // reserva concurrente de la misma bicicleta choque con esta y se reintente viendo el bloque ya guardado
+  const updatedBike = await runInTransaction(async session => {
+    const bike = await BikeForRent.findByIdAndUpdate(req.params.id, { $inc: { bookingVersion: 1 } }, { new: true, session });
+    if (!bike) {
+      throw httpError(404, 'Bicicleta de arriendo no encontrada');
+    }
+
+    const overlapping = await findOverlappingRentals(bike._id, startDate, endDate, session);
+    if (overlapping.length > 0) {
+      throw httpError(409, 'Hay arriendos reservados en esas fechas. Cancélalos o reprograma la mantención.', {
+        code: 'BOOKING_CONFLICT',
+        details: { conflicts: overlapping.map(r => ({ rentalId: r._id, startDate: r.startDate, endDate: r.endDate, status: r.status })) },
+      });
+    }
+
+    const before = bike.toObject();
+    bike.maintenanceBlocks.push({ startDate, endDate, reason: req.body.reason, createdBy: req.auth.id });
+    const savedBike = await bike.save({ session });
+    await recordAudit(req, { action: 'Actualizar', model: 'BikeForRent', id: bike._id, before, after: savedBike, summary: 'Bloque de mantención agregado' }, session);
+    return savedBike;
+  });
+  res.status(201).json(updatedBike);
+});
+
+// DELETE: Quita un bloque de mantención
+router.delete('/api/bikes/:id/maintenance/:blockId', authenticate, requireEmployee, async (req, res) => {
+  const bike = await findBikeOr404(req.params.id);
+  const block = bike.maintenanceBlocks.id(req.params.blockId);
+  if (!block) {
+    throw httpError(404, 'Bloque de mantención no encontrado');
+  }
+  const before = bike.toObject();
+  block.deleteOne();
+  const updatedBike = await bike.save();
+  await recordAudit(req, { action: 'Actualizar', model: 'BikeForRent', id: bike._id, before, after: updatedBike, summary: 'Bloque de mantención quitado' });
+  res.json(updatedBike);
+});
+
+module.exports = router;
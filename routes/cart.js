@@ -0,0 +1,186 @@
+const express = require('express');
+const { z } = require('zod');
+const { CART_RESERVATION_MINUTES } = require('../config');
+const { Cart, InventoryItem, StockReservation, Wishlist } = require('../models');
+const { httpError } = require('../utils/errors');
+const { runInTransaction } = require('../utils/transaction');
+const { authenticate, requireCustomer } = require('../middleware/auth');
+const { checkObjectIdParams, fields, validate } = require('../middleware/validate');
+const {
+  addToCart,
+  assertCartQuantityAvailable,
+  availableStockFor,
+  buildCartView,
+  findOrCreateCart,
+  findOrCreateWishlist,
+  releaseReservations,
+} = require('../services/cart');
+const { buildPriceBreakdown } = require('../services/pricing');
+
+const router = express.Router();
+checkObjectIdParams(router);
+
+// **********************************************
+// NUEVAS RUTAS: Carrito y lista de deseos del cliente
+// **********************************************
+// El carrito guarda solo ítems y cantidades; cada lectura muestra el precio y el stock actuales.
+// Cualquier cambio en el carrito libera la reserva de stock del pago en curso.
+
+const addCartItemSchema = z.object({
+  itemId: fields.objectId(),
+  quantity: fields.quantity().default(1),
+});
+
+const updateCartItemSchema = z.object({
+  quantity: fields.quantity(),
+});
+
+const wishlistItemSchema = z.object({
+  itemId: fields.objectId(),
+});
+
+// GET: Carrito del cliente con precios y stock actuales
+router.get('/api/cart', authenticate, requireCustomer, async (req, res) => {
+  const cart = await findOrCreateCart(req.auth.id);
+  res.json(await buildCartView(cart, req.auth.id));
+});
+
+// POST: Agrega un producto al carrito (si ya está, suma la cantidad)
+router.post('/api/cart/items', authenticate, requireCustomer, validate({ body: addCartItemSchema }), async (req, res) => {
+  const cart = await addToCart(req.auth.id, req.body.itemId, req.body.quantity);
+  res.status(201).json(await buildCartView(cart, req.auth.id));
+});
+
+// PUT: Cambia la cantidad de un producto del carrito
+router.put('/api/cart/items/:itemId', authenticate, requireCustomer, validate({ body: updateCartItemSchema }), async (req, res) => {
+  const cart = await findOrCreateCart(req.auth.id);
+  const line = cart.items.find(l => l.itemId.toString() === req.params.itemId);
+  if (!line) {
+    throw httpError(404, 'El producto no está en el carrito.');
+  }
+  await assertCartQuantityAvailable(req.params.itemId, req.body.quantity, req.auth.id);
+  line.quantity = req.body.quantity;
+  await cart.save();
+  await releaseReservations(req.auth.id);
+  res.json(await buildCartView(cart, req.auth.id));
+});
+
+// DELETE: Quita un producto del carrito
+router.delete('/api/cart/items/:itemId', authenticate, requireCustomer, async (req, res) => {
+  const cart = await findOrCreateCart(req.auth.id);
+  const index = cart.items.findIndex(l => l.itemId.toString() === req.params.itemId);
+  if (index === -1) {
+    throw httpError(404, 'El producto no está en el carrito.');
+  }
+  cart.items.splice(index, 1);
+  await cart.save();
+  await releaseReservations(req.auth.id);
+  res.json(await buildCartView(cart, req.auth.id));
+});
+
+// DELETE: Vacía el carrito
+router.delete('/api/cart', authenticate, requireCustomer, async (req, res) => {
+  const cart = await findOrCreateCart(req.auth.id);
+  cart.items = [];
+  await cart.save();
+  await releaseReservations(req.auth.id);
+  res.json(await buildCartView(cart, req.auth.id));
+});
+
+// POST: Inicia el pago. Reserva el stock del carrito por CART_RESERVATION_MINUTES minutos
+// (reemplaza una reserva anterior) y devuelve el desglose que se cobrará en POST /api/purchase con useCart.
+router.post('/api/cart/checkout', authenticate, requireCustomer, async (req, res) => {
+  const userId = req.auth.id;
+
+  const { breakdown, reservedUntil } = await runInTransaction(async session => {
+    const cart = await Cart.findOne({ userId }).session(session);
+    if (!cart || cart.items.length === 0) {
+      throw httpError(400, 'El carrito está vacío.', { code: 'EMPTY_CART' });
+    }
+
+    // "Candado" de cada ítem: dos reservas concurrentes del mismo producto no pueden confirmarse a la vez
+    await InventoryItem.updateMany({ _id: { $in: cart.items.map(line => line.itemId) } }, { $inc: { reservationVersion: 1 } }, { session });
+
+    await releaseReservations(userId, session);
+    const cartItems = cart.items.map(line => ({ itemId: line.itemId.toString(), quantity: line.quantity }));
+    const breakdown = await buildPriceBreakdown(cartItems, session, userId);
+
+    const reservedUntil = new Date(Date.now() + CART_RESERVATION_MINUTES * 60 * 1000);
+    await StockReservation.insertMany(
+      breakdown.items.map(line => ({ itemId: line.itemId, userId, quantity: line.quantity, expiresAt: reservedUntil })),
+      { session }
+    );
+    return { breakdown, reservedUntil };
+  });
+
+  res.json({ message: `Stock reservado por ${CART_RESERVATION_MINUTES} minutos`, reservedUntil, breakdown });
+});
+
+// DELETE: Cancela el pago en curso y libera el stock reservado
+router.delete('/api/cart/checkout', authenticate, requireCustomer, async (req, res) => {
+  await releaseReservations(req.auth.id);
+  res.json({ message: 'Reserva liberada' });
+});
+
+// GET: Lista de deseos con precio y disponibilidad actuales
+router.get('/api/wishlist', authenticate, requireCustomer, async (req, res) => {
+  const wishlist = await findOrCreateWishlist(req.auth.id);
+  const inventoryItems = await InventoryItem.find({ _id: { $in: wishlist.items.map(entry => entry.itemId) } });
+  const byId = new Map(inventoryItems.map(item => [item._id.toString(), item]));
+  const available = await availableStockFor(inventoryItems, req.auth.id);
+
+  res.json({
+    items: wishlist.items.map(entry => {
+      const item = byId.get(entry.itemId.toString());
+      if (!item) {
+        return { itemId: entry.itemId, addedAt: entry.addedAt, status: 'No disponible' };
+      }
+      const availableStock = available.get(item._id.toString());
+      return {
+        itemId: item._id,
+        sku: item.sku,
+        name: item.name,
+        imageUrl: item.imageUrl,
+        price: item.price,
+        availableStock,
+        status: availableStock > 0 ? 'Disponible' : 'Sin stock',
+        addedAt: entry.addedAt,
+      };
+    }),
+  });
+});
+
+// POST: Agrega un producto a la lista de deseos (si ya está, no hace nada)
+router.post('/api/wishlist', authenticate, requireCustomer, validate({ body: wishlistItemSchema }), async (req, res) => {
+  if (!(await InventoryItem.exists({ _id: req.body.itemId }))) {
+    throw httpError(404, 'Producto no encontrado en el inventario.');
+  }
+  const wishlist = await findOrCreateWishlist(req.auth.id);
+  if (!wishlist.items.some(entry => entry.itemId.toString() === req.body.itemId)) {
+    wishlist.items.push({ itemId: req.body.itemId });
+    await wishlist.save();
+  }
+  res.status(201).json({ message: 'Producto agregado a la lista de deseos', items: wishlist.items });
+});
+
+// DELETE: Quita un producto de la lista de deseos
+router.delete('/api/wishlist/:itemId', authenticate, requireCustomer, async (req, res) => {
+  const result = await Wishlist.updateOne({ userId: req.auth.id }, { $pull: { items: { itemId: req.params.itemId } } });
+  if (result.modifiedCount === 0) {
+    throw httpError(404, 'El producto no está en la lista de deseos.');
+  }
+  res.json({ message: 'Producto quitado de la lista de deseos' });
+});
+
+// POST: Mueve un producto de la lista de deseos al carrito (1 unidad)
+router.post('/api/wishlist/:itemId/move-to-cart', authenticate, requireCustomer, async (req, res) => {
+  const wishlist = await findOrCreateWishlist(req.auth.id);
+  if (!wishlist.items.some(entry => entry.itemId.toString() === req.params.itemId)) {
+    throw httpError(404, 'El producto no está en la lista de deseos.');
+  }
+  const cart = await addToCart(req.auth.id, req.params.itemId, 1);
+  await Wishlist.updateOne({ userId: req.auth.id }, { $pull: { items: { itemId: req.params.itemId } } });
+  res.json(await buildCartView(cart, req.auth.id));
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const { z } = require('zod');
+const { DAY_MS } = require('../config');
+const { DispatchRecord, Payment } = require('../models');
+const { httpError } = require('../utils/errors');
+const { escapeRegex, startOfDay } = require('../utils/helpers');
+const { runInTransaction } = require('../utils/transaction');
+const { actorFromAuth, authenticate, requireCustomer, requireEmployee } = require('../middleware/auth');
+const { checkObjectIdParams, fields, validate } = require('../middleware/validate');
+const { recordAudit } = require('../services/audit');
+const { cancelDispatch } = require('../services/dispatch');
+const { notify } = require('../services/notifications');
+
+const router = express.Router();
+checkObjectIdParams(router);
+
+// **********************************************
+// NUEVAS RUTAS: Gestión de despachos (DispatchRecord)
+// **********************************************
+
+// Transiciones permitidas del estado de un despacho
+// 'Pago Pendiente' → 'Pendiente' solo ocurre al confirmarse el pago (webhook de la pasarela)
+const DISPATCH_TRANSITIONS = {
+  'Pago Pendiente': ['Cancelado'],
+  Pendiente: ['En Despacho', 'Cancelado'],
+  'En Despacho': ['Despachado', 'Cancelado'],
+  Despachado: [],
+  Cancelado: [],
+};
+
+// Estados del despacho que se avisan al cliente
+const DISPATCH_STATUS_EVENTS = {
+  'En Despacho': 'dispatch.shipped',
+  Despachado: 'dispatch.delivered',
+};
+
+const dispatchListQuerySchema = z.object({
+  status: z.enum(Object.keys(DISPATCH_TRANSITIONS)).optional(),
+  deliveryFrom: fields.date().optional(),
+  deliveryTo: fields.date().optional(),
+  customerEmail: z.string().trim().min(1).max(254).optional(),
+});
+
+const dispatchStatusSchema = z.object({
+  status: z.enum(Object.keys(DISPATCH_TRANSITIONS)),
+  reason: fields.text(300).optional(),
+});
+
+// GET: Lista los despachos (empleados)
+// ?status=  ?deliveryFrom=&deliveryTo= (fecha de despacho)  ?customerEmail=
+router.get('/api/dispatches', authenticate, requireEmployee, validate({ query: dispatchListQuerySchema }), async (req, res) => {
+  const filter = {};
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+  if (req.query.customerEmail) {
+    filter['customerDetails.email'] = new RegExp(`^${escapeRegex(req.query.customerEmail)}$`, 'i');
+  }
+  if (req.query.deliveryFrom || req.query.deliveryTo) {
+    filter.deliveryDate = {};
+    if (req.query.deliveryFrom) filter.deliveryDate.$gte = startOfDay(req.query.deliveryFrom);
+    if (req.query.deliveryTo) filter.deliveryDate.$lt = new Date(startOfDay(req.query.deliveryTo).getTime() + DAY_MS); // deliveryTo incluido
+  }
+
+  const dispatches = await DispatchRecord.find(filter).sort({ deliveryDate: 1 });
+  res.json(dispatches);
+});
+
+// GET: Detalle de un despacho (empleados)
+router.get('/api/dispatches/:id', authenticate, requireEmployee, async (req, res) => {
+  const dispatch = await DispatchRecord.findById(req.params.id);
+  if (!dispatch) {
+    throw httpError(404, 'Registro de despacho no encontrado');
+  }
+  res.json(dispatch);
+});
+
+// PUT: Cambia el estado de un despacho según DISPATCH_TRANSITIONS.
+// Al cancelar, el stock de cada ítem vuelve a InventoryItem en la misma transacción.
+router.put('/api/dispatches/:id/status', authenticate, requireEmployee, validate({ body: dispatchStatusSchema }), async (req, res) => {
+  const { status } = req.body;
+
+  const updatedDispatch = await runInTransaction(async session => {
+    const dispatch = await DispatchRecord.findById(req.params.id).session(session);
+    if (!dispatch) {
+      throw httpError(404, 'Registro de despacho no encontrado');
+    }
+
+    const allowed = DISPATCH_TRANSITIONS[dispatch.status] || [];
+    if (!allowed.includes(status)) {
+      throw httpError(409, `No se puede pasar un despacho de '${dispatch.status}' a '${status}'.`, {
+        code: 'INVALID_TRANSITION',
+        details: { allowedTransitions: allowed },
+      });
+    }
+
+    const before = dispatch.toObject();
+    const auditEntry = { action: 'Actualizar', model: 'DispatchRecord', id: dispatch._id, before, summary: `Estado: ${before.status} → ${status}` };
+    if (status === 'Cancelado') {
+      if (dispatch.status === 'Pago Pendiente') {
+        // El pago aún no se completó: ya no se debe aceptar
+        await Payment.updateOne({ _id: dispatch.paymentId, status: 'Pendiente' }, { status: 'Cancelado', failureReason: 'Pedido cancelado por un empleado' }, { session });
+      }
+      const cancelledDispatch = await cancelDispatch(dispatch, req.body.reason || 'Despacho cancelado', actorFromAuth(req.auth), session);
+      await recordAudit(req, { ...auditEntry, after: cancelledDispatch }, session);
+      return cancelledDispatch;
+    }
+
+    dispatch.status = status;
+    const savedDispatch = await dispatch.save({ session });
+    await recordAudit(req, { ...auditEntry, after: savedDispatch }, session);
+    if (DISPATCH_STATUS_EVENTS[status]) {
+      await notify(DISPATCH_STATUS_EVENTS[status], savedDispatch, session);
+    }
+    return savedDispatch;
+  });
+
+  res.json(updatedDispatch);
+});
+
+// GET: Historial de compras del cliente con sesión iniciada
+router.get('/api/my-orders', authenticate, requireCustomer, async (req, res) => {
+  const orders = await DispatchRecord.find({ 'customerDetails.email': req.auth.email }).sort({ purchaseDate: -1 });
+  res.json(orders);
+});
+
+module.exports = router;
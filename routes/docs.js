@@ -0,0 +1,42 @@
+const express = require('express');
+const path = require('path');
+const { buildOpenApiSpec } = require('../services/openapi');
+
+const router = express.Router();
+
+// **********************************************
+// NUEVAS RUTAS: Especificación OpenAPI y documentación interactiva
+// **********************************************
+// La especificación se genera desde las rutas registradas en la app (ver services/openapi.js).
+
+const DOCS_DIR = path.join(__dirname, '..', 'public', 'docs');
+
+// La página de la documentación carga sus propios archivos (sin CDN) y llama a la API desde el navegador,
+// así que solo ella relaja la política de contenido de securityHeaders
+const DOCS_CSP = "default-src 'none'; script-src 'self'; style-src 'self'; connect-src 'self'; img-src 'self' data:; frame-ancestors 'none'";
+
+// La especificación se genera una vez por app: las rutas no cambian mientras corre
+const specs = new WeakMap();
+
+// GET: Especificación OpenAPI 3 de la API (pública)
+router.get('/api/openapi.json', (req, res) => {
+  if (!specs.has(req.app)) {
+    specs.set(req.app, buildOpenApiSpec(req.app));
+  }
+  res.json(specs.get(req.app));
+});
+
+function docsHeaders(req, res, next) {
+  res.set('Content-Security-Policy', DOCS_CSP);
+  next();
+}
+
+// GET: Documentación interactiva (lee /api/openapi.json y permite probar las rutas)
+router.get('/api/docs', docsHeaders, (req, res) => {
+  res.sendFile(path.join(DOCS_DIR, 'index.html'));
+});
+
+// Archivos de la página (docs.js, docs.css)
+router.use('/api/docs', docsHeaders, express.static(DOCS_DIR, { index: false, maxAge: '1h' }));
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const express = require('express');
+const { METRICS_TOKEN } = require('../config');
+const { httpError } = require('../utils/errors');
+const { databaseStatus, isShuttingDown } = require('../services/health');
+const { renderMetrics } = require('../services/metrics');
+
+const router = express.Router();
+
+// **********************************************
+// NUEVAS RUTAS: Salud, disponibilidad y métricas (para la plataforma y Prometheus)
+// **********************************************
+// Fuera de /api: no son parte de la API pública ni de la especificación OpenAPI.
+
+// GET: Liveness. Responde 200 mientras el proceso esté vivo, aunque MongoDB no esté disponible
+// (reiniciar el proceso no arregla la base de datos); informa el estado de la conexión.
+router.get('/health', async (req, res) => {
+  res.json({
+    status: 'ok',
+    uptimeSeconds: Math.round(process.uptime()),
+    shuttingDown: isShuttingDown(),
+    mongodb: await databaseStatus(),
+  });
+});
+
+// GET: Readiness. 503 si el servidor se está apagando, si no hay conexión con MongoDB o si la
+// base de datos no admite transacciones (las compras y los arriendos las necesitan)
+router.get('/ready', async (req, res) => {
+  const mongodb = await databaseStatus();
+  const reasons = [];
+  if (isShuttingDown()) {
+    reasons.push('El servidor se está apagando.');
+  }
+  if (mongodb.state !== 'connected') {
+    reasons.push(`MongoDB no está conectado (${mongodb.state}).`);
+  } else if (mongodb.error) {
+    reasons.push(`MongoDB no responde: ${mongodb.error}`);
+  } else if (!mongodb.transactions) {
+    reasons.push('MongoDB no admite transacciones: se requiere un replica set.');
+  }
+
+  res.status(reasons.length ? 503 : 200).json({ status: reasons.length ? 'unavailable' : 'ready', reasons, mongodb });
+});
+
+// Middleware: si METRICS_TOKEN está definido, /metrics exige Authorization: Bearer <METRICS_TOKEN>
+function requireMetricsToken(req, res, next) {
+  if (!METRICS_TOKEN) {
+    return next();
+  }
+  const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+  const received = Buffer.from(req.get('Authorization') || '');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return next(httpError(401, 'Token de métricas inválido.'));
+  }
+  next();
+}
+
+// GET: Métricas en formato de texto de Prometheus
+router.get('/metrics', requireMetricsToken, (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { z } = require('zod');
+const multer = require('multer');
+const { IMAGE_MAX_BYTES, IMAGE_MAX_PER_PRODUCT, INVENTORY_PLACEHOLDER_IMAGE } = require('../config');
+const { BikeForRent, InventoryItem } = require('../models');
+const { httpError } = require('../utils/errors');
+const { authenticate, requireEmployee } = require('../middleware/auth');
+const { checkObjectIdParams, fields, validate } = require('../middleware/validate');
+const { recordAudit } = require('../services/audit');
+const { coverImageStage, deleteStoredImages, processImage, storeImage } = require('../services/images');
+
+const router = express.Router();
+checkObjectIdParams(router);
+
+// **********************************************
+// NUEVAS RUTAS: Imágenes de productos y bicicletas de arriendo
+// **********************************************
+
+const IMAGE_MAX_PER_UPLOAD = 5;
+
+const uploadImages = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMAGE_MAX_BYTES, files: IMAGE_MAX_PER_UPLOAD },
+  fileFilter: (req, file, cb) => {
+    if (!['image/jpeg', 'image/png', 'image/webp'].includes(file.mimetype)) {
+      return cb(httpError(400, 'Formato no soportado. Sube imágenes JPEG, PNG o WebP.', { code: 'UNSUPPORTED_FILE' }));
+    }
+    cb(null, true);
+  },
+});
+
+const imageOrderSchema = z.object({
+  imageIds: z.array(fields.objectId()).min(1),
+});
+
+// Galerías: mismas rutas para el inventario y la flota de arriendo
+const IMAGE_GALLERIES = [
+  { basePath: '/api/inventory', Model: InventoryItem, folder: 'inventory', notFound: 'Ítem de inventario no encontrado', fallbackImageUrl: INVENTORY_PLACEHOLDER_IMAGE },
+  { basePath: '/api/bikes', Model: BikeForRent, folder: 'bikes', notFound: 'Bicicleta de arriendo no encontrada', fallbackImageUrl: null },
+];
+
+for (const gallery of IMAGE_GALLERIES) {
+  const { basePath, Model, folder, notFound, fallbackImageUrl } = gallery;
+
+  // POST: Sube una o más imágenes (campo "images" de un multipart/form-data); se agregan al final de la galería
+  router.post(`${basePath}/:id/images`, authenticate, requireEmployee, uploadImages.array('images'), async (req, res) => {
+    const files = req.files || [];
+    if (files.length === 0) {
+      throw httpError(400, 'Adjunta al menos una imagen en el campo "images".', {
+        code: 'VALIDATION_ERROR',
+        errors: [{ field: 'images', message: 'Campo obligatorio.' }],
+      });
+    }
+    const owner = await Model.findById(req.params.id);
+    if (!owner) {
+      throw httpError(404, notFound);
+    }
+    if (owner.images.length + files.length > IMAGE_MAX_PER_PRODUCT) {
+      throw httpError(409, `Se permiten hasta ${IMAGE_MAX_PER_PRODUCT} imágenes; ya hay ${owner.images.length}.`, { code: 'TOO_MANY_IMAGES' });
+    }
+
+    // Se procesan todas antes de guardar: si una no es válida no se sube ninguna (una a la vez, para acotar la memoria)
+    const processed = [];
+    for (const file of files) {
+      processed.push(await processImage(file));
+    }
+
+    const stored = [];
+    try {
+      for (const image of processed) {
+        stored.push(await storeImage(image, folder, owner._id, req.auth));
+      }
+
+      // El límite se vuelve a verificar al agregar, por si otra subida terminó entretanto
+      const updated = await Model.findOneAndUpdate(
+        { _id: owner._id, $expr: { $lte: [{ $size: { $ifNull: ['$images', []] } }, IMAGE_MAX_PER_PRODUCT - stored.length] } },
+        [
+          { $set: { images: { $concatArrays: [{ $ifNull: ['$images', []] }, { $literal: stored }] } } },
+          coverImageStage(fallbackImageUrl),
+        ],
+        { new: true }
+      );
+      if (!updated) {
+        throw httpError(409, `Se permiten hasta ${IMAGE_MAX_PER_PRODUCT} imágenes por producto.`, { code: 'TOO_MANY_IMAGES' });
+      }
+      await recordAudit(req, { action: 'Actualizar', model: Model.modelName, id: owner._id, before: owner, after: updated, summary: `${stored.length} imagen(es) subida(s)` });
+      res.status(201).json(updated);
+    } catch (err) {
+      await deleteStoredImages(stored);
+      throw err;
+    }
+  });
+
+  // PUT: Reordena la galería. imageIds debe incluir todas las imágenes actuales, en el nuevo orden.
+  router.put(`${basePath}/:id/images/order`, authenticate, requireEmployee, validate({ body: imageOrderSchema }), async (req, res) => {
+    const owner = await Model.findById(req.params.id);
+    if (!owner) {
+      throw httpError(404, notFound);
+    }
+    const currentIds = owner.images.map(image => image._id.toString());
+    const { imageIds } = req.body;
+    if (imageIds.length !== currentIds.length || new Set(imageIds).size !== imageIds.length || !imageIds.every(id => currentIds.includes(id))) {
+      throw httpError(400, 'imageIds debe contener cada imagen de la galería exactamente una vez.', {
+        code: 'VALIDATION_ERROR',
+        errors: [{ field: 'imageIds', message: 'No coincide con las imágenes actuales.' }],
+        details: { currentImageIds: currentIds },
+      });
+    }
+
+    const reordered = imageIds.map(id => owner.images.id(id).toObject());
+    const updated = await Model.findOneAndUpdate(
+      { _id: owner._id, $expr: { $eq: ['$images._id', owner.images.map(image => image._id)] } }, // La galería no cambió entretanto
+      [{ $set: { images: { $literal: reordered } } }, coverImageStage(fallbackImageUrl)],
+      { new: true }
+    );
+    if (!updated) {
+      throw httpError(409, 'La galería cambió mientras se reordenaba. Intenta nuevamente.', { code: 'CONFLICT' });
+    }
+    await recordAudit(req, { action: 'Actualizar', model: Model.modelName, id: owner._id, before: owner, after: updated, summary: 'Imágenes reordenadas' });
+    res.json(updated);
+  });
+
+  // DELETE: Quita una imagen de la galería y borra sus archivos
+  router.delete(`${basePath}/:id/images/:imageId`, authenticate, requireEmployee, async (req, res) => {
+    const imageId = new mongoose.Types.ObjectId(req.params.imageId);
+    const previous = await Model.findOneAndUpdate(
+      { _id: req.params.id, 'images._id': imageId },
+      [
+        { $set: { images: { $filter: { input: '$images', cond: { $ne: ['$$this._id', imageId] } } } } },
+        coverImageStage(fallbackImageUrl),
+      ],
+      { new: false }
+    );
+    if (!previous) {
+      throw httpError(404, (await Model.exists({ _id: req.params.id })) ? 'Imagen no encontrada' : notFound);
+    }
+    await deleteStoredImages([previous.images.id(imageId)]);
+    const updated = await Model.findById(req.params.id);
+    await recordAudit(req, { action: 'Actualizar', model: Model.modelName, id: previous._id, before: previous, after: updated, summary: 'Imagen eliminada' });
+    res.json(updated);
+  });
+}
+
+module.exports = router;
@@ -0,0 +1,449 @@
+const express = require('express');
+const { z } = require('zod');
+const multer = require('multer');
+const ExcelJS = require('exceljs');
+const { INVENTORY_FILTER_KEYS, InventoryItem, StockAlert, StockMovement } = require('../models');
+const { httpError } = require('../utils/errors');
+const { escapeRegex, toCsv } = require('../utils/helpers');
+const { runInTransaction } = require('../utils/transaction');
+const { actorFromAuth, authenticate, requireAdmin, requireEmployee } = require('../middleware/auth');
+const { checkObjectIdParams, deleteQuerySchema, fields, validate } = require('../middleware/validate');
+const { recordAudit } = require('../services/audit');
+const { deleteStoredImages } = require('../services/images');
+const {
+  IMPORT_MAX_FILE_BYTES,
+  IMPORT_MAX_ROWS,
+  INVENTORY_IMPORT_COLUMNS,
+  applyInventoryImport,
+  mapSpreadsheetRows,
+  planInventoryImport,
+  readSpreadsheet,
+  summarizeImportPlan,
+} = require('../services/inventoryImport');
+const { recordStockMovement, syncStockAlert } = require('../services/stock');
+
+const router = express.Router();
+checkObjectIdParams(router);
+
+// Rutas para InventoryItem (ya existentes)
+// La lectura es pública; crear y editar requiere empleado, eliminar requiere admin
+
+// Filtros de texto exacto (sin distinguir mayúsculas); aceptan varios valores separados por coma
+const INVENTORY_FILTER_FIELDS = ['sku', 'category', 'type', 'brand', 'partType', 'compatibility'];
+// Campos por los que se puede ordenar (?sort=price, ?sort=-price, ...)
+const INVENTORY_SORT_FIELDS = ['name', 'price', 'stock', 'brand', 'createdAt'];
+const INVENTORY_MAX_LIMIT = 100;
+
+const inventoryFilterQuerySchema = z.object({
+  sku: z.string().trim().optional(),
+  category: z.string().trim().optional(),
+  type: z.string().trim().optional(),
+  brand: z.string().trim().optional(),
+  partType: z.string().trim().optional(),
+  compatibility: z.string().trim().optional(),
+  minPrice: fields.queryNumber().optional(),
+  maxPrice: fields.queryNumber().optional(),
+  inStock: fields.queryBool().optional(),
+  q: z.string().trim().min(1).max(100).optional(),
+});
+
+const inventoryListQuerySchema = inventoryFilterQuerySchema.extend({
+  sort: z.string()
+    .regex(new RegExp(`^-?(${INVENTORY_SORT_FIELDS.join('|')})$`), `Campos permitidos: ${INVENTORY_SORT_FIELDS.join(', ')}`)
+    .optional(),
+  page: fields.queryInt().pipe(z.number().min(1)).optional(),
+  limit: fields.queryInt().pipe(z.number().min(1).max(INVENTORY_MAX_LIMIT)).optional(),
+});
+
+// Campos que se pueden crear o editar desde la API (el stock solo cambia por el libro de movimientos)
+const inventoryItemSchema = z.object({
+  sku: fields.sku().optional(),
+  name: fields.text(120),
+  category: z.enum(['Bicicleta', 'Repuesto']),
+  type: z.string().trim().max(60).optional(),
+  brand: z.string().trim().max(60).optional(),
+  partType: z.string().trim().max(60).optional(),
+  compatibility: z.string().trim().max(60).optional(),
+  price: fields.money(),
+  reorderThreshold: z.number().int().min(0).optional(),
+  imageUrl: fields.url().optional(),
+});
+
+const createInventoryItemSchema = inventoryItemSchema.extend({
+  stock: z.number().int('Debe ser un número entero.').min(0),
+});
+
+const updateInventoryItemSchema = inventoryItemSchema.partial().extend({
+  stock: z.number().int('Debe ser un número entero.').min(0).optional(),
+  stockReason: fields.text(300).optional(),
+});
+
+// Construye el filtro de MongoDB a partir de la query string (ya validada) del catálogo
+function buildInventoryFilter(query) {
+  const filter = {};
+  for (const field of INVENTORY_FILTER_FIELDS) {
+    if (query[field]) {
+      const values = query[field].split(',').map(v => v.trim()).filter(Boolean);
+      if (INVENTORY_FILTER_KEYS[field]) {
+        filter[INVENTORY_FILTER_KEYS[field]] = { $in: values.map(v => v.toLowerCase()) }; // Igualdad: usa el índice
+      } else {
+        filter[field] = { $in: values.map(v => new RegExp(`^${escapeRegex(v)}$`, 'i')) };
+      }
+    }
+  }
+
+  if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+    filter.price = {};
+    if (query.minPrice !== undefined) filter.price.$gte = query.minPrice;
+    if (query.maxPrice !== undefined) filter.price.$lte = query.maxPrice;
+  }
+
+  if (query.inStock) {
+    filter.stock = { $gt: 0 };
+  }
+
+  if (query.q) {
+    filter.$text = { $search: query.q };
+  }
+  return filter;
+}
+
+// Orden del catálogo: ?sort=campo o ?sort=-campo; con búsqueda de texto, por relevancia si no se indica otro
+function buildInventorySort(query) {
+  if (!query.sort) {
+    return query.q ? { score: { $meta: 'textScore' } } : { name: 1 };
+  }
+  const desc = query.sort.startsWith('-');
+  const field = desc ? query.sort.slice(1) : query.sort;
+  return { [field]: desc ? -1 : 1, _id: 1 };
+}
+
+// GET all inventory items
+// Filtros: ?sku= ?category= ?type= ?brand= ?partType= ?compatibility= ?minPrice=&maxPrice= ?inStock=true ?q=texto
+// Orden: ?sort=price | -price | name | ...
+// Sin ?page ni ?limit devuelve el arreglo completo (como antes); con ellos devuelve
+// { items, total, page, limit, totalPages }
+router.get('/api/inventory', validate({ query: inventoryListQuerySchema }), async (req, res) => {
+  const filter = buildInventoryFilter(req.query);
+  const sort = buildInventorySort(req.query);
+  const projection = req.query.q ? { score: { $meta: 'textScore' } } : undefined;
+
+  if (req.query.page === undefined && req.query.limit === undefined) {
+    const items = await InventoryItem.find(filter, projection).sort(sort);
+    return res.json(items);
+  }
+
+  const page = req.query.page || 1;
+  const limit = req.query.limit || 20;
+  const [items, total] = await Promise.all([
+    InventoryItem.find(filter, projection).sort(sort).skip((page - 1) * limit).limit(limit),
+    InventoryItem.countDocuments(filter),
+  ]);
+  res.json({ items, total, page, limit, totalPages: Math.ceil(total / limit) });
+});
+
+// GET: Facetas del catálogo (marcas, tipos, tipos de repuesto, compatibilidad y categorías con su cantidad).
+// Acepta los mismos filtros que GET /api/inventory, así los conteos reflejan la búsqueda actual.
+router.get('/api/inventory/facets', validate({ query: inventoryFilterQuerySchema }), async (req, res) => {
+  const filter = buildInventoryFilter(req.query);
+  const countBy = field => [
+    { $match: { [field]: { $nin: [null, ''] } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, value: '$_id', count: 1 } },
+  ];
+
+  const [facets] = await InventoryItem.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        categories: countBy('category'),
+        brands: countBy('brand'),
+        types: countBy('type'),
+        partTypes: countBy('partType'),
+        compatibility: countBy('compatibility'),
+        price: [{ $group: { _id: null, min: { $min: '$price' }, max: { $max: '$price' } } }, { $project: { _id: 0 } }],
+      },
+    },
+  ]);
+  res.json({ ...facets, price: facets.price[0] || null });
+});
+
+// POST a new inventory item
+// El stock inicial queda registrado como una reposición en el libro de movimientos
+router.post('/api/inventory', authenticate, requireEmployee, validate({ body: createInventoryItemSchema }), async (req, res) => {
+  const { stock: initialStock, ...itemFields } = req.body;
+
+  const newItem = await runInTransaction(async session => {
+    let item = await new InventoryItem({ ...itemFields, stock: 0 }).save({ session });
+    if (initialStock > 0) {
+      item = await recordStockMovement({
+        itemId: item._id,
+        quantity: initialStock,
+        type: 'Reposición',
+        reason: 'Stock inicial',
+        actor: actorFromAuth(req.auth),
+      }, session);
+    }
+    await recordAudit(req, { action: 'Crear', model: 'InventoryItem', id: item._id, after: item }, session);
+    return item;
+  });
+  res.status(201).json(newItem);
+});
+
+// PUT (update) an inventory item
+// Si cambia el stock se registra un 'Ajuste manual' (motivo en req.body.stockReason)
+router.put('/api/inventory/:id', authenticate, requireEmployee, validate({ body: updateInventoryItemSchema }), async (req, res) => {
+  const { stock: newStock, stockReason, ...itemFields } = req.body;
+
+  const updatedItem = await runInTransaction(async session => {
+    const item = await InventoryItem.findById(req.params.id).session(session);
+    if (!item) {
+      throw httpError(404, 'Ítem de inventario no encontrado');
+    }
+    const before = item.toObject();
+    Object.assign(item, itemFields); // Solo los campos permitidos por updateInventoryItemSchema
+    let savedItem = await item.save({ session });
+
+    if (newStock !== undefined && newStock !== savedItem.stock) {
+      savedItem = await recordStockMovement({
+        itemId: savedItem._id,
+        quantity: newStock - savedItem.stock,
+        type: 'Ajuste manual',
+        reason: stockReason || 'Ajuste manual desde la edición del ítem',
+        actor: actorFromAuth(req.auth),
+      }, session);
+    } else {
+      await syncStockAlert(savedItem, session); // El umbral pudo cambiar
+    }
+    await recordAudit(req, { action: 'Actualizar', model: 'InventoryItem', id: savedItem._id, before, after: savedItem }, session);
+    return savedItem;
+  });
+  res.json(updatedItem);
+});
+
+// DELETE an inventory item
+// Borrado lógico: deja de aparecer en el catálogo y se puede restaurar. Con ?permanent=true se elimina
+// definitivamente junto con sus imágenes (también si ya estaba en la papelera).
+router.delete('/api/inventory/:id', authenticate, requireAdmin, validate({ query: deleteQuerySchema }), async (req, res) => {
+  if (req.query.permanent) {
+    const item = await runInTransaction(async session => {
+      const deleted = await InventoryItem.findOneAndDelete({ _id: req.params.id }, { session });
+      if (deleted) {
+        await recordAudit(req, { action: 'Eliminar definitivamente', model: 'InventoryItem', id: deleted._id, before: deleted }, session);
+      }
+      return deleted;
+    });
+    if (!item) {
+      throw httpError(404, 'Ítem de inventario no encontrado');
+    }
+    await deleteStoredImages(item.images);
+    return res.json({ message: 'Ítem de inventario eliminado definitivamente' });
+  }
+
+  await runInTransaction(async session => {
+    const item = await InventoryItem.findById(req.params.id).session(session);
+    if (!item) {
+      throw httpError(404, 'Ítem de inventario no encontrado');
+    }
+    const before = item.toObject();
+    item.deletedAt = new Date();
+    item.deletedBy = req.auth.id;
+    await item.save({ session });
+    await recordAudit(req, { action: 'Eliminar', model: 'InventoryItem', id: item._id, before, after: item }, session);
+  });
+  res.json({ message: 'Ítem de inventario eliminado. Se puede restaurar desde la papelera.' });
+});
+
+// GET: Ítems eliminados (papelera), los más recientes primero
+router.get('/api/inventory/deleted', authenticate, requireAdmin, async (req, res) => {
+  const items = await InventoryItem.find({ deletedAt: { $ne: null } }).sort({ deletedAt: -1 });
+  res.json(items);
+});
+
+// POST: Restaura un ítem eliminado
+router.post('/api/inventory/:id/restore', authenticate, requireAdmin, async (req, res) => {
+  const restoredItem = await runInTransaction(async session => {
+    const item = await InventoryItem.findOne({ _id: req.params.id, deletedAt: { $ne: null } }).session(session);
+    if (!item) {
+      throw httpError(404, 'No hay un ítem eliminado con ese ID');
+    }
+    const before = item.toObject();
+    item.deletedAt = null;
+    item.deletedBy = undefined;
+    await item.save({ session });
+    await recordAudit(req, { action: 'Restaurar', model: 'InventoryItem', id: item._id, before, after: item }, session);
+    return item;
+  });
+  res.json(restoredItem);
+});
+
+// **********************************************
+// NUEVAS RUTAS: Importación y exportación masiva del catálogo (CSV / XLSX)
+// **********************************************
+
+// El archivo queda en memoria (req.file.buffer); no se guarda en disco
+const uploadSpreadsheet = multer({ storage: multer.memoryStorage(), limits: { fileSize: IMPORT_MAX_FILE_BYTES, files: 1 } });
+
+const inventoryImportQuerySchema = z.object({
+  dryRun: fields.queryBool().default('true'),
+});
+
+const inventoryExportQuerySchema = inventoryFilterQuerySchema.extend({
+  format: z.enum(['csv', 'xlsx']).default('csv'),
+});
+
+// POST: Importa el catálogo desde un archivo (campo "file" de un multipart/form-data).
+// Por defecto es una simulación (?dryRun=true) que informa qué se crearía o actualizaría y los errores por fila.
+// Con ?dryRun=false aplica todo en una sola transacción; si alguna fila tiene errores no se aplica nada.
+router.post('/api/inventory/import', authenticate, requireEmployee, uploadSpreadsheet.single('file'), validate({ query: inventoryImportQuerySchema }), async (req, res) => {
+  if (!req.file) {
+    throw httpError(400, 'Adjunta el archivo en el campo "file".', {
+      code: 'VALIDATION_ERROR',
+      errors: [{ field: 'file', message: 'Campo obligatorio.' }],
+    });
+  }
+
+  const rows = mapSpreadsheetRows(await readSpreadsheet(req.file));
+  if (rows.length === 0) {
+    throw httpError(400, 'El archivo no tiene filas para importar.', { code: 'VALIDATION_ERROR' });
+  }
+  if (rows.length > IMPORT_MAX_ROWS) {
+    throw httpError(400, `El archivo tiene ${rows.length} filas; el máximo por importación es ${IMPORT_MAX_ROWS}.`, { code: 'VALIDATION_ERROR' });
+  }
+
+  const toResponseRows = plan => plan.map(({ data, ...entry }) => entry);
+
+  if (req.query.dryRun) {
+    const { plan, errors } = await planInventoryImport(rows);
+    return res.json({ dryRun: true, summary: summarizeImportPlan(plan, errors, rows.length), rows: toResponseRows(plan), errors });
+  }
+
+  // El plan se vuelve a calcular dentro de la transacción para partir del catálogo vigente
+  const plan = await runInTransaction(async session => {
+    const { plan, errors } = await planInventoryImport(rows, session);
+    if (errors.length > 0) {
+      throw httpError(400, 'El archivo tiene errores; no se importó ninguna fila.', { code: 'VALIDATION_ERROR', errors });
+    }
+    await applyInventoryImport(plan, req, session);
+    return plan;
+  });
+
+  res.json({ dryRun: false, message: 'Catálogo importado', summary: summarizeImportPlan(plan, [], rows.length), rows: toResponseRows(plan) });
+});
+
+// GET: Descarga el catálogo con las mismas columnas que la importación (?format=csv|xlsx).
+// Acepta los filtros de GET /api/inventory.
+router.get('/api/inventory/export', authenticate, requireEmployee, validate({ query: inventoryExportQuerySchema }), async (req, res) => {
+  const items = await InventoryItem.find(buildInventoryFilter(req.query)).sort({ category: 1, name: 1 }).lean();
+  const rows = items.map(item => Object.fromEntries(INVENTORY_IMPORT_COLUMNS.map(column => [column, item[column]])));
+  const fileName = `inventario_${new Date().toISOString().slice(0, 10)}.${req.query.format}`;
+  res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  if (req.query.format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Inventario');
+    sheet.columns = INVENTORY_IMPORT_COLUMNS.map(column => ({ header: column, key: column, width: column === 'name' || column === 'imageUrl' ? 40 : 16 }));
+    sheet.addRows(rows);
+    sheet.getRow(1).font = { bold: true };
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    return res.send(Buffer.from(await workbook.xlsx.writeBuffer()));
+  }
+
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.send(`\uFEFF${toCsv(rows, INVENTORY_IMPORT_COLUMNS)}`); // BOM para que Excel lea bien los acentos
+});
+
+// **********************************************
+// NUEVAS RUTAS: Movimientos de stock, alertas y auditoría
+// **********************************************
+
+// Tipos que un empleado puede registrar a mano (las ventas y el uso en reparaciones los registra el sistema)
+const MANUAL_STOCK_MOVEMENT_TYPES = ['Reposición', 'Ajuste manual', 'Devolución'];
+
+// quantity es positiva salvo en 'Ajuste manual', que acepta negativos
+const stockMovementBodySchema = z.object({
+  type: z.enum(MANUAL_STOCK_MOVEMENT_TYPES),
+  quantity: z.number().int('Debe ser un número entero.').refine(v => v !== 0, 'No puede ser 0.'),
+  reason: fields.text(300),
+}).refine(m => m.type === 'Ajuste manual' || m.quantity > 0, {
+  message: 'Solo los ajustes manuales aceptan cantidades negativas.',
+  path: ['quantity'],
+});
+
+// POST: Registra una reposición, un ajuste o una devolución
+router.post('/api/inventory/:id/stock-movements', authenticate, requireEmployee, validate({ body: stockMovementBodySchema }), async (req, res) => {
+  const { type, quantity, reason } = req.body;
+  const item = await runInTransaction(async session => {
+    const updatedItem = await recordStockMovement({
+      itemId: req.params.id,
+      quantity,
+      type,
+      reason,
+      actor: actorFromAuth(req.auth),
+    }, session);
+    await recordAudit(req, {
+      action: 'Actualizar',
+      model: 'InventoryItem',
+      id: updatedItem._id,
+      before: { stock: updatedItem.stock - quantity },
+      after: { stock: updatedItem.stock },
+      summary: `${type}: ${reason}`,
+    }, session);
+    return updatedItem;
+  });
+  res.status(201).json(item);
+});
+
+// GET: Historial de movimientos de un ítem (más recientes primero)
+router.get('/api/inventory/:id/stock-movements', authenticate, requireEmployee, async (req, res) => {
+  const movements = await StockMovement.find({ itemId: req.params.id })
+    .sort({ createdAt: -1 })
+    .populate('actorId', 'firstName lastName email');
+  res.json(movements);
+});
+
+const stockAlertsQuerySchema = z.object({
+  status: z.enum(['Abierta', 'Resuelta']).default('Abierta'),
+});
+
+const stockAuditQuerySchema = z.object({
+  onlyMismatches: fields.queryBool().optional(),
+});
+
+// GET: Alertas de stock bajo (?status=Abierta|Resuelta, por defecto Abierta)
+router.get('/api/stock-alerts', authenticate, requireEmployee, validate({ query: stockAlertsQuerySchema }), async (req, res) => {
+  const alerts = await StockAlert.find({ status: req.query.status }).sort({ createdAt: -1 });
+  res.json(alerts);
+});
+
+// GET: Auditoría de stock. Reconstruye el stock de cada ítem sumando su libro de movimientos
+// y lo compara con InventoryItem.stock. ?onlyMismatches=true devuelve solo las diferencias.
+// Los ítems anteriores al libro parten de su 'Saldo inicial', que el servidor registra al iniciar (recordOpeningBalances).
+router.get('/api/inventory/stock-audit', authenticate, requireAdmin, validate({ query: stockAuditQuerySchema }), async (req, res) => {
+  const ledgerTotals = await StockMovement.aggregate([
+    { $group: { _id: '$itemId', ledgerStock: { $sum: '$quantity' }, movements: { $sum: 1 }, lastMovementAt: { $max: '$createdAt' } } },
+  ]);
+  const totalsById = new Map(ledgerTotals.map(t => [t._id.toString(), t]));
+
+  const items = await InventoryItem.find({}, 'name stock');
+  let report = items.map(item => {
+    const totals = totalsById.get(item._id.toString());
+    const ledgerStock = totals ? totals.ledgerStock : 0;
+    return {
+      itemId: item._id,
+      name: item.name,
+      currentStock: item.stock,
+      ledgerStock,
+      difference: item.stock - ledgerStock,
+      movements: totals ? totals.movements : 0,
+      lastMovementAt: totals ? totals.lastMovementAt : null,
+    };
+  });
+  if (req.query.onlyMismatches) {
+    report = report.filter(r => r.difference !== 0);
+  }
+  res.json(report);
+});
+
+module.exports = router;
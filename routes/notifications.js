@@ -0,0 +1,93 @@
+const express = require('express');
+const { z } = require('zod');
+const { NOTIFICATION_STATUSES, Notification } = require('../models');
+const { httpError } = require('../utils/errors');
+const { escapeRegex } = require('../utils/helpers');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { checkObjectIdParams, fields, validate } = require('../middleware/validate');
+const { recordAudit } = require('../services/audit');
+const { NOTIFICATION_TEMPLATES } = require('../services/notifications');
+
+const router = express.Router();
+checkObjectIdParams(router);
+
+// **********************************************
+// NUEVAS RUTAS: Notificaciones enviadas y fallidas (admin)
+// **********************************************
+
+const NOTIFICATION_MAX_LIMIT = 500;
+
+const notificationListQuerySchema = z.object({
+  status: z.enum(NOTIFICATION_STATUSES).optional(),
+  channel: z.enum(['email', 'sms']).optional(),
+  event: z.enum(Object.keys(NOTIFICATION_TEMPLATES)).optional(),
+  to: z.string().trim().min(1).max(254).optional(),
+  referenceId: fields.objectId().optional(),
+  limit: fields.queryInt().pipe(z.number().min(1).max(NOTIFICATION_MAX_LIMIT)).default('100'),
+});
+
+// GET: Últimas notificaciones, con filtros ?status= ?channel= ?event= ?to= ?referenceId= ?limit=
+router.get('/api/notifications', authenticate, requireAdmin, validate({ query: notificationListQuerySchema }), async (req, res) => {
+  const filter = {};
+  for (const field of ['status', 'channel', 'event']) {
+    if (req.query[field]) {
+      filter[field] = req.query[field];
+    }
+  }
+  if (req.query.to) {
+    filter.to = new RegExp(`^${escapeRegex(req.query.to)}$`, 'i');
+  }
+  if (req.query.referenceId) {
+    filter['reference.id'] = req.query.referenceId;
+  }
+  const notifications = await Notification.find(filter).sort({ createdAt: -1 }).limit(req.query.limit);
+  res.json(notifications);
+});
+
+// GET: Cantidad de notificaciones por estado y canal, y la fecha de la más antigua aún pendiente
+router.get('/api/notifications/summary', authenticate, requireAdmin, async (req, res) => {
+  const [counts, oldestPending] = await Promise.all([
+    Notification.aggregate([
+      { $group: { _id: { status: '$status', channel: '$channel' }, count: { $sum: 1 } } },
+      { $project: { _id: 0, status: '$_id.status', channel: '$_id.channel', count: 1 } },
+      { $sort: { status: 1, channel: 1 } },
+    ]),
+    Notification.findOne({ status: 'Pendiente' }, 'createdAt').sort({ createdAt: 1 }),
+  ]);
+  res.json({ counts, oldestPendingAt: oldestPending ? oldestPending.createdAt : null });
+});
+
+// GET: Detalle de una notificación (incluye el texto enviado y el último error)
+router.get('/api/notifications/:id', authenticate, requireAdmin, async (req, res) => {
+  const notification = await Notification.findById(req.params.id);
+  if (!notification) {
+    throw httpError(404, 'Notificación no encontrada');
+  }
+  res.json(notification);
+});
+
+// POST: Vuelve a encolar una notificación fallida (con los intentos en 0)
+router.post('/api/notifications/:id/retry', authenticate, requireAdmin, async (req, res) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: req.params.id, status: 'Fallido' },
+    { status: 'Pendiente', attempts: 0, nextAttemptAt: new Date() },
+    { new: true }
+  );
+  if (!notification) {
+    if (!(await Notification.exists({ _id: req.params.id }))) {
+      throw httpError(404, 'Notificación no encontrada');
+    }
+    throw httpError(409, 'Solo se pueden reintentar notificaciones fallidas.', { code: 'INVALID_TRANSITION' });
+  }
+  await recordAudit(req, {
+    action: 'Actualizar',
+    model: 'Notification',
+    id: notification._id,
+    before: { status: 'Fallido' },
+    after: { status: notification.status },
+    summary: 'Notificación reencolada',
+  });
+  res.json(notification);
+});
+
+module.exports = router;
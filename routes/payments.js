@@ -0,0 +1,116 @@
+const express = require('express');
+const crypto = require('crypto');
+const { z } = require('zod');
+const { IS_PRODUCTION, PAYMENT_PROVIDER } = require('../config');
+const { PAYMENT_STATUSES, Payment } = require('../models');
+const { httpError } = require('../utils/errors');
+const { authenticate, requireAdmin, requireEmployee } = require('../middleware/auth');
+const { checkObjectIdParams, fields, validate } = require('../middleware/validate');
+const { recordAudit } = require('../services/audit');
+const { formatCLP } = require('../services/notifications');
+const { paymentProviders, paymentSummary, processPaymentEvent, refundPayment } = require('../services/payments');
+
+const router = express.Router();
+checkObjectIdParams(router);
+
+// **********************************************
+// NUEVAS RUTAS: Pagos (pasarela, webhooks y reembolsos)
+// **********************************************
+
+const paymentListQuerySchema = z.object({
+  status: z.enum(PAYMENT_STATUSES).optional(),
+  referenceModel: z.enum(['DispatchRecord', 'Rental']).optional(),
+});
+
+const mockCompleteSchema = z.object({
+  outcome: z.enum(['approved', 'rejected', 'cancelled']),
+});
+
+const refundSchema = z.object({
+  amount: z.number().int('Debe ser un número entero.').min(1).optional(), // Por defecto, todo lo que queda por reembolsar
+  reason: fields.text(300).optional(),
+});
+
+// POST: Webhook de la pasarela (sin sesión; se valida la firma). Un evento repetido responde 200 sin aplicarse de nuevo.
+router.post('/api/payments/webhook/:provider', async (req, res) => {
+  const provider = Object.hasOwn(paymentProviders, req.params.provider) ? paymentProviders[req.params.provider] : null;
+  if (!provider) {
+    throw httpError(404, 'Pasarela de pago desconocida');
+  }
+  const event = provider.parseWebhook(req);
+
+  try {
+    const result = await processPaymentEvent(req.params.provider, event);
+    res.json({ received: true, applied: result.applied });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.json({ received: true, applied: false, duplicate: true });
+    }
+    throw err;
+  }
+});
+
+// POST: Solo con la pasarela mock y fuera de producción (la ruta ni siquiera existe en producción):
+// simula que el cliente terminó el pago en la página de la pasarela
+if (PAYMENT_PROVIDER === 'mock' && !IS_PRODUCTION) {
+  router.post('/api/payments/:id/mock-complete', validate({ body: mockCompleteSchema }), async (req, res) => {
+    const payment = await Payment.findOne({ _id: req.params.id, provider: 'mock' });
+    if (!payment) {
+      throw httpError(404, 'Pago no encontrado');
+    }
+
+    const result = await processPaymentEvent('mock', {
+      eventId: `evt_mock_${crypto.randomBytes(8).toString('hex')}`,
+      type: `payment.${req.body.outcome}`,
+      providerPaymentId: payment.providerPaymentId,
+      amount: payment.amount,
+    });
+    res.json({ applied: result.applied, payment: paymentSummary(result.payment) });
+  });
+}
+
+// GET: Lista los pagos (empleados) ?status= ?referenceModel=DispatchRecord|Rental
+router.get('/api/payments', authenticate, requireEmployee, validate({ query: paymentListQuerySchema }), async (req, res) => {
+  const filter = {};
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+  if (req.query.referenceModel) {
+    filter.referenceModel = req.query.referenceModel;
+  }
+  const payments = await Payment.find(filter).sort({ createdAt: -1 });
+  res.json(payments);
+});
+
+// GET: Estado de un pago (empleados, o el cliente dueño del pago)
+router.get('/api/payments/:id', authenticate, async (req, res) => {
+  const payment = await Payment.findById(req.params.id);
+  if (!payment || (req.auth.type !== 'employee' && payment.customerEmail !== req.auth.email)) {
+    throw httpError(404, 'Pago no encontrado');
+  }
+  res.json(req.auth.type === 'employee' ? payment : paymentSummary(payment));
+});
+
+// POST: Reembolsa un pago aprobado, total o parcial (admin).
+// Con el encabezado Idempotency-Key, repetir la petición no reembolsa dos veces.
+router.post('/api/payments/:id/refund', authenticate, requireAdmin, validate({ body: refundSchema }), async (req, res) => {
+  const payment = await Payment.findById(req.params.id);
+  if (!payment) {
+    throw httpError(404, 'Pago no encontrado');
+  }
+
+  const { refund, payment: updatedPayment, duplicate } = await refundPayment(payment, {
+    amount: req.body.amount,
+    reason: req.body.reason,
+    idempotencyKey: req.get('Idempotency-Key'),
+    refundedBy: req.auth.id,
+  });
+  if (duplicate) {
+    return res.json({ message: 'Reembolso ya procesado', refund, payment });
+  }
+  await recordAudit(req, { action: 'Actualizar', model: 'Payment', id: payment._id, before: payment, after: updatedPayment, summary: `Reembolso de ${formatCLP(refund.amount)}` });
+
+  res.json({ message: 'Reembolso procesado', refund, payment: updatedPayment });
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const { z } = require('zod');
+const {
+  PROMOTION_DISCOUNT_TYPES,
+  PROMOTION_KINDS,
+  PROMOTION_SCOPES,
+  Promotion,
+  PromotionRedemption,
+} = require('../models');
+const { httpError } = require('../utils/errors');
+const { authenticate, requireAdmin, requireEmployee } = require('../middleware/auth');
+const { checkObjectIdParams, fields, validate } = require('../middleware/validate');
+const { recordAudit } = require('../services/audit');
+const { currentPromotionsFilter } = require('../services/promotions');
+
+const router = express.Router();
+checkObjectIdParams(router);
+
+// **********************************************
+// NUEVAS RUTAS: Promociones y cupones de descuento
+// **********************************************
+// Se aplican en el servidor en POST /api/purchase y POST /api/rentals; las cotizaciones
+// (POST /api/purchase/quote y POST /api/rentals/quote) muestran el total con descuento antes de comprar.
+
+// Los campos que combinan varios valores (código solo en cupones, fechas, porcentaje <= 100) los valida el modelo
+const promotionSchema = z.object({
+  name: fields.text(120),
+  description: z.string().trim().max(500).optional(),
+  kind: z.enum(PROMOTION_KINDS),
+  code: z.string().trim().toUpperCase().regex(/^[A-Z0-9_-]{3,40}$/, 'Código inválido: letras, números, guion o guion bajo (3 a 40).').nullable().optional(),
+  discountType: z.enum(PROMOTION_DISCOUNT_TYPES),
+  value: z.number().int('Debe ser un número entero.').min(1),
+  appliesTo: z.enum(PROMOTION_SCOPES).optional(),
+  categories: z.array(z.enum(['Bicicleta', 'Repuesto'])).optional(),
+  brands: z.array(fields.text(60)).optional(),
+  minSubtotal: fields.money().optional(),
+  startsAt: fields.date().nullable().optional(),
+  endsAt: fields.date().nullable().optional(),
+  maxUses: z.number().int().min(1).nullable().optional(), // null = ilimitados
+  maxUsesPerCustomer: z.number().int().min(1).nullable().optional(),
+  active: z.boolean().optional(),
+});
+
+const promotionListQuerySchema = z.object({
+  kind: z.enum(PROMOTION_KINDS).optional(),
+  appliesTo: z.enum(PROMOTION_SCOPES).optional(),
+  active: fields.queryBool().optional(),
+  current: fields.queryBool().optional(), // true: solo las vigentes hoy
+});
+
+async function findPromotionOr404(id) {
+  const promotion = await Promotion.findById(id);
+  if (!promotion) {
+    throw httpError(404, 'Promoción no encontrada');
+  }
+  return promotion;
+}
+
+// GET: Promociones automáticas vigentes, para mostrarlas en la tienda (público; los cupones no se listan)
+router.get('/api/promotions/current', async (req, res) => {
+  const promotions = await Promotion.find({ kind: 'Automática', ...currentPromotionsFilter() })
+    .select('name description discountType value appliesTo categories brands minSubtotal startsAt endsAt')
+    .sort({ endsAt: 1 });
+  res.json(promotions);
+});
+
+// GET: Lista las promociones (empleados), con filtros ?kind= ?appliesTo= ?active= ?current=
+router.get('/api/promotions', authenticate, requireEmployee, validate({ query: promotionListQuerySchema }), async (req, res) => {
+  const filter = req.query.current ? currentPromotionsFilter() : {};
+  for (const field of ['kind', 'appliesTo', 'active']) {
+    if (req.query[field] !== undefined) {
+      filter[field] = req.query[field];
+    }
+  }
+  const promotions = await Promotion.find(filter).sort({ createdAt: -1 });
+  res.json(promotions);
+});
+
+// GET: Detalle de una promoción con sus usos y el total descontado
+router.get('/api/promotions/:id', authenticate, requireEmployee, async (req, res) => {
+  const promotion = await findPromotionOr404(req.params.id);
+  const [usage] = await PromotionRedemption.aggregate([
+    { $match: { promotionId: promotion._id } },
+    { $group: { _id: null, redemptions: { $sum: 1 }, customers: { $addToSet: '$customerEmail' }, totalDiscount: { $sum: '$discountAmount' } } },
+  ]);
+  res.json({
+    ...promotion.toObject(),
+    usage: {
+      redemptions: usage ? usage.redemptions : 0,
+      customers: usage ? usage.customers.length : 0,
+      totalDiscount: usage ? usage.totalDiscount : 0,
+    },
+  });
+});
+
+// POST: Crea una promoción automática o un cupón
+router.post('/api/promotions', authenticate, requireEmployee, validate({ body: promotionSchema }), async (req, res) => {
+  const promotion = await new Promotion({ ...req.body, createdBy: req.auth.id }).save();
+  await recordAudit(req, { action: 'Crear', model: 'Promotion', id: promotion._id, after: promotion });
+  res.status(201).json(promotion);
+});
+
+// PUT: Edita una promoción (por ejemplo, active: false para terminarla antes). Los usos ya registrados no cambian.
+router.put('/api/promotions/:id', authenticate, requireEmployee, validate({ body: promotionSchema.partial() }), async (req, res) => {
+  const promotion = await findPromotionOr404(req.params.id);
+  const before = promotion.toObject();
+  promotion.set(req.body);
+  const updatedPromotion = await promotion.save();
+  await recordAudit(req, { action: 'Actualizar', model: 'Promotion', id: promotion._id, before, after: updatedPromotion });
+  res.json(updatedPromotion);
+});
+
+// DELETE: Elimina una promoción que nunca se usó; si ya tiene usos se debe desactivar (active: false)
+router.delete('/api/promotions/:id', authenticate, requireAdmin, async (req, res) => {
+  const promotion = await findPromotionOr404(req.params.id);
+  if (await PromotionRedemption.exists({ promotionId: promotion._id })) {
+    throw httpError(409, 'La promoción ya se usó en pedidos o arriendos. Desactívala con active: false en lugar de eliminarla.', { code: 'PROMOTION_IN_USE' });
+  }
+  await promotion.deleteOne();
+  await recordAudit(req, { action: 'Eliminar definitivamente', model: 'Promotion', id: promotion._id, before: promotion });
+  res.json({ message: 'Promoción eliminada' });
+});
+
+module.exports = router;
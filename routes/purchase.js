@@ -0,0 +1,155 @@
+const express = require('express');
+const { z } = require('zod');
+const { Cart, DispatchRecord, StockReservation } = require('../models');
+const { httpError } = require('../utils/errors');
+const { runInTransaction } = require('../utils/transaction');
+const { actorFromAuth, authenticate } = require('../middleware/auth');
+const { fields, validate } = require('../middleware/validate');
+const { newPayment, paymentSummary, startPayment } = require('../services/payments');
+const { buildPriceBreakdown } = require('../services/pricing');
+const { redeemPromotions } = require('../services/promotions');
+const { recordStockMovement } = require('../services/stock');
+
+const router = express.Router();
+
+// Línea del carrito: acepta _id o itemId; price es el precio que vio el cliente (opcional)
+const cartItemSchema = z.object({
+  _id: fields.objectId().optional(),
+  itemId: fields.objectId().optional(),
+  quantity: fields.quantity(),
+  price: fields.money().optional(),
+}).refine(item => item._id || item.itemId, { message: 'Indica el ID del producto.', path: ['itemId'] });
+
+const couponCodeField = () => z.string().trim().min(1).max(40);
+
+// customerEmail (opcional) permite verificar el límite de usos por cliente del cupón
+const purchaseQuoteSchema = z.object({
+  cartItems: z.array(cartItemSchema).min(1, 'El carrito está vacío.'),
+  couponCode: couponCodeField().optional(),
+  customerEmail: fields.email().optional(),
+});
+
+// Con useCart: true se compra el carrito guardado del cliente en vez de cartItems
+const purchaseSchema = z.object({
+  cartItems: z.array(cartItemSchema).min(1, 'El carrito está vacío.').optional(),
+  useCart: z.boolean().optional(),
+  deliveryDate: fields.date(),
+  customerName: fields.text(120),
+  customerEmail: fields.email().optional(),
+  couponCode: couponCodeField().optional(),
+}).refine(body => body.useCart || body.cartItems, { message: 'Envía cartItems o usa useCart: true.', path: ['cartItems'] });
+
+// **********************************************
+// NUEVA RUTA: POST para cotizar el carrito sin modificar el stock
+// **********************************************
+// Muestra el total con las promociones automáticas vigentes y el cupón (couponCode) antes de comprar
+router.post('/api/purchase/quote', validate({ body: purchaseQuoteSchema }), async (req, res) => {
+  const { cartItems, couponCode, customerEmail } = req.body;
+  const breakdown = await buildPriceBreakdown(cartItems, null, null, { couponCode, customerEmail });
+  res.status(200).json({ message: 'Cotización calculada', breakdown });
+});
+
+// **********************************************
+// NUEVA RUTA PARA PROCESAR LA COMPRA (DEDUCCIÓN DE INVENTARIO Y REGISTRO DE DESPACHO)
+// **********************************************
+// Requiere sesión iniciada; para clientes el email del despacho es el de su cuenta.
+// Con useCart: true se compra el carrito guardado, que queda vacío; las reservas del cliente se liberan.
+router.post('/api/purchase', authenticate, validate({ body: purchaseSchema }), async (req, res) => {
+  const { useCart, deliveryDate, customerName, couponCode } = req.body;
+  const customerId = req.auth.type === 'user' ? req.auth.id : null;
+  const customerEmail = req.auth.type === 'user' ? req.auth.email : req.body.customerEmail;
+  if (!customerEmail) {
+    throw httpError(400, 'Falta el email del cliente.', {
+      code: 'VALIDATION_ERROR',
+      errors: [{ field: 'customerEmail', message: 'Campo obligatorio.' }],
+    });
+  }
+  if (useCart && !customerId) {
+    throw httpError(403, 'Solo los clientes pueden comprar su carrito guardado.');
+  }
+
+  // Todo en una transacción: si falla cualquier paso, no se descuenta stock ni se crea el despacho
+  const { dispatchRecord, breakdown, payment } = await runInTransaction(async session => {
+    let cartItems = req.body.cartItems;
+    const cart = useCart ? await Cart.findOne({ userId: customerId }).session(session) : null;
+    if (useCart) {
+      if (!cart || cart.items.length === 0) {
+        throw httpError(400, 'El carrito está vacío.', { code: 'EMPTY_CART' });
+      }
+      cartItems = cart.items.map(line => ({ itemId: line.itemId.toString(), quantity: line.quantity }));
+    }
+
+    // 1. Calcular precios desde el inventario y verificar stock (rechaza precios desactualizados), con promociones y cupón
+    const breakdown = await buildPriceBreakdown(cartItems, session, customerId, { couponCode, customerEmail });
+
+    // 2. Preparar el registro de despacho (su _id queda como referencia de los movimientos de stock)
+    const dispatchRecord = new DispatchRecord({
+      items: breakdown.items.map(line => ({
+        itemId: line.itemId,
+        name: line.name,
+        quantity: line.quantity,
+        priceAtPurchase: line.unitPrice,
+        lineTotal: line.lineTotal,
+        discountAmount: line.discountAmount,
+      })),
+      subtotal: breakdown.subtotal,
+      discountAmount: breakdown.discountAmount,
+      promotions: breakdown.promotions,
+      netAmount: breakdown.netAmount,
+      taxAmount: breakdown.taxAmount,
+      shippingCost: breakdown.shippingCost,
+      totalAmount: breakdown.total,
+      deliveryDate,
+      customerDetails: {
+        name: customerName,
+        email: customerEmail,
+      },
+      status: 'Pago Pendiente', // Pasa a 'Pendiente' cuando la pasarela confirma el pago
+    });
+    const payment = newPayment({
+      purpose: 'Compra',
+      referenceModel: 'DispatchRecord',
+      referenceId: dispatchRecord._id,
+      amount: breakdown.total,
+      customerEmail,
+    });
+    dispatchRecord.paymentId = payment._id;
+
+    // 3. Deducir stock, registrando cada venta en el libro de movimientos
+    for (const line of breakdown.items) {
+      await recordStockMovement({
+        itemId: line.itemId,
+        quantity: -line.quantity,
+        type: 'Venta',
+        reason: `Compra de ${customerEmail}`,
+        actor: actorFromAuth(req.auth),
+        reference: { model: 'DispatchRecord', id: dispatchRecord._id },
+      }, session);
+    }
+    await dispatchRecord.save({ session });
+    await payment.save({ session });
+    await redeemPromotions(breakdown.promotions, { customerId, customerEmail, referenceModel: 'DispatchRecord', referenceId: dispatchRecord._id }, session);
+
+    // 4. Vaciar el carrito comprado y liberar las reservas del cliente
+    if (cart) {
+      cart.items = [];
+      await cart.save({ session });
+    }
+    if (customerId) {
+      await StockReservation.deleteMany({ userId: customerId }, { session });
+    }
+    return { dispatchRecord, breakdown, payment };
+  });
+
+  // 5. Crear el pago en la pasarela; el stock queda apartado hasta que se pague o venza el plazo
+  const startedPayment = await startPayment(payment, `Pedido ${dispatchRecord._id}`);
+
+  res.status(200).json({
+    message: 'Pedido creado. Completa el pago para confirmarlo.',
+    dispatchRecord,
+    breakdown,
+    payment: paymentSummary(startedPayment),
+  });
+});
+
+module.exports = router;
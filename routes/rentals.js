@@ -0,0 +1,230 @@
+const express = require('express');
+const { z } = require('zod');
+const { RENTAL_DEPOSIT_AMOUNT } = require('../config');
+const { BikeForRent, Payment, Rental } = require('../models');
+const { httpError } = require('../utils/errors');
+const { runInTransaction } = require('../utils/transaction');
+const { logger } = require('../utils/logger');
+const { authenticate, optionalAuthenticate, requireEmployee } = require('../middleware/auth');
+const { checkObjectIdParams, fields, validate } = require('../middleware/validate');
+const { recordAudit } = require('../services/audit');
+const { notify } = require('../services/notifications');
+const { newPayment, paymentSummary, refundPayment, startPayment } = require('../services/payments');
+const { applyRentalPromotions, redeemPromotions, releasePromotions } = require('../services/promotions');
+const {
+  RENTAL_TRANSITIONS,
+  assertBikeBookable,
+  calculateRentalPrice,
+  findBikeOr404,
+  parseRentalRange,
+} = require('../services/rentals');
+
+const router = express.Router();
+checkObjectIdParams(router);
+
+// Rutas para registros de arriendos (si usas Rental)
+
+// customerEmail (opcional al cotizar) permite verificar el límite de usos por cliente del cupón.
+// Con sesión de cliente se usa el email de la cuenta.
+const rentalQuoteSchema = z.object({
+  bikeId: fields.objectId(),
+  startDate: fields.date(),
+  endDate: fields.date(),
+  couponCode: z.string().trim().min(1).max(40).optional(),
+  customerEmail: fields.email().optional(),
+});
+
+const createRentalSchema = rentalQuoteSchema.extend({
+  customerName: fields.text(120),
+  customerPhone: fields.phoneCL().optional(),
+});
+
+const rentalListQuerySchema = z.object({
+  status: z.enum(Object.keys(RENTAL_TRANSITIONS)).optional(),
+  bikeId: fields.objectId().optional(),
+});
+
+const rentalStatusSchema = z.object({
+  status: z.enum(Object.keys(RENTAL_TRANSITIONS)),
+});
+
+// Cliente para las promociones: la cuenta si hay sesión de cliente. Sin sesión (invitado) no se pueden usar
+// las promociones con límite por cliente, porque bastaría cambiar el email para repetirlas.
+function rentalCustomer(req) {
+  if (req.auth && req.auth.type === 'user') {
+    return { customerId: req.auth.id, customerEmail: req.auth.email };
+  }
+  return { customerEmail: req.body.customerEmail, guest: !req.auth };
+}
+
+// POST: Cotiza un arriendo sin reservarlo, con las promociones vigentes y el cupón (couponCode)
+router.post('/api/rentals/quote', optionalAuthenticate, validate({ body: rentalQuoteSchema }), async (req, res) => {
+  const { startDate, endDate } = parseRentalRange(req.body.startDate, req.body.endDate);
+  const bike = await findBikeOr404(req.body.bikeId);
+  await assertBikeBookable(bike, startDate, endDate);
+  const pricing = await applyRentalPromotions(
+    calculateRentalPrice(bike.pricePerDay, startDate, endDate),
+    { couponCode: req.body.couponCode, ...rentalCustomer(req) }
+  );
+  res.json({ message: 'Cotización calculada', bikeId: bike._id, bikeName: bike.name, startDate, endDate, ...pricing });
+});
+
+// POST: Reserva un arriendo. El precio se calcula en el servidor y se rechazan los cruces de fechas.
+// La sesión es opcional; los cupones con límite por cliente exigen iniciar sesión.
+router.post('/api/rentals', optionalAuthenticate, validate({ body: createRentalSchema }), async (req, res) => {
+  const { startDate, endDate } = parseRentalRange(req.body.startDate, req.body.endDate);
+  const customer = rentalCustomer(req);
+  const { customerEmail } = customer;
+  if (!customerEmail) {
+    throw httpError(400, 'Falta el email del cliente.', {
+      code: 'VALIDATION_ERROR',
+      errors: [{ field: 'customerEmail', message: 'Campo obligatorio.' }],
+    });
+  }
+
+  // runInTransaction reintenta ante conflictos de escritura, así la segunda reserva
+  // concurrente vuelve a verificar los cruces y ve la primera ya confirmada
+  const { newRental, payment } = await runInTransaction(async session => {
+    // 1. Tomar el "candado" de la bicicleta: dos transacciones que escriben el mismo
+    //    documento no pueden confirmarse a la vez
+    const bike = await BikeForRent.findByIdAndUpdate(
+      req.body.bikeId,
+      { $inc: { bookingVersion: 1 } },
+      { new: true, session }
+    );
+    if (!bike) {
+      throw httpError(404, 'Bicicleta de arriendo no encontrada');
+    }
+
+    // 2. Verificar disponibilidad y cruces dentro de la transacción
+    await assertBikeBookable(bike, startDate, endDate, session);
+
+    // 3. Calcular el precio (con promociones y cupón) y guardar la reserva
+    const pricing = await applyRentalPromotions(
+      calculateRentalPrice(bike.pricePerDay, startDate, endDate),
+      { couponCode: req.body.couponCode, ...customer },
+      session
+    );
+    const rental = new Rental({
+      bikeId: bike._id,
+      bikeName: bike.name,
+      startDate,
+      endDate,
+      ...pricing,
+      status: 'Pendiente',
+      customerName: req.body.customerName,
+      customerEmail,
+      customerPhone: req.body.customerPhone,
+    });
+
+    // 4. Garantía: el arriendo no puede activarse hasta que se pague
+    let payment = null;
+    if (RENTAL_DEPOSIT_AMOUNT > 0) {
+      payment = newPayment({
+        purpose: 'Garantía de arriendo',
+        referenceModel: 'Rental',
+        referenceId: rental._id,
+        amount: RENTAL_DEPOSIT_AMOUNT,
+        customerEmail,
+      });
+      rental.deposit = { amount: RENTAL_DEPOSIT_AMOUNT, status: 'Pendiente', paymentId: payment._id };
+      await payment.save({ session });
+    }
+    const newRental = await rental.save({ session });
+    await redeemPromotions(pricing.promotions, { ...customer, referenceModel: 'Rental', referenceId: rental._id }, session);
+    if (!payment) {
+      await notify('rental.confirmed', newRental, session); // Con garantía, se confirma al pagarla
+    }
+    return { newRental, payment };
+  });
+
+  if (!payment) {
+    return res.status(201).json(newRental);
+  }
+  const startedPayment = await startPayment(payment, `Garantía del arriendo ${newRental._id}`);
+  res.status(201).json({ ...newRental.toObject(), payment: paymentSummary(startedPayment) });
+});
+
+// GET: Lista los arriendos (empleados), con filtros opcionales ?status=&bikeId=
+router.get('/api/rentals', authenticate, requireEmployee, validate({ query: rentalListQuerySchema }), async (req, res) => {
+  const filter = {};
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+  if (req.query.bikeId) {
+    filter.bikeId = req.query.bikeId;
+  }
+  const rentals = await Rental.find(filter).sort({ startDate: 1 });
+  res.json(rentals);
+});
+
+// PUT: Cambia el estado de un arriendo (Pendiente → Activo → Completado/Cancelado)
+// y actualiza BikeForRent.available en la misma transacción.
+// Al cancelar, una garantía pendiente queda 'Cancelada' (y su pago cancelado) y una ya pagada se reembolsa.
+router.put('/api/rentals/:id/status', authenticate, requireEmployee, validate({ body: rentalStatusSchema }), async (req, res) => {
+  const { status } = req.body;
+
+  const { updatedRental, refundDeposit } = await runInTransaction(async session => {
+    const rental = await Rental.findById(req.params.id).session(session);
+    if (!rental) {
+      throw httpError(404, 'Arriendo no encontrado');
+    }
+
+    const allowed = RENTAL_TRANSITIONS[rental.status] || [];
+    if (!allowed.includes(status)) {
+      throw httpError(409, `No se puede pasar un arriendo de '${rental.status}' a '${status}'.`, {
+        code: 'INVALID_TRANSITION',
+        details: { allowedTransitions: allowed },
+      });
+    }
+
+    if (status === 'Activo' && rental.deposit.status === 'Pendiente') {
+      throw httpError(409, 'La garantía del arriendo aún no está pagada.', { code: 'DEPOSIT_PENDING' });
+    }
+    const before = rental.toObject();
+    const wasActive = rental.status === 'Activo';
+    if (status === 'Cancelado') {
+      await releasePromotions('Rental', rental._id, session);
+    }
+    if (status === 'Cancelado' && rental.deposit.status === 'Pendiente') {
+      await Payment.updateOne(
+        { _id: rental.deposit.paymentId, status: 'Pendiente' },
+        { status: 'Cancelado', failureReason: 'Arriendo cancelado por un empleado' },
+        { session }
+      );
+      rental.deposit.status = 'Cancelada';
+    }
+    rental.status = status;
+    const savedRental = await rental.save({ session });
+    await recordAudit(req, { action: 'Actualizar', model: 'Rental', id: rental._id, before, after: savedRental, summary: `Estado: ${before.status} → ${status}` }, session);
+
+    if (status === 'Activo') {
+      // La bicicleta sale del local
+      await BikeForRent.updateOne({ _id: rental.bikeId }, { available: false, $inc: { bookingVersion: 1 } }, { session });
+    } else if (wasActive) {
+      // La bicicleta vuelve al local al completar o cancelar un arriendo en curso
+      await BikeForRent.updateOne({ _id: rental.bikeId }, { available: true, $inc: { bookingVersion: 1 } }, { session });
+    }
+    return { updatedRental: savedRental, refundDeposit: status === 'Cancelado' && savedRental.deposit.status === 'Pagada' };
+  });
+
+  // El reembolso llama a la pasarela, así que va después de confirmar la transacción. Si falla, el arriendo
+  // queda cancelado con la garantía 'Pagada' y un administrador la reembolsa con POST /api/payments/:id/refund.
+  if (refundDeposit) {
+    try {
+      const payment = await Payment.findById(updatedRental.deposit.paymentId);
+      const { payment: refundedPayment } = await refundPayment(payment, {
+        reason: 'Arriendo cancelado',
+        idempotencyKey: `rental-cancel-${updatedRental._id}`,
+        refundedBy: req.auth.id,
+      });
+      await recordAudit(req, { action: 'Actualizar', model: 'Payment', id: payment._id, before: payment, after: refundedPayment, summary: 'Reembolso de la garantía del arriendo cancelado' });
+      return res.json(await Rental.findById(updatedRental._id));
+    } catch (err) {
+      logger.error('No se pudo reembolsar la garantía del arriendo cancelado', { requestId: req.id, rentalId: updatedRental._id, err });
+    }
+  }
+  res.json(updatedRental);
+});
+
+module.exports = router;
@@ -0,0 +1,352 @@
+const express = require('express');
+const { z } = require('zod');
+const { Employee, InventoryItem, REPAIR_STATUSES, RepairRequest } = require('../models');
+const { httpError } = require('../utils/errors');
+const { runInTransaction } = require('../utils/transaction');
+const { actorFromAuth, authenticate, requireAdmin, requireEmployee } = require('../middleware/auth');
+const { checkObjectIdParams, deleteQuerySchema, fields, validate } = require('../middleware/validate');
+const { recordAudit } = require('../services/audit');
+const { notify } = require('../services/notifications');
+const { REPAIR_TRANSITIONS, applyRepairStatus, generateTrackingCode, repairTotalCost } = require('../services/repairs');
+const { recordStockMovement } = require('../services/stock');
+
+const router = express.Router();
+checkObjectIdParams(router);
+
+// Rutas para RepairRequest (ya existentes)
+// Cualquiera puede crear una solicitud; listarlas y cambiar su estado requiere empleado, eliminar requiere admin
+
+const createRepairSchema = z.object({
+  bikeType: fields.text(60),
+  bikeBrand: fields.text(60),
+  problemDescription: fields.text(2000),
+  contactName: fields.text(120),
+  contactEmail: fields.email(),
+  contactPhone: fields.phoneCL().optional(),
+});
+
+const updateRepairSchema = z.object({
+  status: z.enum(REPAIR_STATUSES).optional(),
+  note: fields.text(500).optional(),
+});
+
+const trackingCodeParamsSchema = z.object({
+  trackingCode: z.string().trim().toUpperCase().regex(/^MB-[A-Z0-9]{8}$/, 'Código de seguimiento inválido.'),
+});
+
+const quoteResponseSchema = z.object({
+  email: fields.email(),
+  decision: z.enum(['accept', 'reject']),
+});
+
+const assignTechnicianSchema = z.object({
+  technicianId: fields.objectId(),
+});
+
+const repairQuoteSchema = z.object({
+  laborCost: fields.money(),
+  description: fields.text(1000).optional(),
+});
+
+const repairPartSchema = z.object({
+  itemId: fields.objectId(),
+  quantity: fields.quantity().default(1),
+});
+
+const repairNoteSchema = z.object({
+  text: fields.text(2000),
+});
+
+// Busca una reparación por el :id de la ruta o lanza un 404
+async function findRepairOr404(id, session = null) {
+  const repair = await RepairRequest.findById(id).session(session);
+  if (!repair) {
+    throw httpError(404, 'Solicitud de reparación no encontrada');
+  }
+  return repair;
+}
+
+// Quita el repuesto de la reparación y devuelve su stock (si el ítem aún existe, aunque esté en la papelera)
+async function returnPartToStock(repair, part, reason, req, session) {
+  if (await InventoryItem.exists({ _id: part.itemId }).setOptions({ session, withDeleted: true })) {
+    await recordStockMovement({
+      itemId: part.itemId,
+      quantity: part.quantity,
+      type: 'Devolución',
+      reason,
+      actor: actorFromAuth(req.auth),
+      reference: { model: 'RepairRequest', id: repair._id },
+    }, session);
+  }
+  part.deleteOne();
+}
+
+// GET all repair requests
+router.get('/api/repairs', authenticate, requireEmployee, async (req, res) => {
+  const repairs = await RepairRequest.find();
+  res.json(repairs);
+});
+
+// GET: Reparaciones eliminadas (papelera), las más recientes primero
+router.get('/api/repairs/deleted', authenticate, requireAdmin, async (req, res) => {
+  const repairs = await RepairRequest.find({ deletedAt: { $ne: null } }).sort({ deletedAt: -1 });
+  res.json(repairs);
+});
+
+// POST a new repair request
+router.post('/api/repairs', validate({ body: createRepairSchema }), async (req, res) => {
+  const repair = new RepairRequest({
+    bikeType: req.body.bikeType,
+    bikeBrand: req.body.bikeBrand,
+    problemDescription: req.body.problemDescription,
+    contactName: req.body.contactName,
+    contactEmail: req.body.contactEmail,
+    contactPhone: req.body.contactPhone,
+    trackingCode: generateTrackingCode(),
+  });
+  applyRepairStatus(repair, 'Pendiente', undefined, 'Solicitud recibida');
+
+  const newRepair = await repair.save();
+  res.status(201).json(newRepair); // 201 Created
+});
+
+// PUT (update) repair status, según REPAIR_TRANSITIONS
+router.put('/api/repairs/:id', authenticate, requireEmployee, validate({ body: updateRepairSchema }), async (req, res) => {
+  const updatedRepair = await runInTransaction(async session => {
+    const repair = await findRepairOr404(req.params.id, session);
+    const before = repair.toObject();
+
+    const statusChanged = req.body.status && req.body.status !== repair.status;
+    if (statusChanged) {
+      const allowed = REPAIR_TRANSITIONS[repair.status] || [];
+      if (!allowed.includes(req.body.status)) {
+        throw httpError(409, `No se puede pasar una reparación de '${repair.status}' a '${req.body.status}'.`, {
+          code: 'INVALID_TRANSITION',
+          details: { allowedTransitions: allowed },
+        });
+      }
+      // Una reparación cancelada no usa sus repuestos: vuelven al inventario
+      if (req.body.status === 'Cancelada') {
+        for (const part of [...repair.parts]) {
+          await returnPartToStock(repair, part, `Reparación ${repair.trackingCode || repair._id} cancelada`, req, session);
+        }
+      }
+      applyRepairStatus(repair, req.body.status, req.auth.id, req.body.note);
+    }
+    // Puedes añadir más campos para actualizar aquí si es necesario
+
+    const savedRepair = await repair.save({ session });
+    await recordAudit(req, {
+      action: 'Actualizar',
+      model: 'RepairRequest',
+      id: savedRepair._id,
+      before,
+      after: savedRepair,
+      summary: statusChanged ? `Estado: ${before.status} → ${savedRepair.status}` : undefined,
+    }, session);
+    if (statusChanged && savedRepair.status === 'Completada') {
+      await notify('repair.completed', savedRepair, session);
+    }
+    return savedRepair;
+  });
+  res.json(updatedRepair);
+});
+
+// **********************************************
+// NUEVAS RUTAS: Flujo de trabajo del taller
+// **********************************************
+
+// GET: Seguimiento público por código (sin iniciar sesión). No expone notas internas ni datos del personal.
+router.get('/api/repairs/track/:trackingCode', validate({ params: trackingCodeParamsSchema }), async (req, res) => {
+  const repair = await RepairRequest.findOne({ trackingCode: req.params.trackingCode });
+  if (!repair) {
+    throw httpError(404, 'Código de seguimiento no encontrado');
+  }
+
+  res.json({
+    trackingCode: repair.trackingCode,
+    bikeType: repair.bikeType,
+    bikeBrand: repair.bikeBrand,
+    problemDescription: repair.problemDescription,
+    date: repair.date,
+    status: repair.status,
+    statusHistory: repair.statusHistory.map(h => ({ status: h.status, changedAt: h.changedAt, note: h.note })),
+    quote: repair.quote && repair.quote.status ? {
+      laborCost: repair.quote.laborCost,
+      description: repair.quote.description,
+      status: repair.quote.status,
+      quotedAt: repair.quote.quotedAt,
+    } : null,
+    parts: repair.parts.map(p => ({ name: p.name, quantity: p.quantity, unitPrice: p.unitPrice })),
+    ...repairTotalCost(repair),
+  });
+});
+
+// POST: El cliente acepta o rechaza el presupuesto. Requiere el código y el email de contacto.
+router.post('/api/repairs/track/:trackingCode/quote-response', validate({ params: trackingCodeParamsSchema, body: quoteResponseSchema }), async (req, res) => {
+  const { email, decision } = req.body;
+
+  const repair = await RepairRequest.findOne({ trackingCode: req.params.trackingCode });
+  if (!repair || repair.contactEmail.toLowerCase() !== email.toLowerCase()) {
+    throw httpError(404, 'Código de seguimiento no encontrado');
+  }
+  if (!repair.quote || repair.quote.status !== 'Pendiente') {
+    throw httpError(409, 'No hay un presupuesto pendiente de respuesta.');
+  }
+
+  repair.quote.status = decision === 'accept' ? 'Aceptado' : 'Rechazado';
+  repair.quote.respondedAt = new Date();
+  await repair.save();
+  res.json({ message: `Presupuesto ${repair.quote.status.toLowerCase()}`, quote: repair.quote });
+});
+
+// GET: Detalle completo de una reparación (empleados)
+router.get('/api/repairs/:id', authenticate, requireEmployee, async (req, res) => {
+  const repair = await findRepairOr404(req.params.id);
+  await repair.populate('technician', 'firstName lastName email');
+  res.json({ ...repair.toObject(), ...repairTotalCost(repair) });
+});
+
+// PUT: Asigna un técnico (Employee) a la reparación
+router.put('/api/repairs/:id/technician', authenticate, requireEmployee, validate({ body: assignTechnicianSchema }), async (req, res) => {
+  const repair = await findRepairOr404(req.params.id);
+  const technician = await Employee.findById(req.body.technicianId);
+  if (!technician) {
+    throw httpError(404, 'Técnico no encontrado');
+  }
+
+  const before = repair.toObject();
+  repair.technician = technician._id;
+  repair.notes.push({ text: `Técnico asignado: ${technician.firstName} ${technician.lastName}`, author: req.auth.id });
+  const updatedRepair = await repair.save();
+  await recordAudit(req, { action: 'Actualizar', model: 'RepairRequest', id: repair._id, before, after: updatedRepair, summary: 'Técnico asignado' });
+  res.json(updatedRepair);
+});
+
+// PUT: Registra o reemplaza el presupuesto de mano de obra; queda pendiente de respuesta del cliente
+router.put('/api/repairs/:id/quote', authenticate, requireEmployee, validate({ body: repairQuoteSchema }), async (req, res) => {
+  const repair = await findRepairOr404(req.params.id);
+  if (['Completada', 'Cancelada'].includes(repair.status)) {
+    throw httpError(409, `No se puede presupuestar una reparación ${repair.status.toLowerCase()}.`);
+  }
+
+  const before = repair.toObject();
+  repair.quote = {
+    laborCost: req.body.laborCost,
+    description: req.body.description,
+    status: 'Pendiente',
+    quotedBy: req.auth.id,
+    quotedAt: new Date(),
+  };
+  const updatedRepair = await repair.save();
+  await recordAudit(req, { action: 'Actualizar', model: 'RepairRequest', id: repair._id, before, after: updatedRepair, summary: 'Presupuesto registrado' });
+  res.json(updatedRepair);
+});
+
+// POST: Agrega un repuesto (InventoryItem de categoría 'Repuesto') y descuenta su stock
+router.post('/api/repairs/:id/parts', authenticate, requireEmployee, validate({ body: repairPartSchema }), async (req, res) => {
+  const { itemId, quantity } = req.body;
+
+  const updatedRepair = await runInTransaction(async session => {
+    const repair = await findRepairOr404(req.params.id, session);
+    if (['Completada', 'Cancelada'].includes(repair.status)) {
+      throw httpError(409, `No se pueden agregar repuestos a una reparación ${repair.status.toLowerCase()}.`);
+    }
+
+    const part = await InventoryItem.findById(itemId).session(session);
+    if (!part || part.category !== 'Repuesto') {
+      throw httpError(404, 'Repuesto no encontrado en el inventario.');
+    }
+    const before = repair.toObject();
+
+    await recordStockMovement({
+      itemId: part._id,
+      quantity: -quantity,
+      type: 'Uso en reparación',
+      reason: `Reparación ${repair.trackingCode || repair._id}`,
+      actor: actorFromAuth(req.auth),
+      reference: { model: 'RepairRequest', id: repair._id },
+    }, session);
+
+    repair.parts.push({ itemId: part._id, name: part.name, quantity, unitPrice: part.price, addedBy: req.auth.id });
+    const savedRepair = await repair.save({ session });
+    await recordAudit(req, { action: 'Actualizar', model: 'RepairRequest', id: repair._id, before, after: savedRepair, summary: `Repuesto agregado: ${quantity} x ${part.name}` }, session);
+    return savedRepair;
+  });
+
+  res.status(201).json(updatedRepair);
+});
+
+// DELETE: Quita un repuesto de la reparación y devuelve su stock.
+// No en reparaciones completadas (ya cobradas) o canceladas (sus repuestos ya volvieron al inventario).
+router.delete('/api/repairs/:id/parts/:partId', authenticate, requireEmployee, async (req, res) => {
+  const updatedRepair = await runInTransaction(async session => {
+    const repair = await findRepairOr404(req.params.id, session);
+    if (['Completada', 'Cancelada'].includes(repair.status)) {
+      throw httpError(409, `No se pueden quitar repuestos de una reparación ${repair.status.toLowerCase()}.`);
+    }
+    const part = repair.parts.id(req.params.partId);
+    if (!part) {
+      throw httpError(404, 'Repuesto no encontrado en la reparación.');
+    }
+    const before = repair.toObject();
+
+    await returnPartToStock(repair, part, `Repuesto quitado de la reparación ${repair.trackingCode || repair._id}`, req, session);
+    const savedRepair = await repair.save({ session });
+    await recordAudit(req, { action: 'Actualizar', model: 'RepairRequest', id: repair._id, before, after: savedRepair, summary: `Repuesto quitado: ${part.quantity} x ${part.name}` }, session);
+    return savedRepair;
+  });
+
+  res.json(updatedRepair);
+});
+
+// POST: Agrega una nota interna
+router.post('/api/repairs/:id/notes', authenticate, requireEmployee, validate({ body: repairNoteSchema }), async (req, res) => {
+  const repair = await findRepairOr404(req.params.id);
+  const before = repair.toObject();
+  repair.notes.push({ text: req.body.text, author: req.auth.id });
+  const updatedRepair = await repair.save();
+  await recordAudit(req, { action: 'Actualizar', model: 'RepairRequest', id: repair._id, before, after: updatedRepair, summary: 'Nota agregada' });
+  res.status(201).json(updatedRepair);
+});
+
+// DELETE a repair request
+// Borrado lógico (se puede restaurar); ?permanent=true la elimina definitivamente
+router.delete('/api/repairs/:id', authenticate, requireAdmin, validate({ query: deleteQuerySchema }), async (req, res) => {
+  await runInTransaction(async session => {
+    if (req.query.permanent) {
+      const deleted = await RepairRequest.findOneAndDelete({ _id: req.params.id }, { session });
+      if (!deleted) {
+        throw httpError(404, 'Solicitud de reparación no encontrada');
+      }
+      return recordAudit(req, { action: 'Eliminar definitivamente', model: 'RepairRequest', id: deleted._id, before: deleted }, session);
+    }
+
+    const repair = await findRepairOr404(req.params.id, session);
+    const before = repair.toObject();
+    repair.deletedAt = new Date();
+    repair.deletedBy = req.auth.id;
+    await repair.save({ session });
+    await recordAudit(req, { action: 'Eliminar', model: 'RepairRequest', id: repair._id, before, after: repair }, session);
+  });
+  res.json({ message: req.query.permanent ? 'Solicitud de reparación eliminada definitivamente' : 'Solicitud de reparación eliminada. Se puede restaurar desde la papelera.' });
+});
+
+// POST: Restaura una reparación eliminada
+router.post('/api/repairs/:id/restore', authenticate, requireAdmin, async (req, res) => {
+  const restoredRepair = await runInTransaction(async session => {
+    const repair = await RepairRequest.findOne({ _id: req.params.id, deletedAt: { $ne: null } }).session(session);
+    if (!repair) {
+      throw httpError(404, 'No hay una reparación eliminada con ese ID');
+    }
+    const before = repair.toObject();
+    repair.deletedAt = null;
+    repair.deletedBy = undefined;
+    await repair.save({ session });
+    await recordAudit(req, { action: 'Restaurar', model: 'RepairRequest', id: repair._id, before, after: repair }, session);
+    return repair;
+  });
+  res.json(restoredRepair);
+});
+
+module.exports = router;
@@ -0,0 +1,374 @@
+const express = require('express');
+const { z } = require('zod');
+const { DAY_MS, IVA_RATE } = require('../config');
+const {
+  BikeForRent,
+  DispatchRecord,
+  InventoryItem,
+  REPAIR_STATUSES,
+  Rental,
+  RepairRequest,
+  StockMovement,
+} = require('../models');
+const { httpError } = require('../utils/errors');
+const { startOfDay, toCsv } = require('../utils/helpers');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { fields, validate } = require('../middleware/validate');
+
+const router = express.Router();
+
+// **********************************************
+// NUEVAS RUTAS: Reportes para el administrador
+// **********************************************
+// Todos aceptan ?from=&to= (fechas incluidas; por defecto los últimos REPORT_DEFAULT_DAYS días)
+// y ?format=json|csv. Los cálculos se hacen con pipelines de agregación en MongoDB.
+
+const REPORT_DEFAULT_DAYS = 30;
+const REPORT_MAX_LIMIT = 100;
+
+const reportQuerySchema = z.object({
+  from: fields.date().optional(),
+  to: fields.date().optional(),
+  format: z.enum(['json', 'csv']).default('json'),
+});
+
+const revenueReportQuerySchema = reportQuerySchema.extend({
+  groupBy: z.enum(['day', 'week', 'month']).default('day'),
+});
+
+const topSellersReportQuerySchema = reportQuerySchema.extend({
+  limit: fields.queryInt().pipe(z.number().min(1).max(REPORT_MAX_LIMIT)).default('10'),
+  sortBy: z.enum(['revenue', 'units']).default('revenue'),
+});
+
+// Rango [from, to) del reporte; to se incluye completo
+function parseReportRange(query) {
+  const to = new Date(startOfDay(query.to || Date.now()).getTime() + DAY_MS);
+  const from = query.from ? startOfDay(query.from) : new Date(to.getTime() - REPORT_DEFAULT_DAYS * DAY_MS);
+  if (to <= from) {
+    throw httpError(400, 'La fecha final del reporte debe ser igual o posterior a la inicial.', {
+      code: 'VALIDATION_ERROR',
+      errors: [{ field: 'to', message: 'Debe ser igual o posterior a from.' }],
+    });
+  }
+  return { from, to };
+}
+
+// Responde el reporte en JSON o como archivo CSV (solo las filas; el resumen va en JSON)
+function sendReport(req, res, { name, from, to, columns, rows, summary }) {
+  const lastDay = new Date(to.getTime() - DAY_MS);
+  if (req.query.format === 'csv') {
+    const fileName = `${name}_${from.toISOString().slice(0, 10)}_${lastDay.toISOString().slice(0, 10)}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    return res.send(`\uFEFF${toCsv(rows, columns)}`); // BOM para que Excel lea bien los acentos
+  }
+  res.json({ from, to: lastDay, ...summary, rows });
+}
+
+// Filtro de ventas del período: los despachos cancelados o sin pagar no cuentan
+function salesMatch(from, to) {
+  return { $match: { purchaseDate: { $gte: from, $lt: to }, status: { $nin: ['Cancelado', 'Pago Pendiente'] } } };
+}
+
+// GET: Ingresos por día, semana (desde el lunes) o mes.
+// Ventas por fecha de compra; arriendos no cancelados por fecha de inicio.
+router.get('/api/reports/revenue', authenticate, requireAdmin, validate({ query: revenueReportQuerySchema }), async (req, res) => {
+  const { from, to } = parseReportRange(req.query);
+  const period = date => ({
+    $dateToString: { format: '%Y-%m-%d', date: { $dateTrunc: { date, unit: req.query.groupBy, startOfWeek: 'monday' } } },
+  });
+
+  const rows = await DispatchRecord.aggregate([
+    salesMatch(from, to),
+    { $project: {
+      period: period('$purchaseDate'),
+      orders: { $literal: 1 },
+      salesRevenue: '$totalAmount',
+      taxAmount: { $ifNull: ['$taxAmount', 0] },
+      shippingRevenue: { $ifNull: ['$shippingCost', 0] },
+      rentals: { $literal: 0 },
+      rentalRevenue: { $literal: 0 },
+    } },
+    { $unionWith: {
+      coll: Rental.collection.name,
+      pipeline: [
+        { $match: { startDate: { $gte: from, $lt: to }, status: { $ne: 'Cancelado' } } },
+        { $project: {
+          period: period('$startDate'),
+          orders: { $literal: 0 },
+          salesRevenue: { $literal: 0 },
+          taxAmount: { $literal: 0 },
+          shippingRevenue: { $literal: 0 },
+          rentals: { $literal: 1 },
+          rentalRevenue: '$totalPrice',
+        } },
+      ],
+    } },
+    { $group: {
+      _id: '$period',
+      orders: { $sum: '$orders' },
+      salesRevenue: { $sum: '$salesRevenue' },
+      taxAmount: { $sum: '$taxAmount' },
+      shippingRevenue: { $sum: '$shippingRevenue' },
+      rentals: { $sum: '$rentals' },
+      rentalRevenue: { $sum: '$rentalRevenue' },
+    } },
+    { $sort: { _id: 1 } },
+    { $project: {
+      _id: 0,
+      period: '$_id',
+      orders: 1,
+      salesRevenue: 1,
+      taxAmount: 1,
+      shippingRevenue: 1,
+      rentals: 1,
+      rentalRevenue: 1,
+      totalRevenue: { $add: ['$salesRevenue', '$rentalRevenue'] },
+    } },
+  ]);
+
+  const totals = rows.reduce((sum, row) => ({
+    orders: sum.orders + row.orders,
+    salesRevenue: sum.salesRevenue + row.salesRevenue,
+    rentals: sum.rentals + row.rentals,
+    rentalRevenue: sum.rentalRevenue + row.rentalRevenue,
+    totalRevenue: sum.totalRevenue + row.totalRevenue,
+  }), { orders: 0, salesRevenue: 0, rentals: 0, rentalRevenue: 0, totalRevenue: 0 });
+
+  sendReport(req, res, {
+    name: `ingresos-${req.query.groupBy}`,
+    from,
+    to,
+    columns: ['period', 'orders', 'salesRevenue', 'taxAmount', 'shippingRevenue', 'rentals', 'rentalRevenue', 'totalRevenue'],
+    rows,
+    summary: { groupBy: req.query.groupBy, totals },
+  });
+});
+
+// Etapas comunes de los reportes de más vendidos: una fila por línea de despacho, con los datos actuales del ítem
+function soldLinesPipeline(from, to) {
+  return [
+    salesMatch(from, to),
+    { $unwind: '$items' },
+    { $lookup: { from: InventoryItem.collection.name, localField: 'items.itemId', foreignField: '_id', as: 'inventoryItem' } },
+    { $project: {
+      itemId: '$items.itemId',
+      name: '$items.name',
+      brand: { $ifNull: [{ $first: '$inventoryItem.brand' }, 'Sin marca'] },
+      category: { $first: '$inventoryItem.category' },
+      quantity: '$items.quantity',
+      // Lo cobrado por la línea: su total menos su parte de los descuentos de promociones
+      lineTotal: { $subtract: [
+        { $ifNull: ['$items.lineTotal', { $multiply: ['$items.priceAtPurchase', '$items.quantity'] }] },
+        { $ifNull: ['$items.discountAmount', 0] },
+      ] },
+    } },
+  ];
+}
+
+function topSellersSort(sortBy) {
+  return sortBy === 'units' ? { unitsSold: -1, revenue: -1 } : { revenue: -1, unitsSold: -1 };
+}
+
+// GET: Productos más vendidos (?limit=10 ?sortBy=revenue|units)
+router.get('/api/reports/top-items', authenticate, requireAdmin, validate({ query: topSellersReportQuerySchema }), async (req, res) => {
+  const { from, to } = parseReportRange(req.query);
+  const rows = await DispatchRecord.aggregate([
+    ...soldLinesPipeline(from, to),
+    { $group: {
+      _id: '$itemId',
+      name: { $last: '$name' },
+      brand: { $last: '$brand' },
+      category: { $last: '$category' },
+      orders: { $sum: 1 },
+      unitsSold: { $sum: '$quantity' },
+      revenue: { $sum: '$lineTotal' },
+    } },
+    { $sort: topSellersSort(req.query.sortBy) },
+    { $limit: req.query.limit },
+    { $project: { _id: 0, itemId: '$_id', name: 1, brand: 1, category: 1, orders: 1, unitsSold: 1, revenue: 1 } },
+  ]);
+
+  sendReport(req, res, {
+    name: 'productos-mas-vendidos',
+    from,
+    to,
+    columns: ['itemId', 'name', 'brand', 'category', 'orders', 'unitsSold', 'revenue'],
+    rows,
+    summary: { sortBy: req.query.sortBy },
+  });
+});
+
+// GET: Marcas más vendidas (?limit=10 ?sortBy=revenue|units)
+router.get('/api/reports/top-brands', authenticate, requireAdmin, validate({ query: topSellersReportQuerySchema }), async (req, res) => {
+  const { from, to } = parseReportRange(req.query);
+  const rows = await DispatchRecord.aggregate([
+    ...soldLinesPipeline(from, to),
+    { $group: {
+      _id: '$brand',
+      items: { $addToSet: '$itemId' },
+      unitsSold: { $sum: '$quantity' },
+      revenue: { $sum: '$lineTotal' },
+    } },
+    { $sort: topSellersSort(req.query.sortBy) },
+    { $limit: req.query.limit },
+    { $project: { _id: 0, brand: '$_id', distinctItems: { $size: '$items' }, unitsSold: 1, revenue: 1 } },
+  ]);
+
+  sendReport(req, res, {
+    name: 'marcas-mas-vendidas',
+    from,
+    to,
+    columns: ['brand', 'distinctItems', 'unitsSold', 'revenue'],
+    rows,
+    summary: { sortBy: req.query.sortBy },
+  });
+});
+
+// GET: Uso de cada bicicleta de arriendo en el período.
+// usageRate = días arrendados / días disponibles (días del período menos los de mantención).
+router.get('/api/reports/rental-usage', authenticate, requireAdmin, validate({ query: reportQuerySchema }), async (req, res) => {
+  const { from, to } = parseReportRange(req.query);
+  const periodDays = Math.round((to - from) / DAY_MS);
+  // Días de [start, end) que caen dentro del período
+  const overlapDays = (start, end) => ({
+    $max: [0, { $divide: [{ $subtract: [{ $min: [end, to] }, { $max: [start, from] }] }, DAY_MS] }],
+  });
+
+  const rows = await BikeForRent.aggregate([
+    { $lookup: {
+      from: Rental.collection.name,
+      let: { bikeId: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$bikeId', '$$bikeId'] }, status: { $ne: 'Cancelado' }, startDate: { $lt: to }, endDate: { $gt: from } } },
+        { $project: { days: overlapDays('$startDate', '$endDate'), totalPrice: 1 } },
+      ],
+      as: 'rentals',
+    } },
+    { $project: {
+      _id: 0,
+      bikeId: '$_id',
+      name: 1,
+      retired: 1,
+      rentals: { $size: '$rentals' },
+      rentedDays: { $sum: '$rentals.days' },
+      revenue: { $sum: '$rentals.totalPrice' },
+      maintenanceDays: { $sum: { $map: { input: { $ifNull: ['$maintenanceBlocks', []] }, in: overlapDays('$$this.startDate', '$$this.endDate') } } },
+    } },
+    { $addFields: { availableDays: { $max: [0, { $subtract: [periodDays, '$maintenanceDays'] }] } } },
+    { $addFields: {
+      usageRate: { $cond: [{ $gt: ['$availableDays', 0] }, { $round: [{ $divide: ['$rentedDays', '$availableDays'] }, 4] }, 0] },
+    } },
+    { $sort: { usageRate: -1, name: 1 } },
+  ]);
+
+  const totalRented = rows.reduce((sum, row) => sum + row.rentedDays, 0);
+  const totalAvailable = rows.reduce((sum, row) => sum + row.availableDays, 0);
+  sendReport(req, res, {
+    name: 'uso-arriendos',
+    from,
+    to,
+    columns: ['bikeId', 'name', 'retired', 'rentals', 'rentedDays', 'maintenanceDays', 'availableDays', 'usageRate', 'revenue'],
+    rows,
+    summary: { periodDays, fleetUsageRate: totalAvailable > 0 ? Math.round((totalRented / totalAvailable) * 10000) / 10000 : 0 },
+  });
+});
+
+// GET: Reparaciones recibidas en el período, por estado.
+// averageDays: para Completada/Cancelada, días desde la solicitud hasta el cierre; para las abiertas, días que llevan abiertas.
+router.get('/api/reports/repairs', authenticate, requireAdmin, validate({ query: reportQuerySchema }), async (req, res) => {
+  const { from, to } = parseReportRange(req.query);
+  const grouped = await RepairRequest.aggregate([
+    { $match: { date: { $gte: from, $lt: to } } },
+    { $addFields: {
+      // Cuándo llegó al estado actual (última entrada del historial con ese estado)
+      reachedAt: { $max: { $map: {
+        input: { $filter: { input: '$statusHistory', cond: { $eq: ['$$this.status', '$status'] } } },
+        in: '$$this.changedAt',
+      } } },
+    } },
+    { $group: {
+      _id: '$status',
+      count: { $sum: 1 },
+      averageMs: { $avg: { $cond: [
+        { $in: ['$status', ['Completada', 'Cancelada']] },
+        { $subtract: ['$reachedAt', '$date'] },
+        { $subtract: ['$$NOW', '$date'] },
+      ] } },
+    } },
+  ]);
+
+  const byStatus = new Map(grouped.map(g => [g._id, g]));
+  const rows = REPAIR_STATUSES.map(status => {
+    const group = byStatus.get(status);
+    return {
+      status,
+      count: group ? group.count : 0,
+      averageDays: group && group.averageMs !== null ? Math.round((group.averageMs / DAY_MS) * 100) / 100 : null,
+    };
+  });
+  const completed = rows.find(row => row.status === 'Completada');
+
+  sendReport(req, res, {
+    name: 'reparaciones',
+    from,
+    to,
+    columns: ['status', 'count', 'averageDays'],
+    rows,
+    summary: { total: rows.reduce((sum, row) => sum + row.count, 0), averageRepairDays: completed.averageDays },
+  });
+});
+
+// GET: Valor del inventario a precios actuales, por categoría, con las entradas y salidas de stock del período
+router.get('/api/reports/inventory-value', authenticate, requireAdmin, validate({ query: reportQuerySchema }), async (req, res) => {
+  const { from, to } = parseReportRange(req.query);
+  const [stockByCategory, movementsByCategory] = await Promise.all([
+    InventoryItem.aggregate([
+      { $group: {
+        _id: '$category',
+        items: { $sum: 1 },
+        outOfStock: { $sum: { $cond: [{ $lte: ['$stock', 0] }, 1, 0] } },
+        unitsInStock: { $sum: '$stock' },
+        stockValue: { $sum: { $multiply: ['$price', '$stock'] } },
+      } },
+    ]),
+    StockMovement.aggregate([
+      { $match: { createdAt: { $gte: from, $lt: to } } },
+      { $lookup: { from: InventoryItem.collection.name, localField: 'itemId', foreignField: '_id', as: 'inventoryItem' } },
+      { $group: {
+        _id: { $ifNull: [{ $first: '$inventoryItem.category' }, 'Eliminado'] },
+        unitsIn: { $sum: { $cond: [{ $gt: ['$quantity', 0] }, '$quantity', 0] } },
+        unitsOut: { $sum: { $cond: [{ $lt: ['$quantity', 0] }, { $abs: '$quantity' }, 0] } },
+      } },
+    ]),
+  ]);
+
+  const movements = new Map(movementsByCategory.map(m => [m._id, m]));
+  const rows = stockByCategory
+    .map(group => ({
+      category: group._id,
+      items: group.items,
+      outOfStock: group.outOfStock,
+      unitsInStock: group.unitsInStock,
+      stockValue: group.stockValue,
+      netStockValue: Math.round(group.stockValue / (1 + IVA_RATE)), // Los precios incluyen IVA
+      unitsIn: movements.has(group._id) ? movements.get(group._id).unitsIn : 0,
+      unitsOut: movements.has(group._id) ? movements.get(group._id).unitsOut : 0,
+    }))
+    .sort((a, b) => b.stockValue - a.stockValue);
+
+  sendReport(req, res, {
+    name: 'valor-inventario',
+    from,
+    to,
+    columns: ['category', 'items', 'outOfStock', 'unitsInStock', 'stockValue', 'netStockValue', 'unitsIn', 'unitsOut'],
+    rows,
+    summary: {
+      totalStockValue: rows.reduce((sum, row) => sum + row.stockValue, 0),
+      totalNetStockValue: rows.reduce((sum, row) => sum + row.netStockValue, 0),
+    },
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,195 @@
+const express = require('express');
+const { z } = require('zod');
+const { REVIEW_TARGET_MODELS, Review, User } = require('../models');
+const { httpError } = require('../utils/errors');
+const { authenticate, requireCustomer, requireEmployee } = require('../middleware/auth');
+const { checkObjectIdParams, fields, validate } = require('../middleware/validate');
+const { recordAudit } = require('../services/audit');
+const {
+  assertCanReview,
+  findReviewTargetOr404,
+  publicReview,
+  refreshRatingSummary,
+  reviewAuthorName,
+} = require('../services/reviews');
+
+const router = express.Router();
+checkObjectIdParams(router);
+
+// **********************************************
+// NUEVAS RUTAS: Reseñas y calificaciones de productos y bicicletas de arriendo
+// **********************************************
+// El promedio y la cantidad de reseñas visibles se guardan en el campo rating del producto
+// (lo devuelven GET /api/inventory y GET /api/bikes) y se recalculan en cada cambio.
+
+const REVIEW_MAX_LIMIT = 100;
+
+const reviewBodySchema = z.object({
+  rating: z.number().int('Debe ser un número entero.').min(1).max(5),
+  comment: z.string().trim().max(2000).optional(),
+});
+
+const updateReviewSchema = reviewBodySchema.partial().refine(body => Object.keys(body).length > 0, {
+  message: 'Indica la calificación o el comentario.',
+});
+
+const reviewListQuerySchema = z.object({
+  page: fields.queryInt().pipe(z.number().min(1)).default('1'),
+  limit: fields.queryInt().pipe(z.number().min(1).max(REVIEW_MAX_LIMIT)).default('20'),
+});
+
+const moderationListQuerySchema = z.object({
+  targetModel: z.enum(REVIEW_TARGET_MODELS).optional(),
+  targetId: fields.objectId().optional(),
+  hidden: fields.queryBool().optional(),
+  maxRating: fields.queryInt().pipe(z.number().min(1).max(5)).optional(), // Para revisar primero las peores
+  limit: fields.queryInt().pipe(z.number().min(1).max(REVIEW_MAX_LIMIT)).default('100'),
+});
+
+const hideReviewSchema = z.object({
+  reason: fields.text(500),
+});
+
+// Reseñas: mismas rutas para el inventario y la flota de arriendo
+const REVIEW_ROUTES = [
+  { basePath: '/api/inventory', targetModel: 'InventoryItem' },
+  { basePath: '/api/bikes', targetModel: 'BikeForRent' },
+];
+
+for (const { basePath, targetModel } of REVIEW_ROUTES) {
+  // GET: Reseñas visibles del producto, las más recientes primero (?page= ?limit=)
+  router.get(`${basePath}/:id/reviews`, validate({ query: reviewListQuerySchema }), async (req, res) => {
+    const target = await findReviewTargetOr404(targetModel, req.params.id);
+    const { page, limit } = req.query;
+    const filter = { targetModel, targetId: target._id, hidden: false };
+    const [reviews, total] = await Promise.all([
+      Review.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+      Review.countDocuments(filter),
+    ]);
+    res.json({
+      rating: target.rating,
+      reviews: reviews.map(publicReview),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    });
+  });
+
+  // POST: El cliente reseña un producto que recibió o una bicicleta que arrendó (una reseña por producto)
+  router.post(`${basePath}/:id/reviews`, authenticate, requireCustomer, validate({ body: reviewBodySchema }), async (req, res) => {
+    const target = await findReviewTargetOr404(targetModel, req.params.id);
+    const user = await User.findById(req.auth.id);
+    if (!user) {
+      throw httpError(404, 'Cuenta no encontrada');
+    }
+    await assertCanReview(user, targetModel, target._id);
+
+    if (await Review.exists({ userId: user._id, targetModel, targetId: target._id })) {
+      throw httpError(409, 'Ya reseñaste este producto. Puedes editar tu reseña.', { code: 'ALREADY_REVIEWED' });
+    }
+    const review = await Review.create({
+      targetModel,
+      targetId: target._id,
+      userId: user._id,
+      authorName: reviewAuthorName(user),
+      ...req.body,
+    });
+    const rating = await refreshRatingSummary(targetModel, target._id);
+    res.status(201).json({ review: publicReview(review), rating });
+  });
+}
+
+// GET: Reseñas del cliente con sesión iniciada (incluye las ocultas, para que sepa cuáles no se muestran)
+router.get('/api/my-reviews', authenticate, requireCustomer, async (req, res) => {
+  const reviews = await Review.find({ userId: req.auth.id }).sort({ createdAt: -1 });
+  res.json(reviews.map(review => ({
+    ...publicReview(review),
+    targetModel: review.targetModel,
+    targetId: review.targetId,
+    hidden: review.hidden,
+  })));
+});
+
+// Reseña propia del cliente, o 404 (también si es de otro cliente)
+async function findOwnReviewOr404(req) {
+  const review = await Review.findOne({ _id: req.params.id, userId: req.auth.id });
+  if (!review) {
+    throw httpError(404, 'Reseña no encontrada');
+  }
+  return review;
+}
+
+// PUT: El cliente edita la calificación o el comentario de su reseña
+router.put('/api/reviews/:id', authenticate, requireCustomer, validate({ body: updateReviewSchema }), async (req, res) => {
+  const review = await findOwnReviewOr404(req);
+  Object.assign(review, req.body);
+  await review.save();
+  const rating = await refreshRatingSummary(review.targetModel, review.targetId);
+  res.json({ review: publicReview(review), rating });
+});
+
+// DELETE: El cliente elimina su reseña
+router.delete('/api/reviews/:id', authenticate, requireCustomer, async (req, res) => {
+  const review = await findOwnReviewOr404(req);
+  await review.deleteOne();
+  const rating = await refreshRatingSummary(review.targetModel, review.targetId);
+  res.json({ message: 'Reseña eliminada', rating });
+});
+
+// **********************************************
+// Moderación de reseñas (empleados)
+// **********************************************
+
+// GET: Últimas reseñas con todos sus datos, con filtros ?targetModel= ?targetId= ?hidden= ?maxRating= ?limit=
+router.get('/api/reviews', authenticate, requireEmployee, validate({ query: moderationListQuerySchema }), async (req, res) => {
+  const filter = {};
+  for (const field of ['targetModel', 'targetId', 'hidden']) {
+    if (req.query[field] !== undefined) {
+      filter[field] = req.query[field];
+    }
+  }
+  if (req.query.maxRating) {
+    filter.rating = { $lte: req.query.maxRating };
+  }
+  const reviews = await Review.find(filter).sort({ createdAt: -1 }).limit(req.query.limit);
+  res.json(reviews);
+});
+
+// Oculta o vuelve a mostrar una reseña, recalcula el promedio del producto y deja el cambio en la auditoría
+async function setReviewHidden(req, hidden, reason) {
+  const review = await Review.findById(req.params.id);
+  if (!review) {
+    throw httpError(404, 'Reseña no encontrada');
+  }
+  if (review.hidden === hidden) {
+    throw httpError(409, hidden ? 'La reseña ya está oculta.' : 'La reseña no está oculta.', { code: 'INVALID_TRANSITION' });
+  }
+
+  const before = review.toObject();
+  review.hidden = hidden;
+  review.moderation = { reason, moderatedBy: req.auth.id, moderatedAt: new Date() };
+  await review.save();
+  await refreshRatingSummary(review.targetModel, review.targetId);
+  await recordAudit(req, {
+    action: 'Actualizar',
+    model: 'Review',
+    id: review._id,
+    before,
+    after: review,
+    summary: hidden ? `Reseña oculta: ${reason}` : 'Reseña visible nuevamente',
+  });
+  return review;
+}
+
+// POST: Oculta una reseña abusiva (deja de mostrarse y de contar en el promedio)
+router.post('/api/reviews/:id/hide', authenticate, requireEmployee, validate({ body: hideReviewSchema }), async (req, res) => {
+  res.json(await setReviewHidden(req, true, req.body.reason));
+});
+
+// POST: Vuelve a mostrar una reseña oculta
+router.post('/api/reviews/:id/unhide', authenticate, requireEmployee, async (req, res) => {
+  res.json(await setReviewHidden(req, false, undefined));
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const { AuditLog } = require('../models');
+const { actorFromAuth } = require('../middleware/auth');
+
+// Campos internos que no se registran: contraseñas, contadores de concurrencia, copias para filtros y marcas de tiempo automáticas
+const AUDIT_IGNORED_FIELDS = new Set([
+  '_id', '__v', 'createdAt', 'updatedAt', 'password', 'bookingVersion', 'reservationVersion', 'brandKey', 'partTypeKey',
+]);
+
+// Aplana un documento a { 'campo.subcampo': valor }. Los arreglos se comparan completos.
+function flattenForAudit(value, prefix = '', out = {}) {
+  const isPlainObject = value && typeof value === 'object' && !Array.isArray(value)
+    && !(value instanceof Date) && !value._bsontype && !Buffer.isBuffer(value);
+  if (isPlainObject) {
+    for (const [key, child] of Object.entries(value)) {
+      if (!AUDIT_IGNORED_FIELDS.has(key)) {
+        flattenForAudit(child, prefix ? `${prefix}.${key}` : key, out);
+      }
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+// Lista de { field, before, after } con los campos que difieren entre dos versiones de un documento
+function auditChanges(before, after) {
+  const toPlain = doc => (doc && typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc);
+  const beforeFields = flattenForAudit(toPlain(before) || {});
+  const afterFields = flattenForAudit(toPlain(after) || {});
+  const changes = [];
+  for (const field of new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)])) {
+    const previous = beforeFields[field] ?? null;
+    const current = afterFields[field] ?? null;
+    if (JSON.stringify(previous) !== JSON.stringify(current)) {
+      changes.push({ field, before: previous, after: current });
+    }
+  }
+  return changes;
+}
+
+// Registra un cambio hecho desde la API. before/after: el documento antes y después del cambio (null al crear o eliminar).
+// Pasar la sesión de la transacción en curso para que el registro se confirme o revierta junto con el cambio.
+async function recordAudit(req, { action, model, id, before = null, after = null, summary }, session = null) {
+  await AuditLog.create([{
+    ...actorFromAuth(req.auth),
+    actorEmail: req.auth ? req.auth.email : undefined,
+    action,
+    summary,
+    entity: { model, id },
+    changes: auditChanges(before, after),
+    ip: req.ip,
+    method: req.method,
+    path: req.originalUrl,
+  }], { session });
+}
+
+module.exports = {
+  recordAudit,
+};
@@ -0,0 +1,114 @@
+const { Cart, InventoryItem, StockReservation, Wishlist } = require('../models');
+const { httpError } = require('../utils/errors');
+const { calculateOrderTotals, reservedByOthers } = require('./pricing');
+const { applyPurchasePromotions } = require('./promotions');
+
+function findOrCreateCart(userId, session = null) {
+  return Cart.findOneAndUpdate({ userId }, { $setOnInsert: { userId } }, { upsert: true, new: true, session });
+}
+
+function findOrCreateWishlist(userId) {
+  return Wishlist.findOneAndUpdate({ userId }, { $setOnInsert: { userId } }, { upsert: true, new: true });
+}
+
+function releaseReservations(userId, session = null) {
+  return StockReservation.deleteMany({ userId }, { session });
+}
+
+// Stock que el cliente puede comprar ahora: stock actual menos lo reservado por otros clientes
+async function availableStockFor(items, customerId) {
+  const reserved = await reservedByOthers(items.map(item => item._id), customerId);
+  return new Map(items.map(item => [item._id.toString(), Math.max(0, item.stock - (reserved.get(item._id.toString()) || 0))]));
+}
+
+// Verifica que el ítem exista y que haya stock para la cantidad pedida
+async function assertCartQuantityAvailable(itemId, quantity, customerId) {
+  const item = await InventoryItem.findById(itemId);
+  if (!item) {
+    throw httpError(404, 'Producto no encontrado en el inventario.');
+  }
+  const available = (await availableStockFor([item], customerId)).get(item._id.toString());
+  if (available < quantity) {
+    throw httpError(409, `Stock insuficiente para el producto: ${item.name}. Disponible: ${available}, Solicitado: ${quantity}`, {
+      code: 'INSUFFICIENT_STOCK',
+      details: { itemId: item._id, available, requested: quantity },
+    });
+  }
+  return item;
+}
+
+// Carrito con precios y stock actuales. status de cada línea: Disponible, Stock insuficiente, Sin stock o No disponible.
+// Los totales consideran solo las líneas disponibles y las promociones automáticas vigentes que el cliente todavía puede usar.
+async function buildCartView(cart, customerId) {
+  const inventoryItems = await InventoryItem.find({ _id: { $in: cart.items.map(line => line.itemId) } });
+  const byId = new Map(inventoryItems.map(item => [item._id.toString(), item]));
+  const [available, reservations] = await Promise.all([
+    availableStockFor(inventoryItems, customerId),
+    StockReservation.find({ userId: customerId, expiresAt: { $gt: new Date() } }),
+  ]);
+
+  const items = cart.items.map(line => {
+    const item = byId.get(line.itemId.toString());
+    if (!item) {
+      return { itemId: line.itemId, quantity: line.quantity, status: 'No disponible' };
+    }
+    const availableStock = available.get(item._id.toString());
+    let status = 'Disponible';
+    if (availableStock === 0) {
+      status = 'Sin stock';
+    } else if (availableStock < line.quantity) {
+      status = 'Stock insuficiente';
+    }
+    return {
+      itemId: item._id,
+      sku: item.sku,
+      name: item.name,
+      imageUrl: item.imageUrl,
+      unitPrice: item.price,
+      quantity: line.quantity,
+      lineTotal: item.price * line.quantity,
+      availableStock,
+      status,
+    };
+  });
+
+  const availableLines = items.filter(line => line.status === 'Disponible');
+  const subtotal = availableLines.reduce((sum, line) => sum + line.lineTotal, 0);
+  // Promociones automáticas vigentes (el cupón se ingresa al pagar)
+  const { promotions, discountAmount } = await applyPurchasePromotions(availableLines.map(line => {
+    const item = byId.get(line.itemId.toString());
+    return { ...line, category: item.category, brand: item.brand };
+  }), subtotal, { customerId });
+  return {
+    items,
+    canCheckout: items.length > 0 && items.every(line => line.status === 'Disponible'),
+    promotions,
+    ...calculateOrderTotals(subtotal, discountAmount),
+    reservedUntil: reservations.length > 0 ? new Date(Math.min(...reservations.map(r => r.expiresAt))) : null,
+  };
+}
+
+// Agrega unidades al carrito (o crea la línea) validando el stock
+async function addToCart(userId, itemId, quantity) {
+  const cart = await findOrCreateCart(userId);
+  const line = cart.items.find(l => l.itemId.toString() === itemId);
+  await assertCartQuantityAvailable(itemId, (line ? line.quantity : 0) + quantity, userId);
+  if (line) {
+    line.quantity += quantity;
+  } else {
+    cart.items.push({ itemId, quantity });
+  }
+  await cart.save();
+  await releaseReservations(userId);
+  return cart;
+}
+
+module.exports = {
+  addToCart,
+  assertCartQuantityAvailable,
+  availableStockFor,
+  buildCartView,
+  findOrCreateCart,
+  findOrCreateWishlist,
+  releaseReservations,
+};
@@ -0,0 +1,28 @@
+const { InventoryItem } = require('../models');
+const { releasePromotions } = require('./promotions');
+const { recordStockMovement } = require('./stock');
+
+// Cancela el despacho y devuelve el stock de cada ítem en la misma transacción
+// (si el producto ya no existe, no hay stock que devolver). Las promociones usadas vuelven a estar disponibles.
+async function cancelDispatch(dispatch, reason, actor, session) {
+  for (const item of dispatch.items) {
+    if (!(await InventoryItem.exists({ _id: item.itemId }).setOptions({ session, withDeleted: true }))) {
+      continue;
+    }
+    await recordStockMovement({
+      itemId: item.itemId,
+      quantity: item.quantity,
+      type: 'Devolución',
+      reason,
+      actor,
+      reference: { model: 'DispatchRecord', id: dispatch._id },
+    }, session);
+  }
+  await releasePromotions('DispatchRecord', dispatch._id, session);
+  dispatch.status = 'Cancelado';
+  return dispatch.save({ session });
+}
+
+module.exports = {
+  cancelDispatch,
+};
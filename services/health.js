@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { HEALTH_CHECK_TIMEOUT_MS } = require('../config');
+const { withTimeout } = require('../utils/helpers');
+
+// Estado del proceso para /health y /ready (routes/health.js)
+
+let shuttingDown = false;
+
+// server.js lo marca al recibir SIGTERM: /ready responde 503 para que el balanceador deje de enviar tráfico
+function markShuttingDown() {
+  shuttingDown = true;
+}
+
+function isShuttingDown() {
+  return shuttingDown;
+}
+
+// Estado de la conexión con MongoDB. Las transacciones (runInTransaction, que usan /api/purchase,
+// /api/rentals y el carrito) solo funcionan en un replica set o a través de mongos.
+async function databaseStatus() {
+  const status = {
+    state: mongoose.STATES[mongoose.connection.readyState],
+    replicaSet: null,
+    transactions: false,
+  };
+  if (mongoose.connection.readyState !== mongoose.STATES.connected) {
+    return status;
+  }
+
+  try {
+    const hello = await withTimeout(mongoose.connection.db.admin().command({ hello: 1 }), HEALTH_CHECK_TIMEOUT_MS);
+    status.replicaSet = hello.setName || null;
+    status.transactions = Boolean(hello.setName || hello.msg === 'isdbgrid');
+  } catch (err) {
+    status.error = err.message;
+  }
+  return status;
+}
+
+module.exports = {
+  databaseStatus,
+  isShuttingDown,
+  markShuttingDown,
+};
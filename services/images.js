@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const sharp = require('sharp'); // Procesa las imágenes subidas (miniaturas, EXIF)
+const { IMAGE_MAX_DIMENSION, THUMBNAIL_SIZE } = require('../config');
+const { httpError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+const { storage } = require('./storage');
+
+// Formatos aceptados (según el contenido del archivo, no solo su extensión) → extensión del archivo guardado
+const IMAGE_FORMATS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+
+// Valida que el archivo sea realmente una imagen soportada y genera la versión a guardar y su miniatura.
+// Al recodificar se aplica la orientación EXIF y se descartan los metadatos (ubicación GPS, cámara, etc.).
+async function processImage(file) {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (err) {
+    throw httpError(400, `El archivo ${file.originalname} no es una imagen válida.`, { code: 'UNSUPPORTED_FILE' });
+  }
+  if (!IMAGE_FORMATS[metadata.format]) {
+    throw httpError(400, `El archivo ${file.originalname} no es JPEG, PNG ni WebP.`, { code: 'UNSUPPORTED_FILE' });
+  }
+
+  try {
+    const image = sharp(file.buffer).rotate();
+    const { data, info } = await image.clone()
+      .resize(IMAGE_MAX_DIMENSION, IMAGE_MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+      .toFormat(metadata.format)
+      .toBuffer({ resolveWithObject: true });
+    const thumbnail = await image.clone()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+    return { format: metadata.format, data, thumbnail, width: info.width, height: info.height };
+  } catch (err) {
+    throw httpError(400, `No se pudo procesar la imagen ${file.originalname}.`, { code: 'UNSUPPORTED_FILE' });
+  }
+}
+
+// Guarda la imagen y su miniatura; devuelve el subdocumento para el arreglo images
+async function storeImage(processed, folder, ownerId, auth) {
+  const baseKey = `${folder}/${ownerId}/${crypto.randomBytes(12).toString('hex')}`;
+  const key = `${baseKey}.${IMAGE_FORMATS[processed.format]}`;
+  const thumbnailKey = `${baseKey}_thumb.webp`;
+  const contentType = `image/${processed.format}`;
+
+  await storage.put(key, processed.data, contentType);
+  try {
+    await storage.put(thumbnailKey, processed.thumbnail, 'image/webp');
+  } catch (err) {
+    await storage.delete(key).catch(() => {});
+    throw err;
+  }
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    key,
+    thumbnailKey,
+    url: storage.url(key),
+    thumbnailUrl: storage.url(thumbnailKey),
+    contentType,
+    size: processed.data.length,
+    width: processed.width,
+    height: processed.height,
+    uploadedBy: new mongoose.Types.ObjectId(auth.id),
+    uploadedAt: new Date(),
+  };
+}
+
+// Borra los archivos de las imágenes. Si un archivo no se puede borrar solo se registra: ningún documento lo usa ya.
+async function deleteStoredImages(images = []) {
+  for (const image of images) {
+    for (const key of [image.key, image.thumbnailKey]) {
+      try {
+        await storage.delete(key);
+      } catch (err) {
+        logger.error('No se pudo borrar el archivo', { key, err });
+      }
+    }
+  }
+}
+
+// Etapa de actualización (pipeline) que deja imageUrl apuntando a la primera imagen de la galería,
+// o al valor por defecto si la galería quedó vacía
+function coverImageStage(fallbackImageUrl) {
+  return {
+    $set: {
+      imageUrl: {
+        $cond: [
+          { $gt: [{ $size: '$images' }, 0] },
+          { $arrayElemAt: ['$images.url', 0] },
+          fallbackImageUrl ? { $literal: fallbackImageUrl } : '$$REMOVE',
+        ],
+      },
+    },
+  };
+}
+
+module.exports = {
+  coverImageStage,
+  deleteStoredImages,
+  processImage,
+  storeImage,
+};
@@ -0,0 +1,230 @@
+const path = require('path');
+const { z } = require('zod');
+const { parse: parseCsv } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const { InventoryItem } = require('../models');
+const { httpError } = require('../utils/errors');
+const { actorFromAuth } = require('../middleware/auth');
+const { fields } = require('../middleware/validate');
+const { recordAudit } = require('./audit');
+const { recordStockMovement, syncStockAlert } = require('./stock');
+
+// Columnas del archivo, en el mismo orden para importar y exportar
+const INVENTORY_IMPORT_COLUMNS = ['sku', 'name', 'category', 'type', 'brand', 'partType', 'compatibility', 'price', 'stock', 'reorderThreshold', 'imageUrl'];
+const INVENTORY_IMPORT_REQUIRED_COLUMNS = ['name', 'category', 'price'];
+const IMPORT_MAX_FILE_BYTES = 5 * 1024 * 1024;
+const IMPORT_MAX_ROWS = 2000;
+
+// Las celdas llegan como texto; precios y cantidades son enteros (pesos chilenos, sin puntos ni decimales)
+const importInt = () => z.string().regex(/^\d+$/, 'Debe ser un número entero, sin puntos ni decimales.').transform(Number);
+
+const inventoryImportRowSchema = z.object({
+  sku: fields.sku().optional(),
+  name: fields.text(120),
+  category: z.enum(['Bicicleta', 'Repuesto']),
+  type: z.string().trim().max(60).optional(),
+  brand: z.string().trim().max(60).optional(),
+  partType: z.string().trim().max(60).optional(),
+  compatibility: z.string().trim().max(60).optional(),
+  price: importInt(),
+  stock: importInt().optional(),
+  reorderThreshold: importInt().optional(),
+  imageUrl: fields.url().optional(),
+});
+
+// Lee la primera hoja (XLSX) o el CSV (separado por coma o punto y coma) y devuelve
+// [{ row, values }] donde row es el número de fila en la planilla (la fila 1 es el encabezado)
+async function readSpreadsheet(file) {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  if (extension === '.csv') {
+    let records;
+    try {
+      records = parseCsv(file.buffer, { bom: true, delimiter: [',', ';'], relax_column_count: true, skip_empty_lines: true, info: true });
+    } catch (err) {
+      throw httpError(400, `No se pudo leer el CSV: ${err.message}`, { code: 'INVALID_FILE' });
+    }
+    if (records.length === 0) {
+      return { headers: [], rows: [] };
+    }
+    const [header, ...body] = records;
+    return {
+      headers: header.record,
+      rows: body.map(({ record, info }) => ({ row: info.lines, cells: record })),
+    };
+  }
+
+  if (extension === '.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(file.buffer);
+    } catch (err) {
+      throw httpError(400, 'No se pudo leer el archivo XLSX.', { code: 'INVALID_FILE' });
+    }
+    const sheet = workbook.worksheets[0];
+    if (!sheet || sheet.rowCount === 0) {
+      return { headers: [], rows: [] };
+    }
+    const columnCount = sheet.getRow(1).cellCount;
+    const readRow = row => Array.from({ length: columnCount }, (_, i) => row.getCell(i + 1).text);
+    const rows = [];
+    sheet.eachRow((row, rowNumber) => {
+      if (rowNumber > 1) {
+        rows.push({ row: rowNumber, cells: readRow(row) });
+      }
+    });
+    return { headers: readRow(sheet.getRow(1)), rows };
+  }
+
+  throw httpError(400, 'Formato no soportado. Sube un archivo .csv o .xlsx.', { code: 'UNSUPPORTED_FILE' });
+}
+
+// Convierte las filas de la planilla en objetos con las columnas de INVENTORY_IMPORT_COLUMNS.
+// Los encabezados no distinguen mayúsculas y las columnas desconocidas se ignoran.
+function mapSpreadsheetRows({ headers, rows }) {
+  const columnIndex = new Map();
+  headers.forEach((header, index) => {
+    const column = INVENTORY_IMPORT_COLUMNS.find(c => c.toLowerCase() === String(header).trim().toLowerCase());
+    if (column && !columnIndex.has(column)) {
+      columnIndex.set(column, index);
+    }
+  });
+
+  const missing = INVENTORY_IMPORT_REQUIRED_COLUMNS.filter(column => !columnIndex.has(column));
+  if (missing.length > 0) {
+    throw httpError(400, `Faltan columnas obligatorias en el encabezado: ${missing.join(', ')}.`, {
+      code: 'VALIDATION_ERROR',
+      errors: missing.map(column => ({ row: 1, field: column, message: 'Columna obligatoria.' })),
+    });
+  }
+
+  return rows
+    .map(({ row, cells }) => {
+      const values = {};
+      for (const [column, index] of columnIndex) {
+        let value = String(cells[index] ?? '').trim();
+        if (/^'[=+\-@]/.test(value)) {
+          value = value.slice(1); // Quita la protección contra fórmulas que agrega toCsv
+        }
+        if (value !== '') {
+          values[column] = value;
+        }
+      }
+      return { row, values };
+    })
+    .filter(({ values }) => Object.keys(values).length > 0);
+}
+
+// Calcula qué hará la importación con cada fila sin escribir nada.
+// Cada fila se asocia por SKU y, si no trae SKU o no hay coincidencia, por nombre (sin distinguir mayúsculas).
+async function planInventoryImport(rows, session = null) {
+  const errors = [];
+  const parsedRows = [];
+  for (const { row, values } of rows) {
+    const result = inventoryImportRowSchema.safeParse(values);
+    if (result.success) {
+      parsedRows.push({ row, data: result.data });
+    } else {
+      for (const issue of result.error.issues) {
+        errors.push({ row, field: issue.path.join('.'), message: issue.message });
+      }
+    }
+  }
+
+  const skus = parsedRows.map(r => r.data.sku).filter(Boolean);
+  const names = parsedRows.map(r => r.data.name);
+  const existing = await InventoryItem.find({ $or: [{ sku: { $in: skus } }, { name: { $in: names } }] })
+    .collation({ locale: 'es', strength: 2 })
+    .session(session);
+  const bySku = new Map(existing.filter(item => item.sku).map(item => [item.sku, item]));
+  const byName = new Map();
+  for (const item of existing) {
+    const key = item.name.toLowerCase();
+    byName.set(key, byName.has(key) ? [...byName.get(key), item] : [item]);
+  }
+
+  const plan = [];
+  const seen = new Map(); // Clave (SKU o nombre) → fila donde apareció primero
+  for (const { row, data } of parsedRows) {
+    const key = data.sku ? `sku:${data.sku}` : `name:${data.name.toLowerCase()}`;
+    if (seen.has(key)) {
+      errors.push({ row, field: data.sku ? 'sku' : 'name', message: `Fila duplicada: el mismo producto aparece en la fila ${seen.get(key)}.` });
+      continue;
+    }
+    seen.set(key, row);
+
+    let match = data.sku ? bySku.get(data.sku) : undefined;
+    if (!match) {
+      const sameName = byName.get(data.name.toLowerCase()) || [];
+      if (sameName.length > 1) {
+        errors.push({ row, field: 'name', message: 'Hay varios productos con ese nombre; indica el SKU para identificarlo.' });
+        continue;
+      }
+      if (sameName.length === 1 && data.sku && sameName[0].sku && sameName[0].sku !== data.sku) {
+        errors.push({ row, field: 'sku', message: `El nombre corresponde al producto con SKU ${sameName[0].sku}.` });
+        continue;
+      }
+      match = sameName[0];
+    }
+
+    if (!match) {
+      plan.push({ row, action: 'create', sku: data.sku, name: data.name, data });
+      continue;
+    }
+    const changes = Object.keys(data).filter(field => data[field] !== match[field]);
+    plan.push({ row, action: changes.length > 0 ? 'update' : 'unchanged', itemId: match._id, sku: data.sku || match.sku, name: data.name, changes, data });
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  return { plan, errors };
+}
+
+function summarizeImportPlan(plan, errors, totalRows) {
+  const count = action => plan.filter(entry => entry.action === action).length;
+  return {
+    rows: totalRows,
+    toCreate: count('create'),
+    toUpdate: count('update'),
+    unchanged: count('unchanged'),
+    errors: errors.length,
+  };
+}
+
+// Aplica el plan. El stock nuevo o modificado queda en el libro de movimientos, igual que en POST/PUT.
+async function applyInventoryImport(plan, req, session) {
+  const actor = actorFromAuth(req.auth);
+  for (const entry of plan) {
+    const { stock, ...itemFields } = entry.data;
+
+    if (entry.action === 'create') {
+      let item = await new InventoryItem({ ...itemFields, stock: 0 }).save({ session });
+      if (stock) {
+        item = await recordStockMovement({ itemId: item._id, quantity: stock, type: 'Reposición', reason: 'Stock inicial (importación masiva)', actor }, session);
+      }
+      entry.itemId = item._id;
+      await recordAudit(req, { action: 'Crear', model: 'InventoryItem', id: item._id, after: item, summary: 'Importación masiva' }, session);
+    } else if (entry.action === 'update') {
+      const item = await InventoryItem.findById(entry.itemId).session(session);
+      const before = item.toObject();
+      Object.assign(item, itemFields);
+      let savedItem = await item.save({ session });
+      if (stock !== undefined && stock !== savedItem.stock) {
+        savedItem = await recordStockMovement({ itemId: savedItem._id, quantity: stock - savedItem.stock, type: 'Ajuste manual', reason: 'Importación masiva', actor }, session);
+      } else {
+        await syncStockAlert(savedItem, session); // El umbral pudo cambiar
+      }
+      await recordAudit(req, { action: 'Actualizar', model: 'InventoryItem', id: savedItem._id, before, after: savedItem, summary: 'Importación masiva' }, session);
+    }
+  }
+}
+
+module.exports = {
+  IMPORT_MAX_FILE_BYTES,
+  IMPORT_MAX_ROWS,
+  INVENTORY_IMPORT_COLUMNS,
+  applyInventoryImport,
+  mapSpreadsheetRows,
+  planInventoryImport,
+  readSpreadsheet,
+  summarizeImportPlan,
+};
@@ -0,0 +1,70 @@
+const {
+  LOGIN_IP_MAX_ATTEMPTS,
+  LOGIN_IP_WINDOW_MINUTES,
+  LOGIN_LOCKOUT_MINUTES,
+  LOGIN_MAX_FAILED_ATTEMPTS,
+} = require('../config');
+const { LoginThrottle } = require('../models');
+const { httpError } = require('../utils/errors');
+
+// Clave del contador de intentos fallidos de una cuenta. Existe aunque la cuenta no exista,
+// así el bloqueo no revela qué correos están registrados.
+function loginAccountKey(accountType, email) {
+  return `account:${accountType}:${email.toLowerCase()}`;
+}
+
+// Suma un intento en la ventana fija de la clave (si la ventana venció, empieza una nueva) y devuelve el contador.
+// Es una sola actualización atómica: las peticiones simultáneas no se pierden intentos.
+function countAttempt(key, windowMinutes) {
+  const now = new Date();
+  const windowOpen = { $gt: ['$expiresAt', now] };
+  return LoginThrottle.findOneAndUpdate(
+    { key },
+    [{ $set: {
+      count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+      expiresAt: { $cond: [windowOpen, '$expiresAt', new Date(now.getTime() + windowMinutes * 60 * 1000)] },
+    } }],
+    { upsert: true, new: true, setDefaultsOnInsert: false } // Con un pipeline, los valores iniciales los define el $cond
+  );
+}
+
+function tooManyAttempts(message, code, until) {
+  return httpError(429, message, {
+    code,
+    details: { retryAfterSeconds: Math.max(1, Math.ceil((until - Date.now()) / 1000)) },
+  });
+}
+
+// Antes de verificar la contraseña: límite de intentos por IP y bloqueo temporal de la cuenta
+async function assertLoginAllowed(req, accountKey) {
+  const ipAttempts = await countAttempt(`ip:${req.ip}`, LOGIN_IP_WINDOW_MINUTES);
+  if (ipAttempts.count > LOGIN_IP_MAX_ATTEMPTS) {
+    throw tooManyAttempts('Demasiados intentos de inicio de sesión. Intenta nuevamente más tarde.', 'RATE_LIMITED', ipAttempts.expiresAt);
+  }
+
+  const locked = await LoginThrottle.findOne({ key: accountKey, lockedUntil: { $gt: new Date() } });
+  if (locked) {
+    throw tooManyAttempts('La cuenta está bloqueada temporalmente por intentos fallidos. Intenta nuevamente más tarde.', 'ACCOUNT_LOCKED', locked.lockedUntil);
+  }
+}
+
+// Credenciales incorrectas: al llegar a LOGIN_MAX_FAILED_ATTEMPTS fallos seguidos se bloquea la cuenta
+async function recordLoginFailure(accountKey) {
+  const failures = await countAttempt(accountKey, LOGIN_LOCKOUT_MINUTES);
+  if (failures.count >= LOGIN_MAX_FAILED_ATTEMPTS) {
+    const lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+    await LoginThrottle.updateOne({ key: accountKey }, { count: 0, lockedUntil, expiresAt: lockedUntil });
+  }
+}
+
+// Inicio de sesión correcto: se olvidan los fallos anteriores de la cuenta
+function recordLoginSuccess(accountKey) {
+  return LoginThrottle.deleteOne({ key: accountKey });
+}
+
+module.exports = {
+  assertLoginAllowed,
+  loginAccountKey,
+  recordLoginFailure,
+  recordLoginSuccess,
+};
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer'); // Solo se usa con MAIL_TRANSPORT=smtp
+const { MAIL_DIR, MAIL_FROM, MAIL_TRANSPORT } = require('../config');
+const { logger } = require('../utils/logger');
+
+// Transportes de correo intercambiables: todos exponen send({ to, subject, text }).
+// En desarrollo basta con 'console' o 'file'; en producción se usa 'smtp' (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS).
+const mailTransports = {
+  console: {
+    async send(message) {
+      logger.info('Correo (MAIL_TRANSPORT=console)', { to: message.to, subject: message.subject, text: message.text });
+    },
+  },
+  file: {
+    async send(message) {
+      await writeOutboxFile(MAIL_DIR, message);
+    },
+  },
+  smtp: {
+    async send(message) {
+      if (!this.transporter) {
+        this.transporter = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: Number(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+        });
+      }
+      await this.transporter.sendMail(message);
+    },
+  },
+};
+
+const mailTransport = mailTransports[MAIL_TRANSPORT];
+if (!mailTransport) {
+  logger.error(`MAIL_TRANSPORT desconocido: ${MAIL_TRANSPORT}. Opciones: ${Object.keys(mailTransports).join(', ')}`);
+  process.exit(1);
+}
+
+// Envía un correo con el transporte configurado
+function sendMail({ to, subject, text }) {
+  return mailTransport.send({ from: MAIL_FROM, to, subject, text });
+}
+
+// Transporte 'file' de correos y SMS: un JSON por mensaje, para revisar en desarrollo y pruebas
+async function writeOutboxFile(dir, message) {
+  await fs.promises.mkdir(dir, { recursive: true });
+  const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.json`;
+  await fs.promises.writeFile(path.join(dir, fileName), JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+}
+
+module.exports = {
+  sendMail,
+  writeOutboxFile,
+};
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const { isShuttingDown } = require('./health');
+
+// Métricas en el formato de texto de Prometheus (GET /metrics), guardadas en memoria del proceso.
+// Las peticiones se agrupan por la plantilla de la ruta (/api/inventory/:id), no por la URL, para
+// que la cantidad de series no crezca con cada ID.
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // Segundos
+
+const requestCounts = new Map(); // 'method|route|status' → cantidad
+const requestDurations = new Map(); // 'method|route' → { buckets, sum, count }
+let requestsInFlight = 0;
+
+function requestStarted() {
+  requestsInFlight += 1;
+}
+
+// route: plantilla de la ruta que atendió la petición o 'no_route' (404, archivos estáticos)
+function requestFinished({ method, route, status, durationSeconds }) {
+  requestsInFlight -= 1;
+
+  const countKey = `${method}|${route}|${status}`;
+  requestCounts.set(countKey, (requestCounts.get(countKey) || 0) + 1);
+
+  const durationKey = `${method}|${route}`;
+  if (!requestDurations.has(durationKey)) {
+    requestDurations.set(durationKey, { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 });
+  }
+  const histogram = requestDurations.get(durationKey);
+  DURATION_BUCKETS.forEach((bound, index) => {
+    if (durationSeconds <= bound) {
+      histogram.buckets[index] += 1;
+    }
+  });
+  histogram.sum += durationSeconds;
+  histogram.count += 1;
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function metricBlock(name, type, help, samples) {
+  return [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} ${type}`,
+    ...samples.map(({ suffix = '', labels = {}, value }) => `${name}${suffix}${formatLabels(labels)} ${value}`),
+  ].join('\n');
+}
+
+// Texto para Prometheus (Content-Type: text/plain; version=0.0.4)
+function renderMetrics() {
+  const memory = process.memoryUsage();
+  const cpu = process.cpuUsage();
+
+  const counts = [...requestCounts].map(([key, value]) => {
+    const [method, route, status] = key.split('|');
+    return { labels: { method, route, status }, value };
+  });
+  const durations = [...requestDurations].flatMap(([key, histogram]) => {
+    const [method, route] = key.split('|');
+    return [
+      ...DURATION_BUCKETS.map((bound, index) => ({ suffix: '_bucket', labels: { method, route, le: bound }, value: histogram.buckets[index] })),
+      { suffix: '_bucket', labels: { method, route, le: '+Inf' }, value: histogram.count },
+      { suffix: '_sum', labels: { method, route }, value: histogram.sum },
+      { suffix: '_count', labels: { method, route }, value: histogram.count },
+    ];
+  });
+
+  const blocks = [
+    metricBlock('masterbike_http_requests_total', 'counter', 'Peticiones HTTP atendidas por método, ruta y estado.', counts),
+    metricBlock('masterbike_http_request_duration_seconds', 'histogram', 'Duración de las peticiones HTTP en segundos.', durations),
+    metricBlock('masterbike_http_requests_in_flight', 'gauge', 'Peticiones HTTP en curso.', [{ value: requestsInFlight }]),
+    metricBlock('masterbike_mongodb_up', 'gauge', '1 si la conexión con MongoDB está abierta.', [{ value: mongoose.connection.readyState === 1 ? 1 : 0 }]),
+    metricBlock('masterbike_shutting_down', 'gauge', '1 mientras el servidor se está apagando.', [{ value: isShuttingDown() ? 1 : 0 }]),
+    metricBlock('process_cpu_seconds_total', 'counter', 'Tiempo de CPU del proceso (usuario + sistema) en segundos.', [{ value: (cpu.user + cpu.system) / 1e6 }]),
+    metricBlock('process_resident_memory_bytes', 'gauge', 'Memoria residente del proceso en bytes.', [{ value: memory.rss }]),
+    metricBlock('nodejs_heap_used_bytes', 'gauge', 'Heap de V8 en uso en bytes.', [{ value: memory.heapUsed }]),
+    metricBlock('process_uptime_seconds', 'gauge', 'Segundos desde que inició el proceso.', [{ value: Math.round(process.uptime()) }]),
+  ];
+  return `${blocks.join('\n')}\n`;
+}
+
+module.exports = {
+  renderMetrics,
+  requestFinished,
+  requestStarted,
+};
@@ -0,0 +1,232 @@
+const {
+  NOTIFICATION_MAX_ATTEMPTS,
+  NOTIFICATION_RETRY_BASE_SECONDS,
+  NOTIFICATION_SEND_TIMEOUT_MS,
+  SMS_DIR,
+  SMS_TRANSPORT,
+} = require('../config');
+const { Notification } = require('../models');
+const { withTimeout } = require('../utils/helpers');
+const { logger } = require('../utils/logger');
+const { sendMail, writeOutboxFile } = require('./mail');
+const { repairTotalCost } = require('./repairs');
+
+// SMS_TRANSPORT: 'none' (por defecto, sin SMS), 'console', 'file' (guarda cada SMS en SMS_DIR) o 'twilio'
+const smsTransports = {
+  none: null,
+  console: {
+    async send(message) {
+      logger.info('SMS (SMS_TRANSPORT=console)', { to: message.to, text: message.text });
+    },
+  },
+  file: {
+    async send(message) {
+      await writeOutboxFile(SMS_DIR, message);
+    },
+  },
+  // TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN y TWILIO_FROM (número remitente)
+  twilio: {
+    async send(message) {
+      const sid = process.env.TWILIO_ACCOUNT_SID;
+      const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${sid}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64')}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: new URLSearchParams({ To: message.to, From: process.env.TWILIO_FROM, Body: message.text }),
+        signal: AbortSignal.timeout(NOTIFICATION_SEND_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw new Error(`Twilio respondió ${response.status}: ${await response.text()}`);
+      }
+    },
+  },
+};
+
+if (!Object.hasOwn(smsTransports, SMS_TRANSPORT)) {
+  logger.error(`SMS_TRANSPORT desconocido: ${SMS_TRANSPORT}. Opciones: ${Object.keys(smsTransports).join(', ')}`);
+  process.exit(1);
+}
+const smsTransport = smsTransports[SMS_TRANSPORT];
+
+const formatCLP = amount => `$${Math.round(amount || 0).toLocaleString('es-CL')}`;
+// Las fechas de arriendos y despachos se guardan como inicio del día en UTC
+const formatDay = date => new Date(date).toLocaleDateString('es-CL', { timeZone: 'UTC' });
+const orderNumber = dispatch => dispatch._id.toString().slice(-6).toUpperCase();
+const greeting = name => (name ? `Hola ${name},` : 'Hola,');
+
+// Plantillas por evento: reciben el documento y devuelven la referencia, el correo y (opcional) el SMS
+const NOTIFICATION_TEMPLATES = {
+  'order.confirmed': dispatch => ({
+    reference: { model: 'DispatchRecord', id: dispatch._id },
+    email: {
+      to: dispatch.customerDetails.email,
+      subject: `Pedido N° ${orderNumber(dispatch)} confirmado`,
+      text: [
+        greeting(dispatch.customerDetails.name),
+        '',
+        `Recibimos el pago de tu pedido N° ${orderNumber(dispatch)}:`,
+        ...dispatch.items.map(item => `- ${item.quantity} x ${item.name}: ${formatCLP(item.lineTotal)}`),
+        dispatch.discountAmount > 0 ? `Descuentos: -${formatCLP(dispatch.discountAmount)}` : null,
+        `Despacho: ${formatCLP(dispatch.shippingCost)}`,
+        `Total pagado: ${formatCLP(dispatch.totalAmount)}`,
+        '',
+        dispatch.deliveryDate ? `Fecha de despacho programada: ${formatDay(dispatch.deliveryDate)}.` : 'Te avisaremos cuando tu pedido salga a despacho.',
+        '',
+        'Equipo MasterBike',
+      ].filter(line => line !== null).join('\n'),
+    },
+  }),
+  'dispatch.shipped': dispatch => ({
+    reference: { model: 'DispatchRecord', id: dispatch._id },
+    email: {
+      to: dispatch.customerDetails.email,
+      subject: `Tu pedido N° ${orderNumber(dispatch)} va en camino`,
+      text: `${greeting(dispatch.customerDetails.name)}\n\nTu pedido N° ${orderNumber(dispatch)} salió a despacho y pronto llegará a tu domicilio.\n\nEquipo MasterBike`,
+    },
+  }),
+  'dispatch.delivered': dispatch => ({
+    reference: { model: 'DispatchRecord', id: dispatch._id },
+    email: {
+      to: dispatch.customerDetails.email,
+      subject: `Tu pedido N° ${orderNumber(dispatch)} fue entregado`,
+      text: `${greeting(dispatch.customerDetails.name)}\n\nTu pedido N° ${orderNumber(dispatch)} fue entregado. ¡Gracias por comprar en MasterBike!\n\nEquipo MasterBike`,
+    },
+  }),
+  'rental.confirmed': rental => ({
+    reference: { model: 'Rental', id: rental._id },
+    email: {
+      to: rental.customerEmail,
+      subject: `Arriendo confirmado: ${rental.bikeName}`,
+      text: [
+        greeting(rental.customerName),
+        '',
+        `Tu arriendo de ${rental.bikeName} está confirmado:`,
+        `- Retiro: ${formatDay(rental.startDate)}`,
+        `- Devolución: ${formatDay(rental.endDate)} (${rental.days} día(s))`,
+        rental.promotionDiscountAmount > 0 ? `- Descuento de promociones: -${formatCLP(rental.promotionDiscountAmount)}` : null,
+        `- Total: ${formatCLP(rental.totalPrice)}`,
+        rental.deposit && rental.deposit.status === 'Pagada' ? `- Garantía pagada: ${formatCLP(rental.deposit.amount)}` : null,
+        '',
+        'Retira la bicicleta en nuestro local el primer día del arriendo.',
+        '',
+        'Equipo MasterBike',
+      ].filter(line => line !== null).join('\n'),
+    },
+    sms: {
+      to: rental.customerPhone,
+      text: `MasterBike: tu arriendo de ${rental.bikeName} del ${formatDay(rental.startDate)} al ${formatDay(rental.endDate)} está confirmado.`,
+    },
+  }),
+  'repair.completed': repair => ({
+    reference: { model: 'RepairRequest', id: repair._id },
+    email: {
+      to: repair.contactEmail,
+      subject: `Tu bicicleta está lista (${repair.trackingCode || 'reparación'})`,
+      text: [
+        greeting(repair.contactName),
+        '',
+        `Terminamos la reparación de tu bicicleta ${repair.bikeBrand}${repair.trackingCode ? ` (código ${repair.trackingCode})` : ''}.`,
+        `Total a pagar: ${formatCLP(repairTotalCost(repair).totalCost)}`,
+        '',
+        'Puedes retirarla en nuestro local en horario de atención.',
+        '',
+        'Equipo MasterBike',
+      ].join('\n'),
+    },
+    sms: {
+      to: repair.contactPhone,
+      text: `MasterBike: tu bicicleta ${repair.bikeBrand} está lista para retiro${repair.trackingCode ? ` (código ${repair.trackingCode})` : ''}.`,
+    },
+  }),
+};
+
+// Encola las notificaciones de un evento. Pasar la sesión de la transacción del cambio que las origina:
+// si la transacción se revierte, no se avisa nada. El envío lo hace processNotificationQueue.
+async function notify(event, record, session = null) {
+  const { reference, email, sms } = NOTIFICATION_TEMPLATES[event](record);
+  const notifications = [];
+  if (email && email.to) {
+    notifications.push({ event, channel: 'email', reference, ...email });
+  }
+  if (sms && sms.to && smsTransport) {
+    notifications.push({ event, channel: 'sms', reference, ...sms });
+  }
+  if (notifications.length > 0) {
+    await Notification.create(notifications, { session, ordered: true });
+  }
+}
+
+// Envía las notificaciones pendientes cuyo turno llegó. Cada una se toma de forma atómica (attempts + 1 y
+// nextAttemptAt corrido), así no se envía dos veces y, si el proceso se cae a mitad de envío, se reintenta.
+// Cada envío tiene NOTIFICATION_SEND_TIMEOUT_MS: uno colgado no detiene la cola. Con shouldStop() true
+// (apagado) no se toman más notificaciones.
+async function processNotificationQueue(limit = 50, shouldStop = () => false) {
+  for (let i = 0; i < limit && !shouldStop(); i++) {
+    const now = new Date();
+    const notification = await Notification.findOneAndUpdate(
+      { status: 'Pendiente', nextAttemptAt: { $lte: now } },
+      // El doble del plazo de envío: no se vuelve a tomar mientras este intento puede seguir en curso
+      { $inc: { attempts: 1 }, nextAttemptAt: new Date(now.getTime() + 2 * NOTIFICATION_SEND_TIMEOUT_MS) },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!notification) {
+      return;
+    }
+
+    try {
+      if (notification.channel === 'email') {
+        await withTimeout(sendMail({ to: notification.to, subject: notification.subject, text: notification.text }), NOTIFICATION_SEND_TIMEOUT_MS);
+      } else {
+        if (!smsTransport) {
+          throw new Error('El envío de SMS está desactivado (SMS_TRANSPORT=none).');
+        }
+        await withTimeout(smsTransport.send({ to: notification.to, text: notification.text }), NOTIFICATION_SEND_TIMEOUT_MS);
+      }
+      notification.status = 'Enviado';
+      notification.sentAt = new Date();
+      notification.lastError = undefined;
+    } catch (err) {
+      notification.lastError = err.message;
+      if (notification.attempts >= NOTIFICATION_MAX_ATTEMPTS) {
+        notification.status = 'Fallido';
+        logger.error('Notificación fallida: se agotaron los reintentos', { notificationId: notification._id, event: notification.event, attempts: notification.attempts, err });
+      } else {
+        // Espera creciente: 1, 2, 4, 8... minutos
+        notification.nextAttemptAt = new Date(Date.now() + NOTIFICATION_RETRY_BASE_SECONDS * 1000 * 2 ** (notification.attempts - 1));
+      }
+    }
+    await notification.save();
+  }
+}
+
+// Devuelve una función que detiene el worker y espera a que termine la pasada en curso (apagado ordenado)
+function startNotificationWorker() {
+  let currentRun = null;
+  let stopped = false;
+  const timer = setInterval(() => {
+    if (currentRun) {
+      return; // La pasada anterior aún no termina
+    }
+    currentRun = processNotificationQueue(50, () => stopped)
+      .catch(err => logger.error('Error al procesar la cola de notificaciones', { err }))
+      .finally(() => {
+        currentRun = null;
+      });
+  }, 15 * 1000).unref();
+  // Al detenerlo solo se espera el envío en curso (a lo más NOTIFICATION_SEND_TIMEOUT_MS)
+  return () => {
+    stopped = true;
+    clearInterval(timer);
+    return currentRun || Promise.resolve();
+  };
+}
+
+module.exports = {
+  NOTIFICATION_TEMPLATES,
+  formatCLP,
+  notify,
+  processNotificationQueue,
+  startNotificationWorker,
+};
@@ -0,0 +1,176 @@
+const { version } = require('../package.json');
+const { authenticate, optionalAuthenticate, requireAdmin, requireCustomer, requireEmployee } = require('../middleware/auth');
+const { OBJECT_ID_PARAMS } = require('../middleware/validate');
+const { OBJECT_ID_SCHEMA, zodToOpenApi } = require('../utils/openapi');
+const { COMPONENT_SCHEMAS, ROUTE_DOCS, TAGS } = require('./openapiRoutes');
+
+// Especificación OpenAPI 3 generada desde las rutas registradas en la app:
+// - rutas, parámetros de ruta y seguridad: del stack de Express (authenticate, requireEmployee, ...)
+// - parámetros de query y cuerpos: de los esquemas de zod de validate()
+// - esquemas de los documentos: de los modelos de Mongoose (COMPONENT_SCHEMAS)
+// - resúmenes y respuestas de cada ruta: de ROUTE_DOCS
+
+const ACCESS_RULES = new Map([
+  [requireEmployee, 'Solo empleados.'],
+  [requireAdmin, 'Solo el administrador.'],
+  [requireCustomer, 'Solo clientes.'],
+]);
+
+// Las rutas de autenticación y de la cuenta propia van en un mismo grupo
+const AUTH_SEGMENTS = ['register', 'login', 'employee-login', 'token', 'logout', 'employee-register', 'password', 'email', 'me'];
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Datos inválidos (VALIDATION_ERROR, INVALID_ID)',
+  401: 'Falta iniciar sesión o el token es inválido',
+  403: 'Sin permiso para esta ruta',
+  404: 'No encontrado',
+};
+
+// Rutas de la app en el orden en que se registraron: [{ method: 'GET', path: '/api/inventory/:id', handlers }]
+function listAppRoutes(app) {
+  const routes = [];
+  const walk = stack => {
+    for (const layer of stack) {
+      if (layer.route) {
+        for (const method of Object.keys(layer.route.methods)) {
+          routes.push({ method: method.toUpperCase(), path: layer.route.path, handlers: layer.route.stack.map(l => l.handle) });
+        }
+      } else if (layer.handle && layer.handle.stack) {
+        walk(layer.handle.stack); // Routers montados con app.use
+      }
+    }
+  };
+  walk(app.router.stack);
+  return routes.filter(route => route.path.startsWith('/api/'));
+}
+
+function routeKey(route) {
+  return `${route.method} ${route.path}`;
+}
+
+function tagFor(path) {
+  const segment = path.split('/')[2];
+  return AUTH_SEGMENTS.includes(segment) ? 'auth' : segment;
+}
+
+// GET /api/inventory/:id/reviews → getInventoryByIdReviews
+function operationIdFor(route) {
+  const words = route.path.split('/').slice(2).map(segment => (segment.startsWith(':') ? `by-${segment.slice(1)}` : segment));
+  const camel = words.join('-').replace(/[^a-zA-Z0-9]+(.)/g, (match, char) => char.toUpperCase());
+  return `${route.method.toLowerCase()}${camel.charAt(0).toUpperCase()}${camel.slice(1)}`;
+}
+
+function errorResponse(description) {
+  return { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+}
+
+function buildParameters(route, schemas) {
+  const pathParams = schemas.params ? zodToOpenApi(schemas.params).properties : {};
+  const parameters = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: pathParams[name] || (OBJECT_ID_PARAMS.includes(name) ? { ...OBJECT_ID_SCHEMA } : { type: 'string' }),
+  }));
+
+  if (schemas.query) {
+    const query = zodToOpenApi(schemas.query);
+    for (const [name, schema] of Object.entries(query.properties)) {
+      const { description, ...paramSchema } = schema;
+      parameters.push({
+        name,
+        in: 'query',
+        required: (query.required || []).includes(name),
+        ...(description && { description }),
+        schema: paramSchema,
+      });
+    }
+  }
+  return parameters;
+}
+
+function buildOperation(route) {
+  const docs = ROUTE_DOCS[routeKey(route)] || {};
+  const schemas = Object.assign({}, ...route.handlers.filter(handler => handler.schemas).map(handler => handler.schemas));
+  const secured = route.handlers.includes(authenticate);
+  const optionallySecured = route.handlers.includes(optionalAuthenticate);
+  const access = route.handlers.map(handler => ACCESS_RULES.get(handler)).filter(Boolean);
+
+  const operation = {
+    tags: [docs.tag || tagFor(route.path)],
+    summary: docs.summary || routeKey(route),
+    operationId: operationIdFor(route),
+  };
+  const description = [docs.description, ...access].filter(Boolean).join(' ');
+  if (description) {
+    operation.description = description;
+  }
+
+  const parameters = buildParameters(route, schemas);
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+  if (docs.requestBody) {
+    operation.requestBody = docs.requestBody;
+  } else if (schemas.body) {
+    operation.requestBody = { required: true, content: { 'application/json': { schema: zodToOpenApi(schemas.body) } } };
+  }
+  if (secured) {
+    operation.security = [{ bearerAuth: [] }];
+  } else if (optionallySecured) {
+    operation.security = [{}, { bearerAuth: [] }]; // {} = también sin sesión
+  }
+
+  const responses = { ...(docs.responses || { 200: { description: 'Respuesta exitosa' } }) };
+  const errors = { ...docs.errors };
+  if (parameters.length > 0 || operation.requestBody) {
+    errors[400] = errors[400] || ERROR_DESCRIPTIONS[400];
+  }
+  if (secured || optionallySecured) {
+    errors[401] = errors[401] || ERROR_DESCRIPTIONS[401];
+  }
+  if (secured) {
+    errors[403] = errors[403] || (access.length > 0 ? ERROR_DESCRIPTIONS[403] : 'Debe cambiar la contraseña (PASSWORD_CHANGE_REQUIRED)');
+  }
+  if (route.path.includes('/:')) {
+    errors[404] = errors[404] || ERROR_DESCRIPTIONS[404];
+  }
+  for (const [status, errorDescription] of Object.entries(errors)) {
+    responses[status] = errorResponse(errorDescription);
+  }
+  operation.responses = responses;
+  return operation;
+}
+
+// Genera la especificación completa de la app
+function buildOpenApiSpec(app) {
+  const paths = {};
+  for (const route of listAppRoutes(app)) {
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    paths[path] = paths[path] || {};
+    paths[path][route.method.toLowerCase()] = buildOperation(route);
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'API MasterBike',
+      version,
+      description: 'Tienda, taller y arriendo de bicicletas. Los errores responden { code, message, errors?, details? }.',
+    },
+    tags: TAGS,
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Access token de POST /api/login o /api/employee-login' },
+      },
+      schemas: COMPONENT_SCHEMAS,
+    },
+  };
+}
+
+module.exports = {
+  buildOpenApiSpec,
+  listAppRoutes,
+  routeKey,
+};
@@ -0,0 +1,557 @@
+const models = require('../models');
+const { appliedPromotionSchema } = require('../models/appliedPromotion');
+const { DATE_TIME_SCHEMA, OBJECT_ID_SCHEMA, mongooseSchemaToOpenApi } = require('../utils/openapi');
+
+// Documentación de cada ruta para la especificación OpenAPI (services/openapi.js): resumen y respuestas.
+// Los parámetros, cuerpos y la seguridad salen de la definición de la ruta; aquí va lo que no se puede deducir.
+// Una ruta nueva debe agregarse aquí (test/openapi.test.js lo verifica).
+
+// --- Ayudantes para describir esquemas ---
+const STRING = { type: 'string' };
+const NUMBER = { type: 'number' };
+const INTEGER = { type: 'integer' };
+const BOOLEAN = { type: 'boolean' };
+const DATE_TIME = DATE_TIME_SCHEMA;
+const OBJECT_ID = OBJECT_ID_SCHEMA;
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = items => ({ type: 'array', items });
+const nullable = schema => ({ ...schema, nullable: true });
+
+// Objeto armado en la ruta: todas sus propiedades son obligatorias (salvo optional) y no puede traer otras
+function object(properties, { optional = [] } = {}) {
+  const required = Object.keys(properties).filter(name => !optional.includes(name));
+  return { type: 'object', properties, ...(required.length > 0 && { required }), additionalProperties: false };
+}
+
+// Copia del esquema de un modelo con propiedades agregadas o reemplazadas (campos con populate o calculados)
+function withProperties(schema, properties, { required = [] } = {}) {
+  return {
+    ...schema,
+    properties: { ...schema.properties, ...properties },
+    required: [...(schema.required || []), ...required],
+  };
+}
+
+function json(schema, description = 'Respuesta exitosa') {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+const ok = schema => ({ 200: json(schema) });
+const created = schema => ({ 201: json(schema, 'Creado') });
+const MESSAGE = ok(ref('Message'));
+
+// --- Esquemas de los documentos (modelos de Mongoose) ---
+const MODEL_COMPONENTS = [
+  'InventoryItem',
+  'BikeForRent',
+  'RepairRequest',
+  'Rental',
+  'DispatchRecord',
+  'Payment',
+  'StockMovement',
+  'StockAlert',
+  'Notification',
+  'AuditLog',
+  'Review',
+  'Promotion',
+];
+const modelSchemas = Object.fromEntries(MODEL_COMPONENTS.map(name => [name, mongooseSchemaToOpenApi(models[name].schema)]));
+
+// Cuenta con populate (firstName lastName email)
+const ACCOUNT_SUMMARY = nullable({
+  type: 'object',
+  properties: { _id: OBJECT_ID, firstName: STRING, lastName: STRING, email: STRING },
+});
+
+const COMPONENT_SCHEMAS = {
+  ...modelSchemas,
+  Error: object({
+    code: { ...STRING, example: 'VALIDATION_ERROR' },
+    message: STRING,
+    errors: arrayOf({ type: 'object', properties: { field: STRING, message: STRING }, required: ['field', 'message'] }), // La importación agrega row
+    details: { type: 'object' },
+  }, { optional: ['errors', 'details'] }),
+  Message: object({ message: STRING }),
+  AppliedPromotion: mongooseSchemaToOpenApi(appliedPromotionSchema),
+  PaymentSummary: object({
+    id: OBJECT_ID,
+    status: { ...STRING, enum: models.PAYMENT_STATUSES },
+    amount: NUMBER,
+    currency: STRING,
+    provider: STRING,
+    redirectUrl: nullable(STRING),
+    expiresAt: nullable(DATE_TIME),
+  }, { optional: ['redirectUrl', 'expiresAt'] }),
+  PriceBreakdown: object({
+    items: arrayOf(object({
+      itemId: OBJECT_ID,
+      name: STRING,
+      category: STRING,
+      brand: nullable(STRING),
+      quantity: INTEGER,
+      unitPrice: NUMBER,
+      lineTotal: NUMBER,
+      discountAmount: NUMBER,
+    }, { optional: ['brand'] })),
+    promotions: arrayOf(ref('AppliedPromotion')),
+    subtotal: NUMBER,
+    discountAmount: NUMBER,
+    netAmount: NUMBER,
+    taxAmount: NUMBER,
+    taxRate: NUMBER,
+    shippingCost: NUMBER,
+    total: NUMBER,
+  }),
+  BikeAvailability: object({
+    bikeId: OBJECT_ID,
+    name: STRING,
+    pricePerDay: NUMBER,
+    available: BOOLEAN,
+    bookedRanges: arrayOf(object({ start: DATE_TIME, end: DATE_TIME, status: STRING, reason: STRING }, { optional: ['reason'] })),
+    freeRanges: arrayOf(object({ start: DATE_TIME, end: DATE_TIME })),
+  }),
+};
+
+const AUTH_TOKENS = { accessToken: STRING, refreshToken: STRING };
+
+const ACCOUNT_PROFILE = object({
+  id: OBJECT_ID,
+  firstName: STRING,
+  lastName: STRING,
+  email: STRING,
+  createdAt: DATE_TIME,
+  role: { ...STRING, enum: ['employee', 'admin'] },
+  mustChangePassword: BOOLEAN,
+  emailVerified: BOOLEAN,
+}, { optional: ['role', 'mustChangePassword', 'emailVerified'] }); // role y mustChangePassword solo en empleados
+
+const RENTAL_PRICING = {
+  days: INTEGER,
+  pricePerDay: NUMBER,
+  subtotal: NUMBER,
+  discountRate: NUMBER,
+  discountLabel: nullable(STRING),
+  discountAmount: NUMBER,
+  promotions: arrayOf(ref('AppliedPromotion')),
+  promotionDiscountAmount: NUMBER,
+  totalPrice: NUMBER,
+};
+
+const REPAIR_COSTS = { laborCost: NUMBER, partsCost: NUMBER, totalCost: NUMBER };
+
+const MULTIPART_FILE = field => ({
+  required: true,
+  content: {
+    'multipart/form-data': {
+      schema: { type: 'object', properties: { [field]: { type: 'string', format: 'binary' } }, required: [field] },
+    },
+  },
+});
+
+const MULTIPART_IMAGES = {
+  required: true,
+  content: {
+    'multipart/form-data': {
+      schema: { type: 'object', properties: { images: arrayOf({ type: 'string', format: 'binary' }) }, required: ['images'] },
+    },
+  },
+};
+
+const TAGS = [
+  { name: 'auth', description: 'Registro, inicio de sesión, tokens y cuenta propia' },
+  { name: 'inventory', description: 'Catálogo, stock, importación/exportación e imágenes de productos' },
+  { name: 'stock-alerts', description: 'Alertas de stock bajo' },
+  { name: 'repairs', description: 'Solicitudes de reparación y flujo del taller' },
+  { name: 'bikes', description: 'Flota de arriendo y disponibilidad' },
+  { name: 'rentals', description: 'Cotización y reserva de arriendos' },
+  { name: 'purchase', description: 'Cotización y compra' },
+  { name: 'dispatches', description: 'Despachos de pedidos' },
+  { name: 'my-orders', description: 'Historial de compras del cliente' },
+  { name: 'payments', description: 'Pagos, webhooks de la pasarela y reembolsos' },
+  { name: 'cart', description: 'Carrito del cliente' },
+  { name: 'wishlist', description: 'Lista de deseos del cliente' },
+  { name: 'reports', description: 'Reportes de ventas, arriendos, reparaciones e inventario' },
+  { name: 'notifications', description: 'Notificaciones a clientes (correo y SMS)' },
+  { name: 'audit-logs', description: 'Registro de auditoría de cambios del personal' },
+  { name: 'reviews', description: 'Reseñas y moderación' },
+  { name: 'my-reviews', description: 'Reseñas del cliente' },
+  { name: 'promotions', description: 'Promociones y cupones' },
+  { name: 'docs', description: 'Esta documentación' },
+];
+
+// Reseñas e imágenes: mismas rutas para el inventario y la flota de arriendo
+const PRODUCT_ROUTES = [
+  { basePath: '/api/inventory', schema: 'InventoryItem', label: 'producto' },
+  { basePath: '/api/bikes', schema: 'BikeForRent', label: 'bicicleta de arriendo' },
+];
+
+const RATING = object({ average: NUMBER, count: NUMBER });
+const PUBLIC_REVIEW = object({
+  id: OBJECT_ID,
+  authorName: STRING,
+  rating: INTEGER,
+  comment: nullable(STRING),
+  createdAt: DATE_TIME,
+  updatedAt: DATE_TIME,
+}, { optional: ['comment'] });
+
+const productRouteDocs = Object.assign({}, ...PRODUCT_ROUTES.map(({ basePath, schema, label }) => ({
+  [`GET ${basePath}/:id/reviews`]: {
+    tag: 'reviews',
+    summary: `Reseñas visibles de un ${label}, las más recientes primero`,
+    responses: ok(object({ rating: RATING, reviews: arrayOf(PUBLIC_REVIEW), total: INTEGER, page: INTEGER, limit: INTEGER, totalPages: INTEGER })),
+  },
+  [`POST ${basePath}/:id/reviews`]: {
+    tag: 'reviews',
+    summary: `Reseña un ${label} recibido o arrendado (una por cliente)`,
+    description: 'Requiere el email verificado.',
+    responses: created(object({ review: PUBLIC_REVIEW, rating: RATING })),
+    errors: { 409: 'Ya reseñó este producto (ALREADY_REVIEWED)' },
+  },
+  [`POST ${basePath}/:id/images`]: {
+    summary: `Sube imágenes de un ${label} (campo "images")`,
+    requestBody: MULTIPART_IMAGES,
+    responses: created(ref(schema)),
+  },
+  [`PUT ${basePath}/:id/images/order`]: { summary: `Reordena las imágenes de un ${label}; la primera es la portada`, responses: ok(ref(schema)) },
+  [`DELETE ${basePath}/:id/images/:imageId`]: { summary: `Elimina una imagen de un ${label}`, responses: ok(ref(schema)) },
+})));
+
+const ROUTE_DOCS = {
+  // --- Autenticación y cuenta propia ---
+  'POST /api/register': {
+    summary: 'Registra un cliente y envía el correo de verificación',
+    responses: created(object({ message: STRING, user: object({ id: OBJECT_ID, email: STRING, firstName: STRING, emailVerified: BOOLEAN }) })),
+    errors: { 409: 'El email ya está registrado (EMAIL_TAKEN)' },
+  },
+  'POST /api/login': {
+    summary: 'Inicia sesión de cliente',
+    responses: ok(object({
+      message: STRING,
+      ...AUTH_TOKENS,
+      user: object({ id: OBJECT_ID, firstName: STRING, lastName: STRING, email: STRING, emailVerified: BOOLEAN }),
+    })),
+    errors: { 429: 'Demasiados intentos o cuenta bloqueada temporalmente (ver Retry-After)' },
+  },
+  'POST /api/employee-login': {
+    summary: 'Inicia sesión de empleado o administrador',
+    description: 'Con mustChangePassword: true solo puede ver su perfil y cambiar la contraseña.',
+    responses: ok(object({
+      message: STRING,
+      ...AUTH_TOKENS,
+      employee: object({ id: OBJECT_ID, firstName: STRING, lastName: STRING, email: STRING, role: STRING, mustChangePassword: BOOLEAN }),
+    })),
+    errors: { 429: 'Demasiados intentos o cuenta bloqueada temporalmente (ver Retry-After)' },
+  },
+  'POST /api/token/refresh': {
+    summary: 'Cambia un refresh token por un nuevo par de tokens (rotación)',
+    responses: ok(object({ message: STRING, ...AUTH_TOKENS })),
+    errors: { 401: 'Refresh token inválido, expirado o revocado (INVALID_TOKEN)' },
+  },
+  'POST /api/logout': { summary: 'Cierra la sesión revocando el refresh token', responses: MESSAGE },
+  'POST /api/employee-register': {
+    summary: 'Registra un empleado',
+    responses: created(object({ message: STRING, employee: object({ id: OBJECT_ID, email: STRING, firstName: STRING, role: STRING }) })),
+    errors: { 409: 'El email ya está registrado (EMAIL_TAKEN)' },
+  },
+  'POST /api/password/forgot': { summary: 'Envía un enlace para restablecer la contraseña', responses: MESSAGE },
+  'POST /api/password/reset': { summary: 'Define una nueva contraseña con el token del correo y cierra todas las sesiones', responses: MESSAGE },
+  'POST /api/email/verify': {
+    summary: 'Confirma el email del cliente con el token del correo',
+    responses: ok(object({ message: STRING, emailVerified: BOOLEAN })),
+  },
+  'POST /api/email/resend-verification': {
+    summary: 'Reenvía el correo de verificación',
+    responses: MESSAGE,
+    errors: { 409: 'El email ya está verificado (ALREADY_VERIFIED)' },
+  },
+  'GET /api/me': { summary: 'Perfil de la cuenta con sesión iniciada', responses: ok(ACCOUNT_PROFILE) },
+  'PUT /api/me': { summary: 'Actualiza nombre y apellido', responses: ok(object({ message: STRING, profile: ACCOUNT_PROFILE })) },
+  'PUT /api/me/password': {
+    summary: 'Cambia la contraseña; cierra las demás sesiones y devuelve tokens nuevos',
+    responses: ok(object({ message: STRING, ...AUTH_TOKENS })),
+  },
+  'DELETE /api/me': { summary: 'El cliente elimina su cuenta (confirmando con su contraseña)', responses: MESSAGE },
+
+  // --- Inventario ---
+  'GET /api/inventory': {
+    summary: 'Catálogo con filtros, búsqueda y orden',
+    description: 'Sin ?page ni ?limit devuelve el arreglo completo; con ellos, una página { items, total, page, limit, totalPages }.',
+    responses: ok({
+      oneOf: [
+        arrayOf(ref('InventoryItem')),
+        object({ items: arrayOf(ref('InventoryItem')), total: INTEGER, page: INTEGER, limit: INTEGER, totalPages: INTEGER }),
+      ],
+    }),
+  },
+  'GET /api/inventory/facets': {
+    summary: 'Facetas del catálogo con su cantidad (acepta los filtros del catálogo)',
+    responses: ok(object({
+      categories: arrayOf(object({ value: STRING, count: INTEGER })),
+      brands: arrayOf(object({ value: STRING, count: INTEGER })),
+      types: arrayOf(object({ value: STRING, count: INTEGER })),
+      partTypes: arrayOf(object({ value: STRING, count: INTEGER })),
+      compatibility: arrayOf(object({ value: STRING, count: INTEGER })),
+      price: nullable(object({ min: NUMBER, max: NUMBER })),
+    })),
+  },
+  'POST /api/inventory': { summary: 'Agrega un ítem al inventario', responses: created(ref('InventoryItem')), errors: { 409: 'SKU repetido' } },
+  'PUT /api/inventory/:id': { summary: 'Edita un ítem del inventario', responses: ok(ref('InventoryItem')) },
+  'DELETE /api/inventory/:id': {
+    summary: 'Elimina un ítem (a la papelera; ?permanent=true lo elimina definitivamente)',
+    responses: MESSAGE,
+  },
+  'GET /api/inventory/deleted': { summary: 'Ítems eliminados (papelera)', responses: ok(arrayOf(ref('InventoryItem'))) },
+  'POST /api/inventory/:id/restore': { summary: 'Restaura un ítem eliminado', responses: ok(ref('InventoryItem')) },
+  'POST /api/inventory/import': {
+    summary: 'Importa el catálogo desde un CSV o XLSX (campo "file")',
+    description: 'Por defecto es una simulación (?dryRun=true); con ?dryRun=false aplica todo o nada.',
+    requestBody: MULTIPART_FILE('file'),
+    responses: ok(object({
+      dryRun: BOOLEAN,
+      message: STRING,
+      summary: object({ rows: INTEGER, toCreate: INTEGER, toUpdate: INTEGER, unchanged: INTEGER, errors: INTEGER }),
+      rows: arrayOf({ type: 'object', properties: { row: INTEGER, action: { ...STRING, enum: ['create', 'update', 'unchanged'] } } }),
+      errors: arrayOf(object({ row: INTEGER, field: STRING, message: STRING })),
+    }, { optional: ['message', 'errors'] })),
+    errors: { 413: 'Archivo demasiado grande' },
+  },
+  'GET /api/inventory/export': {
+    summary: 'Descarga el catálogo en CSV o XLSX (mismas columnas que la importación)',
+    responses: {
+      200: {
+        description: 'Archivo del catálogo',
+        content: {
+          'text/csv': { schema: STRING },
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: { type: 'string', format: 'binary' } },
+        },
+      },
+    },
+  },
+  'POST /api/inventory/:id/stock-movements': {
+    summary: 'Registra una reposición, un ajuste manual o una devolución',
+    responses: created(ref('InventoryItem')),
+    errors: { 409: 'El stock quedaría negativo' },
+  },
+  'GET /api/inventory/:id/stock-movements': {
+    summary: 'Historial de movimientos de stock de un ítem',
+    responses: ok(arrayOf(withProperties(modelSchemas.StockMovement, { actorId: ACCOUNT_SUMMARY }))),
+  },
+  'GET /api/stock-alerts': { summary: 'Alertas de stock bajo', responses: ok(arrayOf(ref('StockAlert'))) },
+  'GET /api/inventory/stock-audit': {
+    summary: 'Compara el stock de cada ítem con la suma de sus movimientos',
+    responses: ok(arrayOf(object({
+      itemId: OBJECT_ID,
+      name: STRING,
+      currentStock: NUMBER,
+      ledgerStock: NUMBER,
+      difference: NUMBER,
+      movements: INTEGER,
+      lastMovementAt: nullable(DATE_TIME),
+    }))),
+  },
+
+  // --- Reparaciones ---
+  'GET /api/repairs': { summary: 'Lista las solicitudes de reparación', responses: ok(arrayOf(ref('RepairRequest'))) },
+  'GET /api/repairs/deleted': { summary: 'Reparaciones eliminadas (papelera)', responses: ok(arrayOf(ref('RepairRequest'))) },
+  'POST /api/repairs': {
+    summary: 'Crea una solicitud de reparación (público); devuelve el código de seguimiento',
+    responses: created(ref('RepairRequest')),
+  },
+  'PUT /api/repairs/:id': {
+    summary: 'Cambia el estado de una reparación (Pendiente → En Proceso → Completada/Cancelada)',
+    description: 'Al cancelarla, sus repuestos se quitan y vuelven al inventario.',
+    responses: ok(ref('RepairRequest')),
+    errors: { 409: 'Transición de estado no permitida (INVALID_TRANSITION)' },
+  },
+  'GET /api/repairs/track/:trackingCode': {
+    summary: 'Seguimiento público por código (sin notas internas ni datos del personal)',
+    responses: ok(object({
+      trackingCode: STRING,
+      bikeType: STRING,
+      bikeBrand: STRING,
+      problemDescription: STRING,
+      date: DATE_TIME,
+      status: STRING,
+      statusHistory: arrayOf(object({ status: STRING, changedAt: DATE_TIME, note: nullable(STRING) }, { optional: ['note'] })),
+      quote: nullable(object({ laborCost: NUMBER, description: nullable(STRING), status: STRING, quotedAt: DATE_TIME }, { optional: ['description'] })),
+      parts: arrayOf(object({ name: STRING, quantity: INTEGER, unitPrice: NUMBER })),
+      ...REPAIR_COSTS,
+    })),
+  },
+  'POST /api/repairs/track/:trackingCode/quote-response': {
+    summary: 'El cliente acepta o rechaza el presupuesto (con el email de contacto)',
+    responses: ok(object({ message: STRING, quote: modelSchemas.RepairRequest.properties.quote })),
+    errors: { 409: 'No hay un presupuesto pendiente' },
+  },
+  'GET /api/repairs/:id': {
+    summary: 'Detalle de una reparación con el técnico y los costos',
+    responses: ok(withProperties(modelSchemas.RepairRequest, { technician: ACCOUNT_SUMMARY, ...REPAIR_COSTS }, { required: Object.keys(REPAIR_COSTS) })),
+  },
+  'PUT /api/repairs/:id/technician': { summary: 'Asigna un técnico', responses: ok(ref('RepairRequest')) },
+  'PUT /api/repairs/:id/quote': {
+    summary: 'Registra o reemplaza el presupuesto de mano de obra',
+    responses: ok(ref('RepairRequest')),
+    errors: { 409: 'La reparación ya está cerrada' },
+  },
+  'POST /api/repairs/:id/parts': {
+    summary: 'Agrega un repuesto y descuenta su stock',
+    responses: created(ref('RepairRequest')),
+    errors: { 409: 'Reparación cerrada o stock insuficiente (INSUFFICIENT_STOCK)' },
+  },
+  'DELETE /api/repairs/:id/parts/:partId': {
+    summary: 'Quita un repuesto y devuelve su stock',
+    responses: ok(ref('RepairRequest')),
+    errors: { 409: 'Reparación completada o cancelada' },
+  },
+  'POST /api/repairs/:id/notes': { summary: 'Agrega una nota interna', responses: created(ref('RepairRequest')) },
+  'DELETE /api/repairs/:id': {
+    summary: 'Elimina una reparación (a la papelera; ?permanent=true la elimina definitivamente)',
+    responses: MESSAGE,
+  },
+  'POST /api/repairs/:id/restore': { summary: 'Restaura una reparación eliminada', responses: ok(ref('RepairRequest')) },
+
+  // --- Flota de arriendo ---
+  'GET /api/bikes': { summary: 'Lista la flota con filtros', responses: ok(arrayOf(ref('BikeForRent'))) },
+  'GET /api/bikes/availability': {
+    summary: 'Calendario de disponibilidad de todas las bicicletas',
+    responses: ok(object({ from: DATE_TIME, to: DATE_TIME, bikes: arrayOf(ref('BikeAvailability')) })),
+  },
+  'GET /api/bikes/:id/availability': {
+    summary: 'Calendario de disponibilidad de una bicicleta',
+    responses: ok(withProperties(COMPONENT_SCHEMAS.BikeAvailability, { from: DATE_TIME, to: DATE_TIME }, { required: ['from', 'to'] })),
+  },
+  'GET /api/bikes/:id': { summary: 'Detalle de una bicicleta', responses: ok(ref('BikeForRent')) },
+  'POST /api/bikes': { summary: 'Agrega una bicicleta a la flota', responses: created(ref('BikeForRent')) },
+  'PUT /api/bikes/:id': {
+    summary: 'Edita una bicicleta',
+    responses: ok(ref('BikeForRent')),
+    errors: { 409: 'available: true en una bicicleta dada de baja' },
+  },
+  'DELETE /api/bikes/:id': {
+    summary: 'Elimina una bicicleta sin historial de arriendos',
+    responses: MESSAGE,
+    errors: { 409: 'Tiene arriendos: se debe dar de baja (retired)' },
+  },
+  'POST /api/bikes/:id/maintenance': {
+    summary: 'Agrega un bloque de mantención',
+    responses: created(ref('BikeForRent')),
+    errors: { 409: 'Se cruza con arriendos reservados' },
+  },
+  'DELETE /api/bikes/:id/maintenance/:blockId': { summary: 'Quita un bloque de mantención', responses: ok(ref('BikeForRent')) },
+
+  // --- Arriendos ---
+  'POST /api/rentals/quote': {
+    summary: 'Cotiza un arriendo sin reservarlo, con promociones y cupón',
+    responses: ok(object({ message: STRING, bikeId: OBJECT_ID, bikeName: STRING, startDate: DATE_TIME, endDate: DATE_TIME, ...RENTAL_PRICING })),
+    errors: {
+      401: 'Token inválido, o cupón con límite por cliente sin sesión iniciada (LOGIN_REQUIRED)',
+      409: 'Bicicleta no disponible (BIKE_UNAVAILABLE, BOOKING_CONFLICT) o cupón agotado',
+    },
+  },
+  'POST /api/rentals': {
+    summary: 'Reserva un arriendo; el precio se calcula en el servidor',
+    description: 'La sesión es opcional: con sesión de cliente se usa el email de la cuenta y los límites de uso por cliente '
+      + 'se cuentan por cuenta. Si se cobra garantía, la respuesta incluye payment con la página de pago.',
+    responses: created(withProperties(modelSchemas.Rental, { payment: ref('PaymentSummary') })),
+    errors: {
+      401: 'Token inválido, o cupón con límite por cliente sin sesión iniciada (LOGIN_REQUIRED)',
+      409: 'Bicicleta no disponible (BIKE_UNAVAILABLE, BOOKING_CONFLICT) o cupón agotado (PROMOTION_LIMIT_REACHED)',
+    },
+  },
+  'GET /api/rentals': { summary: 'Lista los arriendos con filtros', responses: ok(arrayOf(ref('Rental'))) },
+  'PUT /api/rentals/:id/status': {
+    summary: 'Cambia el estado de un arriendo (Pendiente → Activo → Completado/Cancelado)',
+    description: 'Al cancelar, una garantía pendiente queda Cancelada y una ya pagada se reembolsa.',
+    responses: ok(ref('Rental')),
+    errors: { 409: 'Transición de estado no permitida' },
+  },
+
+  // --- Compras ---
+  'POST /api/purchase/quote': {
+    summary: 'Cotiza el carrito sin modificar el stock, con promociones y cupón',
+    responses: ok(object({ message: STRING, breakdown: ref('PriceBreakdown') })),
+    errors: { 409: 'Stock insuficiente (INSUFFICIENT_STOCK) o precio cambiado (PRICE_CHANGED)' },
+  },
+  'POST /api/purchase': {
+    summary: 'Crea el pedido, descuenta el stock e inicia el pago',
+    responses: ok(object({ message: STRING, dispatchRecord: ref('DispatchRecord'), breakdown: ref('PriceBreakdown'), payment: ref('PaymentSummary') })),
+    errors: { 409: 'Stock insuficiente, precio cambiado o cupón agotado' },
+  },
+
+  // --- Despachos ---
+  'GET /api/dispatches': { summary: 'Lista los despachos', responses: ok(arrayOf(ref('DispatchRecord'))) },
+  'GET /api/dispatches/:id': { summary: 'Detalle de un despacho', responses: ok(ref('DispatchRecord')) },
+  'PUT /api/dispatches/:id/status': { summary: 'Cambia el estado de un despacho', responses: ok(ref('DispatchRecord')), errors: { 409: 'Transición de estado no permitida' } },
+  'GET /api/my-orders': { summary: 'Historial de compras del cliente', responses: ok(arrayOf(ref('DispatchRecord'))) },
+
+  // --- Pagos ---
+  'POST /api/payments/webhook/:provider': { summary: 'Webhook de la pasarela (se valida la firma; los eventos repetidos no se aplican de nuevo)' },
+  'POST /api/payments/:id/mock-complete': { summary: 'Solo con la pasarela mock: simula que el cliente terminó el pago' },
+  'GET /api/payments': { summary: 'Lista los pagos', responses: ok(arrayOf(ref('Payment'))) },
+  'GET /api/payments/:id': { summary: 'Estado de un pago (empleados, o el cliente dueño del pago)' },
+  'POST /api/payments/:id/refund': { summary: 'Reembolsa un pago aprobado, total o parcial' },
+
+  // --- Carrito y lista de deseos ---
+  'GET /api/cart': { summary: 'Carrito del cliente con precios, stock y promociones actuales' },
+  'POST /api/cart/items': { summary: 'Agrega un producto al carrito (si ya está, suma la cantidad)' },
+  'PUT /api/cart/items/:itemId': { summary: 'Cambia la cantidad de un producto del carrito' },
+  'DELETE /api/cart/items/:itemId': { summary: 'Quita un producto del carrito' },
+  'DELETE /api/cart': { summary: 'Vacía el carrito' },
+  'POST /api/cart/checkout': { summary: 'Inicia el pago y reserva el stock del carrito' },
+  'DELETE /api/cart/checkout': { summary: 'Cancela el pago en curso y libera el stock reservado', responses: MESSAGE },
+  'GET /api/wishlist': { summary: 'Lista de deseos con precio y disponibilidad actuales' },
+  'POST /api/wishlist': { summary: 'Agrega un producto a la lista de deseos' },
+  'DELETE /api/wishlist/:itemId': { summary: 'Quita un producto de la lista de deseos', responses: MESSAGE },
+  'POST /api/wishlist/:itemId/move-to-cart': { summary: 'Mueve un producto de la lista de deseos al carrito' },
+
+  // --- Reportes ---
+  'GET /api/reports/revenue': { summary: 'Ingresos por día, semana o mes' },
+  'GET /api/reports/top-items': { summary: 'Productos más vendidos' },
+  'GET /api/reports/top-brands': { summary: 'Marcas más vendidas' },
+  'GET /api/reports/rental-usage': { summary: 'Uso de cada bicicleta de arriendo en el período' },
+  'GET /api/reports/repairs': { summary: 'Reparaciones recibidas en el período, por estado' },
+  'GET /api/reports/inventory-value': { summary: 'Valor del inventario por categoría y movimientos de stock del período' },
+
+  // --- Notificaciones ---
+  'GET /api/notifications': { summary: 'Últimas notificaciones con filtros', responses: ok(arrayOf(ref('Notification'))) },
+  'GET /api/notifications/summary': { summary: 'Cantidad de notificaciones por estado y canal' },
+  'GET /api/notifications/:id': { summary: 'Detalle de una notificación', responses: ok(ref('Notification')) },
+  'POST /api/notifications/:id/retry': { summary: 'Vuelve a encolar una notificación fallida', responses: ok(ref('Notification')) },
+
+  // --- Auditoría ---
+  'GET /api/audit-logs': { summary: 'Busca en el registro de auditoría', responses: ok(arrayOf(ref('AuditLog'))) },
+  'GET /api/audit-logs/:model/:id': { summary: 'Historial de cambios de un registro', responses: ok(arrayOf(ref('AuditLog'))) },
+
+  // --- Reseñas ---
+  ...productRouteDocs,
+  'GET /api/my-reviews': { summary: 'Reseñas del cliente (incluye las ocultas)' },
+  'PUT /api/reviews/:id': { summary: 'El cliente edita su reseña', responses: ok(object({ review: PUBLIC_REVIEW, rating: RATING })) },
+  'DELETE /api/reviews/:id': { summary: 'El cliente elimina su reseña', responses: ok(object({ message: STRING, rating: RATING })) },
+  'GET /api/reviews': { summary: 'Últimas reseñas para moderar', responses: ok(arrayOf(ref('Review'))) },
+  'POST /api/reviews/:id/hide': { summary: 'Oculta una reseña abusiva', responses: ok(ref('Review')), errors: { 409: 'Ya está oculta (INVALID_TRANSITION)' } },
+  'POST /api/reviews/:id/unhide': { summary: 'Vuelve a mostrar una reseña oculta', responses: ok(ref('Review')), errors: { 409: 'No está oculta (INVALID_TRANSITION)' } },
+
+  // --- Promociones ---
+  'GET /api/promotions/current': { summary: 'Promociones automáticas vigentes (los cupones no se listan)' },
+  'GET /api/promotions': { summary: 'Lista las promociones con filtros', responses: ok(arrayOf(ref('Promotion'))) },
+  'GET /api/promotions/:id': { summary: 'Detalle de una promoción con sus usos' },
+  'POST /api/promotions': { summary: 'Crea una promoción automática o un cupón', responses: created(ref('Promotion')), errors: { 409: 'Código repetido' } },
+  'PUT /api/promotions/:id': { summary: 'Edita una promoción', responses: ok(ref('Promotion')) },
+  'DELETE /api/promotions/:id': { summary: 'Elimina una promoción que nunca se usó', responses: MESSAGE, errors: { 409: 'Ya se usó (PROMOTION_IN_USE)' } },
+
+  // --- Documentación ---
+  'GET /api/openapi.json': { tag: 'docs', summary: 'Esta especificación OpenAPI', responses: ok({ type: 'object' }) },
+  'GET /api/docs': {
+    tag: 'docs',
+    summary: 'Documentación interactiva de la API',
+    responses: { 200: { description: 'Página HTML', content: { 'text/html': { schema: STRING } } } },
+  },
+};
+
+module.exports = {
+  COMPONENT_SCHEMAS,
+  ROUTE_DOCS,
+  TAGS,
+};
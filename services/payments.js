@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { APP_URL, PAYMENT_PROVIDER, PAYMENT_TIMEOUT_MINUTES, PAYMENT_WEBHOOK_SECRET } = require('../config');
+const { DispatchRecord, Payment, Rental, WebhookEvent } = require('../models');
+const { httpError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+const { runInTransaction } = require('../utils/transaction');
+const { cancelDispatch } = require('./dispatch');
+const { notify } = require('./notifications');
+const { releasePromotions } = require('./promotions');
+
+// Pasarelas de pago intercambiables. Cada una implementa:
+//   createPayment({ paymentId, amount, currency, description, customerEmail, returnUrl }) → { providerPaymentId, redirectUrl }
+//   refund({ providerPaymentId, amount, idempotencyKey }) → { providerRefundId }
+//   parseWebhook(req) → { eventId, type, providerPaymentId, amount } (lanza un 401 si la firma no es válida)
+// con type = 'payment.approved' | 'payment.rejected' | 'payment.cancelled'.
+// Webpay, Flow o MercadoPago se agregan como otra entrada con la misma forma que llame a su API.
+const paymentProviders = {
+  // Pasarela local para desarrollo y pruebas: no cobra nada. El pago se completa con
+  // POST /api/payments/:id/mock-complete o enviando un webhook firmado (HMAC-SHA256 en X-Mock-Signature).
+  mock: {
+    async createPayment({ paymentId }) {
+      return {
+        providerPaymentId: `mock_${crypto.randomBytes(8).toString('hex')}`,
+        redirectUrl: `${APP_URL}/pago/mock?payment=${paymentId}`,
+      };
+    },
+    async refund() {
+      return { providerRefundId: `mock_re_${crypto.randomBytes(8).toString('hex')}` };
+    },
+    parseWebhook(req) {
+      const signature = String(req.get('x-mock-signature') || '');
+      const expected = signMockWebhook(req.rawBody || Buffer.alloc(0));
+      if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw httpError(401, 'Firma del webhook inválida.', { code: 'INVALID_SIGNATURE' });
+      }
+      const { id, type, data = {} } = req.body || {};
+      if (!id || !type) {
+        throw httpError(400, 'Evento de webhook inválido.', { code: 'VALIDATION_ERROR' });
+      }
+      return { eventId: String(id), type: String(type), providerPaymentId: data.paymentId, amount: data.amount };
+    },
+  },
+};
+
+const paymentProvider = paymentProviders[PAYMENT_PROVIDER];
+if (!paymentProvider) {
+  logger.error(`PAYMENT_PROVIDER desconocido: ${PAYMENT_PROVIDER}. Opciones: ${Object.keys(paymentProviders).join(', ')}`);
+  process.exit(1);
+}
+
+function signMockWebhook(rawBody) {
+  return crypto.createHmac('sha256', PAYMENT_WEBHOOK_SECRET).update(rawBody).digest('hex');
+}
+
+// Resultado del pago según el tipo de evento de la pasarela
+const PAYMENT_EVENT_OUTCOMES = {
+  'payment.approved': 'Aprobado',
+  'payment.rejected': 'Rechazado',
+  'payment.cancelled': 'Cancelado',
+};
+
+// Lo que ve el cliente del pago (sin datos internos)
+function paymentSummary(payment) {
+  return {
+    id: payment._id,
+    status: payment.status,
+    amount: payment.amount,
+    currency: payment.currency,
+    provider: payment.provider,
+    redirectUrl: payment.redirectUrl,
+    expiresAt: payment.expiresAt,
+  };
+}
+
+// Registro del pago, creado en la misma transacción que el pedido o el arriendo.
+// La pasarela se llama después de confirmar la transacción (startPayment), porque la transacción puede reintentarse.
+function newPayment({ purpose, referenceModel, referenceId, amount, customerEmail }) {
+  return new Payment({
+    provider: PAYMENT_PROVIDER,
+    purpose,
+    referenceModel,
+    referenceId,
+    amount,
+    customerEmail,
+    expiresAt: new Date(Date.now() + PAYMENT_TIMEOUT_MINUTES * 60 * 1000),
+  });
+}
+
+// Crea la intención de pago en la pasarela. Si falla, el pago se rechaza y su pedido o arriendo se cancela.
+async function startPayment(payment, description) {
+  try {
+    const { providerPaymentId, redirectUrl } = await paymentProvider.createPayment({
+      paymentId: payment._id.toString(),
+      amount: payment.amount,
+      currency: payment.currency,
+      description,
+      customerEmail: payment.customerEmail,
+      returnUrl: `${APP_URL}/pago/resultado?payment=${payment._id}`,
+    });
+    payment.providerPaymentId = providerPaymentId;
+    payment.redirectUrl = redirectUrl;
+    return await payment.save();
+  } catch (err) {
+    logger.error('Error al crear el pago en la pasarela', { paymentId: payment._id, err });
+    await runInTransaction(session => settlePayment(payment._id, 'Rechazado', 'No se pudo iniciar el pago en la pasarela', session));
+    throw httpError(502, 'No se pudo iniciar el pago. Intenta nuevamente.', { code: 'PAYMENT_PROVIDER_ERROR' });
+  }
+}
+
+// Cierra un pago pendiente y aplica el resultado a su pedido o arriendo:
+// aprobado → el despacho pasa a 'Pendiente' / la garantía queda 'Pagada';
+// en otro caso → el despacho se cancela devolviendo el stock / la garantía queda 'Cancelada' y el arriendo pendiente se cancela.
+// Devuelve null si el pago ya no estaba pendiente.
+async function settlePayment(paymentId, outcome, reason, session) {
+  const update = outcome === 'Aprobado' ? { status: outcome, paidAt: new Date() } : { status: outcome, failureReason: reason };
+  const payment = await Payment.findOneAndUpdate({ _id: paymentId, status: 'Pendiente' }, update, { new: true, session });
+  if (!payment) {
+    return null;
+  }
+
+  if (payment.referenceModel === 'DispatchRecord') {
+    const dispatch = await DispatchRecord.findById(payment.referenceId).session(session);
+    if (dispatch && dispatch.status === 'Pago Pendiente') {
+      if (outcome === 'Aprobado') {
+        dispatch.status = 'Pendiente';
+        await dispatch.save({ session });
+        await notify('order.confirmed', dispatch, session);
+      } else {
+        await cancelDispatch(dispatch, reason, {}, session);
+      }
+    }
+  } else {
+    const rental = await Rental.findById(payment.referenceId).session(session);
+    if (rental && rental.deposit.status === 'Pendiente') {
+      if (outcome === 'Aprobado') {
+        rental.deposit.status = 'Pagada';
+      } else {
+        rental.deposit.status = 'Cancelada';
+        if (rental.status === 'Pendiente') {
+          rental.status = 'Cancelado';
+          await releasePromotions('Rental', rental._id, session);
+        }
+      }
+      await rental.save({ session });
+      if (outcome === 'Aprobado' && rental.status !== 'Cancelado') {
+        await notify('rental.confirmed', rental, session);
+      }
+    }
+  }
+  return payment;
+}
+
+// Aplica un evento de la pasarela una sola vez. El registro en WebhookEvent va en la misma transacción:
+// si algo falla no queda registrado y la pasarela puede reintentar; si ya estaba, el índice único lo rechaza.
+async function processPaymentEvent(providerName, event) {
+  return runInTransaction(async session => {
+    await WebhookEvent.create([{ provider: providerName, eventId: event.eventId, type: event.type, providerPaymentId: event.providerPaymentId }], { session });
+
+    const outcome = PAYMENT_EVENT_OUTCOMES[event.type];
+    if (!outcome) {
+      return { applied: false }; // Tipo de evento que no nos interesa
+    }
+    const payment = await Payment.findOne({ provider: providerName, providerPaymentId: event.providerPaymentId }).session(session);
+    if (!payment) {
+      throw httpError(404, 'Pago no encontrado');
+    }
+    if (outcome === 'Aprobado' && event.amount !== undefined && Number(event.amount) !== payment.amount) {
+      // No se confirma el pedido, pero el cliente ya pagó: el evento queda registrado (la pasarela no reintenta),
+      // el pago se rechaza cancelando su pedido o arriendo y queda marcado como pagado para reembolsarlo
+      const paidAmount = Number(event.amount);
+      await settlePayment(payment._id, 'Rechazado', `El monto pagado (${paidAmount}) no coincide con el del pago (${payment.amount})`, session);
+      const flagged = await Payment.findByIdAndUpdate(payment._id, { paidAt: new Date(), paidAmount }, { new: true, session });
+      logger.error('Pago aprobado con un monto distinto: debe reembolsarse', { paymentId: payment._id, amount: payment.amount, paidAmount });
+      return { applied: false, payment: flagged };
+    }
+
+    const settled = await settlePayment(payment._id, outcome, `Pago ${outcome.toLowerCase()} en la pasarela`, session);
+    if (!settled && outcome === 'Aprobado' && !payment.paidAt) {
+      // Llegó el pago de un pedido ya vencido o cancelado: queda registrado para reembolsarlo
+      payment.paidAt = new Date();
+      await payment.save({ session });
+      logger.error('Pago aprobado después de cerrarse: debe reembolsarse', { paymentId: payment._id, status: payment.status });
+    }
+    return { applied: Boolean(settled), payment: settled || payment };
+  });
+}
+
+// Reembolsa un pago aprobado, total o parcial (por defecto todo lo que queda). Con idempotencyKey, repetir
+// la llamada no reembolsa dos veces: devuelve el reembolso anterior con duplicate: true.
+// Al reembolsar toda la garantía de un arriendo, queda 'Reembolsada'. Devuelve { refund, payment, duplicate }.
+async function refundPayment(payment, { amount: requestedAmount, reason, idempotencyKey, refundedBy } = {}) {
+  const previous = idempotencyKey && payment.refunds.find(r => r.idempotencyKey === idempotencyKey);
+  if (previous) {
+    return { refund: previous, payment, duplicate: true };
+  }
+  if (!payment.paidAt) {
+    throw httpError(409, 'Solo se pueden reembolsar pagos aprobados.', { code: 'PAYMENT_NOT_PAID' });
+  }
+  const paidAmount = payment.paidAmount ?? payment.amount; // Con un monto distinto se reembolsa lo cobrado
+  const remaining = paidAmount - payment.refundedAmount;
+  const amount = requestedAmount ?? remaining;
+  if (amount < 1 || amount > remaining) {
+    throw httpError(409, `El monto a reembolsar debe estar entre 1 y ${remaining}.`, { code: 'INVALID_REFUND_AMOUNT' });
+  }
+
+  // 1. Reservar el reembolso (si otro reembolso cambió el pago entretanto, no se aplica)
+  const refundId = new mongoose.Types.ObjectId();
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, refundedAmount: payment.refundedAmount },
+    {
+      $inc: { refundedAmount: amount },
+      $push: { refunds: { _id: refundId, amount, reason, idempotencyKey, refundedBy } },
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    throw httpError(409, 'El pago cambió mientras se procesaba el reembolso. Intenta nuevamente.', { code: 'CONFLICT' });
+  }
+
+  // 2. Pedirlo a la pasarela; si falla, se deshace la reserva
+  let providerRefundId;
+  try {
+    ({ providerRefundId } = await paymentProviders[payment.provider].refund({
+      providerPaymentId: payment.providerPaymentId,
+      amount,
+      idempotencyKey: idempotencyKey || refundId.toString(),
+    }));
+  } catch (err) {
+    logger.error('Error al reembolsar en la pasarela', { paymentId: payment._id, err });
+    await Payment.updateOne({ _id: payment._id }, { $inc: { refundedAmount: -amount }, $pull: { refunds: { _id: refundId } } });
+    throw httpError(502, 'La pasarela no pudo procesar el reembolso.', { code: 'PAYMENT_PROVIDER_ERROR' });
+  }
+
+  const fullyRefunded = claimed.refundedAmount >= paidAmount;
+  const updatedPayment = await Payment.findOneAndUpdate(
+    { _id: payment._id, 'refunds._id': refundId },
+    { 'refunds.$.providerRefundId': providerRefundId, status: fullyRefunded ? 'Reembolsado' : 'Reembolso parcial' },
+    { new: true }
+  );
+  if (fullyRefunded && payment.referenceModel === 'Rental') {
+    await Rental.updateOne({ _id: payment.referenceId, 'deposit.paymentId': payment._id }, { 'deposit.status': 'Reembolsada' });
+  }
+  return { refund: updatedPayment.refunds.id(refundId), payment: updatedPayment, duplicate: false };
+}
+
+// Vence los pagos pendientes (y cancela sus pedidos o arriendos) cada minuto
+async function expirePendingPayments() {
+  const expired = await Payment.find({ status: 'Pendiente', expiresAt: { $lte: new Date() } }, '_id');
+  for (const { _id } of expired) {
+    await runInTransaction(session => settlePayment(_id, 'Expirado', 'El pago no se completó a tiempo', session));
+  }
+}
+
+// Devuelve una función que detiene el job y espera a que termine la pasada en curso (apagado ordenado)
+function startPaymentExpiryJob() {
+  let currentRun = Promise.resolve();
+  const timer = setInterval(() => {
+    currentRun = expirePendingPayments().catch(err => logger.error('Error al vencer los pagos pendientes', { err }));
+  }, 60 * 1000).unref();
+  return () => {
+    clearInterval(timer);
+    return currentRun;
+  };
+}
+
+module.exports = {
+  newPayment,
+  paymentProviders,
+  paymentSummary,
+  processPaymentEvent,
+  refundPayment,
+  startPayment,
+  startPaymentExpiryJob,
+};
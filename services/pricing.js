@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const { FREE_SHIPPING_MIN, IVA_RATE, SHIPPING_FLAT_FEE } = require('../config');
+const { InventoryItem, StockReservation } = require('../models');
+const { httpError } = require('../utils/errors');
+const { applyPurchasePromotions } = require('./promotions');
+
+function normalizeCartItems(cartItems) {
+  const byId = new Map();
+  for (const item of cartItems) {
+    const key = item._id || item.itemId;
+    const existing = byId.get(key);
+    if (existing) {
+      existing.quantity += item.quantity;
+    } else {
+      // quotedPrice es el precio que el cliente vio; si viene, debe coincidir con el actual
+      byId.set(key, { itemId: key, quantity: item.quantity, quotedPrice: item.price });
+    }
+  }
+  return [...byId.values()];
+}
+
+// Unidades reservadas por otros clientes que están pagando (reservas vigentes), por ítem
+async function reservedByOthers(itemIds, customerId = null, session = null) {
+  const match = { itemId: { $in: itemIds.map(id => new mongoose.Types.ObjectId(String(id))) }, expiresAt: { $gt: new Date() } };
+  if (customerId) {
+    match.userId = { $ne: new mongoose.Types.ObjectId(String(customerId)) };
+  }
+  const totals = await StockReservation.aggregate([
+    { $match: match },
+    { $group: { _id: '$itemId', quantity: { $sum: '$quantity' } } },
+  ]).session(session);
+  return new Map(totals.map(t => [t._id.toString(), t.quantity]));
+}
+
+// Totales de un pedido a partir del subtotal (precios con IVA incluido) y los descuentos de promociones.
+// El IVA y el despacho gratis se calculan sobre lo que se paga por los productos (subtotal - discountAmount).
+function calculateOrderTotals(subtotal, discountAmount = 0) {
+  const productsTotal = subtotal - discountAmount;
+  const netAmount = Math.round(productsTotal / (1 + IVA_RATE));
+  const shippingCost = productsTotal >= FREE_SHIPPING_MIN ? 0 : SHIPPING_FLAT_FEE;
+  return {
+    subtotal,
+    discountAmount,
+    netAmount,
+    taxAmount: productsTotal - netAmount,
+    taxRate: IVA_RATE,
+    shippingCost,
+    total: productsTotal + shippingCost,
+  };
+}
+
+// Calcula el desglose de precios desde InventoryItem.price (nunca desde el precio del cliente).
+// El stock disponible descuenta lo que otros clientes tienen reservado; customerId es el cliente que compra.
+// Aplica las promociones automáticas vigentes y el cupón (couponCode); customerId y customerEmail sirven para el límite de usos por cliente.
+async function buildPriceBreakdown(cartItems, session = null, customerId = null, { couponCode, customerEmail } = {}) {
+  const lines = normalizeCartItems(cartItems);
+  const reserved = await reservedByOthers(lines.map(line => line.itemId), customerId, session);
+  const priceMismatches = [];
+  const breakdownLines = [];
+
+  for (const line of lines) {
+    const inventoryItem = await InventoryItem.findById(line.itemId).session(session);
+    if (!inventoryItem) {
+      throw httpError(404, `Producto con ID ${line.itemId} no encontrado en el inventario.`);
+    }
+    const available = Math.max(0, inventoryItem.stock - (reserved.get(inventoryItem._id.toString()) || 0));
+    if (available < line.quantity) {
+      throw httpError(409, `Stock insuficiente para el producto: ${inventoryItem.name}. Disponible: ${available}, Solicitado: ${line.quantity}`, {
+        code: 'INSUFFICIENT_STOCK',
+        details: { itemId: inventoryItem._id, available, requested: line.quantity },
+      });
+    }
+    if (line.quotedPrice !== undefined && line.quotedPrice !== inventoryItem.price) {
+      priceMismatches.push({
+        itemId: inventoryItem._id,
+        name: inventoryItem.name,
+        quotedPrice: line.quotedPrice,
+        currentPrice: inventoryItem.price,
+      });
+    }
+
+    breakdownLines.push({
+      itemId: inventoryItem._id,
+      name: inventoryItem.name,
+      category: inventoryItem.category,
+      brand: inventoryItem.brand,
+      quantity: line.quantity,
+      unitPrice: inventoryItem.price,
+      lineTotal: inventoryItem.price * line.quantity,
+    });
+  }
+
+  if (priceMismatches.length > 0) {
+    throw httpError(409, 'El precio de uno o más productos cambió. Revisa el carrito antes de continuar.', {
+      code: 'PRICE_CHANGED',
+      details: { priceMismatches },
+    });
+  }
+
+  const subtotal = breakdownLines.reduce((sum, line) => sum + line.lineTotal, 0);
+  const { items, promotions, discountAmount } = await applyPurchasePromotions(breakdownLines, subtotal, { couponCode, customerId, customerEmail }, session);
+  return { items, promotions, ...calculateOrderTotals(subtotal, discountAmount) };
+}
+
+module.exports = {
+  buildPriceBreakdown,
+  calculateOrderTotals,
+  reservedByOthers,
+};
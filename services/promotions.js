@@ -0,0 +1,266 @@
+const { Promotion, PromotionRedemption, User } = require('../models');
+const { httpError } = require('../utils/errors');
+
+// Promociones activas y dentro de sus fechas; con scope, solo las que aplican a 'Compras' o a 'Arriendos'
+function currentPromotionsFilter(scope = null, now = new Date()) {
+  const filter = {
+    active: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+    ],
+  };
+  if (scope) {
+    filter.appliesTo = { $in: [scope, 'Todo'] };
+  }
+  return filter;
+}
+
+// Descuento de la promoción sobre un monto (nunca mayor que el monto)
+function discountFor(promotion, amount) {
+  const discount = promotion.discountType === 'Porcentaje' ? Math.round(amount * promotion.value / 100) : promotion.value;
+  return Math.min(discount, amount);
+}
+
+// ¿La promoción aplica a la línea del carrito? Sin categorías ni marcas aplica a todo
+function matchesLine(promotion, line) {
+  const brand = (line.brand || '').toLowerCase();
+  return (promotion.categories.length === 0 || promotion.categories.includes(line.category))
+    && (promotion.brands.length === 0 || promotion.brands.some(b => b.toLowerCase() === brand));
+}
+
+// Las promociones por categoría o marca son solo para productos
+function appliesToRentals(promotion) {
+  return promotion.categories.length === 0 && promotion.brands.length === 0;
+}
+
+// Error de un cupón que no se puede usar, asociado al campo couponCode
+function couponError(status, message, code) {
+  return httpError(status, message, { code, errors: [{ field: 'couponCode', message }] });
+}
+
+// Clave del cliente para el límite de usos por cliente (PromotionRedemption.customerKey). Se cuenta por cuenta
+// siempre que exista: la de la sesión o la registrada con ese email; solo sin cuenta se cuenta por email.
+async function customerKeyFor({ customerId, customerEmail }, session) {
+  if (customerId) {
+    return `user:${customerId}`;
+  }
+  if (!customerEmail) {
+    return null;
+  }
+  const email = customerEmail.toLowerCase();
+  const user = await User.findOne({ email }).select('_id').session(session);
+  return user ? `user:${user._id}` : `email:${email}`;
+}
+
+// Motivo por el que la promoción no se puede usar en esta compra o arriendo (o null): monto mínimo y límites de uso.
+// Sin email del cliente (cotizaciones anónimas) el límite por cliente se verifica recién al comprar.
+// Con guest (arriendos sin sesión) las promociones con límite por cliente no se pueden usar: cambiando el email se podría repetir.
+async function unavailableReason(promotion, subtotal, customer, session) {
+  if (subtotal < promotion.minSubtotal) {
+    return couponError(400, `El cupón requiere un total mínimo de $${promotion.minSubtotal.toLocaleString('es-CL')}.`, 'PROMOTION_MIN_SUBTOTAL');
+  }
+  if (promotion.maxUses && promotion.usedCount >= promotion.maxUses) {
+    return couponError(409, 'El cupón ya alcanzó su límite de usos.', 'PROMOTION_LIMIT_REACHED');
+  }
+  if (promotion.maxUsesPerCustomer && customer.guest) {
+    return couponError(401, 'Inicia sesión para usar este cupón: tiene un límite de usos por cliente.', 'LOGIN_REQUIRED');
+  }
+  const customerKey = promotion.maxUsesPerCustomer ? await customerKeyFor(customer, session) : null;
+  if (customerKey) {
+    const used = await PromotionRedemption.countDocuments({ promotionId: promotion._id, customerKey, useNumber: { $exists: true } }).session(session);
+    if (used >= promotion.maxUsesPerCustomer) {
+      return couponError(409, 'Ya usaste este cupón la cantidad de veces permitida.', 'PROMOTION_LIMIT_REACHED');
+    }
+  }
+  return null;
+}
+
+// Automáticas vigentes que se pueden usar (las que no cumplen el mínimo o los límites simplemente no aplican)
+async function usableAutomaticPromotions(scope, subtotal, customer, session) {
+  const promotions = await Promotion.find({ kind: 'Automática', ...currentPromotionsFilter(scope) }).session(session);
+  const usable = [];
+  for (const promotion of promotions) {
+    if (!(await unavailableReason(promotion, subtotal, customer, session))) {
+      usable.push(promotion);
+    }
+  }
+  return usable;
+}
+
+// Busca el cupón y verifica que se pueda usar; si no, lanza el error para el cliente
+async function findUsableCoupon(couponCode, scope, subtotal, customer, session) {
+  const coupon = await Promotion.findOne({ kind: 'Cupón', code: couponCode.trim().toUpperCase() }).session(session);
+  if (!coupon || !coupon.active) {
+    throw couponError(400, 'El cupón no existe o no está activo.', 'INVALID_COUPON');
+  }
+  if (!(await Promotion.exists({ _id: coupon._id, ...currentPromotionsFilter(scope) }).session(session))) {
+    const outsideDates = (coupon.startsAt && coupon.startsAt > new Date()) || (coupon.endsAt && coupon.endsAt <= new Date());
+    throw couponError(400, outsideDates ? 'El cupón no está vigente.' : `El cupón no aplica a ${scope.toLowerCase()}.`, 'INVALID_COUPON');
+  }
+  const reason = await unavailableReason(coupon, subtotal, customer, session);
+  if (reason) {
+    throw reason;
+  }
+  return coupon;
+}
+
+function appliedPromotion(promotion, amount) {
+  return { promotionId: promotion._id, name: promotion.name, kind: promotion.kind, code: promotion.code, amount };
+}
+
+// Descuentos de una compra. Cada línea recibe la promoción automática que más le descuenta (no se suman entre sí)
+// y después el cupón descuenta sobre lo que queda de las líneas a las que aplica, repartido en proporción a su monto.
+// Devuelve las líneas con su discountAmount, las promociones aplicadas y el descuento total.
+// customer: { customerId, customerEmail, guest } para los límites por cliente (ver unavailableReason).
+async function applyPurchasePromotions(lines, subtotal, { couponCode, ...customer } = {}, session = null) {
+  const items = lines.map(line => ({ ...line, discountAmount: 0 }));
+  const applied = new Map();
+  const addApplied = (promotion, amount) => {
+    const entry = applied.get(promotion._id.toString()) || appliedPromotion(promotion, 0);
+    entry.amount += amount;
+    applied.set(promotion._id.toString(), entry);
+  };
+
+  // 1. Promociones automáticas por categoría o marca. Un monto fijo se descuenta por unidad.
+  const automatic = await usableAutomaticPromotions('Compras', subtotal, customer, session);
+  for (const line of items) {
+    let best = null;
+    let bestAmount = 0;
+    for (const promotion of automatic.filter(p => matchesLine(p, line))) {
+      const amount = promotion.discountType === 'Porcentaje'
+        ? discountFor(promotion, line.lineTotal)
+        : discountFor(promotion, line.unitPrice) * line.quantity;
+      if (amount > bestAmount) {
+        best = promotion;
+        bestAmount = amount;
+      }
+    }
+    if (best) {
+      line.discountAmount = bestAmount;
+      addApplied(best, bestAmount);
+    }
+  }
+
+  // 2. Cupón
+  if (couponCode) {
+    const coupon = await findUsableCoupon(couponCode, 'Compras', subtotal, customer, session);
+    const eligible = items.filter(line => matchesLine(coupon, line) && line.lineTotal > line.discountAmount);
+    const eligibleAmount = eligible.reduce((sum, line) => sum + line.lineTotal - line.discountAmount, 0);
+    if (eligibleAmount === 0) {
+      throw couponError(400, 'El cupón no aplica a los productos del carrito.', 'INVALID_COUPON');
+    }
+    const amount = discountFor(coupon, eligibleAmount);
+    let remaining = amount;
+    eligible.forEach((line, index) => {
+      const share = index === eligible.length - 1
+        ? remaining
+        : Math.round(amount * (line.lineTotal - line.discountAmount) / eligibleAmount);
+      line.discountAmount += share;
+      remaining -= share;
+    });
+    addApplied(coupon, amount);
+  }
+
+  const promotions = [...applied.values()];
+  return { items, promotions, discountAmount: promotions.reduce((sum, p) => sum + p.amount, 0) };
+}
+
+// Descuentos de un arriendo, sobre el precio con el descuento por duración: la mejor promoción automática
+// y después el cupón. Devuelve el precio con promotions, promotionDiscountAmount y el totalPrice final.
+async function applyRentalPromotions(pricing, { couponCode, ...customer } = {}, session = null) {
+  const promotions = [];
+  let totalPrice = pricing.totalPrice;
+
+  const automatic = (await usableAutomaticPromotions('Arriendos', pricing.subtotal, customer, session)).filter(appliesToRentals);
+  const best = automatic
+    .map(promotion => ({ promotion, amount: discountFor(promotion, totalPrice) }))
+    .sort((a, b) => b.amount - a.amount)[0];
+  if (best && best.amount > 0) {
+    promotions.push(appliedPromotion(best.promotion, best.amount));
+    totalPrice -= best.amount;
+  }
+
+  if (couponCode) {
+    const coupon = await findUsableCoupon(couponCode, 'Arriendos', pricing.subtotal, customer, session);
+    if (!appliesToRentals(coupon)) {
+      throw couponError(400, 'El cupón no aplica a arriendos.', 'INVALID_COUPON');
+    }
+    const amount = discountFor(coupon, totalPrice);
+    promotions.push(appliedPromotion(coupon, amount));
+    totalPrice -= amount;
+  }
+
+  return { ...pricing, promotions, promotionDiscountAmount: pricing.totalPrice - totalPrice, totalPrice };
+}
+
+// Primer número de uso libre del cliente (1..maxUsesPerCustomer), o null si ya los ocupó todos.
+// Se busca el primero libre porque cancelar un pedido elimina su uso y deja un hueco.
+async function freeUseNumber(promotion, customerKey, session) {
+  const taken = await PromotionRedemption.distinct('useNumber', { promotionId: promotion._id, customerKey, useNumber: { $exists: true } }).session(session);
+  for (let useNumber = 1; useNumber <= promotion.maxUsesPerCustomer; useNumber++) {
+    if (!taken.includes(useNumber)) {
+      return useNumber;
+    }
+  }
+  return null;
+}
+
+// Registra el uso de las promociones aplicadas a un pedido o arriendo (en su transacción).
+// El límite total se verifica al incrementar usedCount y el límite por cliente con el índice único
+// { promotionId, customerKey, useNumber }: dos compras simultáneas del mismo cliente toman el mismo número
+// de uso y solo una se confirma (la otra reintenta y ve el uso, o falla por la clave duplicada).
+async function redeemPromotions(promotions, { customerId, customerEmail, referenceModel, referenceId }, session) {
+  const customerKey = await customerKeyFor({ customerId, customerEmail }, session);
+  for (const applied of promotions) {
+    const promotion = await Promotion.findOneAndUpdate(
+      { _id: applied.promotionId, $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }] },
+      { $inc: { usedCount: 1 } },
+      { new: true, session }
+    );
+    if (!promotion) {
+      throw couponError(409, `La promoción ${applied.name} ya alcanzó su límite de usos.`, 'PROMOTION_LIMIT_REACHED');
+    }
+    const perCustomerLimitReached = couponError(409, `Ya usaste la promoción ${applied.name} la cantidad de veces permitida.`, 'PROMOTION_LIMIT_REACHED');
+    let useNumber;
+    if (promotion.maxUsesPerCustomer) {
+      useNumber = await freeUseNumber(promotion, customerKey, session);
+      if (!useNumber) {
+        throw perCustomerLimitReached;
+      }
+    }
+    try {
+      await PromotionRedemption.create([{
+        promotionId: applied.promotionId,
+        customerEmail,
+        customerKey,
+        useNumber,
+        referenceModel,
+        referenceId,
+        discountAmount: applied.amount,
+      }], { session });
+    } catch (err) {
+      if (err.code === 11000) {
+        throw perCustomerLimitReached;
+      }
+      throw err;
+    }
+  }
+}
+
+// Un pedido o arriendo cancelado deja de contar para los límites de uso de sus promociones
+async function releasePromotions(referenceModel, referenceId, session) {
+  const redemptions = await PromotionRedemption.find({ referenceModel, referenceId }).session(session);
+  for (const redemption of redemptions) {
+    await Promotion.updateOne({ _id: redemption.promotionId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } }, { session });
+  }
+  await PromotionRedemption.deleteMany({ referenceModel, referenceId }, { session });
+}
+
+module.exports = {
+  applyPurchasePromotions,
+  applyRentalPromotions,
+  currentPromotionsFilter,
+  redeemPromotions,
+  releasePromotions,
+};
@@ -0,0 +1,180 @@
+const { DAY_MS, RENTAL_AVAILABILITY_WINDOW_DAYS, RENTAL_DISCOUNT_TIERS } = require('../config');
+const { BikeForRent, Rental } = require('../models');
+const { httpError } = require('../utils/errors');
+const { startOfDay } = require('../utils/helpers');
+
+// Estados que ocupan la bicicleta en el calendario
+const BLOCKING_RENTAL_STATUSES = ['Pendiente', 'Activo'];
+
+// Transiciones permitidas del ciclo de vida de un arriendo
+const RENTAL_TRANSITIONS = {
+  Pendiente: ['Activo', 'Cancelado'],
+  Activo: ['Completado', 'Cancelado'],
+  Completado: [],
+  Cancelado: [],
+};
+
+// Valida el rango pedido: endDate es el día de devolución y debe ser posterior a startDate
+function parseRentalRange(startValue, endValue) {
+  const startDate = startOfDay(startValue);
+  const endDate = startOfDay(endValue);
+  if (endDate <= startDate) {
+    throw httpError(400, 'La fecha de término debe ser posterior a la fecha de inicio.', {
+      code: 'VALIDATION_ERROR',
+      errors: [{ field: 'endDate', message: 'Debe ser posterior a startDate.' }],
+    });
+  }
+  if (startDate < startOfDay(Date.now())) {
+    throw httpError(400, 'La fecha de inicio no puede estar en el pasado.', {
+      code: 'VALIDATION_ERROR',
+      errors: [{ field: 'startDate', message: 'No puede estar en el pasado.' }],
+    });
+  }
+  return { startDate, endDate };
+}
+
+// Precio del arriendo calculado en el servidor desde BikeForRent.pricePerDay
+function calculateRentalPrice(pricePerDay, startDate, endDate) {
+  const days = Math.round((endDate - startDate) / DAY_MS);
+  const subtotal = days * pricePerDay;
+  const tier = RENTAL_DISCOUNT_TIERS.find(t => days >= t.minDays);
+  const discountRate = tier ? tier.rate : 0;
+  const discountAmount = Math.round(subtotal * discountRate);
+  return {
+    days,
+    pricePerDay,
+    subtotal,
+    discountRate,
+    discountLabel: tier ? tier.label : null,
+    discountAmount,
+    totalPrice: subtotal - discountAmount,
+  };
+}
+
+// Arriendos que se cruzan con [startDate, endDate) para una bicicleta
+function findOverlappingRentals(bikeId, startDate, endDate, session = null) {
+  return Rental.find({
+    bikeId,
+    status: { $in: BLOCKING_RENTAL_STATUSES },
+    startDate: { $lt: endDate },
+    endDate: { $gt: startDate },
+  }).session(session);
+}
+
+// Bloques de mantención de la bicicleta que se cruzan con [startDate, endDate)
+function findOverlappingMaintenance(bike, startDate, endDate) {
+  return bike.maintenanceBlocks.filter(block => block.startDate < endDate && block.endDate > startDate);
+}
+
+// Verifica que la bicicleta se pueda reservar en el rango pedido
+async function assertBikeBookable(bike, startDate, endDate, session = null) {
+  if (bike.retired) {
+    throw httpError(409, `La bicicleta ${bike.name} fue dada de baja de la flota.`, { code: 'BIKE_UNAVAILABLE' });
+  }
+
+  const maintenance = findOverlappingMaintenance(bike, startDate, endDate);
+  if (maintenance.length > 0) {
+    throw httpError(409, `La bicicleta ${bike.name} está en mantención en esas fechas.`, {
+      code: 'BIKE_UNAVAILABLE',
+      details: { conflicts: maintenance.map(b => ({ startDate: b.startDate, endDate: b.endDate, status: 'Mantención' })) },
+    });
+  }
+
+  // available = false sin un arriendo Activo significa que la bicicleta fue retirada de servicio
+  if (!bike.available) {
+    const rentedOut = await Rental.exists({ bikeId: bike._id, status: 'Activo' }).session(session);
+    if (!rentedOut) {
+      throw httpError(409, `La bicicleta ${bike.name} no está disponible para arriendo.`, { code: 'BIKE_UNAVAILABLE' });
+    }
+  }
+
+  const overlapping = await findOverlappingRentals(bike._id, startDate, endDate, session);
+  if (overlapping.length > 0) {
+    throw httpError(409, `La bicicleta ${bike.name} ya está reservada en esas fechas.`, {
+      code: 'BOOKING_CONFLICT',
+      details: { conflicts: overlapping.map(r => ({ startDate: r.startDate, endDate: r.endDate, status: r.status })) },
+    });
+  }
+}
+
+// Rangos libres de la ventana [from, to) descontando los rangos ocupados
+function computeFreeRanges(bookedRanges, from, to) {
+  const freeRanges = [];
+  let cursor = from;
+  for (const range of bookedRanges) { // Deben venir ordenados por start
+    if (range.start > cursor) {
+      freeRanges.push({ start: cursor, end: range.start < to ? range.start : to });
+    }
+    if (range.end > cursor) {
+      cursor = range.end;
+    }
+    if (cursor >= to) {
+      break;
+    }
+  }
+  if (cursor < to) {
+    freeRanges.push({ start: cursor, end: to });
+  }
+  return freeRanges;
+}
+
+// Calendario de disponibilidad de una bicicleta entre from y to
+async function buildBikeAvailability(bike, from, to) {
+  const rentals = await Rental.find({
+    bikeId: bike._id,
+    status: { $in: BLOCKING_RENTAL_STATUSES },
+    startDate: { $lt: to },
+    endDate: { $gt: from },
+  }).sort({ startDate: 1 });
+
+  const rentedOut = rentals.some(r => r.status === 'Activo');
+  // Retirada de servicio: no hay rangos libres
+  const outOfService = bike.retired || (!bike.available && !rentedOut);
+
+  const bookedRanges = [
+    ...rentals.map(r => ({ start: r.startDate, end: r.endDate, status: r.status })),
+    ...findOverlappingMaintenance(bike, from, to).map(b => ({ start: b.startDate, end: b.endDate, status: 'Mantención', reason: b.reason })),
+  ].sort((a, b) => a.start - b.start);
+
+  return {
+    bikeId: bike._id,
+    name: bike.name,
+    pricePerDay: bike.pricePerDay,
+    available: bike.available,
+    bookedRanges,
+    freeRanges: outOfService ? [] : computeFreeRanges(bookedRanges, from, to),
+  };
+}
+
+// Lee la ventana ?from=&to= del calendario (por defecto, desde hoy y 30 días)
+function parseAvailabilityWindow(query) {
+  const from = startOfDay(query.from || Date.now());
+  const to = query.to ? startOfDay(query.to) : new Date(from.getTime() + RENTAL_AVAILABILITY_WINDOW_DAYS * DAY_MS);
+  if (to <= from) {
+    throw httpError(400, 'Rango de fechas inválido para el calendario de disponibilidad.', {
+      code: 'VALIDATION_ERROR',
+      errors: [{ field: 'to', message: 'Debe ser posterior a from.' }],
+    });
+  }
+  return { from, to };
+}
+
+// Busca una bicicleta por el :id de la ruta o lanza un 404
+async function findBikeOr404(id) {
+  const bike = await BikeForRent.findById(id);
+  if (!bike) {
+    throw httpError(404, 'Bicicleta de arriendo no encontrada');
+  }
+  return bike;
+}
+
+module.exports = {
+  RENTAL_TRANSITIONS,
+  assertBikeBookable,
+  buildBikeAvailability,
+  calculateRentalPrice,
+  findBikeOr404,
+  findOverlappingRentals,
+  parseAvailabilityWindow,
+  parseRentalRange,
+};
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+// Genera un código de seguimiento legible, p. ej. MB-7K2QX9PA (sin 0/O ni 1/I para evitar confusiones)
+function generateTrackingCode() {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const bytes = crypto.randomBytes(8);
+  let code = 'MB-';
+  for (const byte of bytes) {
+    code += alphabet[byte % alphabet.length];
+  }
+  return code;
+}
+
+// Transiciones permitidas del estado de una reparación
+const REPAIR_TRANSITIONS = {
+  Pendiente: ['En Proceso', 'Cancelada'],
+  'En Proceso': ['Completada', 'Cancelada'],
+  Completada: [],
+  Cancelada: [],
+};
+
+// Cambia el estado de la reparación y lo deja registrado en statusHistory
+function applyRepairStatus(repair, status, changedBy, note) {
+  repair.status = status;
+  repair.statusHistory.push({ status, changedAt: new Date(), changedBy, note });
+}
+
+// Costo total de la reparación: mano de obra presupuestada + repuestos
+function repairTotalCost(repair) {
+  const partsCost = repair.parts.reduce((sum, part) => sum + part.unitPrice * part.quantity, 0);
+  const laborCost = repair.quote && repair.quote.laborCost ? repair.quote.laborCost : 0;
+  return { laborCost, partsCost, totalCost: laborCost + partsCost };
+}
+
+module.exports = {
+  REPAIR_TRANSITIONS,
+  applyRepairStatus,
+  generateTrackingCode,
+  repairTotalCost,
+};
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { BikeForRent, DispatchRecord, InventoryItem, Rental, Review } = require('../models');
+const { httpError } = require('../utils/errors');
+const { escapeRegex } = require('../utils/helpers');
+
+// Productos que se pueden reseñar y qué debe haber pasado antes: el cliente recibió el ítem o devolvió la bicicleta.
+// Los despachos y arriendos guardan el email del cliente (no su cuenta), así que se buscan por email.
+const REVIEW_TARGETS = {
+  InventoryItem: {
+    Model: InventoryItem,
+    notFound: 'Ítem de inventario no encontrado',
+    notEligible: 'Solo puedes reseñar productos que ya recibiste.',
+    wasReceived: (email, targetId) => DispatchRecord.exists({ 'customerDetails.email': email, status: 'Despachado', 'items.itemId': targetId }),
+  },
+  BikeForRent: {
+    Model: BikeForRent,
+    notFound: 'Bicicleta de arriendo no encontrada',
+    notEligible: 'Solo puedes reseñar bicicletas que ya arrendaste y devolviste.',
+    wasReceived: (email, targetId) => Rental.exists({ customerEmail: email, status: 'Completado', bikeId: targetId }),
+  },
+};
+
+async function findReviewTargetOr404(targetModel, targetId) {
+  const { Model, notFound } = REVIEW_TARGETS[targetModel];
+  const target = await Model.findById(targetId);
+  if (!target) {
+    throw httpError(404, notFound);
+  }
+  return target;
+}
+
+// Exige que el cliente haya recibido el producto. El email debe estar verificado: si no, cualquiera podría
+// registrarse con el email de otro cliente y reseñar lo que ese cliente compró.
+async function assertCanReview(user, targetModel, targetId) {
+  if (!user.emailVerified) {
+    throw httpError(403, 'Verifica tu email para poder dejar reseñas.', { code: 'EMAIL_NOT_VERIFIED' });
+  }
+  const email = new RegExp(`^${escapeRegex(user.email)}$`, 'i');
+  if (!(await REVIEW_TARGETS[targetModel].wasReceived(email, targetId))) {
+    throw httpError(403, REVIEW_TARGETS[targetModel].notEligible, { code: 'REVIEW_NOT_ALLOWED' });
+  }
+}
+
+// Recalcula el promedio y la cantidad de reseñas visibles del producto y los guarda en su campo rating
+async function refreshRatingSummary(targetModel, targetId) {
+  const [summary] = await Review.aggregate([
+    { $match: { targetModel, targetId: new mongoose.Types.ObjectId(targetId), hidden: false } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+  ]);
+  const rating = summary
+    ? { average: Math.round(summary.average * 10) / 10, count: summary.count }
+    : { average: 0, count: 0 };
+  await REVIEW_TARGETS[targetModel].Model.updateOne({ _id: targetId }, { rating });
+  return rating;
+}
+
+// Nombre público del autor: "Ana P."
+function reviewAuthorName(user) {
+  const initial = user.lastName ? ` ${user.lastName.trim().charAt(0).toUpperCase()}.` : '';
+  return `${user.firstName.trim()}${initial}`;
+}
+
+// Datos públicos de una reseña (sin la cuenta del autor ni la moderación)
+function publicReview(review) {
+  return {
+    id: review._id,
+    rating: review.rating,
+    comment: review.comment,
+    authorName: review.authorName,
+    createdAt: review.createdAt,
+    updatedAt: review.updatedAt,
+  };
+}
+
+module.exports = {
+  REVIEW_TARGETS,
+  assertCanReview,
+  findReviewTargetOr404,
+  publicReview,
+  refreshRatingSummary,
+  reviewAuthorName,
+};
@@ -0,0 +1,83 @@
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { ADMIN_EMAIL, ADMIN_PASSWORD } = require('../config');
+const { Employee, INVENTORY_FILTER_KEYS, InventoryItem } = require('../models');
+const { logger } = require('../utils/logger');
+const { revokeRefreshTokens } = require('./tokens');
+
+// Administrador sembrado por versiones anteriores con una contraseña fija
+const LEGACY_ADMIN_EMAIL = 'admin@masterbikeadmin.cl';
+const LEGACY_ADMIN_PASSWORD = 'admin1234';
+
+// Función para sembrar el usuario administrador con las credenciales de ADMIN_EMAIL y ADMIN_PASSWORD.
+// La contraseña inicial solo sirve para entrar y cambiarla (mustChangePassword).
+async function seedAdminUser() {
+  try {
+    await disableLegacyAdmin();
+
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+      logger.warn('ADMIN_EMAIL o ADMIN_PASSWORD no están definidos: no se creará el usuario administrador.');
+      return;
+    }
+
+    const adminUser = await Employee.findOne({ email: ADMIN_EMAIL });
+    if (adminUser) {
+      logger.info('El usuario administrador ya existe.');
+      return;
+    }
+
+    await new Employee({
+      firstName: 'Admin',
+      lastName: 'Masterbike',
+      email: ADMIN_EMAIL,
+      password: ADMIN_PASSWORD, // Se hasheará por el pre-save hook
+      role: 'admin',
+      mustChangePassword: true,
+    }).save();
+    logger.info('Usuario administrador creado exitosamente. Debe cambiar la contraseña al iniciar sesión.');
+  } catch (err) {
+    logger.error('Error al sembrar el usuario administrador', { err });
+  }
+}
+
+// Si el administrador antiguo conserva la contraseña conocida, se deshabilita: exigir el cambio no basta,
+// porque quien conoce la contraseña pública también podría hacerlo. Su hash se reemplaza por uno aleatorio
+// (nadie puede entrar) y se cierran sus sesiones; para volver a usarla hay que restablecerla fuera de la API.
+async function disableLegacyAdmin() {
+  const legacyAdmin = await Employee.findOne({ email: LEGACY_ADMIN_EMAIL });
+  if (!legacyAdmin || !await bcrypt.compare(LEGACY_ADMIN_PASSWORD, legacyAdmin.password)) {
+    return;
+  }
+  const randomHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+  // updateOne: el hash aleatorio se guarda tal cual, sin pasar por el pre-save hook que hashea la contraseña
+  await Employee.updateOne({ _id: legacyAdmin._id }, { password: randomHash, mustChangePassword: true });
+  await revokeRefreshTokens(legacyAdmin._id, 'Employee');
+  logger.warn(`${LEGACY_ADMIN_EMAIL} usaba la contraseña por defecto y fue deshabilitado. Usa el administrador de ADMIN_EMAIL.`);
+}
+
+// Completa brandKey y partTypeKey de los ítems guardados antes de que existieran (o escritos fuera de la API):
+// sin ellos no aparecen en los filtros por marca o tipo de repuesto. Devuelve cuántos ítems actualizó.
+async function backfillInventoryFilterKeys() {
+  const missing = Object.entries(INVENTORY_FILTER_KEYS)
+    .map(([field, keyField]) => ({ [field]: { $type: 'string' }, [keyField]: { $exists: false } }));
+  const items = await InventoryItem.find({ $or: missing }, Object.keys(INVENTORY_FILTER_KEYS).join(' '), { withDeleted: true }).lean();
+  if (items.length === 0) {
+    return 0;
+  }
+  // En JavaScript y no con $toLower, que solo convierte bien caracteres ASCII (Ñ, tildes)
+  await InventoryItem.bulkWrite(items.map(item => {
+    const keys = {};
+    for (const [field, keyField] of Object.entries(INVENTORY_FILTER_KEYS)) {
+      if (item[field]) {
+        keys[keyField] = item[field].toLowerCase();
+      }
+    }
+    return { updateOne: { filter: { _id: item._id }, update: { $set: keys }, timestamps: false } };
+  }));
+  return items.length;
+}
+
+module.exports = {
+  backfillInventoryFilterKeys,
+  seedAdminUser,
+};
@@ -0,0 +1,96 @@
+const { InventoryItem, StockAlert, StockMovement } = require('../models');
+const { httpError } = require('../utils/errors');
+
+// Única vía para cambiar InventoryItem.stock: aplica la variación de forma atómica
+// (sin dejar el stock negativo), registra el movimiento y actualiza las alertas de stock bajo.
+// Pasar la sesión de la transacción en curso para que todo se confirme o revierta junto.
+async function recordStockMovement({ itemId, quantity, type, reason, actor = {}, reference = {} }, session = null) {
+  if (!Number.isInteger(quantity) || quantity === 0) {
+    throw httpError(400, 'La variación de stock debe ser un entero distinto de 0.');
+  }
+
+  const filter = { _id: itemId };
+  if (quantity < 0) {
+    filter.stock = { $gte: -quantity };
+  }
+  // Las devoluciones de un pedido o reparación vuelven aunque el ítem esté en la papelera
+  const withDeleted = quantity > 0 && Boolean(reference.model);
+  const item = await InventoryItem.findOneAndUpdate(filter, { $inc: { stock: quantity } }, { new: true, session, withDeleted });
+  if (!item) {
+    const current = await InventoryItem.findById(itemId, null, { session, withDeleted });
+    if (!current) {
+      throw httpError(404, `Producto con ID ${itemId} no encontrado en el inventario.`);
+    }
+    throw httpError(409, `Stock insuficiente para el producto: ${current.name}. Disponible: ${current.stock}, Solicitado: ${-quantity}`, {
+      code: 'INSUFFICIENT_STOCK',
+      details: { itemId: current._id, available: current.stock, requested: -quantity },
+    });
+  }
+
+  await StockMovement.create([{
+    itemId: item._id,
+    itemName: item.name,
+    type,
+    quantity,
+    stockAfter: item.stock,
+    reason,
+    actorId: actor.actorId,
+    actorModel: actor.actorModel,
+    referenceModel: reference.model,
+    referenceId: reference.id,
+  }], { session });
+
+  await syncStockAlert(item, session);
+  return item;
+}
+
+// Abre una alerta si el stock quedó en o bajo el umbral y no había una abierta; la resuelve si se repuso
+async function syncStockAlert(item, session = null) {
+  const isLow = item.reorderThreshold > 0 && item.stock <= item.reorderThreshold;
+  const openAlert = await StockAlert.findOne({ itemId: item._id, status: 'Abierta' }).session(session);
+
+  if (isLow && !openAlert) {
+    await StockAlert.create([{
+      itemId: item._id,
+      itemName: item.name,
+      stockAtAlert: item.stock,
+      reorderThreshold: item.reorderThreshold,
+    }], { session });
+  } else if (!isLow && openAlert) {
+    openAlert.status = 'Resuelta';
+    openAlert.resolvedAt = new Date();
+    await openAlert.save({ session });
+  }
+}
+
+// Registra el 'Saldo inicial' de los ítems con stock que no tienen movimientos: los que existían antes del libro
+// o se crearon fuera de la API. Sin él, la auditoría de stock los reporta con una diferencia igual a su stock.
+// Se ejecuta al iniciar el servidor; devuelve cuántos saldos registró.
+async function recordOpeningBalances() {
+  const itemsWithLedger = await StockMovement.distinct('itemId');
+  const items = await InventoryItem.find({ _id: { $nin: itemsWithLedger }, stock: { $ne: 0 } }, 'name stock', { withDeleted: true });
+  if (items.length === 0) {
+    return 0;
+  }
+  try {
+    await StockMovement.insertMany(items.map(item => ({
+      itemId: item._id,
+      itemName: item.name,
+      type: 'Saldo inicial',
+      quantity: item.stock,
+      stockAfter: item.stock,
+      reason: 'Saldo inicial del libro de movimientos',
+    })), { ordered: false });
+  } catch (err) {
+    if (err.code !== 11000) { // Otra instancia ya registró algunos
+      throw err;
+    }
+  }
+  return items.length;
+}
+
+module.exports = {
+  recordOpeningBalances,
+  recordStockMovement,
+  syncStockAlert,
+};
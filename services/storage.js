@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3'); // Solo se usa con STORAGE_DRIVER=s3
+const { STORAGE_DRIVER, UPLOADS_DIR, UPLOADS_PUBLIC_URL } = require('../config');
+const { logger } = require('../utils/logger');
+
+// Almacenamiento de archivos intercambiable. Cada driver implementa:
+//   put(key, body, contentType)  delete(key)  url(key) → URL pública
+const storageDrivers = {
+  local: {
+    async put(key, body) {
+      const filePath = path.join(UPLOADS_DIR, key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+    async delete(key) {
+      await fs.promises.rm(path.join(UPLOADS_DIR, key), { force: true });
+    },
+    url(key) {
+      return `${UPLOADS_PUBLIC_URL}/${key}`;
+    },
+  },
+  // S3_BUCKET y S3_REGION; S3_ENDPOINT para servicios compatibles; S3_PUBLIC_URL si se sirve por CDN.
+  // Las credenciales se toman de las variables estándar de AWS (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY).
+  s3: {
+    client() {
+      if (!this.s3Client) {
+        this.s3Client = new S3Client({
+          region: process.env.S3_REGION || 'us-east-1',
+          endpoint: process.env.S3_ENDPOINT || undefined,
+          forcePathStyle: Boolean(process.env.S3_ENDPOINT), // MinIO y similares no usan subdominios por bucket
+        });
+      }
+      return this.s3Client;
+    },
+    async put(key, body, contentType) {
+      await this.client().send(new PutObjectCommand({
+        Bucket: process.env.S3_BUCKET,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000, immutable', // Cada archivo tiene un nombre único
+      }));
+    },
+    async delete(key) {
+      await this.client().send(new DeleteObjectCommand({ Bucket: process.env.S3_BUCKET, Key: key }));
+    },
+    url(key) {
+      const baseUrl = process.env.S3_PUBLIC_URL
+        || `https://${process.env.S3_BUCKET}.s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`;
+      return `${baseUrl.replace(/\/$/, '')}/${key}`;
+    },
+  },
+};
+
+const storage = storageDrivers[STORAGE_DRIVER];
+if (!storage) {
+  logger.error(`STORAGE_DRIVER desconocido: ${STORAGE_DRIVER}. Opciones: ${Object.keys(storageDrivers).join(', ')}`);
+  process.exit(1);
+}
+if (STORAGE_DRIVER === 's3' && !process.env.S3_BUCKET) {
+  logger.error('Falta la variable de entorno S3_BUCKET (STORAGE_DRIVER=s3).');
+  process.exit(1);
+}
+
+module.exports = {
+  storage,
+};
@@ -0,0 +1,107 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const {
+  ACCESS_TOKEN_TTL,
+  APP_URL,
+  EMAIL_VERIFICATION_TTL_HOURS,
+  JWT_ACCESS_SECRET,
+  JWT_REFRESH_SECRET,
+  REFRESH_TOKEN_TTL_DAYS,
+} = require('../config');
+const { AccountToken, RefreshToken } = require('../models');
+const { httpError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+const { sendMail } = require('./mail');
+
+// Firma un access token de corta duración y un refresh token registrado en la BD
+async function issueTokens(account, subjectModel) {
+  const payload = {
+    sub: account._id.toString(),
+    type: subjectModel === 'Employee' ? 'employee' : 'user',
+    email: account.email,
+  };
+  if (subjectModel === 'Employee') {
+    payload.role = account.role;
+  }
+  if (account.mustChangePassword) {
+    payload.mustChangePassword = true; // authenticate solo deja ver el perfil y cambiar la contraseña
+  }
+
+  const accessToken = jwt.sign(payload, JWT_ACCESS_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+  const jti = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  await RefreshToken.create({ jti, subjectId: account._id, subjectModel, expiresAt });
+  const refreshToken = jwt.sign({ sub: payload.sub, type: payload.type }, JWT_REFRESH_SECRET, {
+    jwtid: jti,
+    expiresIn: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60,
+  });
+
+  return { accessToken, refreshToken };
+}
+
+// --- Tokens de cuenta (restablecer contraseña, verificar email) ---
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Crea un token de un solo uso para la cuenta y devuelve el token en claro.
+// Los tokens anteriores del mismo propósito que no se usaron dejan de servir.
+async function createAccountToken(account, subjectModel, purpose, ttlMs) {
+  await AccountToken.deleteMany({ subjectId: account._id, subjectModel, purpose, usedAt: { $exists: false } });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AccountToken.create({
+    tokenHash: hashToken(token),
+    purpose,
+    subjectId: account._id,
+    subjectModel,
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return token;
+}
+
+// Marca el token como usado (de forma atómica) y devuelve su registro; lanza un 400 si no sirve
+async function consumeAccountToken(token, purpose) {
+  const record = await AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+  if (!record) {
+    throw httpError(400, 'El enlace es inválido, ya fue usado o expiró.', { code: 'INVALID_TOKEN' });
+  }
+  return record;
+}
+
+// Cierra todas las sesiones de la cuenta (p. ej. después de cambiar la contraseña)
+function revokeRefreshTokens(subjectId, subjectModel) {
+  return RefreshToken.updateMany(
+    { subjectId, subjectModel, revokedAt: { $exists: false } },
+    { revokedAt: new Date() }
+  );
+}
+
+// Envía el enlace de verificación de email a un cliente. Un fallo del correo no debe
+// hacer fallar la petición: se registra y el cliente puede pedir el reenvío.
+async function sendVerificationEmail(user) {
+  try {
+    const token = await createAccountToken(user, 'User', 'email-verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+    await sendMail({
+      to: user.email,
+      subject: 'Verifica tu correo en MasterBike',
+      text: `Hola ${user.firstName}:\n\nPara verificar tu correo abre este enlace:\n${APP_URL}/verificar-email?token=${token}\n\nEl enlace vence en ${EMAIL_VERIFICATION_TTL_HOURS} horas.`,
+    });
+  } catch (err) {
+    logger.error('Error al enviar el correo de verificación', { userId: user._id, err });
+  }
+}
+
+module.exports = {
+  consumeAccountToken,
+  createAccountToken,
+  issueTokens,
+  revokeRefreshTokens,
+  sendVerificationEmail,
+};
@@ -0,0 +1,263 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+// Plazo de envío corto para probar un envío colgado (cada archivo de prueba corre en su propio proceso)
+process.env.NOTIFICATION_SEND_TIMEOUT_MS = '200';
+
+const {
+  api, bearer, clearDatabase, createAdmin, createBike, createEmployee, createItem, daysFromToday, sentMails, startDatabase, stopDatabase,
+} = require('./helpers');
+const { DispatchRecord, Notification, Rental } = require('../models');
+const { processNotificationQueue } = require('../services/notifications');
+
+before(startDatabase);
+after(stopDatabase);
+beforeEach(clearDatabase);
+
+function dispatchFor(item, quantity, overrides = {}) {
+  const lineTotal = item.price * quantity;
+  return DispatchRecord.create({
+    items: [{ itemId: item._id, name: item.name, quantity, priceAtPurchase: item.price, lineTotal }],
+    subtotal: lineTotal,
+    shippingCost: 0,
+    totalAmount: lineTotal,
+    deliveryDate: daysFromToday(2),
+    customerDetails: { name: 'Cliente Prueba', email: 'cliente@example.com' },
+    status: 'Pendiente',
+    ...overrides,
+  });
+}
+
+// Ventas de hoy: 2 cascos Giro (50.000) y 1 bicicleta Trek (500.000); un arriendo de 2 días (20.000)
+async function seedSales() {
+  const helmet = await createItem({ name: 'Casco urbano', brand: 'Giro', price: 25000, stock: 10 });
+  const bike = await createItem({ name: 'Trek Marlin 7', category: 'Bicicleta', brand: 'Trek', price: 500000, stock: 2 });
+  await dispatchFor(helmet, 2);
+  await dispatchFor(bike, 1);
+  await dispatchFor(helmet, 5, { status: 'Cancelado' });
+  await dispatchFor(bike, 1, { status: 'Pago Pendiente' });
+
+  const rentalBike = await createBike();
+  await Rental.create({
+    bikeId: rentalBike._id,
+    bikeName: rentalBike.name,
+    startDate: daysFromToday(0),
+    endDate: daysFromToday(2),
+    totalPrice: 20000,
+    status: 'Activo',
+    customerName: 'Ana Pérez',
+    customerEmail: 'ana@example.com',
+  });
+  return { helmet, bike, rentalBike };
+}
+
+describe('Reportes', () => {
+  it('son solo para el administrador', async () => {
+    const { token } = await createEmployee();
+    const res = await api().get('/api/reports/revenue').set(bearer(token));
+    assert.equal(res.status, 403);
+  });
+
+  it('GET /api/reports/revenue suma ventas pagadas y arriendos no cancelados', async () => {
+    await seedSales();
+    const { token } = await createAdmin();
+
+    const res = await api().get('/api/reports/revenue').set(bearer(token));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.groupBy, 'day');
+    assert.deepEqual(res.body.totals, { orders: 2, salesRevenue: 550000, rentals: 1, rentalRevenue: 20000, totalRevenue: 570000 });
+
+    const invalid = await api().get('/api/reports/revenue').set(bearer(token))
+      .query({ from: daysFromToday(0).toISOString(), to: daysFromToday(-3).toISOString() });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('GET /api/reports/revenue?format=csv descarga el reporte como CSV', async () => {
+    await seedSales();
+    const { token } = await createAdmin();
+
+    const res = await api().get('/api/reports/revenue').set(bearer(token)).query({ format: 'csv' });
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /^text\/csv/);
+    assert.match(res.headers['content-disposition'], /attachment; filename="ingresos-day_/);
+    assert.ok(res.text.startsWith('\uFEFFperiod,orders,salesRevenue'));
+  });
+
+  it('GET /api/reports/top-items y /top-brands ordenan por ingresos o por unidades', async () => {
+    await seedSales();
+    const { token } = await createAdmin();
+
+    const byRevenue = await api().get('/api/reports/top-items').set(bearer(token));
+    assert.deepEqual(byRevenue.body.rows.map(r => r.name), ['Trek Marlin 7', 'Casco urbano']);
+
+    const byUnits = await api().get('/api/reports/top-items').set(bearer(token)).query({ sortBy: 'units', limit: 1 });
+    assert.deepEqual(byUnits.body.rows.map(r => [r.name, r.unitsSold]), [['Casco urbano', 2]]);
+
+    const brands = await api().get('/api/reports/top-brands').set(bearer(token));
+    assert.deepEqual(brands.body.rows.map(r => [r.brand, r.revenue]), [['Trek', 500000], ['Giro', 50000]]);
+  });
+
+  it('GET /api/reports/rental-usage calcula la tasa de uso de cada bicicleta', async () => {
+    const { rentalBike } = await seedSales();
+    await createBike({ name: 'Sin uso' });
+    const { token } = await createAdmin();
+
+    const res = await api().get('/api/reports/rental-usage').set(bearer(token))
+      .query({ from: daysFromToday(0).toISOString(), to: daysFromToday(1).toISOString() });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.periodDays, 2);
+    assert.equal(res.body.rows[0].bikeId, rentalBike._id.toString());
+    assert.equal(res.body.rows[0].rentedDays, 2);
+    assert.equal(res.body.rows[0].usageRate, 1);
+    assert.equal(res.body.rows[1].usageRate, 0);
+    assert.equal(res.body.fleetUsageRate, 0.5);
+  });
+
+  it('GET /api/reports/repairs cuenta las reparaciones por estado', async () => {
+    await api().post('/api/repairs').send({
+      bikeType: 'Ruta', bikeBrand: 'Specialized', problemDescription: 'Pinchazo', contactName: 'Pedro', contactEmail: 'pedro@example.com',
+    });
+    const { token } = await createAdmin();
+
+    const res = await api().get('/api/reports/repairs').set(bearer(token));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 1);
+    assert.deepEqual(res.body.rows.map(r => r.status), ['Pendiente', 'En Proceso', 'Completada', 'Cancelada']);
+    assert.equal(res.body.rows[0].count, 1);
+    assert.equal(res.body.averageRepairDays, null);
+  });
+
+  it('GET /api/reports/inventory-value valoriza el stock por categoría', async () => {
+    await seedSales();
+    const { token } = await createAdmin();
+
+    const res = await api().get('/api/reports/inventory-value').set(bearer(token));
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.rows.map(r => [r.category, r.stockValue]), [['Bicicleta', 1000000], ['Repuesto', 250000]]);
+    assert.equal(res.body.totalStockValue, 1250000);
+  });
+});
+
+describe('Notificaciones', () => {
+  async function completedRepairNotification() {
+    const repair = await api().post('/api/repairs').send({
+      bikeType: 'Ruta', bikeBrand: 'Specialized', problemDescription: 'Pinchazo', contactName: 'Pedro', contactEmail: 'pedro@example.com',
+    });
+    const { token } = await createEmployee();
+    await api().put(`/api/repairs/${repair.body._id}`).set(bearer(token)).send({ status: 'En Proceso' });
+    await api().put(`/api/repairs/${repair.body._id}`).set(bearer(token)).send({ status: 'Completada' });
+    return Notification.findOne({ event: 'repair.completed', channel: 'email' });
+  }
+
+  it('processNotificationQueue envía las notificaciones pendientes', async () => {
+    const notification = await completedRepairNotification();
+    await processNotificationQueue();
+
+    assert.equal((await Notification.findById(notification._id)).status, 'Enviado');
+    const [mail] = sentMails('pedro@example.com');
+    assert.match(mail.subject, /Tu bicicleta está lista/);
+  });
+
+  it('un envío que no responde no detiene la cola: cuenta como intento fallido', async () => {
+    const notification = await completedRepairNotification();
+    const writeFile = mock.method(fs.promises, 'writeFile', () => new Promise(() => {})); // El transporte nunca responde
+    try {
+      await processNotificationQueue();
+    } finally {
+      writeFile.mock.restore();
+    }
+
+    const saved = await Notification.findById(notification._id);
+    assert.equal(saved.status, 'Pendiente');
+    assert.equal(saved.attempts, 1);
+    assert.match(saved.lastError, /Sin respuesta en 200 ms/);
+    assert.ok(saved.nextAttemptAt > new Date());
+  });
+
+  it('GET /api/notifications lista con filtros y GET /api/notifications/:id muestra el detalle', async () => {
+    const notification = await completedRepairNotification();
+    const { token } = await createAdmin();
+
+    const all = await api().get('/api/notifications').set(bearer(token));
+    assert.equal(all.status, 200);
+    assert.equal(all.body.length, 1);
+
+    const byRecipient = await api().get('/api/notifications').set(bearer(token)).query({ to: 'PEDRO@example.com', channel: 'email' });
+    assert.equal(byRecipient.body.length, 1);
+
+    const sent = await api().get('/api/notifications').set(bearer(token)).query({ status: 'Enviado' });
+    assert.equal(sent.body.length, 0);
+
+    const detail = await api().get(`/api/notifications/${notification._id}`).set(bearer(token));
+    assert.equal(detail.status, 200);
+    assert.equal(detail.body.to, 'pedro@example.com');
+  });
+
+  it('GET /api/notifications/summary cuenta por estado y canal', async () => {
+    await completedRepairNotification();
+    const { token } = await createAdmin();
+
+    const res = await api().get('/api/notifications/summary').set(bearer(token));
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.counts, [{ status: 'Pendiente', channel: 'email', count: 1 }]);
+    assert.ok(res.body.oldestPendingAt);
+  });
+
+  it('POST /api/notifications/:id/retry reencola solo las fallidas', async () => {
+    const failed = await Notification.create({
+      event: 'repair.completed', channel: 'email', to: 'pedro@example.com', subject: 'Lista', text: 'Hola', status: 'Fallido', attempts: 5,
+    });
+    const { token } = await createAdmin();
+
+    const res = await api().post(`/api/notifications/${failed._id}/retry`).set(bearer(token));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'Pendiente');
+    assert.equal(res.body.attempts, 0);
+
+    const again = await api().post(`/api/notifications/${failed._id}/retry`).set(bearer(token));
+    assert.equal(again.status, 409);
+
+    const missing = await api().post('/api/notifications/507f1f77bcf86cd799439011/retry').set(bearer(token));
+    assert.equal(missing.status, 404);
+  });
+});
+
+describe('Registro de auditoría', () => {
+  it('GET /api/audit-logs busca por modelo, acción y actor', async () => {
+    const { employee, token: employeeToken } = await createEmployee();
+    const created = await api().post('/api/bikes').set(bearer(employeeToken)).send({ name: 'Giant Talon', description: 'Montaña', pricePerDay: 12000 });
+    await api().put(`/api/bikes/${created.body._id}`).set(bearer(employeeToken)).send({ pricePerDay: 13000 });
+    const { token } = await createAdmin();
+    assert.equal((await api().get('/api/audit-logs').set(bearer(employeeToken))).status, 403);
+
+    const all = await api().get('/api/audit-logs').set(bearer(token));
+    assert.equal(all.status, 200);
+    assert.deepEqual(all.body.map(e => e.action).sort(), ['Actualizar', 'Crear']);
+
+    const byAction = await api().get('/api/audit-logs').set(bearer(token)).query({ model: 'BikeForRent', action: 'Crear' });
+    assert.equal(byAction.body.length, 1);
+
+    const byActor = await api().get('/api/audit-logs').set(bearer(token)).query({ actorEmail: employee.email.toUpperCase() });
+    assert.equal(byActor.body.length, 2);
+
+    const future = await api().get('/api/audit-logs').set(bearer(token)).query({ from: daysFromToday(1).toISOString() });
+    assert.equal(future.body.length, 0);
+  });
+
+  it('GET /api/audit-logs/:model/:id muestra el historial de un registro con los cambios', async () => {
+    const { token: employeeToken } = await createEmployee();
+    const created = await api().post('/api/bikes').set(bearer(employeeToken)).send({ name: 'Giant Talon', description: 'Montaña', pricePerDay: 12000 });
+    await api().put(`/api/bikes/${created.body._id}`).set(bearer(employeeToken)).send({ pricePerDay: 13000 });
+    const { token } = await createAdmin();
+
+    const res = await api().get(`/api/audit-logs/BikeForRent/${created.body._id}`).set(bearer(token));
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map(e => e.action).sort(), ['Actualizar', 'Crear']);
+    const update = res.body.find(e => e.action === 'Actualizar');
+    assert.ok(update.changes.some(change => change.field === 'pricePerDay'));
+
+    const invalid = await api().get('/api/audit-logs/BikeForRent/xyz').set(bearer(token));
+    assert.equal(invalid.status, 400);
+  });
+});
@@ -0,0 +1,238 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  api, bearer, clearDatabase, createAdmin, createCustomer, createEmployee, sentMails, startDatabase, stopDatabase, tokenFromLastMail,
+} = require('./helpers');
+const mongoose = require('mongoose');
+const { AuditLog, Cart, Employee, User } = require('../models');
+
+before(startDatabase);
+after(stopDatabase);
+beforeEach(clearDatabase);
+
+describe('GET /', () => {
+  it('responde que la API está funcionando', async () => {
+    const res = await api().get('/');
+    assert.equal(res.status, 200);
+    assert.match(res.text, /Funcionando/);
+  });
+
+  it('responde 404 con código estable en rutas inexistentes', async () => {
+    const res = await api().get('/api/no-existe');
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, 'ROUTE_NOT_FOUND');
+  });
+});
+
+describe('Registro e inicio de sesión de clientes', () => {
+  const newUser = { firstName: 'Ana', lastName: 'Pérez', email: 'ana@example.com', password: 'Secreta123' };
+
+  it('POST /api/register crea el cliente y envía el correo de verificación', async () => {
+    const res = await api().post('/api/register').send(newUser);
+    assert.equal(res.status, 201);
+    assert.equal(res.body.user.email, newUser.email);
+    assert.equal(res.body.user.emailVerified, false);
+    assert.equal(sentMails(newUser.email).length, 1);
+
+    const stored = await User.findOne({ email: newUser.email });
+    assert.notEqual(stored.password, newUser.password); // Se guarda hasheada
+  });
+
+  it('POST /api/register rechaza un correo ya registrado y datos inválidos', async () => {
+    await api().post('/api/register').send(newUser);
+    const duplicate = await api().post('/api/register').send(newUser);
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.code, 'EMAIL_TAKEN');
+
+    const invalid = await api().post('/api/register').send({ ...newUser, email: 'no-es-email', password: '123' });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'VALIDATION_ERROR');
+    assert.deepEqual(invalid.body.errors.map(e => e.field).sort(), ['email', 'password']);
+  });
+
+  it('POST /api/login entrega tokens con credenciales válidas', async () => {
+    const { user, password } = await createCustomer();
+    const res = await api().post('/api/login').send({ email: user.email, password });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.accessToken);
+    assert.ok(res.body.refreshToken);
+    assert.equal(res.body.user.email, user.email);
+
+    const wrong = await api().post('/api/login').send({ email: user.email, password: 'incorrecta' });
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.code, 'INVALID_CREDENTIALS');
+  });
+
+  it('POST /api/login responde 400 con JSON mal formado', async () => {
+    const res = await api().post('/api/login').set('Content-Type', 'application/json').send('{"email":');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'INVALID_JSON');
+  });
+});
+
+describe('Empleados', () => {
+  it('POST /api/employee-login entrega tokens e incluye el rol', async () => {
+    const { employee, password } = await createEmployee();
+    const res = await api().post('/api/employee-login').send({ email: employee.email, password });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.employee.role, 'employee');
+    assert.ok(res.body.accessToken);
+  });
+
+  it('POST /api/employee-register solo lo puede usar un admin y queda auditado', async () => {
+    const body = { firstName: 'Luis', lastName: 'Soto', email: 'luis@masterbike.cl', password: 'Empleado123' };
+    const { token: employeeToken } = await createEmployee();
+    const forbidden = await api().post('/api/employee-register').set(bearer(employeeToken)).send(body);
+    assert.equal(forbidden.status, 403);
+
+    const noSession = await api().post('/api/employee-register').send(body);
+    assert.equal(noSession.status, 401);
+
+    const { token } = await createAdmin();
+    const res = await api().post('/api/employee-register').set(bearer(token)).send(body);
+    assert.equal(res.status, 201);
+    assert.equal(res.body.employee.role, 'employee');
+    assert.equal(await AuditLog.countDocuments({ 'entity.model': 'Employee', action: 'Crear' }), 1);
+
+    const wrongDomain = await api().post('/api/employee-register').set(bearer(token)).send({ ...body, email: 'luis@gmail.com' });
+    assert.equal(wrongDomain.status, 400);
+  });
+
+  it('POST /api/employee-register crea el empleado aunque la transacción se reintente', async () => {
+    const { token } = await createAdmin();
+    // El primer intento falla con un error transitorio, como un conflicto de escritura: withTransaction lo repite
+    const originalCreate = AuditLog.create;
+    const create = mock.method(AuditLog, 'create', function(...args) {
+      if (create.mock.callCount() === 0) {
+        throw new mongoose.mongo.MongoServerError({ message: 'Conflicto de escritura simulado', errorLabels: ['TransientTransactionError'] });
+      }
+      return originalCreate.apply(this, args);
+    });
+    let res;
+    try {
+      res = await api().post('/api/employee-register').set(bearer(token))
+        .send({ firstName: 'Marta', lastName: 'Díaz', email: 'marta@masterbike.cl', password: 'Empleado123' });
+    } finally {
+      create.mock.restore();
+    }
+
+    assert.equal(res.status, 201);
+    assert.equal(create.mock.callCount(), 2);
+    const employee = await Employee.findOne({ email: 'marta@masterbike.cl' });
+    assert.equal(employee._id.toString(), res.body.employee.id);
+    assert.equal(await AuditLog.countDocuments({ 'entity.model': 'Employee', action: 'Crear' }), 1);
+  });
+});
+
+describe('Tokens de sesión', () => {
+  it('POST /api/token/refresh rota el refresh token y rechaza su reutilización', async () => {
+    const { refreshToken } = await createCustomer();
+    const res = await api().post('/api/token/refresh').send({ refreshToken });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.accessToken);
+    assert.notEqual(res.body.refreshToken, refreshToken);
+
+    const reused = await api().post('/api/token/refresh').send({ refreshToken });
+    assert.equal(reused.status, 401);
+    assert.equal(reused.body.code, 'INVALID_TOKEN');
+  });
+
+  it('POST /api/logout revoca el refresh token', async () => {
+    const { refreshToken } = await createCustomer();
+    const res = await api().post('/api/logout').send({ refreshToken });
+    assert.equal(res.status, 200);
+
+    const refreshed = await api().post('/api/token/refresh').send({ refreshToken });
+    assert.equal(refreshed.status, 401);
+  });
+
+  it('rechaza un access token inválido', async () => {
+    const res = await api().get('/api/me').set(bearer('no-es-un-token'));
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'INVALID_TOKEN');
+  });
+});
+
+describe('Recuperación de contraseña y verificación de email', () => {
+  it('POST /api/password/forgot y /api/password/reset cambian la contraseña con el enlace del correo', async () => {
+    const { user } = await createCustomer();
+    const unknown = await api().post('/api/password/forgot').send({ email: 'nadie@example.com' });
+    assert.equal(unknown.status, 200); // Misma respuesta para no revelar qué correos existen
+
+    const res = await api().post('/api/password/forgot').send({ email: user.email });
+    assert.equal(res.status, 200);
+    const token = tokenFromLastMail(user.email);
+    assert.ok(token);
+
+    const reset = await api().post('/api/password/reset').send({ token, password: 'NuevaClave123' });
+    assert.equal(reset.status, 200);
+
+    const login = await api().post('/api/login').send({ email: user.email, password: 'NuevaClave123' });
+    assert.equal(login.status, 200);
+
+    const reused = await api().post('/api/password/reset').send({ token, password: 'OtraClave123' });
+    assert.equal(reused.status, 400);
+    assert.equal(reused.body.code, 'INVALID_TOKEN');
+  });
+
+  it('POST /api/email/verify marca el email como verificado', async () => {
+    await api().post('/api/register').send({ firstName: 'Ana', lastName: 'Pérez', email: 'ana@example.com', password: 'Secreta123' });
+    const res = await api().post('/api/email/verify').send({ token: tokenFromLastMail('ana@example.com') });
+    assert.equal(res.status, 200);
+    assert.equal((await User.findOne({ email: 'ana@example.com' })).emailVerified, true);
+  });
+
+  it('POST /api/email/resend-verification reenvía el correo solo si falta verificar', async () => {
+    const { user, token } = await createCustomer();
+    const res = await api().post('/api/email/resend-verification').set(bearer(token));
+    assert.equal(res.status, 200);
+    assert.equal(sentMails(user.email).length, 1);
+
+    await User.updateOne({ _id: user._id }, { emailVerified: true });
+    const again = await api().post('/api/email/resend-verification').set(bearer(token));
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'ALREADY_VERIFIED');
+  });
+});
+
+describe('Cuenta propia', () => {
+  it('GET y PUT /api/me muestran y actualizan el perfil sin exponer la contraseña', async () => {
+    const { token } = await createCustomer();
+    const profile = await api().get('/api/me').set(bearer(token));
+    assert.equal(profile.status, 200);
+    assert.equal(profile.body.password, undefined);
+
+    const updated = await api().put('/api/me').set(bearer(token)).send({ firstName: 'Camila' });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.profile.firstName, 'Camila');
+  });
+
+  it('PUT /api/me/password exige la contraseña actual y cierra las demás sesiones', async () => {
+    const { token, refreshToken, password } = await createCustomer();
+    const wrong = await api().put('/api/me/password').set(bearer(token)).send({ currentPassword: 'incorrecta', newPassword: 'NuevaClave123' });
+    assert.equal(wrong.status, 400);
+
+    const res = await api().put('/api/me/password').set(bearer(token)).send({ currentPassword: password, newPassword: 'NuevaClave123' });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.refreshToken);
+
+    const oldSession = await api().post('/api/token/refresh').send({ refreshToken });
+    assert.equal(oldSession.status, 401);
+  });
+
+  it('DELETE /api/me elimina la cuenta del cliente y su carrito', async () => {
+    const { user, token, password } = await createCustomer();
+    await Cart.create({ userId: user._id, items: [] });
+
+    const res = await api().delete('/api/me').set(bearer(token)).send({ password });
+    assert.equal(res.status, 200);
+    assert.equal(await User.countDocuments({ _id: user._id }), 0);
+    assert.equal(await Cart.countDocuments({ userId: user._id }), 0);
+  });
+
+  it('DELETE /api/me no permite que un empleado elimine su cuenta', async () => {
+    const { token, password } = await createEmployee();
+    const res = await api().delete('/api/me').set(bearer(token)).send({ password });
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,220 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  api, bearer, clearDatabase, createAdmin, createBike, createEmployee, daysFromToday, startDatabase, stopDatabase,
+} = require('./helpers');
+const { AuditLog, BikeForRent, Rental } = require('../models');
+
+before(startDatabase);
+after(stopDatabase);
+beforeEach(clearDatabase);
+
+function rentalFor(bike, startDays, endDays, status = 'Pendiente') {
+  return Rental.create({
+    bikeId: bike._id,
+    bikeName: bike.name,
+    startDate: daysFromToday(startDays),
+    endDate: daysFromToday(endDays),
+    totalPrice: (endDays - startDays) * bike.pricePerDay,
+    status,
+    customerName: 'Cliente Prueba',
+    customerEmail: 'cliente@example.com',
+  });
+}
+
+describe('Catálogo de bicicletas de arriendo', () => {
+  it('GET /api/bikes filtra por disponibilidad, precio y texto, y oculta las dadas de baja', async () => {
+    await createBike({ name: 'Trek Marlin 5', pricePerDay: 10000 });
+    await createBike({ name: 'Oxford Urbana', description: 'Bicicleta de paseo', pricePerDay: 6000, available: false });
+    await createBike({ name: 'Vieja', pricePerDay: 3000, retired: true, available: false });
+
+    const all = await api().get('/api/bikes');
+    assert.equal(all.status, 200);
+    assert.deepEqual(all.body.map(b => b.name), ['Oxford Urbana', 'Trek Marlin 5']);
+
+    const available = await api().get('/api/bikes').query({ available: 'true' });
+    assert.deepEqual(available.body.map(b => b.name), ['Trek Marlin 5']);
+
+    const cheap = await api().get('/api/bikes').query({ maxPrice: 8000 });
+    assert.deepEqual(cheap.body.map(b => b.name), ['Oxford Urbana']);
+
+    const search = await api().get('/api/bikes').query({ q: 'paseo' });
+    assert.deepEqual(search.body.map(b => b.name), ['Oxford Urbana']);
+
+    const withRetired = await api().get('/api/bikes').query({ includeRetired: 'true' });
+    assert.equal(withRetired.body.length, 3);
+  });
+
+  it('GET /api/bikes/:id muestra la bicicleta o responde 404', async () => {
+    const bike = await createBike();
+    const res = await api().get(`/api/bikes/${bike._id}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.name, bike.name);
+
+    const missing = await api().get('/api/bikes/507f1f77bcf86cd799439011');
+    assert.equal(missing.status, 404);
+  });
+});
+
+describe('Administración de la flota', () => {
+  it('POST /api/bikes crea una bicicleta (solo empleados) y queda auditada', async () => {
+    const body = { name: 'Giant Talon', description: 'Montaña aro 27.5', pricePerDay: 12000 };
+    assert.equal((await api().post('/api/bikes').send(body)).status, 401);
+
+    const { token } = await createEmployee();
+    const res = await api().post('/api/bikes').set(bearer(token)).send(body);
+    assert.equal(res.status, 201);
+    assert.equal(res.body.available, true);
+    assert.equal(await AuditLog.countDocuments({ 'entity.model': 'BikeForRent', action: 'Crear' }), 1);
+
+    const invalid = await api().post('/api/bikes').set(bearer(token)).send({ ...body, pricePerDay: 0 });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('PUT /api/bikes/:id edita la bicicleta y al darla de baja deja de estar disponible', async () => {
+    const bike = await createBike();
+    const { token } = await createEmployee();
+
+    const res = await api().put(`/api/bikes/${bike._id}`).set(bearer(token)).send({ pricePerDay: 11000 });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.pricePerDay, 11000);
+
+    const retired = await api().put(`/api/bikes/${bike._id}`).set(bearer(token)).send({ retired: true });
+    assert.equal(retired.body.retired, true);
+    assert.equal(retired.body.available, false);
+
+    const revived = await api().put(`/api/bikes/${bike._id}`).set(bearer(token)).send({ available: true });
+    assert.equal(revived.status, 409);
+    assert.equal(revived.body.code, 'BIKE_RETIRED');
+    const both = await api().put(`/api/bikes/${bike._id}`).set(bearer(token)).send({ retired: true, available: true });
+    assert.equal(both.status, 409);
+    assert.equal((await BikeForRent.findById(bike._id)).available, false);
+
+    const reactivated = await api().put(`/api/bikes/${bike._id}`).set(bearer(token)).send({ retired: false, available: true });
+    assert.equal(reactivated.status, 200);
+    assert.equal(reactivated.body.available, true);
+  });
+
+  it('DELETE /api/bikes/:id requiere admin y no elimina bicicletas con arriendos', async () => {
+    const bike = await createBike();
+    const { token: employeeToken } = await createEmployee();
+    assert.equal((await api().delete(`/api/bikes/${bike._id}`).set(bearer(employeeToken))).status, 403);
+
+    const { token } = await createAdmin();
+    await rentalFor(bike, 1, 3);
+    const blocked = await api().delete(`/api/bikes/${bike._id}`).set(bearer(token));
+    assert.equal(blocked.status, 409);
+
+    await Rental.deleteMany({});
+    const res = await api().delete(`/api/bikes/${bike._id}`).set(bearer(token));
+    assert.equal(res.status, 200);
+    assert.equal(await BikeForRent.countDocuments(), 0);
+  });
+});
+
+describe('Mantención y disponibilidad', () => {
+  it('POST /api/bikes/:id/maintenance agrega un bloque salvo que se cruce con un arriendo', async () => {
+    const bike = await createBike();
+    const { token } = await createEmployee();
+    await rentalFor(bike, 2, 4);
+
+    const conflict = await api().post(`/api/bikes/${bike._id}/maintenance`).set(bearer(token))
+      .send({ startDate: daysFromToday(3), endDate: daysFromToday(5), reason: 'Cambio de frenos' });
+    assert.equal(conflict.status, 409);
+    assert.equal(conflict.body.code, 'BOOKING_CONFLICT');
+
+    const invalid = await api().post(`/api/bikes/${bike._id}/maintenance`).set(bearer(token))
+      .send({ startDate: daysFromToday(6), endDate: daysFromToday(5), reason: 'Cambio de frenos' });
+    assert.equal(invalid.status, 400);
+
+    const res = await api().post(`/api/bikes/${bike._id}/maintenance`).set(bearer(token))
+      .send({ startDate: daysFromToday(5), endDate: daysFromToday(7), reason: 'Cambio de frenos' });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.maintenanceBlocks.length, 1);
+    assert.equal(res.body.bookingVersion, bike.bookingVersion + 1);
+  });
+
+  it('POST /api/bikes/:id/maintenance rechaza un bloque que se cruza con un arriendo Activo', async () => {
+    const bike = await createBike({ available: false });
+    const { token } = await createEmployee();
+    const active = await rentalFor(bike, 0, 3, 'Activo');
+
+    const res = await api().post(`/api/bikes/${bike._id}/maintenance`).set(bearer(token))
+      .send({ startDate: daysFromToday(2), endDate: daysFromToday(4), reason: 'Cambio de frenos' });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'BOOKING_CONFLICT');
+    assert.equal(res.body.details.conflicts[0].rentalId, active._id.toString());
+    assert.equal((await BikeForRent.findById(bike._id)).maintenanceBlocks.length, 0);
+  });
+
+  it('un bloque de mantención y una reserva simultáneos en las mismas fechas no quedan ambos', async () => {
+    const bike = await createBike();
+    const { token } = await createEmployee();
+
+    const [maintenance, rental] = await Promise.all([
+      api().post(`/api/bikes/${bike._id}/maintenance`).set(bearer(token))
+        .send({ startDate: daysFromToday(2), endDate: daysFromToday(4), reason: 'Cambio de frenos' }),
+      api().post('/api/rentals').send({
+        bikeId: bike._id.toString(),
+        startDate: daysFromToday(2).toISOString(),
+        endDate: daysFromToday(4).toISOString(),
+        customerName: 'Cliente Prueba',
+        customerEmail: 'cliente@example.com',
+      }),
+    ]);
+
+    assert.deepEqual([maintenance.status, rental.status].sort(), [201, 409]);
+    const blocks = (await BikeForRent.findById(bike._id)).maintenanceBlocks.length;
+    const rentals = await Rental.countDocuments({ bikeId: bike._id });
+    assert.equal(blocks + rentals, 1);
+  });
+
+  it('DELETE /api/bikes/:id/maintenance/:blockId quita el bloque', async () => {
+    const bike = await createBike({
+      maintenanceBlocks: [{ startDate: daysFromToday(1), endDate: daysFromToday(2), reason: 'Revisión' }],
+    });
+    const { token } = await createEmployee();
+    const blockId = bike.maintenanceBlocks[0]._id;
+
+    const res = await api().delete(`/api/bikes/${bike._id}/maintenance/${blockId}`).set(bearer(token));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.maintenanceBlocks.length, 0);
+
+    const again = await api().delete(`/api/bikes/${bike._id}/maintenance/${blockId}`).set(bearer(token));
+    assert.equal(again.status, 404);
+  });
+
+  it('GET /api/bikes/:id/availability descuenta arriendos y mantenciones de los rangos libres', async () => {
+    const bike = await createBike({
+      maintenanceBlocks: [{ startDate: daysFromToday(6), endDate: daysFromToday(8), reason: 'Revisión' }],
+    });
+    await rentalFor(bike, 2, 4);
+    await rentalFor(bike, 4, 5, 'Cancelado');
+
+    const res = await api().get(`/api/bikes/${bike._id}/availability`)
+      .query({ from: daysFromToday(0).toISOString(), to: daysFromToday(10).toISOString() });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.bookedRanges.map(r => r.status), ['Pendiente', 'Mantención']);
+    assert.deepEqual(res.body.freeRanges, [
+      { start: daysFromToday(0).toISOString(), end: daysFromToday(2).toISOString() },
+      { start: daysFromToday(4).toISOString(), end: daysFromToday(6).toISOString() },
+      { start: daysFromToday(8).toISOString(), end: daysFromToday(10).toISOString() },
+    ]);
+
+    const invalid = await api().get(`/api/bikes/${bike._id}/availability`)
+      .query({ from: daysFromToday(5).toISOString(), to: daysFromToday(1).toISOString() });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('GET /api/bikes/availability muestra el calendario de toda la flota activa', async () => {
+    await createBike({ name: 'Trek Marlin 5' });
+    await createBike({ name: 'Fuera de servicio', available: false });
+    await createBike({ name: 'Vieja', retired: true });
+
+    const res = await api().get('/api/bikes/availability');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.bikes.length, 2);
+    const outOfService = res.body.bikes.find(b => b.name === 'Fuera de servicio');
+    assert.deepEqual(outOfService.freeRanges, []);
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, clearDatabase, createCustomer, createEmployee, createItem, startDatabase, stopDatabase } = require('./helpers');
+const { InventoryItem, StockReservation, Wishlist } = require('../models');
+
+before(startDatabase);
+after(stopDatabase);
+beforeEach(clearDatabase);
+
+describe('Carrito', () => {
+  it('GET /api/cart es solo para clientes y parte vacío', async () => {
+    assert.equal((await api().get('/api/cart')).status, 401);
+    const { token: employeeToken } = await createEmployee();
+    assert.equal((await api().get('/api/cart').set(bearer(employeeToken))).status, 403);
+
+    const { token } = await createCustomer();
+    const res = await api().get('/api/cart').set(bearer(token));
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.items, []);
+    assert.equal(res.body.canCheckout, false);
+  });
+
+  it('POST /api/cart/items agrega productos, suma cantidades y valida el stock', async () => {
+    const item = await createItem({ price: 25000, stock: 3 });
+    const { token } = await createCustomer();
+
+    const first = await api().post('/api/cart/items').set(bearer(token)).send({ itemId: item._id.toString() });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.items[0].quantity, 1);
+
+    const second = await api().post('/api/cart/items').set(bearer(token)).send({ itemId: item._id.toString(), quantity: 2 });
+    assert.equal(second.body.items[0].quantity, 3);
+    assert.equal(second.body.subtotal, 75000);
+    assert.equal(second.body.canCheckout, true);
+
+    const tooMany = await api().post('/api/cart/items').set(bearer(token)).send({ itemId: item._id.toString() });
+    assert.equal(tooMany.status, 409);
+    assert.equal(tooMany.body.code, 'INSUFFICIENT_STOCK');
+
+    const missing = await api().post('/api/cart/items').set(bearer(token)).send({ itemId: '507f1f77bcf86cd799439011' });
+    assert.equal(missing.status, 404);
+  });
+
+  it('GET /api/cart muestra el precio actual y marca las líneas sin stock', async () => {
+    const item = await createItem({ price: 25000, stock: 2 });
+    const { token } = await createCustomer();
+    await api().post('/api/cart/items').set(bearer(token)).send({ itemId: item._id.toString(), quantity: 2 });
+    await InventoryItem.updateOne({ _id: item._id }, { price: 27000, stock: 1 });
+
+    const res = await api().get('/api/cart').set(bearer(token));
+    assert.equal(res.body.items[0].unitPrice, 27000);
+    assert.equal(res.body.items[0].status, 'Stock insuficiente');
+    assert.equal(res.body.canCheckout, false);
+  });
+
+  it('PUT y DELETE /api/cart/items/:itemId cambian la cantidad y quitan productos', async () => {
+    const item = await createItem();
+    const other = await createItem({ name: 'Luz trasera', price: 8000 });
+    const { token } = await createCustomer();
+    await api().post('/api/cart/items').set(bearer(token)).send({ itemId: item._id.toString() });
+    await api().post('/api/cart/items').set(bearer(token)).send({ itemId: other._id.toString() });
+
+    const updated = await api().put(`/api/cart/items/${item._id}`).set(bearer(token)).send({ quantity: 4 });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.items.find(l => l.itemId === item._id.toString()).quantity, 4);
+
+    const notInCart = await api().put('/api/cart/items/507f1f77bcf86cd799439011').set(bearer(token)).send({ quantity: 1 });
+    assert.equal(notInCart.status, 404);
+
+    const removed = await api().delete(`/api/cart/items/${other._id}`).set(bearer(token));
+    assert.equal(removed.body.items.length, 1);
+
+    const cleared = await api().delete('/api/cart').set(bearer(token));
+    assert.equal(cleared.status, 200);
+    assert.deepEqual(cleared.body.items, []);
+  });
+});
+
+describe('Reserva de stock al pagar', () => {
+  it('POST /api/cart/checkout reserva el stock y otros clientes no lo pueden comprar', async () => {
+    const item = await createItem({ stock: 2 });
+    const { token } = await createCustomer();
+    const { token: otherToken } = await createCustomer();
+
+    const empty = await api().post('/api/cart/checkout').set(bearer(token));
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.code, 'EMPTY_CART');
+
+    await api().post('/api/cart/items').set(bearer(token)).send({ itemId: item._id.toString(), quantity: 2 });
+    const res = await api().post('/api/cart/checkout').set(bearer(token));
+    assert.equal(res.status, 200);
+    assert.ok(res.body.reservedUntil);
+    assert.equal(res.body.breakdown.items[0].quantity, 2);
+
+    const blocked = await api().post('/api/cart/items').set(bearer(otherToken)).send({ itemId: item._id.toString() });
+    assert.equal(blocked.status, 409);
+
+    const own = await api().get('/api/cart').set(bearer(token));
+    assert.equal(own.body.items[0].status, 'Disponible'); // La reserva propia no cuenta en contra
+    assert.ok(own.body.reservedUntil);
+  });
+
+  it('DELETE /api/cart/checkout libera la reserva', async () => {
+    const item = await createItem({ stock: 2 });
+    const { user, token } = await createCustomer();
+    await api().post('/api/cart/items').set(bearer(token)).send({ itemId: item._id.toString(), quantity: 2 });
+    await api().post('/api/cart/checkout').set(bearer(token));
+
+    const res = await api().delete('/api/cart/checkout').set(bearer(token));
+    assert.equal(res.status, 200);
+    assert.equal(await StockReservation.countDocuments({ userId: user._id }), 0);
+  });
+});
+
+describe('Lista de deseos', () => {
+  it('POST, GET y DELETE /api/wishlist administran la lista sin duplicados', async () => {
+    const item = await createItem({ stock: 0 });
+    const { token } = await createCustomer();
+
+    const added = await api().post('/api/wishlist').set(bearer(token)).send({ itemId: item._id.toString() });
+    assert.equal(added.status, 201);
+    await api().post('/api/wishlist').set(bearer(token)).send({ itemId: item._id.toString() });
+
+    const list = await api().get('/api/wishlist').set(bearer(token));
+    assert.equal(list.body.items.length, 1);
+    assert.equal(list.body.items[0].status, 'Sin stock');
+
+    const missing = await api().post('/api/wishlist').set(bearer(token)).send({ itemId: '507f1f77bcf86cd799439011' });
+    assert.equal(missing.status, 404);
+
+    const removed = await api().delete(`/api/wishlist/${item._id}`).set(bearer(token));
+    assert.equal(removed.status, 200);
+    const again = await api().delete(`/api/wishlist/${item._id}`).set(bearer(token));
+    assert.equal(again.status, 404);
+  });
+
+  it('POST /api/wishlist/:itemId/move-to-cart mueve el producto al carrito', async () => {
+    const item = await createItem();
+    const { user, token } = await createCustomer();
+    await api().post('/api/wishlist').set(bearer(token)).send({ itemId: item._id.toString() });
+
+    const res = await api().post(`/api/wishlist/${item._id}/move-to-cart`).set(bearer(token));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.items[0].quantity, 1);
+    assert.equal((await Wishlist.findOne({ userId: user._id })).items.length, 0);
+
+    const notListed = await api().post(`/api/wishlist/${item._id}/move-to-cart`).set(bearer(token));
+    assert.equal(notListed.status, 404);
+  });
+});
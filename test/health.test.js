@@ -0,0 +1,110 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, clearDatabase, createItem, startDatabase, stopDatabase } = require('./helpers');
+const { BikeForRent } = require('../models');
+const { markShuttingDown } = require('../services/health');
+
+before(startDatabase);
+after(stopDatabase);
+beforeEach(clearDatabase);
+
+const METRICS_AUTH = { Authorization: 'Bearer test-metrics-token' };
+
+describe('Salud y disponibilidad', () => {
+  it('GET /health informa el estado de MongoDB', async () => {
+    const res = await api().get('/health');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ok');
+    assert.equal(res.body.shuttingDown, false);
+    assert.equal(res.body.mongodb.state, 'connected');
+  });
+
+  it('GET /ready responde 200 con un replica set que admite transacciones', async () => {
+    const res = await api().get('/ready');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ready');
+    assert.deepEqual(res.body.reasons, []);
+    assert.equal(res.body.mongodb.transactions, true);
+    assert.equal(typeof res.body.mongodb.replicaSet, 'string');
+  });
+});
+
+describe('Identificador de petición y logs', () => {
+  it('genera un X-Request-Id o reutiliza el recibido si es válido', async () => {
+    const generated = await api().get('/api/inventory');
+    assert.match(generated.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+
+    const forwarded = await api().get('/api/inventory').set('X-Request-Id', 'frontend-123');
+    assert.equal(forwarded.headers['x-request-id'], 'frontend-123');
+
+    const invalid = await api().get('/api/inventory').set('X-Request-Id', 'no válido <script>');
+    assert.notEqual(invalid.headers['x-request-id'], 'no válido <script>');
+  });
+
+  it('registra los errores 500 como JSON con el ID de la petición', async () => {
+    const find = mock.method(BikeForRent, 'find', () => {
+      throw new Error('conexión perdida con db-interna:27017');
+    });
+    const lines = [];
+    const write = mock.method(process.stderr, 'write', chunk => {
+      lines.push(String(chunk));
+      return true;
+    });
+    let res;
+    try {
+      res = await api().get('/api/bikes');
+      await new Promise(resolve => setImmediate(resolve)); // La línea de la petición se escribe al cerrar la respuesta
+    } finally {
+      write.mock.restore();
+      find.mock.restore();
+    }
+
+    assert.equal(res.status, 500);
+    const entries = lines.map(line => JSON.parse(line)).filter(entry => entry.requestId === res.headers['x-request-id']);
+    const errorEntry = entries.find(entry => entry.err);
+    assert.equal(errorEntry.level, 'error');
+    assert.equal(errorEntry.err.message, 'conexión perdida con db-interna:27017');
+    const requestEntry = entries.find(entry => entry.msg === 'Petición HTTP');
+    assert.equal(requestEntry.status, 500);
+    assert.equal(requestEntry.route, '/api/bikes');
+    assert.equal(typeof requestEntry.durationMs, 'number');
+  });
+});
+
+describe('Métricas', () => {
+  it('GET /metrics exige el token de métricas', async () => {
+    assert.equal((await api().get('/metrics')).status, 401);
+    assert.equal((await api().get('/metrics').set('Authorization', 'Bearer otro-token')).status, 401);
+  });
+
+  it('cuenta las peticiones por plantilla de ruta y estado', async () => {
+    const item = await createItem();
+    await api().get(`/api/inventory/${item._id}/reviews`);
+    await api().get('/api/no-existe');
+
+    const res = await api().get('/metrics').set(METRICS_AUTH);
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /^text\/plain;.*version=0\.0\.4/);
+    assert.match(res.text, /^masterbike_http_requests_total\{method="GET",route="\/api\/inventory\/:id\/reviews",status="200"\} 1$/m);
+    assert.match(res.text, /^masterbike_http_requests_total\{method="GET",route="no_route",status="404"\} \d+$/m);
+    assert.match(res.text, /^masterbike_http_request_duration_seconds_bucket\{method="GET",route="\/api\/inventory\/:id\/reviews",le="\+Inf"\} 1$/m);
+    assert.match(res.text, /^masterbike_mongodb_up 1$/m);
+    assert.doesNotMatch(res.text, new RegExp(item._id.toString()));
+  });
+});
+
+// Al final: marcar el apagado no tiene vuelta atrás en este proceso
+describe('Apagado ordenado', () => {
+  it('GET /ready responde 503 mientras el servidor se apaga; /health sigue respondiendo', async () => {
+    markShuttingDown();
+
+    const ready = await api().get('/ready');
+    assert.equal(ready.status, 503);
+    assert.equal(ready.body.status, 'unavailable');
+    assert.deepEqual(ready.body.reasons, ['El servidor se está apagando.']);
+
+    const health = await api().get('/health');
+    assert.equal(health.status, 200);
+    assert.equal(health.body.shuttingDown, true);
+  });
+});
@@ -0,0 +1,163 @@
+// Utilidades compartidas por las pruebas de integración.
+// Las variables de entorno se fijan antes de cargar la configuración de la app.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'masterbike-test-'));
+
+Object.assign(process.env, {
+  JWT_ACCESS_SECRET: 'test-access-secret',
+  JWT_REFRESH_SECRET: 'test-refresh-secret',
+  MAIL_TRANSPORT: 'file',
+  MAIL_DIR: path.join(TMP_DIR, 'mail'),
+  SMS_TRANSPORT: 'file',
+  SMS_DIR: path.join(TMP_DIR, 'sms'),
+  STORAGE_DRIVER: 'local',
+  UPLOADS_DIR: path.join(TMP_DIR, 'uploads'),
+  UPLOADS_PUBLIC_URL: 'http://localhost/uploads',
+  PAYMENT_PROVIDER: 'mock',
+  PAYMENT_WEBHOOK_SECRET: 'test-webhook-secret',
+  METRICS_TOKEN: 'test-metrics-token',
+  LOG_LEVEL: 'warn', // Sin una línea por petición; los errores 500 sí se muestran
+});
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const { connectDatabase, disconnectDatabase } = require('../config/database');
+const { createApp } = require('../app');
+const { BikeForRent, Employee, InventoryItem, User } = require('../models');
+const { issueTokens } = require('../services/tokens');
+
+let replSet;
+const app = createApp();
+
+// Un replica set de un nodo: las transacciones (runInTransaction) no funcionan en un mongod suelto
+async function startDatabase() {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await connectDatabase(replSet.getUri());
+  // Crea colecciones e índices (únicos, de texto) antes de la primera prueba
+  await Promise.all(Object.values(mongoose.models).map(Model => Model.init()));
+}
+
+async function stopDatabase() {
+  await disconnectDatabase();
+  if (replSet) {
+    await replSet.stop();
+  }
+  fs.rmSync(TMP_DIR, { recursive: true, force: true });
+}
+
+async function clearDatabase() {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+  for (const dir of ['mail', 'sms']) {
+    fs.rmSync(path.join(TMP_DIR, dir), { recursive: true, force: true });
+  }
+}
+
+// Cliente HTTP sobre la app (sin abrir un puerto)
+function api() {
+  return request(app);
+}
+
+function bearer(token) {
+  return { Authorization: `Bearer ${token}` };
+}
+
+let accountCounter = 0;
+
+async function createEmployee({ role = 'employee', password = 'Empleado123', ...overrides } = {}) {
+  accountCounter += 1;
+  const employee = await Employee.create({
+    firstName: 'Empleado',
+    lastName: `Prueba ${accountCounter}`,
+    email: `empleado${accountCounter}@masterbike.cl`,
+    password,
+    role,
+    ...overrides,
+  });
+  const { accessToken, refreshToken } = await issueTokens(employee, 'Employee');
+  return { employee, token: accessToken, refreshToken, password };
+}
+
+function createAdmin(overrides = {}) {
+  return createEmployee({ role: 'admin', ...overrides });
+}
+
+async function createCustomer({ password = 'Cliente123', ...overrides } = {}) {
+  accountCounter += 1;
+  const user = await User.create({
+    firstName: 'Cliente',
+    lastName: `Prueba ${accountCounter}`,
+    email: `cliente${accountCounter}@example.com`,
+    password,
+    ...overrides,
+  });
+  const { accessToken, refreshToken } = await issueTokens(user, 'User');
+  return { user, token: accessToken, refreshToken, password };
+}
+
+function createItem(overrides = {}) {
+  return InventoryItem.create({
+    name: 'Casco urbano',
+    category: 'Repuesto',
+    brand: 'Giro',
+    partType: 'Casco',
+    price: 25000,
+    stock: 10,
+    ...overrides,
+  });
+}
+
+function createBike(overrides = {}) {
+  return BikeForRent.create({
+    name: 'Trek Marlin 5',
+    description: 'Bicicleta de montaña aro 29',
+    pricePerDay: 10000,
+    ...overrides,
+  });
+}
+
+// Fecha a n días de hoy (inicio del día, UTC)
+function daysFromToday(days) {
+  const date = new Date();
+  date.setUTCHours(0, 0, 0, 0);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date;
+}
+
+// Correos enviados con MAIL_TRANSPORT=file, del más antiguo al más reciente
+function sentMails(to) {
+  const dir = process.env.MAIL_DIR;
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir).sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')))
+    .filter(mail => !to || mail.to === to);
+}
+
+// Token de un solo uso del enlace del último correo enviado a esa dirección
+function tokenFromLastMail(to) {
+  const mail = sentMails(to).at(-1);
+  const match = mail && /token=([\w-]+)/.exec(mail.text);
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  api,
+  bearer,
+  clearDatabase,
+  createAdmin,
+  createBike,
+  createCustomer,
+  createEmployee,
+  createItem,
+  daysFromToday,
+  sentMails,
+  startDatabase,
+  stopDatabase,
+  tokenFromLastMail,
+};
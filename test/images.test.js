@@ -0,0 +1,127 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { api, bearer, clearDatabase, createBike, createEmployee, createItem, startDatabase, stopDatabase } = require('./helpers');
+const { InventoryItem } = require('../models');
+
+before(startDatabase);
+after(stopDatabase);
+beforeEach(clearDatabase);
+
+function pngImage(width = 64, height = 48) {
+  return sharp({ create: { width, height, channels: 3, background: '#c0392b' } }).png().toBuffer();
+}
+
+describe('Galería de imágenes del inventario', () => {
+  it('POST /api/inventory/:id/images sube las imágenes, genera miniaturas y actualiza la portada', async () => {
+    const { token } = await createEmployee();
+    const item = await createItem();
+    const image = await pngImage();
+
+    const res = await api().post(`/api/inventory/${item._id}/images`).set(bearer(token))
+      .attach('images', image, 'frente.png')
+      .attach('images', image, 'lado.png');
+    assert.equal(res.status, 201);
+    assert.equal(res.body.images.length, 2);
+    assert.equal(res.body.imageUrl, res.body.images[0].url);
+    assert.equal(res.body.images[0].width, 64);
+
+    const { key, thumbnailKey } = res.body.images[0];
+    assert.ok(fs.existsSync(path.join(process.env.UPLOADS_DIR, key)));
+    assert.ok(fs.existsSync(path.join(process.env.UPLOADS_DIR, thumbnailKey)));
+
+    const served = await api().get(`/uploads/${key}`);
+    assert.equal(served.status, 200);
+    assert.equal(served.headers['x-content-type-options'], 'nosniff');
+  });
+
+  it('POST /api/inventory/:id/images rechaza archivos que no son imágenes', async () => {
+    const { token } = await createEmployee();
+    const item = await createItem();
+
+    const wrongType = await api().post(`/api/inventory/${item._id}/images`).set(bearer(token))
+      .attach('images', Buffer.from('hola'), { filename: 'nota.txt', contentType: 'text/plain' });
+    assert.equal(wrongType.status, 400);
+    assert.equal(wrongType.body.code, 'UNSUPPORTED_FILE');
+
+    const fake = await api().post(`/api/inventory/${item._id}/images`).set(bearer(token))
+      .attach('images', Buffer.from('no es un png'), { filename: 'falsa.png', contentType: 'image/png' });
+    assert.equal(fake.status, 400);
+    assert.equal(fake.body.code, 'UNSUPPORTED_FILE');
+
+    const empty = await api().post(`/api/inventory/${item._id}/images`).set(bearer(token));
+    assert.equal(empty.status, 400);
+    assert.equal((await InventoryItem.findById(item._id)).images.length, 0);
+  });
+
+  it('PUT /api/inventory/:id/images/order reordena la galería y cambia la portada', async () => {
+    const { token } = await createEmployee();
+    const item = await createItem();
+    const image = await pngImage();
+    const uploaded = await api().post(`/api/inventory/${item._id}/images`).set(bearer(token))
+      .attach('images', image, 'a.png')
+      .attach('images', image, 'b.png');
+    const [first, second] = uploaded.body.images;
+
+    const res = await api().put(`/api/inventory/${item._id}/images/order`).set(bearer(token))
+      .send({ imageIds: [second._id, first._id] });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.images.map(i => i._id), [second._id, first._id]);
+    assert.equal(res.body.imageUrl, second.url);
+
+    const incomplete = await api().put(`/api/inventory/${item._id}/images/order`).set(bearer(token))
+      .send({ imageIds: [first._id] });
+    assert.equal(incomplete.status, 400);
+    assert.deepEqual(incomplete.body.details.currentImageIds, [second._id, first._id]);
+  });
+
+  it('DELETE /api/inventory/:id/images/:imageId borra la imagen y sus archivos', async () => {
+    const { token } = await createEmployee();
+    const item = await createItem();
+    const uploaded = await api().post(`/api/inventory/${item._id}/images`).set(bearer(token))
+      .attach('images', await pngImage(), 'a.png');
+    const [image] = uploaded.body.images;
+
+    const res = await api().delete(`/api/inventory/${item._id}/images/${image._id}`).set(bearer(token));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.images.length, 0);
+    assert.equal(res.body.imageUrl, item.imageUrl); // Vuelve a la imagen por defecto
+    assert.ok(!fs.existsSync(path.join(process.env.UPLOADS_DIR, image.key)));
+
+    const again = await api().delete(`/api/inventory/${item._id}/images/${image._id}`).set(bearer(token));
+    assert.equal(again.status, 404);
+
+    const invalid = await api().delete(`/api/inventory/${item._id}/images/xyz`).set(bearer(token));
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'INVALID_ID');
+  });
+});
+
+describe('Galería de imágenes de la flota de arriendo', () => {
+  it('las mismas rutas funcionan en /api/bikes/:id/images', async () => {
+    const { token } = await createEmployee();
+    const bike = await createBike();
+    const image = await pngImage();
+
+    const uploaded = await api().post(`/api/bikes/${bike._id}/images`).set(bearer(token))
+      .attach('images', image, 'a.png')
+      .attach('images', image, 'b.png');
+    assert.equal(uploaded.status, 201);
+    const [first, second] = uploaded.body.images;
+
+    const reordered = await api().put(`/api/bikes/${bike._id}/images/order`).set(bearer(token))
+      .send({ imageIds: [second._id, first._id] });
+    assert.equal(reordered.body.imageUrl, second.url);
+
+    await api().delete(`/api/bikes/${bike._id}/images/${second._id}`).set(bearer(token));
+    const removed = await api().delete(`/api/bikes/${bike._id}/images/${first._id}`).set(bearer(token));
+    assert.equal(removed.status, 200);
+    assert.equal(removed.body.imageUrl, undefined); // Las bicicletas no tienen imagen por defecto
+
+    const missing = await api().post('/api/bikes/507f1f77bcf86cd799439011/images').set(bearer(token))
+      .attach('images', image, 'a.png');
+    assert.equal(missing.status, 404);
+  });
+});
@@ -0,0 +1,304 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { api, bearer, clearDatabase, createAdmin, createCustomer, createEmployee, createItem, startDatabase, stopDatabase } = require('./helpers');
+const { AuditLog, InventoryItem, StockAlert, StockMovement } = require('../models');
+const { backfillInventoryFilterKeys } = require('../services/seed');
+const { recordOpeningBalances } = require('../services/stock');
+
+before(startDatabase);
+after(stopDatabase);
+beforeEach(clearDatabase);
+
+describe('Catálogo', () => {
+  beforeEach(async () => {
+    await createItem({ name: 'Cadena Shimano', brand: 'Shimano', partType: 'Cadena', compatibility: 'MTB', price: 15000, stock: 5 });
+    await createItem({ name: 'Freno de disco', brand: 'Shimano', partType: 'Freno', compatibility: 'MTB', price: 45000, stock: 0 });
+    await createItem({ name: 'Bicicleta urbana', category: 'Bicicleta', type: 'Urbana', brand: 'Oxford', partType: undefined, price: 320000, stock: 2 });
+  });
+
+  it('GET /api/inventory devuelve el arreglo completo ordenado por nombre', async () => {
+    const res = await api().get('/api/inventory');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map(item => item.name), ['Bicicleta urbana', 'Cadena Shimano', 'Freno de disco']);
+  });
+
+  it('GET /api/inventory filtra, ordena y pagina', async () => {
+    const filtered = await api().get('/api/inventory').query({ brand: 'shimano', inStock: 'true' });
+    assert.deepEqual(filtered.body.map(item => item.name), ['Cadena Shimano']);
+
+    const byPrice = await api().get('/api/inventory').query({ minPrice: '20000', sort: '-price' });
+    assert.deepEqual(byPrice.body.map(item => item.price), [320000, 45000]);
+
+    const page = await api().get('/api/inventory').query({ page: '2', limit: '2' });
+    assert.equal(page.status, 200);
+    assert.equal(page.body.total, 3);
+    assert.equal(page.body.totalPages, 2);
+    assert.equal(page.body.items.length, 1);
+
+    const invalid = await api().get('/api/inventory').query({ sort: 'password' });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'VALIDATION_ERROR');
+  });
+
+  it('GET /api/inventory busca por texto', async () => {
+    const res = await api().get('/api/inventory').query({ q: 'cadena' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body[0].name, 'Cadena Shimano');
+  });
+
+  it('GET /api/inventory/facets cuenta marcas y categorías', async () => {
+    const res = await api().get('/api/inventory/facets');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.brands, [{ value: 'Shimano', count: 2 }, { value: 'Oxford', count: 1 }]);
+    assert.deepEqual(res.body.price, { min: 15000, max: 320000 });
+  });
+});
+
+describe('Administración del inventario', () => {
+  it('POST /api/inventory crea el ítem y registra el stock inicial en el libro de movimientos', async () => {
+    const { token } = await createEmployee();
+    const res = await api().post('/api/inventory').set(bearer(token))
+      .send({ name: 'Luz LED', category: 'Repuesto', price: 9990, stock: 12, sku: 'luz-01' });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.stock, 12);
+    assert.equal(res.body.sku, 'LUZ-01');
+
+    const movements = await StockMovement.find({ itemId: res.body._id });
+    assert.equal(movements.length, 1);
+    assert.equal(movements[0].type, 'Reposición');
+    assert.equal(await AuditLog.countDocuments({ 'entity.id': res.body._id, action: 'Crear' }), 1);
+  });
+
+  it('POST /api/inventory exige sesión de empleado y datos válidos', async () => {
+    const { token: customerToken } = await createCustomer();
+    const forbidden = await api().post('/api/inventory').set(bearer(customerToken)).send({ name: 'X', category: 'Repuesto', price: 1, stock: 1 });
+    assert.equal(forbidden.status, 403);
+
+    const { token } = await createEmployee();
+    const invalid = await api().post('/api/inventory').set(bearer(token)).send({ name: 'X', category: 'Otro', price: -1 });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'VALIDATION_ERROR');
+  });
+
+  it('PUT /api/inventory/:id actualiza y registra el ajuste de stock', async () => {
+    const { token } = await createEmployee();
+    const item = await createItem({ stock: 10 });
+    const res = await api().put(`/api/inventory/${item._id}`).set(bearer(token)).send({ price: 27000, stock: 7, stockReason: 'Conteo' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.price, 27000);
+    assert.equal(res.body.stock, 7);
+
+    const [movement] = await StockMovement.find({ itemId: item._id });
+    assert.equal(movement.type, 'Ajuste manual');
+    assert.equal(movement.quantity, -3);
+    assert.equal(movement.reason, 'Conteo');
+  });
+
+  it('PUT /api/inventory/:id responde 400 con un ID mal formado y 404 si no existe', async () => {
+    const { token } = await createEmployee();
+    const invalid = await api().put('/api/inventory/abc').set(bearer(token)).send({ price: 1 });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'INVALID_ID');
+
+    const missing = await api().put('/api/inventory/507f1f77bcf86cd799439011').set(bearer(token)).send({ price: 1 });
+    assert.equal(missing.status, 404);
+  });
+
+  it('DELETE /api/inventory/:id envía el ítem a la papelera y POST /restore lo recupera', async () => {
+    const { token } = await createAdmin();
+    const item = await createItem();
+
+    const { token: employeeToken } = await createEmployee();
+    const forbidden = await api().delete(`/api/inventory/${item._id}`).set(bearer(employeeToken));
+    assert.equal(forbidden.status, 403);
+
+    const deleted = await api().delete(`/api/inventory/${item._id}`).set(bearer(token));
+    assert.equal(deleted.status, 200);
+    assert.equal((await api().get('/api/inventory')).body.length, 0);
+
+    const trash = await api().get('/api/inventory/deleted').set(bearer(token));
+    assert.equal(trash.status, 200);
+    assert.equal(trash.body.length, 1);
+
+    const restored = await api().post(`/api/inventory/${item._id}/restore`).set(bearer(token));
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.deletedAt, null);
+    assert.equal((await api().get('/api/inventory')).body.length, 1);
+
+    const notInTrash = await api().post(`/api/inventory/${item._id}/restore`).set(bearer(token));
+    assert.equal(notInTrash.status, 404);
+  });
+
+  it('DELETE /api/inventory/:id?permanent=true lo elimina definitivamente', async () => {
+    const { token } = await createAdmin();
+    const item = await createItem();
+    const res = await api().delete(`/api/inventory/${item._id}`).query({ permanent: 'true' }).set(bearer(token));
+    assert.equal(res.status, 200);
+    assert.equal(await InventoryItem.countDocuments({ _id: item._id }).setOptions({ withDeleted: true }), 0);
+  });
+});
+
+describe('Importación y exportación del catálogo', () => {
+  const csv = [
+    'sku;name;category;brand;price;stock',
+    'CAD-01;Cadena 11v;Repuesto;Shimano;15000;8',
+    ';Casco urbano;Repuesto;Giro;27000;',
+  ].join('\n');
+
+  it('POST /api/inventory/import simula por defecto y aplica con dryRun=false', async () => {
+    const { token } = await createEmployee();
+    await createItem({ name: 'Casco urbano', price: 25000 });
+
+    const dryRun = await api().post('/api/inventory/import').set(bearer(token))
+      .attach('file', Buffer.from(csv), 'catalogo.csv');
+    assert.equal(dryRun.status, 200);
+    assert.equal(dryRun.body.dryRun, true);
+    assert.deepEqual(dryRun.body.summary, { rows: 2, toCreate: 1, toUpdate: 1, unchanged: 0, errors: 0 });
+    assert.equal(await InventoryItem.countDocuments(), 1);
+
+    const applied = await api().post('/api/inventory/import').query({ dryRun: 'false' }).set(bearer(token))
+      .attach('file', Buffer.from(csv), 'catalogo.csv');
+    assert.equal(applied.status, 200);
+    assert.equal((await InventoryItem.findOne({ sku: 'CAD-01' })).stock, 8);
+    assert.equal((await InventoryItem.findOne({ name: 'Casco urbano' })).price, 27000);
+  });
+
+  it('POST /api/inventory/import informa los errores por fila y no aplica nada', async () => {
+    const { token } = await createEmployee();
+    const withErrors = 'name,category,price\nCadena,Repuesto,15.000\n';
+    const res = await api().post('/api/inventory/import').query({ dryRun: 'false' }).set(bearer(token))
+      .attach('file', Buffer.from(withErrors), 'catalogo.csv');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors[0].row, 2);
+    assert.equal(res.body.errors[0].field, 'price');
+    assert.equal(await InventoryItem.countDocuments(), 0);
+
+    const missingFile = await api().post('/api/inventory/import').set(bearer(token));
+    assert.equal(missingFile.status, 400);
+  });
+
+  it('GET /api/inventory/export descarga el catálogo en CSV y XLSX', async () => {
+    const { token } = await createEmployee();
+    await createItem({ sku: 'CAS-01', name: 'Casco urbano' });
+
+    const csvRes = await api().get('/api/inventory/export').set(bearer(token));
+    assert.equal(csvRes.status, 200);
+    assert.match(csvRes.headers['content-type'], /text\/csv/);
+    assert.match(csvRes.text, /^\uFEFFsku,name,category/);
+    assert.match(csvRes.text, /CAS-01,Casco urbano,Repuesto/);
+
+    const xlsxRes = await api().get('/api/inventory/export').query({ format: 'xlsx' }).set(bearer(token))
+      .buffer(true).parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+    assert.equal(xlsxRes.status, 200);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(xlsxRes.body);
+    assert.equal(workbook.worksheets[0].getRow(2).getCell(1).text, 'CAS-01');
+  });
+});
+
+describe('Movimientos de stock', () => {
+  it('POST y GET /api/inventory/:id/stock-movements registran y listan movimientos', async () => {
+    const { employee, token } = await createEmployee();
+    const item = await createItem({ stock: 0 });
+
+    const res = await api().post(`/api/inventory/${item._id}/stock-movements`).set(bearer(token))
+      .send({ type: 'Reposición', quantity: 5, reason: 'Compra a proveedor' });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.stock, 5);
+
+    const tooMuch = await api().post(`/api/inventory/${item._id}/stock-movements`).set(bearer(token))
+      .send({ type: 'Ajuste manual', quantity: -9, reason: 'Merma' });
+    assert.equal(tooMuch.status, 409);
+    assert.equal(tooMuch.body.code, 'INSUFFICIENT_STOCK');
+
+    const negativeRestock = await api().post(`/api/inventory/${item._id}/stock-movements`).set(bearer(token))
+      .send({ type: 'Reposición', quantity: -1, reason: 'Error' });
+    assert.equal(negativeRestock.status, 400);
+
+    const list = await api().get(`/api/inventory/${item._id}/stock-movements`).set(bearer(token));
+    assert.equal(list.status, 200);
+    assert.equal(list.body.length, 1);
+    assert.equal(list.body[0].actorId.email, employee.email);
+  });
+
+  it('GET /api/stock-alerts muestra las alertas abiertas y resueltas', async () => {
+    const { token } = await createEmployee();
+    const item = await createItem({ stock: 5, reorderThreshold: 3 });
+    await api().post(`/api/inventory/${item._id}/stock-movements`).set(bearer(token))
+      .send({ type: 'Ajuste manual', quantity: -3, reason: 'Venta en tienda' });
+
+    const open = await api().get('/api/stock-alerts').set(bearer(token));
+    assert.equal(open.status, 200);
+    assert.equal(open.body.length, 1);
+    assert.equal(open.body[0].stockAtAlert, 2);
+
+    await api().post(`/api/inventory/${item._id}/stock-movements`).set(bearer(token))
+      .send({ type: 'Reposición', quantity: 10, reason: 'Reposición' });
+    const resolved = await api().get('/api/stock-alerts').query({ status: 'Resuelta' }).set(bearer(token));
+    assert.equal(resolved.body.length, 1);
+    assert.equal(await StockAlert.countDocuments({ status: 'Abierta' }), 0);
+  });
+
+  it('GET /api/inventory/stock-audit compara el stock con el libro de movimientos', async () => {
+    const { token } = await createAdmin();
+    await createItem({ name: 'Sin movimientos', stock: 4 }); // Creado fuera de la API: no cuadra con el libro
+    await api().post('/api/inventory').set(bearer(token)).send({ name: 'Con movimientos', category: 'Repuesto', price: 1000, stock: 3 });
+
+    const res = await api().get('/api/inventory/stock-audit').set(bearer(token));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 2);
+
+    const mismatches = await api().get('/api/inventory/stock-audit').query({ onlyMismatches: 'true' }).set(bearer(token));
+    assert.deepEqual(mismatches.body.map(r => [r.name, r.difference]), [['Sin movimientos', 4]]);
+  });
+
+  it('recordOpeningBalances registra el saldo inicial de los ítems que existían antes del libro', async () => {
+    const { token } = await createAdmin();
+    const existing = await createItem({ name: 'Anterior al libro', stock: 4 }); // Como un ítem de una base de datos existente
+    await createItem({ name: 'Agotado', stock: 0 });
+    await api().post('/api/inventory').set(bearer(token)).send({ name: 'Con movimientos', category: 'Repuesto', price: 1000, stock: 3 });
+
+    assert.equal(await recordOpeningBalances(), 1);
+    assert.equal(await recordOpeningBalances(), 0); // Al reiniciar no se repite
+    const opening = await StockMovement.find({ type: 'Saldo inicial' });
+    assert.deepEqual(opening.map(m => [m.itemId.toString(), m.quantity, m.stockAfter]), [[existing._id.toString(), 4, 4]]);
+
+    const mismatches = await api().get('/api/inventory/stock-audit').query({ onlyMismatches: 'true' }).set(bearer(token));
+    assert.deepEqual(mismatches.body, []);
+
+    // Los movimientos posteriores se suman al saldo inicial
+    await api().post(`/api/inventory/${existing._id}/stock-movements`).set(bearer(token)).send({ quantity: -1, type: 'Ajuste manual', reason: 'Dañado' });
+    const audit = await api().get('/api/inventory/stock-audit').set(bearer(token));
+    const row = audit.body.find(r => r.name === 'Anterior al libro');
+    assert.deepEqual([row.currentStock, row.ledgerStock, row.difference], [3, 3, 0]);
+  });
+
+  it('los filtros por marca y tipo de repuesto no distinguen mayúsculas, también en ítems anteriores a brandKey', async () => {
+    const { token } = await createEmployee();
+    const chain = await createItem({ name: 'Cadena', brand: 'SRAM', partType: 'Cadena' });
+    assert.equal(chain.brandKey, 'sram');
+    assert.equal(chain.partTypeKey, 'cadena');
+    // Como un ítem guardado antes de que existieran las claves
+    await InventoryItem.collection.insertOne({
+      name: 'Freno antiguo', category: 'Repuesto', brand: 'Shimano', partType: 'Freno', price: 15000, stock: 2, deletedAt: null,
+    });
+    const byBrand = () => api().get('/api/inventory').query({ category: 'Repuesto', brand: 'shimano,sram' });
+    assert.deepEqual((await byBrand()).body.map(item => item.name), ['Cadena']);
+
+    assert.equal(await backfillInventoryFilterKeys(), 1);
+    assert.equal(await backfillInventoryFilterKeys(), 0);
+    assert.deepEqual((await byBrand()).body.map(item => item.name), ['Cadena', 'Freno antiguo']);
+
+    await api().put(`/api/inventory/${chain._id}`).set(bearer(token)).send({ brand: 'KMC' });
+    assert.deepEqual((await byBrand()).body.map(item => item.name), ['Freno antiguo']);
+    const byPartType = await api().get('/api/inventory').query({ partType: 'FRENO' });
+    assert.deepEqual(byPartType.body.map(item => item.name), ['Freno antiguo']);
+    const changes = await AuditLog.findOne({ 'entity.model': 'InventoryItem', action: 'Actualizar' });
+    assert.deepEqual(changes.changes.map(change => change.field), ['brand']);
+  });
+});
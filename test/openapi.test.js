@@ -0,0 +1,275 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  api, bearer, clearDatabase, createAdmin, createBike, createCustomer, createEmployee, createItem, daysFromToday, startDatabase, stopDatabase,
+} = require('./helpers');
+const { createApp } = require('../app');
+const { listAppRoutes, routeKey } = require('../services/openapi');
+const { ROUTE_DOCS } = require('../services/openapiRoutes');
+
+before(startDatabase);
+after(stopDatabase);
+beforeEach(clearDatabase);
+
+let spec;
+before(async () => {
+  spec = (await api().get('/api/openapi.json')).body;
+});
+
+// Errores del valor frente a un esquema de la especificación (el subconjunto de OpenAPI 3.0 que genera services/openapi.js)
+function schemaErrors(schema, value, at) {
+  if (schema.$ref) {
+    return schemaErrors(spec.components.schemas[schema.$ref.split('/').pop()], value, at);
+  }
+  if (value === null) {
+    return schema.nullable || !schema.type ? [] : [`${at}: no puede ser null`];
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => schemaErrors(option, value, at).length === 0).length;
+    return matches === 1 ? [] : [`${at}: coincide con ${matches} opciones de oneOf`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at}: ${JSON.stringify(value)} no está en ${JSON.stringify(schema.enum)}`];
+  }
+
+  switch (schema.type) {
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return [`${at}: se esperaba un objeto`];
+      }
+      const properties = schema.properties || {};
+      const errors = (schema.required || []).filter(name => !(name in value)).map(name => `${at}.${name}: falta`);
+      for (const [name, propertyValue] of Object.entries(value)) {
+        if (properties[name]) {
+          errors.push(...schemaErrors(properties[name], propertyValue, `${at}.${name}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${at}.${name}: no está documentado`);
+        }
+      }
+      return errors;
+    }
+    case 'array':
+      return Array.isArray(value) ? value.flatMap((item, index) => schemaErrors(schema.items, item, `${at}[${index}]`)) : [`${at}: se esperaba un arreglo`];
+    case 'string':
+      if (typeof value !== 'string') {
+        return [`${at}: se esperaba texto`];
+      }
+      if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+        return [`${at}: fecha inválida`];
+      }
+      return schema.pattern && !new RegExp(schema.pattern).test(value) ? [`${at}: no cumple ${schema.pattern}`] : [];
+    case 'integer':
+      return Number.isInteger(value) ? [] : [`${at}: se esperaba un entero`];
+    case 'number':
+      return typeof value === 'number' ? [] : [`${at}: se esperaba un número`];
+    case 'boolean':
+      return typeof value === 'boolean' ? [] : [`${at}: se esperaba true o false`];
+    default:
+      return [];
+  }
+}
+
+// La respuesta debe tener un estado documentado para la ruta y un cuerpo que cumpla su esquema
+function assertMatchesSpec(res, method, path) {
+  const operation = spec.paths[path] && spec.paths[path][method];
+  assert.ok(operation, `${method.toUpperCase()} ${path} no está en la especificación`);
+  const response = operation.responses[res.status];
+  assert.ok(response, `${method.toUpperCase()} ${path} respondió ${res.status}, que no está documentado: ${JSON.stringify(res.body)}`);
+  const media = response.content && response.content['application/json'];
+  if (media) {
+    assert.deepEqual(schemaErrors(media.schema, res.body, 'body'), [], `${method.toUpperCase()} ${path} → ${res.status}`);
+  }
+}
+
+describe('Especificación OpenAPI', () => {
+  it('GET /api/openapi.json documenta todas las rutas de la app', async () => {
+    const res = await api().get('/api/openapi.json');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.openapi, '3.0.3');
+
+    const routes = listAppRoutes(createApp());
+    for (const route of routes) {
+      const path = route.path.replace(/:(\w+)/g, '{$1}');
+      assert.ok(res.body.paths[path][route.method.toLowerCase()], `${routeKey(route)} falta en paths`);
+      assert.ok(ROUTE_DOCS[routeKey(route)], `${routeKey(route)} no tiene documentación en services/openapiRoutes.js`);
+    }
+    const keys = new Set(routes.map(routeKey));
+    assert.deepEqual(Object.keys(ROUTE_DOCS).filter(key => !keys.has(key)), [], 'Documentación de rutas que ya no existen');
+  });
+
+  it('deduce parámetros, cuerpos, seguridad y esquemas desde las rutas y los modelos', () => {
+    const createItemOperation = spec.paths['/api/inventory'].post;
+    assert.deepEqual(createItemOperation.security, [{ bearerAuth: [] }]);
+    assert.match(createItemOperation.description, /Solo empleados/);
+    const body = createItemOperation.requestBody.content['application/json'].schema;
+    assert.deepEqual(body.required, ['name', 'category', 'price', 'stock']);
+    assert.deepEqual(body.properties.category.enum, ['Bicicleta', 'Repuesto']);
+    assert.ok(createItemOperation.responses[401] && createItemOperation.responses[403]);
+
+    const page = spec.paths['/api/inventory'].get.parameters.find(p => p.name === 'page');
+    assert.deepEqual(page, { name: 'page', in: 'query', required: false, schema: { type: 'integer', minimum: 1 } });
+    assert.equal(spec.paths['/api/inventory'].get.security, undefined);
+
+    const idParam = spec.paths['/api/repairs/{id}'].get.parameters[0];
+    assert.equal(idParam.in, 'path');
+    assert.equal(idParam.schema.pattern, '^[a-f\\d]{24}$');
+
+    const item = spec.components.schemas.InventoryItem;
+    assert.ok(item.required.includes('name'));
+    assert.deepEqual(item.properties.category.enum, ['Bicicleta', 'Repuesto']);
+    assert.equal(item.properties.images.type, 'array');
+    assert.equal(spec.components.schemas.RepairRequest.properties.quote.properties.status.enum.length, 3);
+  });
+
+  it('GET /api/docs sirve la documentación interactiva sin recursos externos', async () => {
+    const page = await api().get('/api/docs');
+    assert.equal(page.status, 200);
+    assert.match(page.headers['content-type'], /text\/html/);
+    assert.match(page.headers['content-security-policy'], /script-src 'self'/);
+    assert.doesNotMatch(page.text, /https?:\/\//);
+
+    const script = await api().get('/api/docs/docs.js');
+    assert.equal(script.status, 200);
+    assert.match(script.headers['content-type'], /javascript/);
+
+    // El resto de la API mantiene la política que no permite cargar nada
+    assert.equal((await api().get('/api/inventory')).headers['content-security-policy'], "default-src 'none'; frame-ancestors 'none'");
+  });
+});
+
+describe('Contrato: autenticación', () => {
+  it('registro, inicio de sesión, tokens y perfil cumplen la especificación', async () => {
+    const account = { firstName: 'Ana', lastName: 'Pérez', email: 'ana@example.com', password: 'Cliente123' };
+    assertMatchesSpec(await api().post('/api/register').send(account), 'post', '/api/register');
+    assertMatchesSpec(await api().post('/api/register').send(account), 'post', '/api/register'); // 409
+
+    const login = await api().post('/api/login').send({ email: account.email, password: account.password });
+    assert.equal(login.status, 200);
+    assertMatchesSpec(login, 'post', '/api/login');
+    assertMatchesSpec(await api().post('/api/login').send({ email: account.email, password: 'incorrecta' }), 'post', '/api/login');
+    assertMatchesSpec(await api().post('/api/login').send({ email: 'no-es-email' }), 'post', '/api/login');
+
+    const refreshed = await api().post('/api/token/refresh').send({ refreshToken: login.body.refreshToken });
+    assertMatchesSpec(refreshed, 'post', '/api/token/refresh');
+    assertMatchesSpec(await api().get('/api/me').set(bearer(refreshed.body.accessToken)), 'get', '/api/me');
+    assertMatchesSpec(await api().put('/api/me').set(bearer(refreshed.body.accessToken)).send({ firstName: 'Anita' }), 'put', '/api/me');
+    assertMatchesSpec(await api().get('/api/me'), 'get', '/api/me'); // 401
+
+    const { employee, password } = await createEmployee();
+    const employeeLogin = await api().post('/api/employee-login').send({ email: employee.email, password });
+    assertMatchesSpec(employeeLogin, 'post', '/api/employee-login');
+    assertMatchesSpec(await api().get('/api/me').set(bearer(employeeLogin.body.accessToken)), 'get', '/api/me');
+    assertMatchesSpec(await api().post('/api/logout').send({ refreshToken: employeeLogin.body.refreshToken }), 'post', '/api/logout');
+  });
+});
+
+describe('Contrato: inventario', () => {
+  it('catálogo, edición, movimientos de stock y papelera cumplen la especificación', async () => {
+    const { token } = await createEmployee();
+    const { token: adminToken } = await createAdmin();
+
+    const created = await api().post('/api/inventory').set(bearer(token))
+      .send({ name: 'Cadena 11v', category: 'Repuesto', brand: 'Shimano', partType: 'Cadena', price: 30000, stock: 5 });
+    assert.equal(created.status, 201);
+    assertMatchesSpec(created, 'post', '/api/inventory');
+    await createItem({ category: 'Bicicleta', name: 'Trek FX 2', type: 'Urbana', price: 450000 });
+
+    assertMatchesSpec(await api().get('/api/inventory'), 'get', '/api/inventory');
+    assertMatchesSpec(await api().get('/api/inventory').query({ page: 1, limit: 1 }), 'get', '/api/inventory');
+    assertMatchesSpec(await api().get('/api/inventory').query({ limit: 0 }), 'get', '/api/inventory'); // 400
+    assertMatchesSpec(await api().get('/api/inventory/facets'), 'get', '/api/inventory/facets');
+    assertMatchesSpec(await api().put(`/api/inventory/${created.body._id}`).set(bearer(token)).send({ price: 32000 }), 'put', '/api/inventory/{id}');
+
+    const movement = await api().post(`/api/inventory/${created.body._id}/stock-movements`).set(bearer(token))
+      .send({ type: 'Reposición', quantity: 3, reason: 'Llegó el pedido' });
+    assertMatchesSpec(movement, 'post', '/api/inventory/{id}/stock-movements');
+    assertMatchesSpec(await api().get(`/api/inventory/${created.body._id}/stock-movements`).set(bearer(token)), 'get', '/api/inventory/{id}/stock-movements');
+    assertMatchesSpec(await api().get('/api/inventory/stock-audit').set(bearer(adminToken)), 'get', '/api/inventory/stock-audit');
+    assertMatchesSpec(await api().get('/api/stock-alerts').set(bearer(token)), 'get', '/api/stock-alerts');
+
+    assertMatchesSpec(await api().delete(`/api/inventory/${created.body._id}`).set(bearer(token)), 'delete', '/api/inventory/{id}'); // 403
+    assertMatchesSpec(await api().delete(`/api/inventory/${created.body._id}`).set(bearer(adminToken)), 'delete', '/api/inventory/{id}');
+    assertMatchesSpec(await api().get('/api/inventory/deleted').set(bearer(adminToken)), 'get', '/api/inventory/deleted');
+    assertMatchesSpec(await api().post(`/api/inventory/${created.body._id}/restore`).set(bearer(adminToken)), 'post', '/api/inventory/{id}/restore');
+    assertMatchesSpec(await api().put('/api/inventory/507f1f77bcf86cd799439011').set(bearer(token)).send({ price: 1 }), 'put', '/api/inventory/{id}'); // 404
+  });
+});
+
+describe('Contrato: reparaciones', () => {
+  it('solicitud, seguimiento, presupuesto y repuestos cumplen la especificación', async () => {
+    const created = await api().post('/api/repairs').send({
+      bikeType: 'Montaña',
+      bikeBrand: 'Trek',
+      problemDescription: 'Cambios saltan',
+      contactName: 'Pedro Soto',
+      contactEmail: 'pedro@example.com',
+      contactPhone: '+56 9 1234 5678',
+    });
+    assert.equal(created.status, 201);
+    assertMatchesSpec(created, 'post', '/api/repairs');
+    const { _id: id, trackingCode } = created.body;
+    const { employee, token } = await createEmployee();
+
+    assertMatchesSpec(await api().get(`/api/repairs/track/${trackingCode}`), 'get', '/api/repairs/track/{trackingCode}');
+    assertMatchesSpec(await api().get('/api/repairs').set(bearer(token)), 'get', '/api/repairs');
+    assertMatchesSpec(await api().put(`/api/repairs/${id}/technician`).set(bearer(token)).send({ technicianId: employee._id.toString() }), 'put', '/api/repairs/{id}/technician');
+    assertMatchesSpec(await api().put(`/api/repairs/${id}/quote`).set(bearer(token)).send({ laborCost: 15000, description: 'Ajuste de cambios' }), 'put', '/api/repairs/{id}/quote');
+    assertMatchesSpec(await api().get(`/api/repairs/track/${trackingCode}`), 'get', '/api/repairs/track/{trackingCode}');
+
+    const response = { email: 'pedro@example.com', decision: 'accept' };
+    assertMatchesSpec(await api().post(`/api/repairs/track/${trackingCode}/quote-response`).send(response), 'post', '/api/repairs/track/{trackingCode}/quote-response');
+    assertMatchesSpec(await api().post(`/api/repairs/track/${trackingCode}/quote-response`).send(response), 'post', '/api/repairs/track/{trackingCode}/quote-response'); // 409
+
+    const part = await createItem({ name: 'Cable de cambio', partType: 'Cable', price: 3000 });
+    assertMatchesSpec(await api().post(`/api/repairs/${id}/parts`).set(bearer(token)).send({ itemId: part._id.toString(), quantity: 2 }), 'post', '/api/repairs/{id}/parts');
+    assertMatchesSpec(await api().post(`/api/repairs/${id}/notes`).set(bearer(token)).send({ text: 'Cliente avisado' }), 'post', '/api/repairs/{id}/notes');
+    assertMatchesSpec(await api().put(`/api/repairs/${id}`).set(bearer(token)).send({ status: 'En Proceso' }), 'put', '/api/repairs/{id}');
+
+    const detail = await api().get(`/api/repairs/${id}`).set(bearer(token));
+    assert.equal(detail.body.technician.email, employee.email);
+    assertMatchesSpec(detail, 'get', '/api/repairs/{id}');
+  });
+});
+
+describe('Contrato: flota, arriendos y compras', () => {
+  it('flota, disponibilidad y arriendos cumplen la especificación', async () => {
+    const bike = await createBike();
+    const { token } = await createEmployee();
+    const rental = {
+      bikeId: bike._id.toString(),
+      startDate: daysFromToday(1).toISOString(),
+      endDate: daysFromToday(4).toISOString(),
+      customerName: 'Ana Pérez',
+      customerEmail: 'ana@example.com',
+    };
+
+    assertMatchesSpec(await api().get('/api/bikes'), 'get', '/api/bikes');
+    assertMatchesSpec(await api().get(`/api/bikes/${bike._id}`), 'get', '/api/bikes/{id}');
+    assertMatchesSpec(await api().post('/api/rentals/quote').send(rental), 'post', '/api/rentals/quote');
+
+    const created = await api().post('/api/rentals').send(rental);
+    assert.equal(created.status, 201);
+    assertMatchesSpec(created, 'post', '/api/rentals');
+    assertMatchesSpec(await api().post('/api/rentals').send(rental), 'post', '/api/rentals'); // 409: fechas ocupadas
+
+    assertMatchesSpec(await api().get('/api/bikes/availability'), 'get', '/api/bikes/availability');
+    assertMatchesSpec(await api().get(`/api/bikes/${bike._id}/availability`), 'get', '/api/bikes/{id}/availability');
+    assertMatchesSpec(await api().get('/api/rentals').set(bearer(token)), 'get', '/api/rentals');
+    assertMatchesSpec(await api().put(`/api/rentals/${created.body._id}/status`).set(bearer(token)).send({ status: 'Activo' }), 'put', '/api/rentals/{id}/status');
+  });
+
+  it('cotización y compra cumplen la especificación', async () => {
+    const item = await createItem({ stock: 2 });
+    const { token } = await createCustomer();
+    const cartItems = [{ itemId: item._id.toString(), quantity: 1 }];
+
+    assertMatchesSpec(await api().post('/api/purchase/quote').send({ cartItems }), 'post', '/api/purchase/quote');
+    assertMatchesSpec(await api().post('/api/purchase/quote').send({ cartItems: [{ ...cartItems[0], quantity: 5 }] }), 'post', '/api/purchase/quote'); // 409
+
+    const purchase = await api().post('/api/purchase').set(bearer(token))
+      .send({ cartItems, deliveryDate: daysFromToday(3).toISOString(), customerName: 'Cliente Prueba' });
+    assert.equal(purchase.status, 200);
+    assertMatchesSpec(purchase, 'post', '/api/purchase');
+    assertMatchesSpec(await api().post('/api/purchase').send({ cartItems }), 'post', '/api/purchase'); // 401
+  });
+});
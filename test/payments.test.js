@@ -0,0 +1,257 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+// Con garantía de arriendo, para probar el pago de arriendos (cada archivo de prueba corre en su propio proceso)
+process.env.RENTAL_DEPOSIT_AMOUNT = '20000';
+
+const {
+  api, bearer, clearDatabase, createAdmin, createBike, createCustomer, createEmployee, createItem, daysFromToday, startDatabase, stopDatabase,
+} = require('./helpers');
+const { AuditLog, DispatchRecord, InventoryItem, Notification, Payment, Rental } = require('../models');
+
+before(startDatabase);
+after(stopDatabase);
+beforeEach(clearDatabase);
+
+async function createOrder(quantity = 2) {
+  const item = await createItem({ stock: 5 });
+  const { token } = await createCustomer();
+  const res = await api().post('/api/purchase').set(bearer(token)).send({
+    cartItems: [{ itemId: item._id.toString(), quantity }],
+    deliveryDate: daysFromToday(3).toISOString(),
+    customerName: 'Cliente Prueba',
+  });
+  assert.equal(res.status, 200);
+  const payment = await Payment.findById(res.body.payment.id);
+  return { item, token, payment, dispatchId: res.body.dispatchRecord._id };
+}
+
+// Envía un webhook de la pasarela mock firmado con PAYMENT_WEBHOOK_SECRET
+function sendWebhook(event, secret = process.env.PAYMENT_WEBHOOK_SECRET) {
+  const body = JSON.stringify(event);
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+  return api().post('/api/payments/webhook/mock')
+    .set('Content-Type', 'application/json')
+    .set('X-Mock-Signature', signature)
+    .send(body);
+}
+
+describe('Pago de pedidos', () => {
+  it('POST /api/payments/:id/mock-complete aprobado confirma el pedido y avisa al cliente', async () => {
+    const { payment, dispatchId } = await createOrder();
+
+    const res = await api().post(`/api/payments/${payment._id}/mock-complete`).send({ outcome: 'approved' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.applied, true);
+    assert.equal(res.body.payment.status, 'Aprobado');
+    assert.equal((await DispatchRecord.findById(dispatchId)).status, 'Pendiente');
+    assert.equal(await Notification.countDocuments({ event: 'order.confirmed' }), 1);
+
+    const again = await api().post(`/api/payments/${payment._id}/mock-complete`).send({ outcome: 'approved' });
+    assert.equal(again.body.applied, false);
+  });
+
+  it('POST /api/payments/:id/mock-complete rechazado cancela el pedido y devuelve el stock', async () => {
+    const { item, payment, dispatchId } = await createOrder(2);
+    assert.equal((await InventoryItem.findById(item._id)).stock, 3);
+
+    const res = await api().post(`/api/payments/${payment._id}/mock-complete`).send({ outcome: 'rejected' });
+    assert.equal(res.body.payment.status, 'Rechazado');
+    assert.equal((await DispatchRecord.findById(dispatchId)).status, 'Cancelado');
+    assert.equal((await InventoryItem.findById(item._id)).stock, 5);
+  });
+
+  it('POST /api/payments/webhook/:provider valida la firma y aplica cada evento una sola vez', async () => {
+    const { payment, dispatchId } = await createOrder();
+    const event = { id: 'evt_1', type: 'payment.approved', data: { paymentId: payment.providerPaymentId, amount: payment.amount } };
+
+    const unsigned = await sendWebhook(event, 'otro-secreto');
+    assert.equal(unsigned.status, 401);
+    assert.equal(unsigned.body.code, 'INVALID_SIGNATURE');
+
+    const res = await sendWebhook(event);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { received: true, applied: true });
+    assert.equal((await DispatchRecord.findById(dispatchId)).status, 'Pendiente');
+
+    const duplicate = await sendWebhook(event);
+    assert.equal(duplicate.status, 200);
+    assert.equal(duplicate.body.duplicate, true);
+
+    const unknownProvider = await api().post('/api/payments/webhook/otra').send(event);
+    assert.equal(unknownProvider.status, 404);
+  });
+
+  it('POST /api/payments/webhook/:provider no confirma un monto que no coincide y deja el pago para reembolsar', async () => {
+    const { item, payment, dispatchId } = await createOrder(2);
+    const event = { id: 'evt_2', type: 'payment.approved', data: { paymentId: payment.providerPaymentId, amount: 1000 } };
+    const res = await sendWebhook(event);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { received: true, applied: false });
+    assert.equal((await sendWebhook(event)).body.duplicate, true); // Registrado: la pasarela no reintenta
+
+    const flagged = await Payment.findById(payment._id);
+    assert.equal(flagged.status, 'Rechazado');
+    assert.match(flagged.failureReason, /no coincide/);
+    assert.ok(flagged.paidAt);
+    assert.equal(flagged.paidAmount, 1000);
+    assert.equal((await DispatchRecord.findById(dispatchId)).status, 'Cancelado');
+    assert.equal((await InventoryItem.findById(item._id)).stock, 5);
+
+    // Se reembolsa lo que se cobró, no el monto del pedido
+    const { token } = await createAdmin();
+    const refund = await api().post(`/api/payments/${payment._id}/refund`).set(bearer(token)).send({});
+    assert.equal(refund.status, 200);
+    assert.equal(refund.body.refund.amount, 1000);
+    assert.equal(refund.body.payment.status, 'Reembolsado');
+  });
+});
+
+describe('Consulta de pagos', () => {
+  it('GET /api/payments lista los pagos con filtros (solo empleados)', async () => {
+    await createOrder();
+    const { token } = await createEmployee();
+
+    const res = await api().get('/api/payments').set(bearer(token));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 1);
+
+    const rentals = await api().get('/api/payments').set(bearer(token)).query({ referenceModel: 'Rental' });
+    assert.equal(rentals.body.length, 0);
+  });
+
+  it('GET /api/payments/:id muestra el resumen al cliente dueño y el detalle al empleado', async () => {
+    const { payment, token } = await createOrder();
+
+    const own = await api().get(`/api/payments/${payment._id}`).set(bearer(token));
+    assert.equal(own.status, 200);
+    assert.equal(own.body.id, payment._id.toString());
+    assert.equal(own.body.providerPaymentId, undefined);
+
+    const { token: otherToken } = await createCustomer();
+    assert.equal((await api().get(`/api/payments/${payment._id}`).set(bearer(otherToken))).status, 404);
+
+    const { token: employeeToken } = await createEmployee();
+    const detail = await api().get(`/api/payments/${payment._id}`).set(bearer(employeeToken));
+    assert.equal(detail.body.providerPaymentId, payment.providerPaymentId);
+  });
+});
+
+describe('Reembolsos', () => {
+  it('POST /api/payments/:id/refund reembolsa en parcialidades y respeta el Idempotency-Key', async () => {
+    const { payment } = await createOrder();
+    const { token } = await createAdmin();
+
+    const unpaid = await api().post(`/api/payments/${payment._id}/refund`).set(bearer(token)).send({});
+    assert.equal(unpaid.status, 409);
+    assert.equal(unpaid.body.code, 'PAYMENT_NOT_PAID');
+
+    await api().post(`/api/payments/${payment._id}/mock-complete`).send({ outcome: 'approved' });
+
+    const partial = await api().post(`/api/payments/${payment._id}/refund`).set(bearer(token)).set('Idempotency-Key', 'reembolso-1')
+      .send({ amount: 10000, reason: 'Producto dañado' });
+    assert.equal(partial.status, 200);
+    assert.equal(partial.body.payment.status, 'Reembolso parcial');
+    assert.ok(partial.body.refund.providerRefundId);
+
+    const repeated = await api().post(`/api/payments/${payment._id}/refund`).set(bearer(token)).set('Idempotency-Key', 'reembolso-1')
+      .send({ amount: 10000 });
+    assert.equal(repeated.body.message, 'Reembolso ya procesado');
+    assert.equal((await Payment.findById(payment._id)).refundedAmount, 10000);
+
+    const tooMuch = await api().post(`/api/payments/${payment._id}/refund`).set(bearer(token)).send({ amount: payment.amount });
+    assert.equal(tooMuch.status, 409);
+    assert.equal(tooMuch.body.code, 'INVALID_REFUND_AMOUNT');
+
+    const rest = await api().post(`/api/payments/${payment._id}/refund`).set(bearer(token)).send({});
+    assert.equal(rest.body.payment.status, 'Reembolsado');
+    assert.equal(rest.body.payment.refundedAmount, payment.amount);
+    assert.equal(await AuditLog.countDocuments({ 'entity.model': 'Payment' }), 2);
+  });
+
+  it('POST /api/payments/:id/refund es solo para el administrador', async () => {
+    const { payment } = await createOrder();
+    const { token } = await createEmployee();
+    const res = await api().post(`/api/payments/${payment._id}/refund`).set(bearer(token)).send({});
+    assert.equal(res.status, 403);
+  });
+});
+
+describe('Garantía de arriendos', () => {
+  async function createRental() {
+    const bike = await createBike();
+    const res = await api().post('/api/rentals').send({
+      bikeId: bike._id.toString(),
+      startDate: daysFromToday(0).toISOString(),
+      endDate: daysFromToday(2).toISOString(),
+      customerName: 'Ana Pérez',
+      customerEmail: 'ana@example.com',
+    });
+    assert.equal(res.status, 201);
+    return res.body;
+  }
+
+  it('el arriendo no se activa hasta pagar la garantía', async () => {
+    const rental = await createRental();
+    assert.equal(rental.deposit.status, 'Pendiente');
+    assert.equal(rental.payment.amount, 20000);
+    assert.equal(await Notification.countDocuments({ event: 'rental.confirmed' }), 0);
+
+    const { token } = await createEmployee();
+    const blocked = await api().put(`/api/rentals/${rental._id}/status`).set(bearer(token)).send({ status: 'Activo' });
+    assert.equal(blocked.status, 409);
+    assert.equal(blocked.body.code, 'DEPOSIT_PENDING');
+
+    await api().post(`/api/payments/${rental.payment.id}/mock-complete`).send({ outcome: 'approved' });
+    assert.equal((await Rental.findById(rental._id)).deposit.status, 'Pagada');
+    assert.equal(await Notification.countDocuments({ event: 'rental.confirmed' }), 1);
+
+    const active = await api().put(`/api/rentals/${rental._id}/status`).set(bearer(token)).send({ status: 'Activo' });
+    assert.equal(active.status, 200);
+  });
+
+  it('reembolsar toda la garantía la marca como reembolsada', async () => {
+    const rental = await createRental();
+    await api().post(`/api/payments/${rental.payment.id}/mock-complete`).send({ outcome: 'approved' });
+
+    const { token } = await createAdmin();
+    const res = await api().post(`/api/payments/${rental.payment.id}/refund`).set(bearer(token)).send({});
+    assert.equal(res.status, 200);
+    assert.equal((await Rental.findById(rental._id)).deposit.status, 'Reembolsada');
+  });
+
+  it('cancelar un arriendo pendiente cancela el pago de la garantía', async () => {
+    const rental = await createRental();
+    const { token } = await createEmployee();
+
+    const res = await api().put(`/api/rentals/${rental._id}/status`).set(bearer(token)).send({ status: 'Cancelado' });
+    assert.equal(res.body.deposit.status, 'Cancelada');
+    assert.equal((await Payment.findById(rental.payment.id)).status, 'Cancelado');
+  });
+
+  it('un pago de garantía vencido deja la garantía cancelada aunque el arriendo ya no esté pendiente', async () => {
+    const rental = await createRental();
+    await Rental.updateOne({ _id: rental._id }, { status: 'Cancelado' }); // Cancelado antes de que venciera el pago
+
+    await api().post(`/api/payments/${rental.payment.id}/mock-complete`).send({ outcome: 'rejected' });
+    const saved = await Rental.findById(rental._id);
+    assert.equal(saved.status, 'Cancelado');
+    assert.equal(saved.deposit.status, 'Cancelada');
+  });
+
+  it('cancelar un arriendo con la garantía pagada la reembolsa', async () => {
+    const rental = await createRental();
+    await api().post(`/api/payments/${rental.payment.id}/mock-complete`).send({ outcome: 'approved' });
+    const { token } = await createEmployee();
+
+    const res = await api().put(`/api/rentals/${rental._id}/status`).set(bearer(token)).send({ status: 'Cancelado' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'Cancelado');
+    assert.equal(res.body.deposit.status, 'Reembolsada');
+    const payment = await Payment.findById(rental.payment.id);
+    assert.equal(payment.status, 'Reembolsado');
+    assert.equal(payment.refundedAmount, 20000);
+    assert.equal(payment.refunds[0].reason, 'Arriendo cancelado');
+  });
+});
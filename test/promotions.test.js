@@ -0,0 +1,295 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  api, bearer, clearDatabase, createAdmin, createBike, createCustomer, createEmployee, createItem, daysFromToday, startDatabase, stopDatabase,
+} = require('./helpers');
+const { DispatchRecord, Promotion, PromotionRedemption, Rental } = require('../models');
+
+before(startDatabase);
+after(stopDatabase);
+beforeEach(clearDatabase);
+
+function createCoupon(overrides = {}) {
+  return Promotion.create({ name: 'Descuento estudiante', kind: 'Cupón', code: 'ESTUDIANTE', discountType: 'Porcentaje', value: 10, ...overrides });
+}
+
+function createAutomatic(overrides = {}) {
+  return Promotion.create({
+    name: 'Semana Giro',
+    kind: 'Automática',
+    discountType: 'Porcentaje',
+    value: 20,
+    brands: ['Giro'],
+    startsAt: daysFromToday(-1),
+    endsAt: daysFromToday(7),
+    ...overrides,
+  });
+}
+
+function quote(item, quantity, extra = {}) {
+  return api().post('/api/purchase/quote').send({ cartItems: [{ itemId: item._id.toString(), quantity }], ...extra });
+}
+
+function purchase(token, item, quantity, extra = {}) {
+  return api().post('/api/purchase').set(bearer(token)).send({
+    cartItems: [{ itemId: item._id.toString(), quantity }],
+    deliveryDate: daysFromToday(3).toISOString(),
+    customerName: 'Cliente Prueba',
+    ...extra,
+  });
+}
+
+describe('Administración de promociones', () => {
+  it('POST /api/promotions crea cupones y valida las reglas entre campos', async () => {
+    const { token } = await createEmployee();
+    const { token: customerToken } = await createCustomer();
+    const coupon = { name: 'Verano', kind: 'Cupón', code: 'verano-24', discountType: 'Monto fijo', value: 5000, maxUsesPerCustomer: 1 };
+    assert.equal((await api().post('/api/promotions').set(bearer(customerToken)).send(coupon)).status, 403);
+
+    const res = await api().post('/api/promotions').set(bearer(token)).send(coupon);
+    assert.equal(res.status, 201);
+    assert.equal(res.body.code, 'VERANO-24');
+
+    const duplicate = await api().post('/api/promotions').set(bearer(token)).send(coupon);
+    assert.equal(duplicate.status, 409);
+
+    const withoutCode = await api().post('/api/promotions').set(bearer(token)).send({ ...coupon, code: undefined });
+    assert.equal(withoutCode.status, 400);
+    assert.equal(withoutCode.body.errors[0].field, 'code');
+
+    const tooMuch = await api().post('/api/promotions').set(bearer(token))
+      .send({ name: 'Todo gratis', kind: 'Automática', discountType: 'Porcentaje', value: 150, startsAt: daysFromToday(0), endsAt: daysFromToday(1) });
+    assert.equal(tooMuch.status, 400);
+    assert.equal(tooMuch.body.errors[0].field, 'value');
+  });
+
+  it('GET /api/promotions/current muestra solo las promociones automáticas vigentes', async () => {
+    await createAutomatic();
+    await createAutomatic({ name: 'Pasada', startsAt: daysFromToday(-10), endsAt: daysFromToday(-3) });
+    await createCoupon();
+
+    const res = await api().get('/api/promotions/current');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map(p => p.name), ['Semana Giro']);
+  });
+
+  it('DELETE /api/promotions/:id no elimina promociones ya usadas', async () => {
+    const coupon = await createCoupon();
+    const item = await createItem();
+    const { token: customerToken } = await createCustomer();
+    await purchase(customerToken, item, 1, { couponCode: 'ESTUDIANTE' });
+    const { token } = await createAdmin();
+
+    const inUse = await api().delete(`/api/promotions/${coupon._id}`).set(bearer(token));
+    assert.equal(inUse.status, 409);
+    assert.equal(inUse.body.code, 'PROMOTION_IN_USE');
+
+    const detail = await api().get(`/api/promotions/${coupon._id}`).set(bearer(token));
+    assert.deepEqual(detail.body.usage, { redemptions: 1, customers: 1, totalDiscount: 2500 });
+
+    const unused = await createCoupon({ code: 'OTRO' });
+    assert.equal((await api().delete(`/api/promotions/${unused._id}`).set(bearer(token))).status, 200);
+  });
+});
+
+describe('Promociones en compras', () => {
+  it('POST /api/purchase/quote aplica la promoción automática solo a la marca y después el cupón', async () => {
+    const helmet = await createItem({ name: 'Casco urbano', brand: 'Giro', price: 25000 });
+    const light = await createItem({ name: 'Luz trasera', brand: 'Cateye', price: 10000 });
+    await createAutomatic();
+    await createCoupon();
+
+    const res = await api().post('/api/purchase/quote').send({
+      cartItems: [{ itemId: helmet._id.toString(), quantity: 2 }, { itemId: light._id.toString(), quantity: 1 }],
+      couponCode: 'estudiante',
+    });
+    assert.equal(res.status, 200);
+    const { breakdown } = res.body;
+    assert.equal(breakdown.subtotal, 60000);
+    // Giro: 20% de 50.000 = 10.000; cupón: 10% de lo que queda (40.000 + 10.000) = 5.000
+    assert.deepEqual(breakdown.promotions.map(p => [p.name, p.amount]), [['Semana Giro', 10000], ['Descuento estudiante', 5000]]);
+    assert.equal(breakdown.discountAmount, 15000);
+    assert.equal(breakdown.items[0].discountAmount, 14000);
+    assert.equal(breakdown.items[1].discountAmount, 1000);
+    assert.equal(breakdown.total, 45000 + 5000);
+  });
+
+  it('rechaza cupones inexistentes, vencidos o bajo el total mínimo', async () => {
+    const item = await createItem({ price: 25000 });
+    await createCoupon({ code: 'VENCIDO', startsAt: daysFromToday(-10), endsAt: daysFromToday(-1) });
+    await createCoupon({ code: 'GRANDE', minSubtotal: 100000 });
+
+    const missing = await quote(item, 1, { couponCode: 'NOEXISTE' });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, 'INVALID_COUPON');
+    assert.equal(missing.body.errors[0].field, 'couponCode');
+
+    assert.equal((await quote(item, 1, { couponCode: 'VENCIDO' })).body.code, 'INVALID_COUPON');
+
+    const belowMinimum = await quote(item, 1, { couponCode: 'GRANDE' });
+    assert.equal(belowMinimum.status, 400);
+    assert.equal(belowMinimum.body.code, 'PROMOTION_MIN_SUBTOTAL');
+    assert.equal((await quote(item, 4, { couponCode: 'GRANDE' })).status, 200);
+  });
+
+  it('POST /api/purchase guarda el descuento en el despacho y respeta el límite por cliente', async () => {
+    const item = await createItem({ price: 25000, stock: 10 });
+    const coupon = await createCoupon({ maxUsesPerCustomer: 1 });
+    const { user, token } = await createCustomer();
+
+    const res = await purchase(token, item, 2, { couponCode: 'ESTUDIANTE' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.payment.amount, 45000 + 5000);
+    const dispatch = await DispatchRecord.findById(res.body.dispatchRecord._id);
+    assert.equal(dispatch.discountAmount, 5000);
+    assert.equal(dispatch.promotions[0].code, 'ESTUDIANTE');
+    assert.equal(dispatch.items[0].discountAmount, 5000);
+    assert.equal((await Promotion.findById(coupon._id)).usedCount, 1);
+    assert.equal(await PromotionRedemption.countDocuments({ customerEmail: user.email }), 1);
+
+    const again = await purchase(token, item, 1, { couponCode: 'ESTUDIANTE' });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'PROMOTION_LIMIT_REACHED');
+
+    const { token: otherToken } = await createCustomer();
+    assert.equal((await purchase(otherToken, item, 1, { couponCode: 'ESTUDIANTE' })).status, 200);
+  });
+
+  it('dos compras simultáneas del mismo cliente no superan el límite por cliente', async () => {
+    const item = await createItem({ price: 25000, stock: 10 });
+    const coupon = await createCoupon({ maxUsesPerCustomer: 1 });
+    const { user, token } = await createCustomer();
+
+    const results = await Promise.all([
+      purchase(token, item, 1, { couponCode: 'ESTUDIANTE' }),
+      purchase(token, item, 1, { couponCode: 'ESTUDIANTE' }),
+    ]);
+    assert.deepEqual(results.map(res => res.status).sort(), [200, 409]);
+    assert.equal(results.find(res => res.status === 409).body.code, 'PROMOTION_LIMIT_REACHED');
+    assert.equal(await PromotionRedemption.countDocuments({ promotionId: coupon._id, customerKey: `user:${user._id}` }), 1);
+  });
+
+  it('el carrito no muestra una promoción automática que el cliente ya usó las veces permitidas', async () => {
+    const helmet = await createItem({ name: 'Casco urbano', brand: 'Giro', price: 25000, stock: 10 });
+    await createAutomatic({ maxUsesPerCustomer: 1 });
+    const { token } = await createCustomer();
+    const { token: otherToken } = await createCustomer();
+    const addHelmet = customerToken => api().post('/api/cart/items').set(bearer(customerToken)).send({ itemId: helmet._id.toString(), quantity: 1 });
+
+    assert.equal((await purchase(token, helmet, 1)).body.payment.amount, 20000 + 5000);
+    const used = await addHelmet(token);
+    assert.equal(used.status, 201);
+    assert.deepEqual(used.body.promotions, []);
+    assert.equal(used.body.discountAmount, 0);
+
+    const fresh = await addHelmet(otherToken);
+    assert.deepEqual(fresh.body.promotions.map(p => [p.name, p.amount]), [['Semana Giro', 5000]]);
+  });
+
+  it('el límite por cliente se cuenta por cuenta aunque un empleado compre con su email', async () => {
+    const item = await createItem({ price: 25000, stock: 10 });
+    await createCoupon({ maxUsesPerCustomer: 1 });
+    const { user, token } = await createCustomer();
+    const { token: employeeToken } = await createEmployee();
+
+    assert.equal((await purchase(token, item, 1, { couponCode: 'ESTUDIANTE' })).status, 200);
+    const onBehalf = await purchase(employeeToken, item, 1, { couponCode: 'ESTUDIANTE', customerEmail: user.email.toUpperCase() });
+    assert.equal(onBehalf.status, 409);
+    assert.equal(onBehalf.body.code, 'PROMOTION_LIMIT_REACHED');
+    assert.equal((await purchase(employeeToken, item, 1, { couponCode: 'ESTUDIANTE', customerEmail: 'sin-cuenta@example.com' })).status, 200);
+  });
+
+  it('un pedido cancelado libera el uso del cupón', async () => {
+    const item = await createItem();
+    const coupon = await createCoupon({ maxUses: 1 });
+    const { token } = await createCustomer();
+    const { token: otherToken } = await createCustomer();
+
+    const first = await purchase(token, item, 1, { couponCode: 'ESTUDIANTE' });
+    const exhausted = await purchase(otherToken, item, 1, { couponCode: 'ESTUDIANTE' });
+    assert.equal(exhausted.status, 409);
+
+    await api().post(`/api/payments/${first.body.payment.id}/mock-complete`).send({ outcome: 'rejected' });
+    assert.equal((await Promotion.findById(coupon._id)).usedCount, 0);
+    assert.equal((await purchase(otherToken, item, 1, { couponCode: 'ESTUDIANTE' })).status, 200);
+  });
+});
+
+describe('Promociones en arriendos', () => {
+  function rentalBody(bike, extra = {}) {
+    return {
+      bikeId: bike._id.toString(),
+      startDate: daysFromToday(1).toISOString(),
+      endDate: daysFromToday(3).toISOString(),
+      customerName: 'Ana Pérez',
+      customerEmail: 'ana@example.com',
+      ...extra,
+    };
+  }
+
+  it('POST /api/rentals/quote y POST /api/rentals aplican la promoción de arriendos y el cupón', async () => {
+    const bike = await createBike({ pricePerDay: 10000 });
+    await createAutomatic({ name: 'Arriendo de invierno', brands: [], appliesTo: 'Arriendos', discountType: 'Monto fijo', value: 2000 });
+    await createAutomatic({ name: 'Solo Giro' }); // Por marca: no aplica a arriendos
+    await createCoupon({ appliesTo: 'Arriendos' });
+
+    const preview = await api().post('/api/rentals/quote').send({ ...rentalBody(bike), couponCode: 'ESTUDIANTE' });
+    assert.equal(preview.status, 200);
+    assert.equal(preview.body.subtotal, 20000);
+    // 20.000 - 2.000 (automática) - 10% de 18.000 (cupón)
+    assert.deepEqual(preview.body.promotions.map(p => p.amount), [2000, 1800]);
+    assert.equal(preview.body.totalPrice, 16200);
+
+    const res = await api().post('/api/rentals').send(rentalBody(bike, { couponCode: 'ESTUDIANTE' }));
+    assert.equal(res.status, 201);
+    assert.equal(res.body.promotionDiscountAmount, 3800);
+    assert.equal(res.body.totalPrice, 16200);
+  });
+
+  it('un cupón solo de compras no sirve para arriendos y cancelar el arriendo libera el cupón', async () => {
+    const bike = await createBike();
+    await createCoupon({ code: 'COMPRAS', appliesTo: 'Compras' });
+    const coupon = await createCoupon({ maxUses: 1 });
+
+    const wrongScope = await api().post('/api/rentals/quote').send({ ...rentalBody(bike), couponCode: 'COMPRAS' });
+    assert.equal(wrongScope.status, 400);
+    assert.equal(wrongScope.body.code, 'INVALID_COUPON');
+
+    const rental = await api().post('/api/rentals').send(rentalBody(bike, { couponCode: 'ESTUDIANTE' }));
+    assert.equal((await Promotion.findById(coupon._id)).usedCount, 1);
+
+    const { token } = await createEmployee();
+    await api().put(`/api/rentals/${rental.body._id}/status`).set(bearer(token)).send({ status: 'Cancelado' });
+    assert.equal((await Promotion.findById(coupon._id)).usedCount, 0);
+    assert.equal(await PromotionRedemption.countDocuments({ referenceModel: 'Rental' }), 0);
+    assert.equal((await Rental.findById(rental.body._id)).promotions.length, 1); // El arriendo conserva lo que se aplicó
+  });
+
+  it('los cupones con límite por cliente exigen sesión y se cuentan por cuenta, no por el email enviado', async () => {
+    const bike = await createBike();
+    const coupon = await createCoupon({ appliesTo: 'Arriendos', maxUsesPerCustomer: 1 });
+
+    const guestQuote = await api().post('/api/rentals/quote').send({ ...rentalBody(bike), couponCode: 'ESTUDIANTE' });
+    assert.equal(guestQuote.status, 401);
+    assert.equal(guestQuote.body.code, 'LOGIN_REQUIRED');
+    const guest = await api().post('/api/rentals').send(rentalBody(bike, { couponCode: 'ESTUDIANTE' }));
+    assert.equal(guest.status, 401);
+    assert.equal(guest.body.code, 'LOGIN_REQUIRED');
+    assert.equal(await Rental.countDocuments(), 0);
+
+    const { user, token } = await createCustomer();
+    const first = await api().post('/api/rentals').set(bearer(token)).send(rentalBody(bike, { couponCode: 'ESTUDIANTE', customerEmail: undefined }));
+    assert.equal(first.status, 201);
+    assert.equal(first.body.customerEmail, user.email);
+
+    const later = { startDate: daysFromToday(10).toISOString(), endDate: daysFromToday(12).toISOString() };
+    const otherEmail = await api().post('/api/rentals').set(bearer(token))
+      .send(rentalBody(bike, { ...later, couponCode: 'ESTUDIANTE', customerEmail: 'otra@example.com' }));
+    assert.equal(otherEmail.status, 409);
+    assert.equal(otherEmail.body.code, 'PROMOTION_LIMIT_REACHED');
+    assert.equal((await Promotion.findById(coupon._id)).usedCount, 1);
+
+    // Sin el cupón se puede arrendar como invitado
+    assert.equal((await api().post('/api/rentals').send(rentalBody(bike, later))).status, 201);
+  });
+});
@@ -0,0 +1,183 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  api, bearer, clearDatabase, createCustomer, createEmployee, createItem, daysFromToday, startDatabase, stopDatabase,
+} = require('./helpers');
+const { Cart, DispatchRecord, InventoryItem, Notification, Payment, StockMovement, StockReservation } = require('../models');
+
+before(startDatabase);
+after(stopDatabase);
+beforeEach(clearDatabase);
+
+function purchaseBody(item, quantity, extra = {}) {
+  return {
+    cartItems: [{ itemId: item._id.toString(), quantity }],
+    deliveryDate: daysFromToday(3).toISOString(),
+    customerName: 'Cliente Prueba',
+    ...extra,
+  };
+}
+
+// Compra como cliente y aprueba el pago con la pasarela mock
+async function paidOrder(token, item, quantity) {
+  const purchase = await api().post('/api/purchase').set(bearer(token)).send(purchaseBody(item, quantity));
+  assert.equal(purchase.status, 200);
+  await api().post(`/api/payments/${purchase.body.payment.id}/mock-complete`).send({ outcome: 'approved' });
+  return purchase.body.dispatchRecord;
+}
+
+describe('Cotización y compra', () => {
+  it('POST /api/purchase/quote calcula IVA y despacho con los precios del inventario', async () => {
+    const item = await createItem({ price: 25000 });
+
+    const res = await api().post('/api/purchase/quote').send({ cartItems: [{ itemId: item._id.toString(), quantity: 2 }] });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.breakdown.subtotal, 50000);
+    assert.equal(res.body.breakdown.netAmount, 42017);
+    assert.equal(res.body.breakdown.taxAmount, 7983);
+    assert.equal(res.body.breakdown.shippingCost, 5000);
+    assert.equal(res.body.breakdown.total, 55000);
+
+    const freeShipping = await api().post('/api/purchase/quote').send({ cartItems: [{ itemId: item._id.toString(), quantity: 4 }] });
+    assert.equal(freeShipping.body.breakdown.shippingCost, 0);
+  });
+
+  it('POST /api/purchase/quote rechaza precios desactualizados y stock insuficiente', async () => {
+    const item = await createItem({ price: 25000, stock: 2 });
+
+    const stale = await api().post('/api/purchase/quote').send({ cartItems: [{ itemId: item._id.toString(), quantity: 1, price: 20000 }] });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.code, 'PRICE_CHANGED');
+    assert.equal(stale.body.details.priceMismatches[0].currentPrice, 25000);
+
+    const tooMany = await api().post('/api/purchase/quote').send({ cartItems: [{ itemId: item._id.toString(), quantity: 3 }] });
+    assert.equal(tooMany.status, 409);
+    assert.equal(tooMany.body.code, 'INSUFFICIENT_STOCK');
+  });
+
+  it('POST /api/purchase descuenta el stock y crea el despacho a la espera del pago', async () => {
+    const item = await createItem({ stock: 5 });
+    const { user, token } = await createCustomer();
+    assert.equal((await api().post('/api/purchase').send(purchaseBody(item, 2))).status, 401);
+
+    const res = await api().post('/api/purchase').set(bearer(token)).send(purchaseBody(item, 2));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.dispatchRecord.status, 'Pago Pendiente');
+    assert.equal(res.body.dispatchRecord.customerDetails.email, user.email); // El email es el de la cuenta
+    assert.equal(res.body.payment.status, 'Pendiente');
+    assert.equal(res.body.payment.amount, res.body.breakdown.total);
+    assert.ok(res.body.payment.redirectUrl);
+
+    assert.equal((await InventoryItem.findById(item._id)).stock, 3);
+    const movement = await StockMovement.findOne({ itemId: item._id, type: 'Venta' });
+    assert.equal(movement.quantity, -2);
+  });
+
+  it('POST /api/purchase con useCart compra el carrito guardado, lo vacía y libera las reservas', async () => {
+    const item = await createItem();
+    const { user, token } = await createCustomer();
+    await api().post('/api/cart/items').set(bearer(token)).send({ itemId: item._id.toString(), quantity: 3 });
+    await api().post('/api/cart/checkout').set(bearer(token));
+    assert.equal(await StockReservation.countDocuments({ userId: user._id }), 1);
+
+    const res = await api().post('/api/purchase').set(bearer(token))
+      .send({ useCart: true, deliveryDate: daysFromToday(2).toISOString(), customerName: 'Cliente Prueba' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.dispatchRecord.items[0].quantity, 3);
+    assert.equal((await Cart.findOne({ userId: user._id })).items.length, 0);
+    assert.equal(await StockReservation.countDocuments({ userId: user._id }), 0);
+
+    const empty = await api().post('/api/purchase').set(bearer(token))
+      .send({ useCart: true, deliveryDate: daysFromToday(2).toISOString(), customerName: 'Cliente Prueba' });
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.code, 'EMPTY_CART');
+  });
+
+  it('POST /api/purchase hecha por un empleado exige el email del cliente', async () => {
+    const item = await createItem();
+    const { token } = await createEmployee();
+
+    const missing = await api().post('/api/purchase').set(bearer(token)).send(purchaseBody(item, 1));
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.errors[0].field, 'customerEmail');
+
+    const res = await api().post('/api/purchase').set(bearer(token)).send(purchaseBody(item, 1, { customerEmail: 'mostrador@example.com' }));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.dispatchRecord.customerDetails.email, 'mostrador@example.com');
+  });
+});
+
+describe('Despachos', () => {
+  it('GET /api/dispatches y GET /api/dispatches/:id listan los despachos con filtros (solo empleados)', async () => {
+    const item = await createItem();
+    const { user, token: customerToken } = await createCustomer();
+    const dispatch = await paidOrder(customerToken, item, 1);
+    assert.equal((await api().get('/api/dispatches').set(bearer(customerToken))).status, 403);
+
+    const { token } = await createEmployee();
+    const all = await api().get('/api/dispatches').set(bearer(token));
+    assert.equal(all.status, 200);
+    assert.equal(all.body.length, 1);
+    assert.equal(all.body[0].status, 'Pendiente');
+
+    const byEmail = await api().get('/api/dispatches').set(bearer(token)).query({ customerEmail: user.email.toUpperCase() });
+    assert.equal(byEmail.body.length, 1);
+
+    const outOfRange = await api().get('/api/dispatches').set(bearer(token)).query({ deliveryFrom: daysFromToday(10).toISOString() });
+    assert.equal(outOfRange.body.length, 0);
+
+    const detail = await api().get(`/api/dispatches/${dispatch._id}`).set(bearer(token));
+    assert.equal(detail.status, 200);
+    assert.equal(detail.body.totalAmount, dispatch.totalAmount);
+  });
+
+  it('PUT /api/dispatches/:id/status avanza el despacho y avisa al cliente', async () => {
+    const item = await createItem();
+    const { token: customerToken } = await createCustomer();
+    const dispatch = await paidOrder(customerToken, item, 1);
+    const { token } = await createEmployee();
+
+    const skipped = await api().put(`/api/dispatches/${dispatch._id}/status`).set(bearer(token)).send({ status: 'Despachado' });
+    assert.equal(skipped.status, 409);
+    assert.equal(skipped.body.code, 'INVALID_TRANSITION');
+
+    const shipped = await api().put(`/api/dispatches/${dispatch._id}/status`).set(bearer(token)).send({ status: 'En Despacho' });
+    assert.equal(shipped.status, 200);
+    assert.equal(await Notification.countDocuments({ event: 'dispatch.shipped' }), 1);
+
+    const delivered = await api().put(`/api/dispatches/${dispatch._id}/status`).set(bearer(token)).send({ status: 'Despachado' });
+    assert.equal(delivered.body.status, 'Despachado');
+    assert.equal(await Notification.countDocuments({ event: 'dispatch.delivered' }), 1);
+  });
+
+  it('PUT /api/dispatches/:id/status con Cancelado devuelve el stock y cancela el pago pendiente', async () => {
+    const item = await createItem({ stock: 5 });
+    const { token: customerToken } = await createCustomer();
+    const purchase = await api().post('/api/purchase').set(bearer(customerToken)).send(purchaseBody(item, 2));
+    const { token } = await createEmployee();
+
+    const res = await api().put(`/api/dispatches/${purchase.body.dispatchRecord._id}/status`).set(bearer(token))
+      .send({ status: 'Cancelado', reason: 'Cliente se arrepintió' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'Cancelado');
+    assert.equal((await InventoryItem.findById(item._id)).stock, 5);
+    assert.equal((await Payment.findById(purchase.body.payment.id)).status, 'Cancelado');
+  });
+
+  it('GET /api/my-orders muestra solo los pedidos del cliente', async () => {
+    const item = await createItem();
+    const { token } = await createCustomer();
+    const { token: otherToken } = await createCustomer();
+    await paidOrder(token, item, 1);
+    await paidOrder(otherToken, item, 2);
+
+    const res = await api().get('/api/my-orders').set(bearer(token));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 1);
+    assert.equal(res.body[0].items[0].quantity, 1);
+    assert.equal(await DispatchRecord.countDocuments(), 2);
+
+    const { token: employeeToken } = await createEmployee();
+    assert.equal((await api().get('/api/my-orders').set(bearer(employeeToken))).status, 403);
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, clearDatabase, createBike, createEmployee, daysFromToday, startDatabase, stopDatabase } = require('./helpers');
+const { BikeForRent, Notification, Rental } = require('../models');
+
+before(startDatabase);
+after(stopDatabase);
+beforeEach(clearDatabase);
+
+function rentalRequest(bike, startDays, endDays) {
+  return {
+    bikeId: bike._id.toString(),
+    startDate: daysFromToday(startDays).toISOString(),
+    endDate: daysFromToday(endDays).toISOString(),
+    customerName: 'Ana Pérez',
+    customerEmail: 'ana@example.com',
+  };
+}
+
+describe('Cotización y reserva de arriendos', () => {
+  it('POST /api/rentals/quote calcula el precio con descuento por días', async () => {
+    const bike = await createBike({ pricePerDay: 10000 });
+
+    const short = await api().post('/api/rentals/quote').send(rentalRequest(bike, 1, 3));
+    assert.equal(short.status, 200);
+    assert.equal(short.body.days, 2);
+    assert.equal(short.body.totalPrice, 20000);
+
+    const weekly = await api().post('/api/rentals/quote').send(rentalRequest(bike, 1, 8));
+    assert.equal(weekly.body.days, 7);
+    assert.equal(weekly.body.discountRate, 0.2);
+    assert.equal(weekly.body.totalPrice, 56000);
+    assert.equal(await Rental.countDocuments(), 0); // Cotizar no reserva
+  });
+
+  it('POST /api/rentals/quote rechaza fechas pasadas o invertidas', async () => {
+    const bike = await createBike();
+    const past = await api().post('/api/rentals/quote').send(rentalRequest(bike, -2, 1));
+    assert.equal(past.status, 400);
+    assert.equal(past.body.errors[0].field, 'startDate');
+
+    const inverted = await api().post('/api/rentals/quote').send(rentalRequest(bike, 3, 1));
+    assert.equal(inverted.status, 400);
+    assert.equal(inverted.body.errors[0].field, 'endDate');
+  });
+
+  it('POST /api/rentals reserva la bicicleta, encola la confirmación y rechaza cruces de fechas', async () => {
+    const bike = await createBike();
+
+    const res = await api().post('/api/rentals').send(rentalRequest(bike, 1, 3));
+    assert.equal(res.status, 201);
+    assert.equal(res.body.status, 'Pendiente');
+    assert.equal(res.body.totalPrice, 20000);
+    assert.equal(res.body.deposit.status, 'No requerida');
+    assert.equal(await Notification.countDocuments({ event: 'rental.confirmed' }), 1);
+
+    const overlapping = await api().post('/api/rentals').send(rentalRequest(bike, 2, 4));
+    assert.equal(overlapping.status, 409);
+    assert.equal(overlapping.body.code, 'BOOKING_CONFLICT');
+
+    const back = await api().post('/api/rentals').send(rentalRequest(bike, 3, 5)); // El día de devolución queda libre
+    assert.equal(back.status, 201);
+  });
+
+  it('POST /api/rentals solo deja pasar una de dos reservas simultáneas para las mismas fechas', async () => {
+    const bike = await createBike();
+    const results = await Promise.all([
+      api().post('/api/rentals').send(rentalRequest(bike, 1, 3)),
+      api().post('/api/rentals').send(rentalRequest(bike, 2, 4)),
+    ]);
+    assert.deepEqual(results.map(r => r.status).sort(), [201, 409]);
+    assert.equal(await Rental.countDocuments(), 1);
+  });
+
+  it('POST /api/rentals rechaza bicicletas dadas de baja o en mantención', async () => {
+    const retired = await createBike({ retired: true, available: false });
+    const retiredRes = await api().post('/api/rentals').send(rentalRequest(retired, 1, 2));
+    assert.equal(retiredRes.status, 409);
+    assert.equal(retiredRes.body.code, 'BIKE_UNAVAILABLE');
+
+    const inMaintenance = await createBike({
+      maintenanceBlocks: [{ startDate: daysFromToday(1), endDate: daysFromToday(3), reason: 'Revisión' }],
+    });
+    const maintenanceRes = await api().post('/api/rentals').send(rentalRequest(inMaintenance, 2, 4));
+    assert.equal(maintenanceRes.status, 409);
+    assert.equal(maintenanceRes.body.code, 'BIKE_UNAVAILABLE');
+
+    const missing = await api().post('/api/rentals').send({ ...rentalRequest(retired, 1, 2), bikeId: '507f1f77bcf86cd799439011' });
+    assert.equal(missing.status, 404);
+  });
+});
+
+describe('Gestión de arriendos', () => {
+  it('GET /api/rentals lista los arriendos con filtros (solo empleados)', async () => {
+    const bike = await createBike();
+    const other = await createBike({ name: 'Otra' });
+    await api().post('/api/rentals').send(rentalRequest(bike, 1, 2));
+    await api().post('/api/rentals').send(rentalRequest(other, 1, 2));
+    assert.equal((await api().get('/api/rentals')).status, 401);
+
+    const { token } = await createEmployee();
+    const all = await api().get('/api/rentals').set(bearer(token));
+    assert.equal(all.body.length, 2);
+
+    const byBike = await api().get('/api/rentals').set(bearer(token)).query({ bikeId: bike._id.toString() });
+    assert.equal(byBike.body.length, 1);
+
+    const invalid = await api().get('/api/rentals').set(bearer(token)).query({ status: 'Perdido' });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('PUT /api/rentals/:id/status sigue el ciclo de vida y actualiza la disponibilidad de la bicicleta', async () => {
+    const bike = await createBike();
+    const { token } = await createEmployee();
+    const rental = (await api().post('/api/rentals').send(rentalRequest(bike, 0, 2))).body;
+
+    const active = await api().put(`/api/rentals/${rental._id}/status`).set(bearer(token)).send({ status: 'Activo' });
+    assert.equal(active.status, 200);
+    assert.equal((await BikeForRent.findById(bike._id)).available, false);
+
+    const backwards = await api().put(`/api/rentals/${rental._id}/status`).set(bearer(token)).send({ status: 'Pendiente' });
+    assert.equal(backwards.status, 409);
+    assert.equal(backwards.body.code, 'INVALID_TRANSITION');
+    assert.deepEqual(backwards.body.details.allowedTransitions, ['Completado', 'Cancelado']);
+
+    const completed = await api().put(`/api/rentals/${rental._id}/status`).set(bearer(token)).send({ status: 'Completado' });
+    assert.equal(completed.body.status, 'Completado');
+    assert.equal((await BikeForRent.findById(bike._id)).available, true);
+
+    const missing = await api().put('/api/rentals/507f1f77bcf86cd799439011/status').set(bearer(token)).send({ status: 'Activo' });
+    assert.equal(missing.status, 404);
+  });
+});
@@ -0,0 +1,218 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, clearDatabase, createAdmin, createEmployee, createItem, startDatabase, stopDatabase } = require('./helpers');
+const { InventoryItem, Notification, RepairRequest, StockMovement } = require('../models');
+
+before(startDatabase);
+after(stopDatabase);
+beforeEach(clearDatabase);
+
+const repairRequest = {
+  bikeType: 'Montaña',
+  bikeBrand: 'Trek',
+  problemDescription: 'Los cambios saltan',
+  contactName: 'Pedro Rojas',
+  contactEmail: 'pedro@example.com',
+  contactPhone: '9 8765 4321',
+};
+
+async function createRepair() {
+  const res = await api().post('/api/repairs').send(repairRequest);
+  assert.equal(res.status, 201);
+  return res.body;
+}
+
+describe('Solicitudes de reparación', () => {
+  it('POST /api/repairs crea la solicitud con código de seguimiento y teléfono normalizado', async () => {
+    const repair = await createRepair();
+    assert.match(repair.trackingCode, /^MB-[A-Z0-9]{8}$/);
+    assert.equal(repair.status, 'Pendiente');
+    assert.equal(repair.contactPhone, '+56987654321');
+    assert.equal(repair.statusHistory.length, 1);
+
+    const invalid = await api().post('/api/repairs').send({ ...repairRequest, contactPhone: '123' });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.errors[0].field, 'contactPhone');
+  });
+
+  it('GET /api/repairs y GET /api/repairs/:id son solo para empleados', async () => {
+    const repair = await createRepair();
+    assert.equal((await api().get('/api/repairs')).status, 401);
+
+    const { token } = await createEmployee();
+    const list = await api().get('/api/repairs').set(bearer(token));
+    assert.equal(list.status, 200);
+    assert.equal(list.body.length, 1);
+
+    const detail = await api().get(`/api/repairs/${repair._id}`).set(bearer(token));
+    assert.equal(detail.status, 200);
+    assert.equal(detail.body.totalCost, 0);
+  });
+
+  it('PUT /api/repairs/:id cambia el estado y encola la notificación al completarse', async () => {
+    const repair = await createRepair();
+    const { token } = await createEmployee();
+
+    const inProgress = await api().put(`/api/repairs/${repair._id}`).set(bearer(token)).send({ status: 'En Proceso', note: 'Revisando' });
+    assert.equal(inProgress.status, 200);
+    assert.equal(inProgress.body.statusHistory.length, 2);
+    assert.equal(await Notification.countDocuments(), 0);
+
+    const completed = await api().put(`/api/repairs/${repair._id}`).set(bearer(token)).send({ status: 'Completada' });
+    assert.equal(completed.body.status, 'Completada');
+    const notifications = await Notification.find({ event: 'repair.completed' });
+    assert.deepEqual(notifications.map(n => n.channel).sort(), ['email', 'sms']);
+
+    const invalid = await api().put(`/api/repairs/${repair._id}`).set(bearer(token)).send({ status: 'Terminada' });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('PUT /api/repairs/:id rechaza transiciones no permitidas', async () => {
+    const repair = await createRepair();
+    const { token } = await createEmployee();
+
+    const skipped = await api().put(`/api/repairs/${repair._id}`).set(bearer(token)).send({ status: 'Completada' });
+    assert.equal(skipped.status, 409);
+    assert.equal(skipped.body.code, 'INVALID_TRANSITION');
+    assert.deepEqual(skipped.body.details.allowedTransitions, ['En Proceso', 'Cancelada']);
+
+    await api().put(`/api/repairs/${repair._id}`).set(bearer(token)).send({ status: 'Cancelada' });
+    const reopened = await api().put(`/api/repairs/${repair._id}`).set(bearer(token)).send({ status: 'En Proceso' });
+    assert.equal(reopened.status, 409);
+    assert.deepEqual(reopened.body.details.allowedTransitions, []);
+    const saved = await RepairRequest.findById(repair._id);
+    assert.equal(saved.status, 'Cancelada');
+    assert.equal(saved.statusHistory.length, 2);
+    assert.equal(await Notification.countDocuments({ event: 'repair.completed' }), 0);
+  });
+});
+
+describe('Flujo del taller', () => {
+  it('PUT /api/repairs/:id/technician asigna un técnico', async () => {
+    const repair = await createRepair();
+    const { employee, token } = await createEmployee();
+
+    const res = await api().put(`/api/repairs/${repair._id}/technician`).set(bearer(token)).send({ technicianId: employee._id.toString() });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.technician, employee._id.toString());
+    assert.equal(res.body.notes.length, 1);
+
+    const missing = await api().put(`/api/repairs/${repair._id}/technician`).set(bearer(token)).send({ technicianId: '507f1f77bcf86cd799439011' });
+    assert.equal(missing.status, 404);
+  });
+
+  it('PUT /api/repairs/:id/quote y la respuesta del cliente por código de seguimiento', async () => {
+    const repair = await createRepair();
+    const { token } = await createEmployee();
+
+    const quote = await api().put(`/api/repairs/${repair._id}/quote`).set(bearer(token)).send({ laborCost: 20000, description: 'Ajuste de cambios' });
+    assert.equal(quote.status, 200);
+    assert.equal(quote.body.quote.status, 'Pendiente');
+
+    const wrongEmail = await api().post(`/api/repairs/track/${repair.trackingCode}/quote-response`).send({ email: 'otro@example.com', decision: 'accept' });
+    assert.equal(wrongEmail.status, 404);
+
+    const accepted = await api().post(`/api/repairs/track/${repair.trackingCode.toLowerCase()}/quote-response`)
+      .send({ email: 'PEDRO@example.com', decision: 'accept' });
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.body.quote.status, 'Aceptado');
+
+    const again = await api().post(`/api/repairs/track/${repair.trackingCode}/quote-response`).send({ email: 'pedro@example.com', decision: 'reject' });
+    assert.equal(again.status, 409);
+  });
+
+  it('POST y DELETE /api/repairs/:id/parts descuentan y devuelven el stock del repuesto', async () => {
+    const repair = await createRepair();
+    const { token } = await createEmployee();
+    const part = await createItem({ name: 'Cable de cambio', price: 3000, stock: 4 });
+
+    const added = await api().post(`/api/repairs/${repair._id}/parts`).set(bearer(token)).send({ itemId: part._id.toString(), quantity: 3 });
+    assert.equal(added.status, 201);
+    assert.equal(added.body.parts[0].unitPrice, 3000);
+    assert.equal((await InventoryItem.findById(part._id)).stock, 1);
+
+    const tooMany = await api().post(`/api/repairs/${repair._id}/parts`).set(bearer(token)).send({ itemId: part._id.toString(), quantity: 2 });
+    assert.equal(tooMany.status, 409);
+    assert.equal(tooMany.body.code, 'INSUFFICIENT_STOCK');
+
+    const bike = await createItem({ name: 'Bicicleta', category: 'Bicicleta' });
+    const notAPart = await api().post(`/api/repairs/${repair._id}/parts`).set(bearer(token)).send({ itemId: bike._id.toString() });
+    assert.equal(notAPart.status, 404);
+
+    const removed = await api().delete(`/api/repairs/${repair._id}/parts/${added.body.parts[0]._id}`).set(bearer(token));
+    assert.equal(removed.status, 200);
+    assert.equal(removed.body.parts.length, 0);
+    assert.equal((await InventoryItem.findById(part._id)).stock, 4);
+  });
+
+  it('no se quitan repuestos de una reparación completada y al cancelar vuelven al inventario', async () => {
+    const { token } = await createEmployee();
+    const part = await createItem({ name: 'Cable de cambio', price: 3000, stock: 4 });
+    const addPart = (repair, quantity) => api().post(`/api/repairs/${repair._id}/parts`).set(bearer(token)).send({ itemId: part._id.toString(), quantity });
+    const setStatus = (repair, status) => api().put(`/api/repairs/${repair._id}`).set(bearer(token)).send({ status });
+
+    const completed = await createRepair();
+    const used = await addPart(completed, 1);
+    await setStatus(completed, 'En Proceso');
+    await setStatus(completed, 'Completada');
+    const locked = await api().delete(`/api/repairs/${completed._id}/parts/${used.body.parts[0]._id}`).set(bearer(token));
+    assert.equal(locked.status, 409);
+    assert.equal((await RepairRequest.findById(completed._id)).parts.length, 1);
+    assert.equal((await InventoryItem.findById(part._id)).stock, 3);
+
+    const cancelled = await createRepair();
+    await addPart(cancelled, 2);
+    assert.equal((await InventoryItem.findById(part._id)).stock, 1);
+    const res = await setStatus(cancelled, 'Cancelada');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.parts.length, 0);
+    assert.equal((await InventoryItem.findById(part._id)).stock, 3);
+    const returned = await StockMovement.findOne({ referenceId: cancelled._id, type: 'Devolución' });
+    assert.equal(returned.quantity, 2);
+  });
+
+  it('POST /api/repairs/:id/notes agrega una nota interna que no se muestra en el seguimiento', async () => {
+    const repair = await createRepair();
+    const { token } = await createEmployee();
+
+    const res = await api().post(`/api/repairs/${repair._id}/notes`).set(bearer(token)).send({ text: 'Cliente pide llamada' });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.notes[0].text, 'Cliente pide llamada');
+
+    const tracking = await api().get(`/api/repairs/track/${repair.trackingCode}`);
+    assert.equal(tracking.status, 200);
+    assert.equal(tracking.body.notes, undefined);
+    assert.equal(tracking.body.contactEmail, undefined);
+    assert.equal(tracking.body.status, 'Pendiente');
+  });
+
+  it('GET /api/repairs/track/:trackingCode valida el código', async () => {
+    const invalid = await api().get('/api/repairs/track/ABC');
+    assert.equal(invalid.status, 400);
+
+    const missing = await api().get('/api/repairs/track/MB-ZZZZZZZZ');
+    assert.equal(missing.status, 404);
+  });
+});
+
+describe('Papelera de reparaciones', () => {
+  it('DELETE /api/repairs/:id, GET /api/repairs/deleted y POST /restore', async () => {
+    const repair = await createRepair();
+    const { token } = await createAdmin();
+
+    const deleted = await api().delete(`/api/repairs/${repair._id}`).set(bearer(token));
+    assert.equal(deleted.status, 200);
+    assert.equal((await api().get('/api/repairs').set(bearer(token))).body.length, 0);
+
+    const trash = await api().get('/api/repairs/deleted').set(bearer(token));
+    assert.equal(trash.body.length, 1);
+
+    const restored = await api().post(`/api/repairs/${repair._id}/restore`).set(bearer(token));
+    assert.equal(restored.status, 200);
+    assert.equal((await api().get('/api/repairs').set(bearer(token))).body.length, 1);
+
+    const permanent = await api().delete(`/api/repairs/${repair._id}`).query({ permanent: 'true' }).set(bearer(token));
+    assert.equal(permanent.status, 200);
+    assert.equal(await RepairRequest.countDocuments().setOptions({ withDeleted: true }), 0);
+  });
+});
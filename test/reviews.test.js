@@ -0,0 +1,182 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  api, bearer, clearDatabase, createBike, createCustomer, createEmployee, createItem, daysFromToday, startDatabase, stopDatabase,
+} = require('./helpers');
+const { AuditLog, DispatchRecord, InventoryItem, Rental } = require('../models');
+
+before(startDatabase);
+after(stopDatabase);
+beforeEach(clearDatabase);
+
+function verifiedCustomer() {
+  return createCustomer({ emailVerified: true });
+}
+
+// Despacho del ítem al email del cliente, con el estado indicado
+function deliverItem(item, email, status = 'Despachado') {
+  return DispatchRecord.create({
+    items: [{ itemId: item._id, name: item.name, quantity: 1, priceAtPurchase: item.price, lineTotal: item.price }],
+    totalAmount: item.price,
+    deliveryDate: daysFromToday(-1),
+    customerDetails: { name: 'Cliente Prueba', email },
+    status,
+  });
+}
+
+function rentBike(bike, email, status = 'Completado') {
+  return Rental.create({
+    bikeId: bike._id,
+    bikeName: bike.name,
+    startDate: daysFromToday(-3),
+    endDate: daysFromToday(-1),
+    totalPrice: 20000,
+    status,
+    customerName: 'Ana Pérez',
+    customerEmail: email,
+  });
+}
+
+describe('Reseñas de productos', () => {
+  it('POST /api/inventory/:id/reviews solo acepta clientes que recibieron el producto', async () => {
+    const item = await createItem();
+    const { user, token } = await verifiedCustomer();
+    const review = { rating: 5, comment: 'Excelente casco' };
+    assert.equal((await api().post(`/api/inventory/${item._id}/reviews`).send(review)).status, 401);
+
+    await deliverItem(item, user.email, 'En Despacho');
+    const notDelivered = await api().post(`/api/inventory/${item._id}/reviews`).set(bearer(token)).send(review);
+    assert.equal(notDelivered.status, 403);
+    assert.equal(notDelivered.body.code, 'REVIEW_NOT_ALLOWED');
+
+    await deliverItem(item, user.email.toUpperCase());
+    const res = await api().post(`/api/inventory/${item._id}/reviews`).set(bearer(token)).send(review);
+    assert.equal(res.status, 201);
+    assert.equal(res.body.review.authorName, 'Cliente P.');
+    assert.equal(res.body.review.userId, undefined);
+    assert.deepEqual(res.body.rating, { average: 5, count: 1 });
+
+    const again = await api().post(`/api/inventory/${item._id}/reviews`).set(bearer(token)).send(review);
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'ALREADY_REVIEWED');
+  });
+
+  it('exige el email verificado y una calificación entera de 1 a 5', async () => {
+    const item = await createItem();
+    const { user, token } = await createCustomer();
+    await deliverItem(item, user.email);
+
+    const unverified = await api().post(`/api/inventory/${item._id}/reviews`).set(bearer(token)).send({ rating: 4 });
+    assert.equal(unverified.status, 403);
+    assert.equal(unverified.body.code, 'EMAIL_NOT_VERIFIED');
+
+    const invalid = await api().post(`/api/inventory/${item._id}/reviews`).set(bearer(token)).send({ rating: 6 });
+    assert.equal(invalid.status, 400);
+
+    const { token: employeeToken } = await createEmployee();
+    assert.equal((await api().post(`/api/inventory/${item._id}/reviews`).set(bearer(employeeToken)).send({ rating: 4 })).status, 403);
+  });
+
+  it('GET /api/inventory muestra el promedio y la cantidad de reseñas', async () => {
+    const item = await createItem();
+    for (const rating of [5, 4, 4]) {
+      const { user, token } = await verifiedCustomer();
+      await deliverItem(item, user.email);
+      await api().post(`/api/inventory/${item._id}/reviews`).set(bearer(token)).send({ rating });
+    }
+
+    const catalog = await api().get('/api/inventory');
+    assert.deepEqual(catalog.body[0].rating, { average: 4.3, count: 3 });
+
+    const reviews = await api().get(`/api/inventory/${item._id}/reviews`).query({ limit: 2 });
+    assert.equal(reviews.status, 200);
+    assert.equal(reviews.body.reviews.length, 2);
+    assert.equal(reviews.body.total, 3);
+    assert.equal(reviews.body.totalPages, 2);
+
+    const missing = await api().get('/api/inventory/507f1f77bcf86cd799439011/reviews');
+    assert.equal(missing.status, 404);
+  });
+
+  it('PUT y DELETE /api/reviews/:id editan y eliminan solo la reseña propia', async () => {
+    const item = await createItem();
+    const { user, token } = await verifiedCustomer();
+    await deliverItem(item, user.email);
+    const created = await api().post(`/api/inventory/${item._id}/reviews`).set(bearer(token)).send({ rating: 2 });
+    const reviewId = created.body.review.id;
+
+    const { token: otherToken } = await verifiedCustomer();
+    assert.equal((await api().put(`/api/reviews/${reviewId}`).set(bearer(otherToken)).send({ rating: 5 })).status, 404);
+
+    const updated = await api().put(`/api/reviews/${reviewId}`).set(bearer(token)).send({ rating: 4, comment: 'Mejoró con el uso' });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.review.comment, 'Mejoró con el uso');
+    assert.equal((await InventoryItem.findById(item._id)).rating.average, 4);
+
+    const mine = await api().get('/api/my-reviews').set(bearer(token));
+    assert.equal(mine.body.length, 1);
+    assert.equal(mine.body[0].targetModel, 'InventoryItem');
+
+    const removed = await api().delete(`/api/reviews/${reviewId}`).set(bearer(token));
+    assert.equal(removed.status, 200);
+    assert.deepEqual(removed.body.rating, { average: 0, count: 0 });
+  });
+});
+
+describe('Reseñas de bicicletas de arriendo', () => {
+  it('POST /api/bikes/:id/reviews exige un arriendo completado y GET /api/bikes muestra el promedio', async () => {
+    const bike = await createBike();
+    const { user, token } = await verifiedCustomer();
+
+    await rentBike(bike, user.email, 'Activo');
+    const active = await api().post(`/api/bikes/${bike._id}/reviews`).set(bearer(token)).send({ rating: 3 });
+    assert.equal(active.status, 403);
+
+    await rentBike(bike, user.email);
+    const res = await api().post(`/api/bikes/${bike._id}/reviews`).set(bearer(token)).send({ rating: 3, comment: 'Frenos algo gastados' });
+    assert.equal(res.status, 201);
+
+    const bikes = await api().get('/api/bikes');
+    assert.deepEqual(bikes.body[0].rating, { average: 3, count: 1 });
+  });
+});
+
+describe('Moderación de reseñas', () => {
+  it('un empleado oculta una reseña abusiva y deja de contar en el promedio', async () => {
+    const item = await createItem();
+    const reviewIds = [];
+    for (const rating of [1, 5]) {
+      const { user, token } = await verifiedCustomer();
+      await deliverItem(item, user.email);
+      const created = await api().post(`/api/inventory/${item._id}/reviews`).set(bearer(token)).send({ rating, comment: 'Comentario' });
+      reviewIds.push(created.body.review.id);
+    }
+    const { token } = await createEmployee();
+
+    const worst = await api().get('/api/reviews').set(bearer(token)).query({ maxRating: 2 });
+    assert.equal(worst.status, 200);
+    assert.deepEqual(worst.body.map(r => r._id), [reviewIds[0]]);
+
+    const hidden = await api().post(`/api/reviews/${reviewIds[0]}/hide`).set(bearer(token)).send({ reason: 'Lenguaje ofensivo' });
+    assert.equal(hidden.status, 200);
+    assert.equal(hidden.body.hidden, true);
+    assert.deepEqual((await InventoryItem.findById(item._id)).rating.toObject(), { average: 5, count: 1 });
+    assert.equal(await AuditLog.countDocuments({ 'entity.model': 'Review' }), 1);
+
+    const visible = await api().get(`/api/inventory/${item._id}/reviews`);
+    assert.deepEqual(visible.body.reviews.map(r => r.id), [reviewIds[1]]);
+
+    const again = await api().post(`/api/reviews/${reviewIds[0]}/hide`).set(bearer(token)).send({ reason: 'Otra vez' });
+    assert.equal(again.status, 409);
+
+    const restored = await api().post(`/api/reviews/${reviewIds[0]}/unhide`).set(bearer(token));
+    assert.equal(restored.body.hidden, false);
+    assert.equal((await InventoryItem.findById(item._id)).rating.count, 2);
+  });
+
+  it('la moderación es solo para empleados', async () => {
+    const { token } = await verifiedCustomer();
+    assert.equal((await api().get('/api/reviews').set(bearer(token))).status, 403);
+    assert.equal((await api().post('/api/reviews/507f1f77bcf86cd799439011/hide').set(bearer(token)).send({ reason: 'x' })).status, 403);
+  });
+});
@@ -0,0 +1,229 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+// Límites bajos para probar el bloqueo, administrador inicial y modo producción (cada archivo de prueba corre en su propio proceso)
+Object.assign(process.env, {
+  NODE_ENV: 'production',
+  LOGIN_MAX_FAILED_ATTEMPTS: '3',
+  LOGIN_IP_MAX_ATTEMPTS: '6',
+  ADMIN_EMAIL: 'jefe@bicicleteria.cl',
+  ADMIN_PASSWORD: 'ClaveInicial123',
+  PAYMENT_ALLOW_MOCK_IN_PRODUCTION: 'true', // Las pruebas usan la pasarela mock (ver 'Pagos en producción')
+});
+
+const { api, bearer, clearDatabase, createCustomer, startDatabase, stopDatabase } = require('./helpers');
+const { BikeForRent, Employee, LoginThrottle } = require('../models');
+const { seedAdminUser } = require('../services/seed');
+
+before(startDatabase);
+after(stopDatabase);
+beforeEach(clearDatabase);
+
+describe('Protección del inicio de sesión', () => {
+  it('bloquea la cuenta tras varios fallos seguidos, aunque luego la contraseña sea correcta', async () => {
+    const { user, password } = await createCustomer();
+
+    for (let i = 0; i < 3; i++) {
+      const wrong = await api().post('/api/login').send({ email: user.email, password: 'incorrecta' });
+      assert.equal(wrong.status, 400);
+    }
+
+    const locked = await api().post('/api/login').send({ email: user.email, password });
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+    assert.ok(Number(locked.headers['retry-after']) > 0);
+  });
+
+  it('un inicio de sesión correcto reinicia el contador de fallos', async () => {
+    const { user, password } = await createCustomer();
+    await api().post('/api/login').send({ email: user.email, password: 'incorrecta' });
+    await api().post('/api/login').send({ email: user.email, password: 'incorrecta' });
+
+    assert.equal((await api().post('/api/login').send({ email: user.email, password })).status, 200);
+    assert.equal(await LoginThrottle.countDocuments({ key: `account:user:${user.email}` }), 0);
+  });
+
+  it('bloquea también correos que no están registrados, sin revelar si existen', async () => {
+    for (let i = 0; i < 3; i++) {
+      await api().post('/api/employee-login').send({ email: 'nadie@masterbike.cl', password: 'incorrecta' });
+    }
+    const res = await api().post('/api/employee-login').send({ email: 'NADIE@masterbike.cl', password: 'incorrecta' });
+    assert.equal(res.status, 429);
+    assert.equal(res.body.code, 'ACCOUNT_LOCKED');
+  });
+
+  it('limita los intentos por IP en todas las cuentas', async () => {
+    for (let i = 0; i < 6; i++) {
+      const res = await api().post('/api/login').send({ email: `cliente-${i}@example.com`, password: 'incorrecta' });
+      assert.equal(res.status, 400);
+    }
+
+    const limited = await api().post('/api/employee-login').send({ email: 'otro@masterbike.cl', password: 'incorrecta' });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'RATE_LIMITED');
+    assert.ok(Number(limited.headers['retry-after']) > 0);
+  });
+});
+
+describe('Administrador inicial', () => {
+  it('se crea con ADMIN_EMAIL y ADMIN_PASSWORD y debe cambiar la contraseña antes de usar la API', async () => {
+    await seedAdminUser();
+    await seedAdminUser(); // No lo duplica
+    assert.equal(await Employee.countDocuments(), 1);
+
+    const login = await api().post('/api/employee-login').send({ email: 'jefe@bicicleteria.cl', password: 'ClaveInicial123' });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.employee.role, 'admin');
+    assert.equal(login.body.employee.mustChangePassword, true);
+    const token = login.body.accessToken;
+
+    const blocked = await api().get('/api/audit-logs').set(bearer(token));
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.code, 'PASSWORD_CHANGE_REQUIRED');
+
+    const profile = await api().get('/api/me').set(bearer(token));
+    assert.equal(profile.status, 200);
+    assert.equal(profile.body.mustChangePassword, true);
+
+    const changed = await api().put('/api/me/password').set(bearer(token))
+      .send({ currentPassword: 'ClaveInicial123', newPassword: 'NuevaClave456' });
+    assert.equal(changed.status, 200);
+    assert.equal((await api().get('/api/audit-logs').set(bearer(changed.body.accessToken))).status, 200);
+  });
+
+  it('deshabilita al administrador antiguo si conserva la contraseña por defecto', async () => {
+    // Creado por una versión anterior: su correo ya no pasa la validación del modelo
+    const now = new Date();
+    await Employee.collection.insertOne({
+      firstName: 'Admin',
+      lastName: 'Masterbike',
+      email: 'admin@masterbikeadmin.cl',
+      password: await bcrypt.hash('admin1234', 10),
+      role: 'admin',
+      mustChangePassword: false,
+      createdAt: now,
+      updatedAt: now,
+    });
+    const legacyLogin = { email: 'admin@masterbikeadmin.cl', password: 'admin1234' };
+    const before = await api().post('/api/employee-login').send(legacyLogin);
+    assert.equal(before.status, 200);
+
+    await seedAdminUser();
+
+    const after = await api().post('/api/employee-login').send(legacyLogin);
+    assert.equal(after.status, 400);
+    assert.equal(after.body.code, 'INVALID_CREDENTIALS');
+    const refreshed = await api().post('/api/token/refresh').send({ refreshToken: before.body.refreshToken });
+    assert.equal(refreshed.status, 401);
+  });
+
+  it('el administrador antiguo que ya cambió la contraseña sigue pudiendo actualizar su cuenta', async () => {
+    const now = new Date();
+    await Employee.collection.insertOne({
+      firstName: 'Admin',
+      lastName: 'Masterbike',
+      email: 'admin@masterbikeadmin.cl',
+      password: await bcrypt.hash('ClaveRotada123', 10),
+      role: 'admin',
+      mustChangePassword: false,
+      createdAt: now,
+      updatedAt: now,
+    });
+    await seedAdminUser();
+
+    const login = await api().post('/api/employee-login').send({ email: 'admin@masterbikeadmin.cl', password: 'ClaveRotada123' });
+    assert.equal(login.status, 200);
+    const profile = await api().put('/api/me').set(bearer(login.body.accessToken)).send({ lastName: 'Antiguo' });
+    assert.equal(profile.status, 200);
+    assert.equal(profile.body.profile.lastName, 'Antiguo');
+
+    const changed = await api().put('/api/me/password').set(bearer(login.body.accessToken))
+      .send({ currentPassword: 'ClaveRotada123', newPassword: 'ClaveNueva456' });
+    assert.equal(changed.status, 200);
+    const relogin = await api().post('/api/employee-login').send({ email: 'admin@masterbikeadmin.cl', password: 'ClaveNueva456' });
+    assert.equal(relogin.status, 200);
+
+    // Cambiar el correo sí exige uno válido
+    const legacyAdmin = await Employee.findOne({ email: 'admin@masterbikeadmin.cl' });
+    legacyAdmin.email = 'otro@masterbikeadmin.cl';
+    await assert.rejects(legacyAdmin.save(), { name: 'ValidationError' });
+  });
+
+  it('no acepta correos de empleado fuera de @masterbike.cl salvo ADMIN_EMAIL', async () => {
+    await assert.rejects(
+      Employee.create({ firstName: 'Admin', lastName: 'Antiguo', email: 'admin@masterbikeadmin.cl', password: 'Clave12345', role: 'admin' }),
+      { name: 'ValidationError' }
+    );
+  });
+});
+
+describe('CORS y encabezados de seguridad', () => {
+  it('solo permite los orígenes configurados (por defecto APP_URL)', async () => {
+    const allowed = await api().get('/').set('Origin', 'http://localhost:3000');
+    assert.equal(allowed.headers['access-control-allow-origin'], 'http://localhost:3000');
+
+    const other = await api().get('/').set('Origin', 'https://sitio-malicioso.example');
+    assert.equal(other.headers['access-control-allow-origin'], undefined);
+  });
+
+  it('agrega los encabezados de seguridad y oculta X-Powered-By', async () => {
+    const res = await api().get('/');
+    assert.equal(res.headers['x-content-type-options'], 'nosniff');
+    assert.equal(res.headers['x-frame-options'], 'DENY');
+    assert.match(res.headers['content-security-policy'], /default-src 'none'/);
+    assert.match(res.headers['strict-transport-security'], /max-age=/);
+    assert.equal(res.headers['x-powered-by'], undefined);
+  });
+});
+
+describe('Errores en producción', () => {
+  it('no exponen el mensaje de los errores internos', async () => {
+    const find = mock.method(BikeForRent, 'find', () => {
+      throw new Error('connect ECONNREFUSED 10.0.0.5:27017');
+    });
+    try {
+      const res = await api().get('/api/bikes');
+      assert.equal(res.status, 500);
+      assert.equal(res.body.code, 'INTERNAL_ERROR');
+      assert.equal(res.body.message, 'Error interno del servidor.');
+    } finally {
+      find.mock.restore();
+    }
+  });
+});
+
+describe('Pagos en producción', () => {
+  // Carga la configuración en otro proceso con NODE_ENV=production y las variables indicadas
+  function loadConfig(env) {
+    const baseEnv = { ...process.env };
+    for (const name of ['PAYMENT_PROVIDER', 'PAYMENT_WEBHOOK_SECRET', 'PAYMENT_ALLOW_MOCK_IN_PRODUCTION']) {
+      delete baseEnv[name];
+    }
+    return spawnSync(process.execPath, ['-e', "require('./config')"], {
+      cwd: path.join(__dirname, '..'),
+      env: { ...baseEnv, NODE_ENV: 'production', ...env },
+      encoding: 'utf8',
+    });
+  }
+
+  it('no arranca con la pasarela mock por defecto ni sin PAYMENT_WEBHOOK_SECRET', () => {
+    const withoutProvider = loadConfig({ PAYMENT_WEBHOOK_SECRET: 'secreto-privado' });
+    assert.equal(withoutProvider.status, 1);
+    assert.match(withoutProvider.stderr, /PAYMENT_PROVIDER=mock/);
+
+    const withoutSecret = loadConfig({ PAYMENT_ALLOW_MOCK_IN_PRODUCTION: 'true' });
+    assert.equal(withoutSecret.status, 1);
+    assert.match(withoutSecret.stderr, /PAYMENT_WEBHOOK_SECRET/);
+
+    assert.equal(loadConfig({ PAYMENT_ALLOW_MOCK_IN_PRODUCTION: 'true', PAYMENT_WEBHOOK_SECRET: 'secreto-privado' }).status, 0);
+  });
+
+  it('no registra POST /api/payments/:id/mock-complete', async () => {
+    const res = await api().post('/api/payments/507f1f77bcf86cd799439011/mock-complete').send({ outcome: 'approved' });
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, 'ROUTE_NOT_FOUND');
+  });
+});
@@ -0,0 +1,31 @@
+// Código estable por estado HTTP; los errores pueden indicar uno más específico
+const HTTP_ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+};
+
+// Error con el código HTTP que debe devolverse al cliente. El manejador central de errores
+// lo convierte en { code, message, errors?, details? }.
+// errors: [{ field, message }] para errores de validación; details: datos extra (conflictos, etc.)
+function httpError(status, message, { code, errors, details } = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code || HTTP_ERROR_CODES[status] || 'ERROR';
+  if (errors) {
+    err.errors = errors;
+  }
+  if (details) {
+    err.details = details;
+  }
+  return err;
+}
+
+module.exports = {
+  httpError,
+};
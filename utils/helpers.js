@@ -0,0 +1,47 @@
+// Escapa un texto para usarlo dentro de una expresión regular
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Convierte filas en CSV (RFC 4180). Los textos que empiezan con = + - @ se anteponen con '
+// para que Excel no los interprete como fórmulas.
+function toCsv(rows, columns) {
+  const formatCell = value => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columns.join(','), ...rows.map(row => columns.map(column => formatCell(row[column])).join(','))];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Normaliza una fecha al inicio del día (UTC); los arriendos se cobran por día
+function startOfDay(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+}
+
+// Rechaza si la promesa no termina en ms (la operación no se cancela: solo se deja de esperarla)
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Sin respuesta en ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  escapeRegex,
+  startOfDay,
+  toCsv,
+  withTimeout,
+};
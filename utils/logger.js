@@ -0,0 +1,45 @@
+const { LOG_LEVEL } = require('../config');
+
+// Logs estructurados: una línea JSON por evento ({ time, level, msg, ...campos }) para que la
+// plataforma (Render, Docker) los pueda filtrar y buscar. warn y error van a stderr; el resto a stdout.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const minLevel = LOG_LEVELS[LOG_LEVEL];
+if (minLevel === undefined) {
+  console.error(`LOG_LEVEL desconocido: ${LOG_LEVEL}. Opciones: ${Object.keys(LOG_LEVELS).join(', ')}`);
+  process.exit(1);
+}
+
+// Los Error no se serializan con JSON.stringify (sus propiedades no son enumerables)
+function serializeField(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+  }
+  return value;
+}
+
+function write(level, msg, fields = {}) {
+  if (LOG_LEVELS[level] < minLevel) {
+    return;
+  }
+  const entry = { time: new Date().toISOString(), level, msg };
+  for (const [name, value] of Object.entries(fields)) {
+    if (value !== undefined) {
+      entry[name] = serializeField(value);
+    }
+  }
+  const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+// Uso: logger.error('Error al vencer los pagos pendientes', { err, paymentId })
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
+
+module.exports = {
+  logger,
+};
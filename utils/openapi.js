@@ -0,0 +1,211 @@
+// Conversión de los esquemas de la app (zod en las rutas, Mongoose en los modelos) a esquemas de OpenAPI 3.0
+
+const OBJECT_ID_SCHEMA = { type: 'string', pattern: '^[a-f\\d]{24}$', example: '665f1c2e9b1e8a0012345678' };
+const DATE_TIME_SCHEMA = { type: 'string', format: 'date-time' };
+
+// Parámetros de query numéricos (fields.queryInt / fields.queryNumber): llegan como texto, pero se documentan como número
+const NUMERIC_QUERY_PATTERNS = {
+  '^\\d+$': { type: 'integer', minimum: 0 },
+  '^\\d+(\\.\\d+)?$': { type: 'number', minimum: 0 },
+};
+
+function zodStringToOpenApi(def) {
+  const schema = { type: 'string' };
+  for (const check of def.checks) {
+    if (check.kind === 'min') {
+      schema.minLength = check.value;
+    } else if (check.kind === 'max') {
+      schema.maxLength = check.value;
+    } else if (check.kind === 'length') {
+      schema.minLength = check.value;
+      schema.maxLength = check.value;
+    } else if (check.kind === 'email') {
+      schema.format = 'email';
+    } else if (check.kind === 'url') {
+      schema.format = 'uri';
+    } else if (check.kind === 'regex') {
+      schema.pattern = check.regex.source;
+    }
+  }
+  return schema;
+}
+
+function zodNumberToOpenApi(def) {
+  const schema = { type: 'number' };
+  for (const check of def.checks) {
+    if (check.kind === 'int') {
+      schema.type = 'integer';
+    } else if (check.kind === 'min') {
+      schema[check.inclusive ? 'minimum' : 'exclusiveMinimum'] = check.value;
+    } else if (check.kind === 'max') {
+      schema[check.inclusive ? 'maximum' : 'exclusiveMaximum'] = check.value;
+    }
+  }
+  // OpenAPI 3.0 usa exclusiveMinimum/Maximum booleanos junto a minimum/maximum
+  for (const [exclusive, bound] of [['exclusiveMinimum', 'minimum'], ['exclusiveMaximum', 'maximum']]) {
+    if (typeof schema[exclusive] === 'number') {
+      schema[bound] = schema[exclusive];
+      schema[exclusive] = true;
+    }
+  }
+  return schema;
+}
+
+// Esquema de zod → esquema de OpenAPI de lo que envía el cliente (antes de los transform de zod)
+function zodToOpenApi(zodSchema) {
+  const def = zodSchema._def;
+  const withDescription = schema => (def.description ? { ...schema, description: def.description } : schema);
+
+  switch (def.typeName) {
+    case 'ZodObject': {
+      const properties = {};
+      const required = [];
+      for (const [key, value] of Object.entries(zodSchema.shape)) {
+        properties[key] = zodToOpenApi(value);
+        if (!value.isOptional()) {
+          required.push(key);
+        }
+      }
+      return withDescription({ type: 'object', properties, ...(required.length > 0 && { required }) });
+    }
+    case 'ZodString':
+      return withDescription(zodStringToOpenApi(def));
+    case 'ZodNumber':
+      return withDescription(zodNumberToOpenApi(def));
+    case 'ZodBoolean':
+      return withDescription({ type: 'boolean' });
+    case 'ZodDate':
+      return withDescription({ ...DATE_TIME_SCHEMA });
+    case 'ZodEnum':
+      return withDescription({ type: 'string', enum: [...def.values] });
+    case 'ZodLiteral':
+      return withDescription({ type: typeof def.value, enum: [def.value] });
+    case 'ZodArray': {
+      const schema = { type: 'array', items: zodToOpenApi(def.type) };
+      if (def.minLength) {
+        schema.minItems = def.minLength.value;
+      }
+      if (def.maxLength) {
+        schema.maxItems = def.maxLength.value;
+      }
+      return withDescription(schema);
+    }
+    case 'ZodRecord':
+      return withDescription({ type: 'object', additionalProperties: zodToOpenApi(def.valueType) });
+    case 'ZodOptional':
+      return zodToOpenApi(def.innerType);
+    case 'ZodNullable':
+      return { ...zodToOpenApi(def.innerType), nullable: true };
+    case 'ZodDefault': {
+      const schema = zodToOpenApi(def.innerType);
+      const value = def.defaultValue();
+      // Los query numéricos tienen el valor por defecto como texto ('1')
+      return { ...schema, default: (schema.type === 'integer' || schema.type === 'number') && typeof value === 'string' ? Number(value) : value };
+    }
+    case 'ZodUnion':
+      // fields.date() acepta texto, número o Date: se documenta como fecha ISO
+      if (def.options.some(option => option._def.typeName === 'ZodDate')) {
+        return withDescription({ ...DATE_TIME_SCHEMA });
+      }
+      return withDescription({ oneOf: def.options.map(zodToOpenApi) });
+    case 'ZodEffects': {
+      const inner = zodToOpenApi(def.schema);
+      if (def.effect.type === 'transform' && inner.type === 'string' && NUMERIC_QUERY_PATTERNS[inner.pattern]) {
+        return withDescription({ ...NUMERIC_QUERY_PATTERNS[inner.pattern] });
+      }
+      return def.description ? { ...inner, description: def.description } : inner;
+    }
+    case 'ZodPipeline': {
+      // fields.queryInt().pipe(z.number().min(1)): el tipo es el de la entrada y los límites, los de la salida
+      const input = zodToOpenApi(def.in);
+      const output = zodToOpenApi(def.out);
+      return input.type === 'integer' || input.type === 'number' ? { ...input, ...output, type: input.type } : input;
+    }
+    default:
+      return {};
+  }
+}
+
+// Ruta de Mongoose (SchemaType) → esquema de OpenAPI
+function schemaTypeToOpenApi(schemaType) {
+  const { options } = schemaType;
+  let schema;
+  switch (schemaType.instance) {
+    case 'String':
+      schema = { type: 'string' };
+      if (schemaType.enumValues && schemaType.enumValues.length > 0) {
+        schema.enum = [...schemaType.enumValues];
+      }
+      break;
+    case 'Number':
+      schema = { type: 'number' };
+      if (typeof options.min === 'number') {
+        schema.minimum = options.min;
+      }
+      if (typeof options.max === 'number') {
+        schema.maximum = options.max;
+      }
+      break;
+    case 'Boolean':
+      schema = { type: 'boolean' };
+      break;
+    case 'Date':
+      schema = { ...DATE_TIME_SCHEMA };
+      break;
+    case 'ObjectId':
+      schema = { ...OBJECT_ID_SCHEMA };
+      if (options.ref) {
+        schema.description = `ID de ${options.ref}`;
+      }
+      break;
+    case 'Embedded':
+      schema = mongooseSchemaToOpenApi(schemaType.schema);
+      break;
+    case 'Array':
+      if (schemaType.schema) {
+        return { type: 'array', items: mongooseSchemaToOpenApi(schemaType.schema) }; // Los arreglos siempre existen (por defecto [])
+      }
+      schema = schemaTypeToOpenApi(schemaType.caster);
+      delete schema.nullable;
+      return { type: 'array', items: schema };
+    default: // Mixed y otros: cualquier valor
+      return {};
+  }
+  // Sin valor por defecto, un campo opcional puede faltar o ser null
+  if (!isRequiredPath(schemaType) && (options.default === undefined || options.default === null)) {
+    schema.nullable = true;
+  }
+  return schema;
+}
+
+// Obligatoria siempre (no las condicionales, como code solo en los cupones)
+function isRequiredPath(schemaType) {
+  return schemaType.path === '_id' || (Boolean(schemaType.options.required) && typeof schemaType.options.required !== 'function');
+}
+
+// Esquema de Mongoose → esquema de OpenAPI del documento tal como lo devuelve la API (toJSON).
+// Las rutas anidadas ('quote.status') se convierten en objetos.
+function mongooseSchemaToOpenApi(mongooseSchema) {
+  const root = { type: 'object', properties: {} };
+  mongooseSchema.eachPath((path, schemaType) => {
+    const parts = path.split('.');
+    const name = parts.pop();
+    let node = root;
+    for (const part of parts) {
+      node.properties[part] = node.properties[part] || { type: 'object', properties: {} };
+      node = node.properties[part];
+    }
+    node.properties[name] = schemaTypeToOpenApi(schemaType);
+    if (isRequiredPath(schemaType)) {
+      node.required = [...(node.required || []), name];
+    }
+  });
+  return root;
+}
+
+module.exports = {
+  DATE_TIME_SCHEMA,
+  OBJECT_ID_SCHEMA,
+  mongooseSchemaToOpenApi,
+  zodToOpenApi,
+};
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Ejecuta fn(session) dentro de una transacción. withTransaction reintenta ante errores
+// transitorios (p. ej. conflictos de escritura), así que fn debe poder repetirse.
+async function runInTransaction(fn) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = {
+  runInTransaction,
+};